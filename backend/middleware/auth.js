@@ -1,5 +1,45 @@
 const jwt = require('jsonwebtoken');
 const User = require('../models/User');
+const Session = require('../models/Session');
+const auditService = require('../services/auditService');
+const permissionService = require('../services/permissionService');
+
+// Audit action for a denied request, by HTTP method
+const APPOINTMENT_AUDIT_ACTIONS = {
+  GET: 'appointment.view',
+  PUT: 'appointment.update',
+  PATCH: 'appointment.status_change'
+};
+
+// Resolve an access token to its user and server-side session. Throws the jsonwebtoken
+// errors for malformed or expired tokens; returns { error } when the token is well formed
+// but no longer usable. Shared by the HTTP middleware and the realtime gateway.
+const verifyAccessToken = async (token) => {
+  const decoded = jwt.verify(token, process.env.JWT_SECRET);
+
+  // Access tokens are bound to a server-side session so they can be revoked
+  const session = decoded.sid ? await Session.findById(decoded.sid) : null;
+
+  if (!session || !session.isActive() || session.user.toString() !== decoded.id) {
+    return { error: 'Session has expired or been revoked.' };
+  }
+
+  const user = await User.findById(decoded.id).select('-password');
+  
+  if (!user) {
+    return { error: 'Token is not valid.' };
+  }
+
+  if (!user.isActive) {
+    return { error: 'Account is deactivated.' };
+  }
+
+  if (user.changedPasswordAfter(decoded.iat)) {
+    return { error: 'Password was changed. Please log in again.' };
+  }
+
+  return { user, session, decoded };
+};
 
 const authenticate = async (req, res, next) => {
   try {
@@ -9,18 +49,14 @@ const authenticate = async (req, res, next) => {
       return res.status(401).json({ message: 'Access denied. No token provided.' });
     }
 
-    const decoded = jwt.verify(token, process.env.JWT_SECRET);
-    const user = await User.findById(decoded.id).select('-password');
-    
-    if (!user) {
-      return res.status(401).json({ message: 'Token is not valid.' });
-    }
+    const { user, session, error } = await verifyAccessToken(token);
 
-    if (!user.isActive) {
-      return res.status(401).json({ message: 'Account is deactivated.' });
+    if (error) {
+      return res.status(401).json({ message: error });
     }
 
     req.user = user;
+    req.authSession = session;
     next();
   } catch (error) {
     if (error.name === 'JsonWebTokenError') {
@@ -33,43 +69,49 @@ const authenticate = async (req, res, next) => {
   }
 };
 
-const authorize = (...roles) => {
-  return (req, res, next) => {
+// Allow the request when the user's role grants any of the permissions
+const requirePermission = (...permissions) => {
+  return async (req, res, next) => {
     if (!req.user) {
       return res.status(401).json({ message: 'Authentication required.' });
     }
 
-    if (roles.length && !roles.includes(req.user.role)) {
-      return res.status(403).json({ 
-        message: 'Access denied. Insufficient permissions.',
-        required: roles,
-        current: req.user.role
-      });
+    try {
+      if (!(await permissionService.hasPermission(req.user, ...permissions))) {
+        return res.status(403).json({ 
+          message: 'Access denied. Insufficient permissions.',
+          required: permissions
+        });
+      }
+    } catch (error) {
+      return res.status(500).json({ message: 'Server error during authorization.' });
     }
 
     next();
   };
 };
 
-const authorizeOwnerOrRole = (...roles) => {
-  return (req, res, next) => {
+// Users may always act on their own account (:userId or :id); anyone else needs a permission
+const requireOwnerOrPermission = (...permissions) => {
+  return async (req, res, next) => {
     if (!req.user) {
       return res.status(401).json({ message: 'Authentication required.' });
     }
 
     const resourceUserId = req.params.userId || req.params.id;
-    const isOwner = req.user._id.toString() === resourceUserId;
-    const hasAdminRole = req.user.role === 'admin';
-
-    if (isOwner || hasAdminRole) {
+    if (req.user._id.toString() === resourceUserId) {
       return next();
     }
 
-    if (roles.length && !roles.includes(req.user.role)) {
-      return res.status(403).json({ 
-        message: 'Access denied. You can only access your own resources or need appropriate role.',
-        required: roles
-      });
+    try {
+      if (!(await permissionService.hasPermission(req.user, ...permissions))) {
+        return res.status(403).json({ 
+          message: 'Access denied. You can only access your own resources or need appropriate permissions.',
+          required: permissions
+        });
+      }
+    } catch (error) {
+      return res.status(500).json({ message: 'Server error during authorization.' });
     }
 
     next();
@@ -89,9 +131,16 @@ const authorizeAppointmentAccess = async (req, res, next) => {
 
     const isPatient = req.user._id.toString() === appointment.patient.toString();
     const isDoctor = req.user._id.toString() === appointment.doctor.toString();
-    const isAdminOrNurse = ['admin', 'nurse'].includes(req.user.role);
-
-    if (!isPatient && !isDoctor && !isAdminOrNurse) {
+    const canReadAny = await permissionService.hasPermission(req.user, 'appointment:read:any');
+
+    if (!isPatient && !isDoctor && !canReadAny) {
+      await auditService.record(req, {
+        action: APPOINTMENT_AUDIT_ACTIONS[req.method] || 'appointment.view',
+        resourceType: 'Appointment',
+        resourceId: appointment._id,
+        patients: [appointment.patient],
+        outcome: 'denied'
+      });
       return res.status(403).json({ message: 'Access denied to this appointment.' });
     }
 
@@ -103,8 +152,9 @@ const authorizeAppointmentAccess = async (req, res, next) => {
 };
 
 module.exports = {
+  verifyAccessToken,
   authenticate,
-  authorize,
-  authorizeOwnerOrRole,
+  requirePermission,
+  requireOwnerOrPermission,
   authorizeAppointmentAccess
 };
\ No newline at end of file
@@ -0,0 +1,95 @@
+const multer = require('multer');
+
+const MAX_FILE_SIZE_MB = parseInt(process.env.ATTACHMENT_MAX_SIZE_MB) || 10;
+const MAX_FILES = 5;
+
+const DEFAULT_ALLOWED_TYPES = [
+  'application/pdf',
+  'image/jpeg',
+  'image/png',
+  'image/gif',
+  'image/webp',
+  'text/plain',
+  'text/csv',
+  'application/dicom',
+  'application/msword',
+  'application/vnd.openxmlformats-officedocument.wordprocessingml.document'
+];
+
+const ALLOWED_TYPES = process.env.ATTACHMENT_ALLOWED_TYPES
+  ? process.env.ATTACHMENT_ALLOWED_TYPES.split(',').map(type => type.trim()).filter(Boolean)
+  : DEFAULT_ALLOWED_TYPES;
+
+// Leading bytes for binary types, so a renamed executable cannot pass as a PDF or image
+const FILE_SIGNATURES = {
+  'application/pdf': [[0x25, 0x50, 0x44, 0x46]],
+  'image/jpeg': [[0xff, 0xd8, 0xff]],
+  'image/png': [[0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a]],
+  'image/gif': [[0x47, 0x49, 0x46, 0x38]],
+  'image/webp': [[0x52, 0x49, 0x46, 0x46]],
+  'application/msword': [[0xd0, 0xcf, 0x11, 0xe0]],
+  'application/vnd.openxmlformats-officedocument.wordprocessingml.document': [[0x50, 0x4b, 0x03, 0x04]]
+};
+
+const matchesSignature = (file) => {
+  if (file.mimetype === 'application/dicom') {
+    // DICOM files carry "DICM" after a 128-byte preamble
+    return file.buffer.subarray(128, 132).toString('latin1') === 'DICM';
+  }
+
+  const signatures = FILE_SIGNATURES[file.mimetype];
+  if (!signatures) return true;
+  return signatures.some(signature => signature.every((byte, index) => file.buffer[index] === byte));
+};
+
+const upload = multer({
+  storage: multer.memoryStorage(),
+  limits: {
+    fileSize: MAX_FILE_SIZE_MB * 1024 * 1024,
+    files: MAX_FILES
+  },
+  fileFilter: (req, file, cb) => {
+    if (!ALLOWED_TYPES.includes(file.mimetype)) {
+      return cb(new multer.MulterError('LIMIT_UNEXPECTED_FILE', file.fieldname));
+    }
+    cb(null, true);
+  }
+});
+
+const UPLOAD_ERROR_MESSAGES = {
+  LIMIT_FILE_SIZE: `Files must be smaller than ${MAX_FILE_SIZE_MB} MB`,
+  LIMIT_FILE_COUNT: `No more than ${MAX_FILES} files can be uploaded at once`,
+  LIMIT_UNEXPECTED_FILE: 'File type is not allowed'
+};
+
+// Parse multipart "attachments" files into req.files. JSON requests pass straight through.
+const uploadAttachments = (req, res, next) => {
+  upload.array('attachments', MAX_FILES)(req, res, (error) => {
+    if (error instanceof multer.MulterError) {
+      return res.status(400).json({
+        message: UPLOAD_ERROR_MESSAGES[error.code] || 'Invalid file upload',
+        allowedTypes: ALLOWED_TYPES
+      });
+    }
+    if (error) {
+      return next(error);
+    }
+
+    const invalidFile = (req.files || []).find(file => !matchesSignature(file));
+    if (invalidFile) {
+      return res.status(400).json({
+        message: `${invalidFile.originalname} does not match its declared file type`
+      });
+    }
+
+    req.files = req.files || [];
+    next();
+  });
+};
+
+module.exports = {
+  uploadAttachments,
+  ALLOWED_TYPES,
+  MAX_FILE_SIZE_MB,
+  MAX_FILES
+};
@@ -1,5 +1,8 @@
 const { body, param, query, validationResult } = require('express-validator');
 
+// The system type is reserved for system broadcasts
+const USER_MESSAGE_TYPES = ['general', 'appointment', 'prescription', 'emergency'];
+
 const handleValidationErrors = (req, res, next) => {
   const errors = validationResult(req);
   if (!errors.isEmpty()) {
@@ -90,11 +93,92 @@ const validateLogin = [
   handleValidationErrors
 ];
 
+const validateForgotPassword = [
+  body('email')
+    .isEmail()
+    .normalizeEmail()
+    .withMessage('Please provide a valid email address'),
+  
+  handleValidationErrors
+];
+
+const validateResetPassword = [
+  body('token')
+    .isHexadecimal()
+    .isLength({ min: 64, max: 64 })
+    .withMessage('Invalid or malformed reset token'),
+  
+  body('password')
+    .isLength({ min: 6 })
+    .withMessage('Password must be at least 6 characters long')
+    .matches(/^(?=.*[a-z])(?=.*[A-Z])(?=.*\d)/)
+    .withMessage('Password must contain at least one lowercase letter, one uppercase letter, and one number'),
+  
+  handleValidationErrors
+];
+
+const validateRefreshToken = [
+  body('refreshToken')
+    .isString()
+    .matches(/^[a-f0-9]{24}\.[a-f0-9]{96}$/)
+    .withMessage('Invalid or malformed refresh token'),
+  
+  handleValidationErrors
+];
+
+const validateTwoFactorVerify = [
+  body('challengeToken')
+    .isJWT()
+    .withMessage('Invalid or malformed challenge token'),
+  
+  body('code')
+    .optional()
+    .matches(/^\d{6}$/)
+    .withMessage('Authentication code must be 6 digits'),
+  
+  body('recoveryCode')
+    .optional()
+    .isString()
+    .isLength({ max: 20 })
+    .withMessage('Invalid recovery code'),
+  
+  body()
+    .custom((value) => Boolean(value.code || value.recoveryCode))
+    .withMessage('An authentication code or recovery code is required'),
+  
+  handleValidationErrors
+];
+
+const validateTwoFactorCode = [
+  body('code')
+    .matches(/^\d{6}$/)
+    .withMessage('Authentication code must be 6 digits'),
+  
+  handleValidationErrors
+];
+
+const validateTwoFactorDisable = [
+  body('password')
+    .notEmpty()
+    .withMessage('Password is required'),
+  
+  body('code')
+    .matches(/^\d{6}$/)
+    .withMessage('Authentication code must be 6 digits'),
+  
+  handleValidationErrors
+];
+
 const validateAppointment = [
   body('doctor')
     .isMongoId()
     .withMessage('Valid doctor ID is required'),
   
+  body('patient')
+    .optional({ values: 'falsy' })
+    .isMongoId()
+    .withMessage('Valid patient ID is required'),
+  
   body('appointmentDate')
     .isISO8601()
     .withMessage('Valid appointment date is required')
@@ -133,6 +217,153 @@ const validateAppointment = [
   handleValidationErrors
 ];
 
+const SERIES_FREQUENCIES = ['weekly', 'biweekly', 'monthly'];
+const SERIES_SCOPES = ['this', 'following', 'all'];
+const TIME_PATTERN = /^([0-1]?[0-9]|2[0-3]):[0-5][0-9]$/;
+
+// A single booking's fields, for the first occurrence, plus the recurrence rule
+const validateAppointmentSeries = [
+  ...validateAppointment.slice(0, -1),
+
+  body('recurrence.frequency')
+    .isIn(SERIES_FREQUENCIES)
+    .withMessage(`Frequency must be one of: ${SERIES_FREQUENCIES.join(', ')}`),
+
+  body('recurrence.count')
+    .optional({ values: 'falsy' })
+    .isInt({ min: 2, max: 52 })
+    .withMessage('A series must have between 2 and 52 occurrences'),
+
+  body('recurrence.until')
+    .optional({ values: 'falsy' })
+    .isISO8601()
+    .withMessage('End date must be a valid date'),
+
+  body('recurrence')
+    .custom(value => Boolean(value?.count) !== Boolean(value?.until))
+    .withMessage('End the series after a number of occurrences or on a date'),
+
+  body('skipConflicts')
+    .optional()
+    .isBoolean()
+    .withMessage('skipConflicts must be true or false')
+    .toBoolean(),
+
+  handleValidationErrors
+];
+
+// Which occurrences a change to a series applies to, counted from the chosen one
+const validateSeriesScope = body('scope')
+  .isIn(SERIES_SCOPES)
+  .withMessage(`Scope must be one of: ${SERIES_SCOPES.join(', ')}`);
+
+const validateSeriesReschedule = [
+  validateSeriesScope,
+
+  body('appointmentDate')
+    .isISO8601()
+    .withMessage('Valid appointment date is required'),
+
+  body('timeSlot.start')
+    .matches(TIME_PATTERN)
+    .withMessage('Start time must be in HH:MM format'),
+
+  body('timeSlot.end')
+    .matches(TIME_PATTERN)
+    .withMessage('End time must be in HH:MM format'),
+
+  handleValidationErrors
+];
+
+const validateSeriesCancel = [
+  validateSeriesScope,
+
+  body('appointmentId')
+    .if(body('scope').not().equals('all'))
+    .isMongoId()
+    .withMessage('Choose the occurrence to cancel from'),
+
+  body('reason')
+    .optional()
+    .trim()
+    .isLength({ max: 500 })
+    .withMessage('Reason cannot exceed 500 characters'),
+
+  handleValidationErrors
+];
+
+const validateWaitlistEntry = [
+  body('doctor')
+    .optional({ values: 'falsy' })
+    .isMongoId()
+    .withMessage('Valid doctor ID is required'),
+
+  body('specialization')
+    .optional({ values: 'falsy' })
+    .trim()
+    .isLength({ max: 100 })
+    .withMessage('Specialization cannot exceed 100 characters'),
+
+  body()
+    .custom(value => Boolean(value.doctor) !== Boolean(value.specialization))
+    .withMessage('Wait for either a doctor or a specialization'),
+
+  body('dateFrom')
+    .isISO8601()
+    .withMessage('Valid earliest date is required'),
+
+  body('dateTo')
+    .isISO8601()
+    .withMessage('Valid latest date is required')
+    .custom((value, { req }) => new Date(value) >= new Date(req.body.dateFrom))
+    .withMessage('Latest date must be on or after the earliest date'),
+
+  body('timeFrom')
+    .optional({ values: 'falsy' })
+    .matches(TIME_PATTERN)
+    .withMessage('Earliest time must be in HH:MM format'),
+
+  body('timeTo')
+    .optional({ values: 'falsy' })
+    .matches(TIME_PATTERN)
+    .withMessage('Latest time must be in HH:MM format'),
+
+  body('reason')
+    .trim()
+    .isLength({ min: 10, max: 500 })
+    .withMessage('Reason must be between 10 and 500 characters'),
+
+  body('type')
+    .optional()
+    .isIn(['consultation', 'follow-up', 'check-up', 'emergency', 'surgery'])
+    .withMessage('Invalid appointment type'),
+
+  handleValidationErrors
+];
+
+const validateQueueFilters = [
+  query('doctor')
+    .optional({ values: 'falsy' })
+    .isMongoId()
+    .withMessage('Valid doctor ID is required'),
+
+  query('department')
+    .optional({ values: 'falsy' })
+    .trim()
+    .isLength({ max: 100 })
+    .withMessage('Department cannot exceed 100 characters'),
+
+  handleValidationErrors
+];
+
+const validateCallNext = [
+  body('doctor')
+    .isMongoId()
+    .withMessage('Valid doctor ID is required'),
+
+  handleValidationErrors
+];
+
 const validateMessage = [
   body('to')
     .isMongoId()
@@ -150,7 +381,27 @@ const validateMessage = [
   
   body('type')
     .optional()
-    .isIn(['general', 'appointment', 'prescription', 'emergency', 'system'])
+    .isIn(USER_MESSAGE_TYPES)
+    .withMessage('Invalid message type'),
+  
+  body('priority')
+    .optional()
+    .isIn(['low', 'normal', 'high', 'urgent'])
+    .withMessage('Invalid priority level'),
+  
+  handleValidationErrors
+];
+
+// Replies take their recipient and subject from the parent message
+const validateReply = [
+  body('content')
+    .trim()
+    .isLength({ min: 1, max: 2000 })
+    .withMessage('Message content is required and must be less than 2000 characters'),
+  
+  body('type')
+    .optional()
+    .isIn(USER_MESSAGE_TYPES)
     .withMessage('Invalid message type'),
   
   body('priority')
@@ -161,6 +412,76 @@ const validateMessage = [
   handleValidationErrors
 ];
 
+const broadcastAudienceRules = [
+  body('audience')
+    .isObject()
+    .withMessage('Audience is required'),
+
+  body('audience.roles')
+    .optional()
+    .isArray()
+    .withMessage('Audience roles must be an array'),
+
+  body('audience.roles.*')
+    .isIn(['patient', 'doctor', 'nurse', 'admin'])
+    .withMessage('Invalid audience role'),
+
+  body('audience.departments')
+    .optional()
+    .isArray()
+    .withMessage('Audience departments must be an array'),
+
+  body('audience.departments.*')
+    .isString()
+    .trim()
+    .isLength({ min: 1, max: 100 })
+    .withMessage('Department names must be less than 100 characters'),
+
+  body('audience.users')
+    .optional()
+    .isArray({ max: 500 })
+    .withMessage('Audience users must be an array of at most 500 users'),
+
+  body('audience.users.*')
+    .isMongoId()
+    .withMessage('Invalid audience user ID')
+];
+
+const validateBroadcastAudience = [
+  ...broadcastAudienceRules,
+  handleValidationErrors
+];
+
+const validateBroadcast = [
+  body('subject')
+    .trim()
+    .isLength({ min: 1, max: 200 })
+    .withMessage('Subject is required and must be less than 200 characters'),
+  
+  body('content')
+    .trim()
+    .isLength({ min: 1, max: 2000 })
+    .withMessage('Message content is required and must be less than 2000 characters'),
+  
+  body('type')
+    .optional()
+    .isIn(USER_MESSAGE_TYPES)
+    .withMessage('Invalid message type'),
+  
+  body('priority')
+    .optional()
+    .isIn(['low', 'normal', 'high', 'urgent'])
+    .withMessage('Invalid priority level'),
+
+  body('isSystemMessage')
+    .optional()
+    .isBoolean()
+    .withMessage('isSystemMessage must be true or false'),
+
+  ...broadcastAudienceRules,
+  handleValidationErrors
+];
+
 const validateUpdateProfile = [
   body('profile.firstName')
     .optional()
@@ -209,13 +530,153 @@ const validatePagination = [
   handleValidationErrors
 ];
 
+const CARE_RELATIONSHIP_TYPES = ['primary_care', 'consulting', 'department_coverage'];
+
+const validateCareRelationship = [
+  body('patient')
+    .isMongoId()
+    .withMessage('Valid patient ID is required'),
+
+  body('type')
+    .isIn(CARE_RELATIONSHIP_TYPES)
+    .withMessage(`Type must be one of: ${CARE_RELATIONSHIP_TYPES.join(', ')}`),
+
+  body('provider')
+    .if(body('type').not().equals('department_coverage'))
+    .isMongoId()
+    .withMessage('Valid provider ID is required'),
+
+  body('department')
+    .if(body('type').equals('department_coverage'))
+    .trim()
+    .isLength({ min: 1, max: 100 })
+    .withMessage('Department is required for department coverage'),
+
+  body('expiresAt')
+    .optional({ values: 'falsy' })
+    .isISO8601()
+    .withMessage('Expiry must be a valid date')
+    .custom(value => new Date(value) > new Date())
+    .withMessage('Expiry must be in the future'),
+
+  handleValidationErrors
+];
+
+const validateEmergencyAccess = [
+  body('patient')
+    .isMongoId()
+    .withMessage('Valid patient ID is required'),
+
+  body('reason')
+    .trim()
+    .isLength({ min: 10, max: 500 })
+    .withMessage('Describe the emergency in 10 to 500 characters'),
+
+  handleValidationErrors
+];
+
+const RECORD_TYPES = ['diagnosis', 'treatment', 'lab_result', 'vital_signs', 'prescription', 'procedure', 'imaging', 'consultation'];
+
+const validateRecordShare = [
+  body('records')
+    .optional()
+    .isArray({ max: 100 })
+    .withMessage('Records must be a list of at most 100 record IDs'),
+
+  body('records.*')
+    .isMongoId()
+    .withMessage('Invalid record ID'),
+
+  body('recordTypes')
+    .optional()
+    .isArray()
+    .withMessage('Record types must be a list'),
+
+  body('recordTypes.*')
+    .isIn(RECORD_TYPES)
+    .withMessage(`Record types must be among: ${RECORD_TYPES.join(', ')}`),
+
+  body()
+    .custom(value => (value.records?.length || 0) + (value.recordTypes?.length || 0) > 0)
+    .withMessage('Choose at least one record or record type to share'),
+
+  body('provider')
+    .optional({ values: 'falsy' })
+    .isMongoId()
+    .withMessage('Valid provider ID is required'),
+
+  body('email')
+    .optional({ values: 'falsy' })
+    .isEmail()
+    .normalizeEmail()
+    .withMessage('Valid email address is required'),
+
+  body()
+    .custom(value => Boolean(value.provider) !== Boolean(value.email))
+    .withMessage('Share with either a provider or an email address'),
+
+  body('expiresAt')
+    .isISO8601()
+    .withMessage('Expiry must be a valid date')
+    .custom(value => new Date(value) > new Date())
+    .withMessage('Expiry must be in the future'),
+
+  body('note')
+    .optional()
+    .trim()
+    .isLength({ max: 500 })
+    .withMessage('Note cannot exceed 500 characters'),
+
+  handleValidationErrors
+];
+
+const SEARCH_TYPES = ['records', 'messages', 'users'];
+
+const validateSearch = [
+  query('q')
+    .trim()
+    .isLength({ min: 2, max: 100 })
+    .withMessage('Search must be between 2 and 100 characters'),
+
+  query('types')
+    .optional()
+    .custom(value => String(value).split(',').every(type => SEARCH_TYPES.includes(type)))
+    .withMessage(`Types must be a comma-separated list of: ${SEARCH_TYPES.join(', ')}`),
+
+  query('limit')
+    .optional()
+    .isInt({ min: 1, max: 20 })
+    .withMessage('Limit must be between 1 and 20'),
+
+  handleValidationErrors
+];
+
 module.exports = {
   validateRegister,
   validateLogin,
+  validateForgotPassword,
+  validateResetPassword,
+  validateRefreshToken,
+  validateTwoFactorVerify,
+  validateTwoFactorCode,
+  validateTwoFactorDisable,
   validateAppointment,
+  validateAppointmentSeries,
+  validateSeriesReschedule,
+  validateSeriesCancel,
+  validateWaitlistEntry,
+  validateQueueFilters,
+  validateCallNext,
   validateMessage,
+  validateReply,
+  validateBroadcast,
+  validateBroadcastAudience,
   validateUpdateProfile,
   validateObjectId,
   validatePagination,
+  validateSearch,
+  validateCareRelationship,
+  validateEmergencyAccess,
+  validateRecordShare,
   handleValidationErrors
 };
\ No newline at end of file
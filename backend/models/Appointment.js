@@ -1,5 +1,65 @@
 const mongoose = require('mongoose');
 
+const STATUSES = ['pending', 'confirmed', 'checked-in', 'in-progress', 'completed', 'cancelled', 'no-show'];
+
+// Statuses in which an appointment holds its slot
+const BOOKED_STATUSES = ['pending', 'confirmed', 'checked-in', 'in-progress'];
+
+// Statuses in which an appointment puts its doctor on the patient's care team;
+// a pending booking grants nothing until it is confirmed (see grantsCareAccess)
+const CARE_ACCESS_STATUSES = ['confirmed', 'checked-in', 'in-progress', 'completed'];
+
+// The status changes allowed from each status, and who may make them: `staff` holds
+// appointment:status:update, `doctor` is the appointment's doctor holding
+// appointment:status:update:own, and `patient` is its patient holding appointment:cancel:own
+const STATUS_TRANSITIONS = {
+  pending: {
+    confirmed: ['staff', 'doctor'],
+    cancelled: ['staff', 'doctor', 'patient']
+  },
+  confirmed: {
+    'checked-in': ['staff', 'doctor'],
+    completed: ['staff', 'doctor'],
+    'no-show': ['staff', 'doctor'],
+    cancelled: ['staff', 'doctor', 'patient']
+  },
+  'checked-in': {
+    'in-progress': ['staff', 'doctor'],
+    'no-show': ['staff', 'doctor'],
+    cancelled: ['staff', 'doctor']
+  },
+  'in-progress': {
+    completed: ['staff', 'doctor']
+  },
+  completed: {},
+  cancelled: {},
+  'no-show': {}
+};
+
+const statusChangeSchema = new mongoose.Schema({
+  from: {
+    type: String,
+    enum: STATUSES
+  },
+  to: {
+    type: String,
+    enum: STATUSES,
+    required: true
+  },
+  changedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  changedAt: {
+    type: Date,
+    default: Date.now
+  },
+  note: {
+    type: String,
+    maxlength: [1000, 'Status note cannot exceed 1000 characters']
+  }
+}, { _id: false });
+
 const appointmentSchema = new mongoose.Schema({
   patient: {
     type: mongoose.Schema.Types.ObjectId,
@@ -15,10 +75,16 @@ const appointmentSchema = new mongoose.Schema({
     type: Date,
     required: [true, 'Appointment date is required'],
     validate: {
+      // Only checked when booking or rescheduling, so past appointments can still be
+      // updated. Dates are stored at midnight, so a slot later today is judged by its
+      // start time.
       validator: function(date) {
-        return date > new Date();
+        if (!this.isNew && !this.isModified('appointmentDate')) {
+          return true;
+        }
+        return this.timeSlot?.start ? this.getStartDateTime() > new Date() : date > new Date();
       },
-      message: 'Appointment date must be in the future'
+      message: 'Appointment must start in the future'
     }
   },
   timeSlot: {
@@ -35,9 +101,13 @@ const appointmentSchema = new mongoose.Schema({
   },
   status: {
     type: String,
-    enum: ['pending', 'confirmed', 'cancelled', 'completed', 'no-show'],
+    enum: STATUSES,
     default: 'pending'
   },
+  statusHistory: [statusChangeSchema],
+  // Waiting-room times: when the patient arrived and when they were called in
+  checkedInAt: Date,
+  startedAt: Date,
   type: {
     type: String,
     enum: ['consultation', 'follow-up', 'check-up', 'emergency', 'surgery'],
@@ -82,6 +152,11 @@ const appointmentSchema = new mongoose.Schema({
     min: [15, 'Minimum appointment duration is 15 minutes'],
     max: [240, 'Maximum appointment duration is 4 hours']
   },
+  // Who made the booking, when staff or a doctor booked on the patient's behalf
+  bookedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
   cancelledBy: {
     type: mongoose.Schema.Types.ObjectId,
     ref: 'User'
@@ -90,7 +165,13 @@ const appointmentSchema = new mongoose.Schema({
   reminderSent: {
     type: Boolean,
     default: false
-  }
+  },
+  // Set when the appointment is one occurrence of a recurring series
+  series: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'AppointmentSeries'
+  },
+  seriesIndex: Number
 }, {
   timestamps: true
 });
@@ -110,10 +191,85 @@ appointmentSchema.pre('save', function(next) {
   next();
 });
 
+// Combine the appointment date with the slot start time
+appointmentSchema.methods.getStartDateTime = function() {
+  const start = new Date(this.appointmentDate);
+  const [hours, minutes] = this.timeSlot.start.split(':').map(Number);
+  start.setHours(hours, minutes, 0, 0);
+  return start;
+};
+
+// Why a change to `status` cannot happen at `now`, or null when it can. Check-ins and
+// visits happen on the appointment's day, and no-shows are recorded once it has started.
+appointmentSchema.methods.getStatusTimingError = function(status, now = new Date()) {
+  const dayStart = new Date(this.appointmentDate);
+  dayStart.setHours(0, 0, 0, 0);
+  const dayEnd = new Date(dayStart);
+  dayEnd.setDate(dayEnd.getDate() + 1);
+
+  if (['checked-in', 'in-progress'].includes(status) && (now < dayStart || now >= dayEnd)) {
+    return 'Patients can only be checked in and seen on the day of the appointment';
+  }
+  if (status === 'completed' && now < dayStart) {
+    return 'An appointment cannot be completed before its day';
+  }
+  if (status === 'no-show' && now < this.getStartDateTime()) {
+    return 'A no-show can only be recorded once the appointment has started';
+  }
+  return null;
+};
+
+// Statuses the appointment can move to now for someone acting as `actors`
+// (see STATUS_TRANSITIONS)
+appointmentSchema.methods.getAllowedStatuses = function(actors, now = new Date()) {
+  return Object.entries(STATUS_TRANSITIONS[this.status] || {})
+    .filter(([status, allowed]) => allowed.some(actor => actors.includes(actor)) &&
+      !this.getStatusTimingError(status, now))
+    .map(([status]) => status);
+};
+
+// Change the status and log the change in statusHistory
+appointmentSchema.methods.setStatus = function(status, user, note) {
+  this.statusHistory.push({
+    from: this.status,
+    to: status,
+    changedBy: user?._id,
+    note: note || undefined
+  });
+  this.status = status;
+
+  if (status === 'checked-in') {
+    this.checkedInAt = new Date();
+  } else if (status === 'in-progress') {
+    this.startedAt = new Date();
+  }
+};
+
+// Whether the appointment currently puts its doctor and their department on the
+// patient's care team. Bookings made on the patient's behalf only do once completed,
+// so staff cannot reach a chart by booking and confirming a visit that never happens.
+appointmentSchema.methods.grantsCareAccess = function() {
+  if (this.status === 'completed') {
+    return true;
+  }
+  const bookedByPatient = !this.bookedBy || this.bookedBy.equals(this.patient._id || this.patient);
+  return bookedByPatient && CARE_ACCESS_STATUSES.includes(this.status);
+};
+
+// Minutes between arriving and being called in, so far if still waiting
+appointmentSchema.methods.getWaitMinutes = function(now = new Date()) {
+  if (!this.checkedInAt) {
+    return null;
+  }
+  return Math.max(0, Math.round(((this.startedAt || now) - this.checkedInAt) / 60000));
+};
+
 appointmentSchema.index({ patient: 1, appointmentDate: 1 });
 appointmentSchema.index({ doctor: 1, appointmentDate: 1 });
 appointmentSchema.index({ status: 1 });
+appointmentSchema.index({ series: 1, seriesIndex: 1 });
 appointmentSchema.index({ appointmentDate: 1, 'timeSlot.start': 1 });
+// One booking per slot while it holds the slot; claims and concurrent bookings rely on it
 appointmentSchema.index({ 
   doctor: 1, 
   appointmentDate: 1, 
@@ -122,24 +278,55 @@ appointmentSchema.index({
 }, { 
   unique: true,
   partialFilterExpression: { 
-    status: { $in: ['pending', 'confirmed'] } 
+    status: { $in: BOOKED_STATUSES } 
   }
 });
 
-appointmentSchema.statics.checkAvailability = async function(doctorId, date, timeSlot) {
-  const existingAppointment = await this.findOne({
+// Booked length of a slot in minutes, within the allowed 15 minutes to 4 hours
+appointmentSchema.statics.estimateDuration = function(timeSlot) {
+  const DoctorSchedule = require('./DoctorSchedule');
+  const minutes = DoctorSchedule.toMinutes(timeSlot.end) - DoctorSchedule.toMinutes(timeSlot.start);
+  return Math.min(Math.max(minutes, 15), 240);
+};
+
+// Static method to get a doctor's active bookings on the calendar day of `date`.
+// `excludeId` may be one appointment ID or a list of them.
+appointmentSchema.statics.findBookedOnDate = function(doctorId, date, excludeId) {
+  const dayStart = new Date(date);
+  dayStart.setHours(0, 0, 0, 0);
+  const dayEnd = new Date(dayStart);
+  dayEnd.setDate(dayEnd.getDate() + 1);
+
+  const query = {
     doctor: doctorId,
-    appointmentDate: date,
-    $or: [
-      {
-        'timeSlot.start': { $lt: timeSlot.end },
-        'timeSlot.end': { $gt: timeSlot.start }
-      }
-    ],
-    status: { $in: ['pending', 'confirmed'] }
-  });
-  
-  return !existingAppointment;
+    appointmentDate: { $gte: dayStart, $lt: dayEnd },
+    status: { $in: BOOKED_STATUSES }
+  };
+
+  if (Array.isArray(excludeId)) {
+    query._id = { $nin: excludeId };
+  } else if (excludeId) {
+    query._id = { $ne: excludeId };
+  }
+
+  return this.find(query).select('timeSlot estimatedDuration');
 };
 
+// Static method to check a slot against the doctor's schedule and existing bookings
+appointmentSchema.statics.checkAvailability = async function(doctorId, date, timeSlot, excludeId) {
+  const DoctorSchedule = require('./DoctorSchedule');
+
+  const [schedule, bookedAppointments] = await Promise.all([
+    DoctorSchedule.findForDoctor(doctorId),
+    this.findBookedOnDate(doctorId, date, excludeId)
+  ]);
+
+  return schedule.isSlotAvailable(date, timeSlot, bookedAppointments);
+};
+
+appointmentSchema.statics.STATUSES = STATUSES;
+appointmentSchema.statics.BOOKED_STATUSES = BOOKED_STATUSES;
+appointmentSchema.statics.CARE_ACCESS_STATUSES = CARE_ACCESS_STATUSES;
+appointmentSchema.statics.STATUS_TRANSITIONS = STATUS_TRANSITIONS;
+
 module.exports = mongoose.model('Appointment', appointmentSchema);
\ No newline at end of file
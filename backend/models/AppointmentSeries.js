@@ -0,0 +1,134 @@
+const mongoose = require('mongoose');
+
+const FREQUENCIES = ['weekly', 'biweekly', 'monthly'];
+const MAX_OCCURRENCES = 52;
+const MAX_SERIES_DAYS = 365;
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// A repeating booking: the rule that generated a run of appointments, which
+// point back here through Appointment.series
+const appointmentSeriesSchema = new mongoose.Schema({
+  patient: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: [true, 'Patient is required']
+  },
+  doctor: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: [true, 'Doctor is required']
+  },
+  frequency: {
+    type: String,
+    enum: FREQUENCIES,
+    required: [true, 'Frequency is required']
+  },
+  // The series ends after `count` occurrences or on `until`, whichever was given
+  count: {
+    type: Number,
+    min: [2, 'A series needs at least 2 occurrences'],
+    max: [MAX_OCCURRENCES, `A series can have at most ${MAX_OCCURRENCES} occurrences`]
+  },
+  until: Date,
+  startDate: {
+    type: Date,
+    required: [true, 'Start date is required']
+  },
+  timeSlot: {
+    start: {
+      type: String,
+      required: [true, 'Start time is required'],
+      match: [/^([0-1]?[0-9]|2[0-3]):[0-5][0-9]$/, 'Invalid time format (HH:MM)']
+    },
+    end: {
+      type: String,
+      required: [true, 'End time is required'],
+      match: [/^([0-1]?[0-9]|2[0-3]):[0-5][0-9]$/, 'Invalid time format (HH:MM)']
+    }
+  },
+  reason: {
+    type: String,
+    required: [true, 'Reason for appointment is required'],
+    trim: true,
+    maxlength: [500, 'Reason cannot exceed 500 characters']
+  },
+  type: {
+    type: String,
+    enum: ['consultation', 'follow-up', 'check-up', 'emergency', 'surgery'],
+    default: 'consultation'
+  },
+  priority: {
+    type: String,
+    enum: ['low', 'medium', 'high', 'urgent'],
+    default: 'medium'
+  },
+  status: {
+    type: String,
+    enum: ['active', 'cancelled'],
+    default: 'active'
+  },
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }
+}, {
+  timestamps: true
+});
+
+appointmentSeriesSchema.index({ patient: 1, createdAt: -1 });
+appointmentSeriesSchema.index({ doctor: 1, createdAt: -1 });
+
+appointmentSeriesSchema.pre('validate', function(next) {
+  if (Boolean(this.count) === Boolean(this.until)) {
+    this.invalidate('count', 'End the series after a number of occurrences or on a date');
+  }
+  next();
+});
+
+// Same day of the month `months` later, on the last day when that month is shorter
+const addMonths = (date, months) => {
+  const result = new Date(date);
+  const day = result.getDate();
+  result.setDate(1);
+  result.setMonth(result.getMonth() + months);
+  const lastDay = new Date(result.getFullYear(), result.getMonth() + 1, 0).getDate();
+  result.setDate(Math.min(day, lastDay));
+  return result;
+};
+
+const addOccurrence = (date, frequency, steps) => {
+  if (frequency === 'monthly') {
+    return addMonths(date, steps);
+  }
+  const result = new Date(date);
+  result.setDate(result.getDate() + steps * (frequency === 'biweekly' ? 14 : 7));
+  return result;
+};
+
+// Dates of every occurrence of a rule, from the start date on
+appointmentSeriesSchema.statics.buildOccurrenceDates = function({ startDate, frequency, count, until }) {
+  const start = new Date(startDate);
+  const end = until ? new Date(until) : null;
+  if (end) {
+    end.setHours(23, 59, 59, 999);
+  }
+
+  const dates = [];
+  for (let step = 0; dates.length < (count || MAX_OCCURRENCES); step++) {
+    const date = addOccurrence(start, frequency, step);
+    if (end && date > end) break;
+    dates.push(date);
+  }
+  return dates;
+};
+
+// Latest date a series may run to when it starts on `startDate`
+appointmentSeriesSchema.statics.maxUntil = function(startDate) {
+  return new Date(new Date(startDate).getTime() + MAX_SERIES_DAYS * DAY_MS);
+};
+
+appointmentSeriesSchema.statics.FREQUENCIES = FREQUENCIES;
+appointmentSeriesSchema.statics.MAX_OCCURRENCES = MAX_OCCURRENCES;
+appointmentSeriesSchema.statics.MAX_SERIES_DAYS = MAX_SERIES_DAYS;
+
+module.exports = mongoose.model('AppointmentSeries', appointmentSeriesSchema);
@@ -0,0 +1,219 @@
+const mongoose = require('mongoose');
+const crypto = require('crypto');
+const { canonicalize } = require('../services/signatureService');
+
+const AUDIT_ACTIONS = [
+  'health_record.create',
+  'health_record.list',
+  'health_record.view',
+  'health_record.history',
+  'health_record.summary',
+  'health_record.update',
+  'health_record.sign',
+  'health_record.acknowledge',
+  'health_record.delete',
+  'health_record.emergency_access',
+  'health_record.share',
+  'health_record.share_revoke',
+  'health_record.share_view',
+  'user.list',
+  'user.view',
+  'user.update',
+  'user.status_change',
+  'user.delete',
+  'user.sessions_view',
+  'user.sessions_revoke',
+  'appointment.create',
+  'appointment.list',
+  'appointment.view',
+  'appointment.update',
+  'appointment.status_change',
+  'appointment.delete',
+  'appointment.series_create',
+  'appointment.series_update',
+  'appointment.series_cancel',
+  'care_relationship.create',
+  'care_relationship.end',
+  'role.permissions_update',
+  'role.permissions_reset'
+];
+
+const GENESIS_HASH = '0'.repeat(64);
+const MAX_APPEND_ATTEMPTS = 10;
+const APPEND_BACKOFF_MS = 20;
+
+const auditEventSchema = new mongoose.Schema({
+  // Position in the hash chain; unique so concurrent writers cannot fork it
+  sequence: {
+    type: Number,
+    required: true,
+    unique: true
+  },
+  timestamp: {
+    type: Date,
+    required: true
+  },
+  actor: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  actorRole: String,
+  action: {
+    type: String,
+    enum: AUDIT_ACTIONS,
+    required: [true, 'Audit action is required']
+  },
+  resourceType: {
+    type: String,
+    enum: ['HealthRecord', 'User', 'Appointment', 'AppointmentSeries', 'CareRelationship', 'RecordShare', 'RolePermission'],
+    required: [true, 'Resource type is required']
+  },
+  resourceId: mongoose.Schema.Types.ObjectId,
+  // Patients whose data was touched (several for list actions), for the
+  // patient-facing access log
+  patients: [{
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }],
+  outcome: {
+    type: String,
+    enum: ['success', 'denied'],
+    default: 'success'
+  },
+  ipAddress: String,
+  userAgent: String,
+  metadata: mongoose.Schema.Types.Mixed,
+  previousHash: {
+    type: String,
+    required: true
+  },
+  hash: {
+    type: String,
+    required: true
+  }
+}, {
+  versionKey: false
+});
+
+// Indexes for efficient querying
+auditEventSchema.index({ timestamp: -1 });
+auditEventSchema.index({ actor: 1, timestamp: -1 });
+auditEventSchema.index({ patients: 1, timestamp: -1 });
+auditEventSchema.index({ resourceType: 1, resourceId: 1, timestamp: -1 });
+auditEventSchema.index({ action: 1, timestamp: -1 });
+
+const computeHash = (event) => {
+  const payload = canonicalize({
+    sequence: event.sequence,
+    timestamp: event.timestamp,
+    actor: event.actor,
+    actorRole: event.actorRole,
+    action: event.action,
+    resourceType: event.resourceType,
+    resourceId: event.resourceId,
+    patients: event.patients,
+    outcome: event.outcome,
+    ipAddress: event.ipAddress,
+    userAgent: event.userAgent,
+    metadata: event.metadata,
+    previousHash: event.previousHash
+  });
+
+  return crypto.createHash('sha256').update(payload).digest('hex');
+};
+
+// Append-only: existing events can never be modified or removed through the model
+const rejectMutation = function(next) {
+  next(new Error('Audit events are append-only'));
+};
+
+auditEventSchema.pre('save', function(next) {
+  if (!this.isNew) {
+    return rejectMutation(next);
+  }
+  next();
+});
+
+[
+  'updateOne', 'updateMany', 'findOneAndUpdate', 'replaceOne', 'findOneAndReplace',
+  'deleteOne', 'deleteMany', 'findOneAndDelete'
+].forEach(operation => {
+  auditEventSchema.pre(operation, rejectMutation);
+});
+
+// Static method to append an event to the chain. Retries, after a growing random
+// pause, when another writer claimed the same sequence number first. `timestamp`
+// defaults to now; events replayed later keep the time they happened.
+auditEventSchema.statics.append = async function({ timestamp, ...details }) {
+  for (let attempt = 1; attempt <= MAX_APPEND_ATTEMPTS; attempt++) {
+    if (attempt > 1) {
+      await new Promise(resolve => setTimeout(resolve, Math.random() * APPEND_BACKOFF_MS * 2 ** (attempt - 2)));
+    }
+
+    const last = await this.findOne().sort({ sequence: -1 }).select('sequence hash');
+
+    const event = new this({
+      ...details,
+      sequence: last ? last.sequence + 1 : 1,
+      timestamp: timestamp || new Date(),
+      previousHash: last ? last.hash : GENESIS_HASH
+    });
+    // Hash the values as Mongoose cast them, which is what gets stored
+    event.hash = computeHash(event.toObject());
+
+    try {
+      return await event.save();
+    } catch (error) {
+      if (error.code !== 11000 || attempt === MAX_APPEND_ATTEMPTS) {
+        throw error;
+      }
+    }
+  }
+};
+
+// Static method to recompute the chain and report the first broken link
+auditEventSchema.statics.verifyChain = async function({ fromSequence = 1, limit } = {}) {
+  let query = this.find({ sequence: { $gte: fromSequence } }).sort({ sequence: 1 }).lean();
+  if (limit) query = query.limit(limit);
+
+  let previous = fromSequence > 1
+    ? await this.findOne({ sequence: fromSequence - 1 }).select('sequence hash').lean()
+    : null;
+  let checked = 0;
+
+  for await (const event of query.cursor()) {
+    const expectedSequence = previous ? previous.sequence + 1 : fromSequence;
+    const expectedPreviousHash = previous ? previous.hash : GENESIS_HASH;
+
+    let problem = null;
+    if (event.sequence !== expectedSequence) {
+      problem = `Missing event before sequence ${event.sequence}`;
+    } else if (event.previousHash !== expectedPreviousHash) {
+      problem = 'Previous hash does not match the preceding event';
+    } else if (computeHash(event) !== event.hash) {
+      problem = 'Event contents do not match its hash';
+    }
+
+    if (problem) {
+      return {
+        valid: false,
+        checked,
+        brokenAtSequence: event.sequence,
+        reason: problem
+      };
+    }
+
+    previous = event;
+    checked++;
+  }
+
+  return {
+    valid: true,
+    checked,
+    lastSequence: previous ? previous.sequence : null
+  };
+};
+
+auditEventSchema.statics.AUDIT_ACTIONS = AUDIT_ACTIONS;
+
+module.exports = mongoose.model('AuditEvent', auditEventSchema);
@@ -0,0 +1,85 @@
+const mongoose = require('mongoose');
+
+const BROADCAST_ROLES = ['patient', 'doctor', 'nurse', 'admin'];
+
+// One message sent to an audience. Each recipient gets their own Message copy
+// (linked back through Message.broadcast), which carries their read status.
+const broadcastSchema = new mongoose.Schema({
+  sender: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: [true, 'Sender is required']
+  },
+  subject: {
+    type: String,
+    required: [true, 'Subject is required'],
+    trim: true,
+    maxlength: [200, 'Subject cannot exceed 200 characters']
+  },
+  content: {
+    type: String,
+    required: [true, 'Message content is required'],
+    trim: true,
+    maxlength: [2000, 'Message content cannot exceed 2000 characters']
+  },
+  type: {
+    type: String,
+    enum: ['general', 'appointment', 'prescription', 'emergency', 'system'],
+    default: 'general'
+  },
+  priority: {
+    type: String,
+    enum: ['low', 'normal', 'high', 'urgent'],
+    default: 'normal'
+  },
+  // Roles and departments narrow each other; listed users are added on top
+  audience: {
+    roles: [{
+      type: String,
+      enum: BROADCAST_ROLES
+    }],
+    departments: [String],
+    users: [{
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
+    }]
+  },
+  isSystemMessage: {
+    type: Boolean,
+    default: false
+  },
+  recipientCount: {
+    type: Number,
+    default: 0
+  }
+}, {
+  timestamps: true
+});
+
+broadcastSchema.index({ sender: 1, createdAt: -1 });
+
+// Read status of every recipient copy, keyed by message status
+broadcastSchema.methods.getDeliveryCounts = async function() {
+  const Message = mongoose.model('Message');
+  const counts = await Message.aggregate([
+    { $match: { broadcast: this._id } },
+    { $group: { _id: '$status', count: { $sum: 1 } } }
+  ]);
+
+  const byStatus = { unread: 0, read: 0, replied: 0, archived: 0 };
+  counts.forEach(({ _id, count }) => {
+    byStatus[_id] = count;
+  });
+
+  const delivered = Object.values(byStatus).reduce((sum, count) => sum + count, 0);
+  return {
+    delivered,
+    ...byStatus,
+    // Archived and replied messages have been opened too
+    readRate: delivered > 0 ? (delivered - byStatus.unread) / delivered : 0
+  };
+};
+
+broadcastSchema.statics.BROADCAST_ROLES = BROADCAST_ROLES;
+
+module.exports = mongoose.model('Broadcast', broadcastSchema);
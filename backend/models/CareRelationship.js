@@ -0,0 +1,188 @@
+const mongoose = require('mongoose');
+
+const RELATIONSHIP_TYPES = ['primary_care', 'consulting', 'department_coverage', 'emergency'];
+// Types an admin can assign; emergency access is only granted through break-the-glass
+const ASSIGNABLE_TYPES = ['primary_care', 'consulting', 'department_coverage'];
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+// An appointment keeps its doctor and department on the care team for this long after it
+const APPOINTMENT_ACCESS_DAYS = 180;
+const EMERGENCY_ACCESS_HOURS = 4;
+
+const careRelationshipSchema = new mongoose.Schema({
+  patient: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: [true, 'Patient is required']
+  },
+  // A named provider, or every doctor and nurse of a department for department coverage
+  provider: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: [function() { return this.type !== 'department_coverage'; }, 'Provider is required']
+  },
+  department: {
+    type: String,
+    trim: true,
+    required: [function() { return this.type === 'department_coverage'; }, 'Department is required']
+  },
+  type: {
+    type: String,
+    enum: RELATIONSHIP_TYPES,
+    required: [true, 'Relationship type is required']
+  },
+  source: {
+    type: String,
+    enum: ['appointment', 'manual', 'emergency'],
+    default: 'manual'
+  },
+  // The latest appointment that created or extended an automatic relationship
+  appointment: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Appointment'
+  },
+  // Why emergency access was needed
+  reason: {
+    type: String,
+    trim: true,
+    maxlength: [500, 'Reason cannot exceed 500 characters'],
+    required: [function() { return this.type === 'emergency'; }, 'A reason is required for emergency access']
+  },
+  startsAt: {
+    type: Date,
+    default: Date.now
+  },
+  // No expiry when unset
+  expiresAt: Date,
+  endedAt: Date,
+  endedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }
+}, {
+  timestamps: true
+});
+
+careRelationshipSchema.index({ patient: 1, provider: 1, type: 1 });
+careRelationshipSchema.index({ patient: 1, department: 1 });
+careRelationshipSchema.index({ provider: 1, expiresAt: 1 });
+careRelationshipSchema.index({ type: 1, createdAt: -1 });
+
+// Relationships in force at `now`: started, not ended and not expired
+const activeClause = (now = new Date()) => ({
+  startsAt: { $lte: now },
+  endedAt: { $exists: false },
+  $or: [{ expiresAt: null }, { expiresAt: { $gt: now } }]
+});
+
+// Relationships that put the provider on a patient's care team, in person or through their department
+const providerClause = (provider) => {
+  const clauses = [{ provider: provider._id }];
+  if (provider.profile?.department) {
+    clauses.push({ type: 'department_coverage', department: provider.profile.department });
+  }
+  return { $or: clauses };
+};
+
+careRelationshipSchema.methods.isActive = function(now = new Date()) {
+  return !this.endedAt && this.startsAt <= now && (!this.expiresAt || this.expiresAt > now);
+};
+
+careRelationshipSchema.statics.activeFilter = function(now) {
+  return activeClause(now);
+};
+
+careRelationshipSchema.statics.providerFilter = function(provider) {
+  return providerClause(provider);
+};
+
+// The provider's active relationship with the patient, preferring a standing one over emergency access
+careRelationshipSchema.statics.findActive = async function(provider, patientId) {
+  const relationships = await this.find({
+    $and: [{ patient: patientId }, activeClause(), providerClause(provider)]
+  });
+
+  return relationships.find(relationship => relationship.type !== 'emergency') ||
+    relationships[0] ||
+    null;
+};
+
+// Patients the provider currently cares for
+careRelationshipSchema.statics.getPatientIds = function(provider) {
+  return this.distinct('patient', { $and: [activeClause(), providerClause(provider)] });
+};
+
+// Keep the doctor and their department on the patient's care team until
+// APPOINTMENT_ACCESS_DAYS after the appointment, extending earlier relationships.
+// Returns the relationships it created.
+careRelationshipSchema.statics.recordAppointment = async function(appointment, doctor) {
+  const expiresAt = new Date(new Date(appointment.appointmentDate).getTime() + APPOINTMENT_ACCESS_DAYS * DAY_MS);
+  const upsert = (filter) => this.findOneAndUpdate(
+    { ...filter, patient: appointment.patient, source: 'appointment', endedAt: { $exists: false } },
+    {
+      $max: { expiresAt },
+      $set: { appointment: appointment._id }
+    },
+    { upsert: true, new: true, setDefaultsOnInsert: true, includeResultMetadata: true }
+  );
+
+  const updates = [upsert({ type: 'consulting', provider: doctor._id })];
+  if (doctor.profile?.department) {
+    updates.push(upsert({ type: 'department_coverage', department: doctor.profile.department }));
+  }
+  const results = await Promise.all(updates);
+  return results
+    .filter(result => !result.lastErrorObject?.updatedExisting)
+    .map(result => result.value);
+};
+
+// Take back what a cancelled or deleted appointment granted. Each relationship it
+// last extended falls back to the patient's latest other appointment that still
+// grants access, or ends when there is none. Returns the relationships that ended.
+careRelationshipSchema.statics.releaseAppointment = async function(appointment, endedBy) {
+  const Appointment = require('./Appointment');
+  const User = require('./User');
+
+  const relationships = await this.find({
+    appointment: appointment._id,
+    source: 'appointment',
+    endedAt: { $exists: false }
+  });
+
+  const ended = [];
+  for (const relationship of relationships) {
+    const doctors = relationship.type === 'department_coverage'
+      ? await User.distinct('_id', { role: 'doctor', 'profile.department': relationship.department })
+      : [relationship.provider];
+
+    const candidates = await Appointment.find({
+      _id: { $ne: appointment._id },
+      patient: relationship.patient,
+      doctor: { $in: doctors },
+      status: { $in: Appointment.CARE_ACCESS_STATUSES }
+    }).sort({ appointmentDate: -1 });
+    const fallback = candidates.find(candidate => candidate.grantsCareAccess());
+
+    if (fallback) {
+      relationship.appointment = fallback._id;
+      relationship.expiresAt = new Date(fallback.appointmentDate.getTime() + APPOINTMENT_ACCESS_DAYS * DAY_MS);
+    } else {
+      relationship.endedAt = new Date();
+      relationship.endedBy = endedBy?._id;
+      ended.push(relationship);
+    }
+    await relationship.save();
+  }
+
+  return ended;
+};
+
+careRelationshipSchema.statics.RELATIONSHIP_TYPES = RELATIONSHIP_TYPES;
+careRelationshipSchema.statics.ASSIGNABLE_TYPES = ASSIGNABLE_TYPES;
+careRelationshipSchema.statics.EMERGENCY_ACCESS_HOURS = EMERGENCY_ACCESS_HOURS;
+
+module.exports = mongoose.model('CareRelationship', careRelationshipSchema);
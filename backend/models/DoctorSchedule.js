@@ -0,0 +1,281 @@
+const mongoose = require('mongoose');
+
+const TIME_PATTERN = /^([0-1]?[0-9]|2[0-3]):[0-5][0-9]$/;
+const DATE_KEY_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+
+const toMinutes = (time) => {
+  const [hours, minutes] = time.split(':').map(Number);
+  return hours * 60 + minutes;
+};
+
+const fromMinutes = (totalMinutes) => {
+  const hours = Math.floor(totalMinutes / 60);
+  const minutes = totalMinutes % 60;
+  return `${hours.toString().padStart(2, '0')}:${minutes.toString().padStart(2, '0')}`;
+};
+
+// Remove [start, end) from a list of [start, end) ranges
+const subtractRange = (ranges, start, end) => {
+  return ranges.flatMap(([rangeStart, rangeEnd]) => {
+    if (end <= rangeStart || start >= rangeEnd) {
+      return [[rangeStart, rangeEnd]];
+    }
+    const remaining = [];
+    if (start > rangeStart) remaining.push([rangeStart, start]);
+    if (end < rangeEnd) remaining.push([end, rangeEnd]);
+    return remaining;
+  });
+};
+
+// Merge overlapping or touching [start, end) ranges
+const mergeRanges = (ranges) => {
+  const sorted = [...ranges].sort((a, b) => a[0] - b[0]);
+  return sorted.reduce((merged, [start, end]) => {
+    const last = merged[merged.length - 1];
+    if (last && start <= last[1]) {
+      last[1] = Math.max(last[1], end);
+    } else {
+      merged.push([start, end]);
+    }
+    return merged;
+  }, []);
+};
+
+const rangesOverlap = (startA, endA, startB, endB) => startA < endB && startB < endA;
+
+const weeklyRangeSchema = new mongoose.Schema({
+  dayOfWeek: {
+    type: Number,
+    required: [true, 'Day of week is required'],
+    min: [0, 'Day of week must be between 0 (Sunday) and 6 (Saturday)'],
+    max: [6, 'Day of week must be between 0 (Sunday) and 6 (Saturday)']
+  },
+  start: {
+    type: String,
+    required: [true, 'Start time is required'],
+    match: [TIME_PATTERN, 'Invalid time format (HH:MM)']
+  },
+  end: {
+    type: String,
+    required: [true, 'End time is required'],
+    match: [TIME_PATTERN, 'Invalid time format (HH:MM)']
+  }
+}, { _id: false });
+
+const scheduleExceptionSchema = new mongoose.Schema({
+  type: {
+    type: String,
+    enum: ['unavailable', 'extra_session'],
+    required: [true, 'Exception type is required']
+  },
+  date: {
+    type: String,
+    required: [true, 'Exception date is required'],
+    match: [DATE_KEY_PATTERN, 'Invalid date format (YYYY-MM-DD)']
+  },
+  endDate: {
+    type: String,
+    match: [DATE_KEY_PATTERN, 'Invalid date format (YYYY-MM-DD)']
+  },
+  // Without start/end an 'unavailable' exception blocks the whole day
+  start: {
+    type: String,
+    match: [TIME_PATTERN, 'Invalid time format (HH:MM)']
+  },
+  end: {
+    type: String,
+    match: [TIME_PATTERN, 'Invalid time format (HH:MM)']
+  },
+  reason: {
+    type: String,
+    trim: true,
+    maxlength: [200, 'Reason cannot exceed 200 characters']
+  },
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }
+}, {
+  timestamps: true
+});
+
+const doctorScheduleSchema = new mongoose.Schema({
+  doctor: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: [true, 'Doctor is required'],
+    unique: true
+  },
+  slotDuration: {
+    type: Number,
+    default: 30,
+    min: [15, 'Minimum slot length is 15 minutes'],
+    max: [240, 'Maximum slot length is 4 hours']
+  },
+  weeklyHours: [weeklyRangeSchema],
+  breaks: [weeklyRangeSchema],
+  exceptions: [scheduleExceptionSchema],
+  updatedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }
+}, {
+  timestamps: true
+});
+
+doctorScheduleSchema.pre('validate', function(next) {
+  ['weeklyHours', 'breaks'].forEach(path => {
+    this[path].forEach((range, index) => {
+      if (range.start && range.end && toMinutes(range.start) >= toMinutes(range.end)) {
+        this.invalidate(`${path}.${index}.end`, 'End time must be after start time');
+      }
+    });
+  });
+
+  this.exceptions.forEach((exception, index) => {
+    const path = `exceptions.${index}`;
+
+    if (exception.endDate && exception.endDate < exception.date) {
+      this.invalidate(`${path}.endDate`, 'End date must not be before the start date');
+    }
+    if (exception.type === 'extra_session' && (!exception.start || !exception.end)) {
+      this.invalidate(`${path}.start`, 'Extra sessions require a start and end time');
+    } else if (Boolean(exception.start) !== Boolean(exception.end)) {
+      this.invalidate(`${path}.start`, 'Provide both a start and end time, or neither');
+    } else if (exception.start && toMinutes(exception.start) >= toMinutes(exception.end)) {
+      this.invalidate(`${path}.end`, 'End time must be after start time');
+    }
+  });
+
+  next();
+});
+
+// Default template used until a doctor's schedule is configured:
+// Monday to Friday, 09:00-17:00 with a 12:00-14:00 lunch break
+doctorScheduleSchema.statics.getDefaultTemplate = function() {
+  const weekdays = [1, 2, 3, 4, 5];
+  return {
+    slotDuration: 30,
+    weeklyHours: weekdays.map(dayOfWeek => ({ dayOfWeek, start: '09:00', end: '17:00' })),
+    breaks: weekdays.map(dayOfWeek => ({ dayOfWeek, start: '12:00', end: '14:00' }))
+  };
+};
+
+// Static method to get a doctor's schedule, falling back to an unsaved default
+doctorScheduleSchema.statics.findForDoctor = async function(doctorId) {
+  const schedule = await this.findOne({ doctor: doctorId });
+  if (schedule) {
+    return schedule;
+  }
+  return new this({ doctor: doctorId, ...this.getDefaultTemplate() });
+};
+
+// Parse a YYYY-MM-DD key as a local calendar date
+doctorScheduleSchema.statics.parseDateKey = function(dateKey) {
+  if (!DATE_KEY_PATTERN.test(dateKey)) {
+    return null;
+  }
+  const [year, month, day] = dateKey.split('-').map(Number);
+  const date = new Date(year, month - 1, day);
+  return isNaN(date.getTime()) ? null : date;
+};
+
+doctorScheduleSchema.statics.toDateKey = function(date) {
+  const value = new Date(date);
+  return [
+    value.getFullYear(),
+    (value.getMonth() + 1).toString().padStart(2, '0'),
+    value.getDate().toString().padStart(2, '0')
+  ].join('-');
+};
+
+doctorScheduleSchema.statics.toMinutes = toMinutes;
+doctorScheduleSchema.statics.fromMinutes = fromMinutes;
+
+// Working ranges (in minutes from midnight) for a calendar date after applying
+// the weekly template, breaks and date-specific exceptions
+doctorScheduleSchema.methods.getSessionsForDate = function(date) {
+  const dateKey = this.constructor.toDateKey(date);
+  const dayOfWeek = new Date(date).getDay();
+
+  const appliesToDate = (exception) =>
+    exception.date <= dateKey && (exception.endDate || exception.date) >= dateKey;
+
+  let sessions = this.weeklyHours
+    .filter(range => range.dayOfWeek === dayOfWeek)
+    .map(range => [toMinutes(range.start), toMinutes(range.end)]);
+
+  this.breaks
+    .filter(range => range.dayOfWeek === dayOfWeek)
+    .forEach(range => {
+      sessions = subtractRange(sessions, toMinutes(range.start), toMinutes(range.end));
+    });
+
+  // Extra sessions are added after breaks so they can cover a usual break
+  this.exceptions
+    .filter(exception => exception.type === 'extra_session' && appliesToDate(exception))
+    .forEach(exception => {
+      sessions.push([toMinutes(exception.start), toMinutes(exception.end)]);
+    });
+
+  sessions = mergeRanges(sessions);
+
+  this.exceptions
+    .filter(exception => exception.type === 'unavailable' && appliesToDate(exception))
+    .forEach(exception => {
+      const start = exception.start ? toMinutes(exception.start) : 0;
+      const end = exception.end ? toMinutes(exception.end) : 24 * 60;
+      sessions = subtractRange(sessions, start, end);
+    });
+
+  return sessions;
+};
+
+// Bookable slots for a date. Booked appointments block [start, start + estimatedDuration)
+// or until their slot end, whichever is later.
+doctorScheduleSchema.methods.getAvailableSlots = function(date, bookedAppointments = [], duration) {
+  const slotDuration = this.slotDuration;
+  const length = duration || slotDuration;
+  const busy = bookedAppointments.map(appointment => {
+    const start = toMinutes(appointment.timeSlot.start);
+    const end = Math.max(toMinutes(appointment.timeSlot.end), start + (appointment.estimatedDuration || 0));
+    return [start, end];
+  });
+
+  const now = new Date();
+  const isToday = this.constructor.toDateKey(now) === this.constructor.toDateKey(date);
+  const nowMinutes = now.getHours() * 60 + now.getMinutes();
+
+  const slots = [];
+  for (const [sessionStart, sessionEnd] of this.getSessionsForDate(date)) {
+    for (let start = sessionStart; start + length <= sessionEnd; start += slotDuration) {
+      const end = start + length;
+      if (isToday && start <= nowMinutes) continue;
+      if (busy.some(([busyStart, busyEnd]) => rangesOverlap(start, end, busyStart, busyEnd))) continue;
+      slots.push({ start: fromMinutes(start), end: fromMinutes(end) });
+    }
+  }
+
+  return slots;
+};
+
+// Check that a requested time slot lies inside working hours and clashes with no booking
+doctorScheduleSchema.methods.isSlotAvailable = function(date, timeSlot, bookedAppointments = []) {
+  const start = toMinutes(timeSlot.start);
+  const end = toMinutes(timeSlot.end);
+
+  const withinSession = this.getSessionsForDate(date)
+    .some(([sessionStart, sessionEnd]) => start >= sessionStart && end <= sessionEnd);
+
+  if (!withinSession) {
+    return false;
+  }
+
+  return !bookedAppointments.some(appointment => {
+    const bookedStart = toMinutes(appointment.timeSlot.start);
+    const bookedEnd = Math.max(toMinutes(appointment.timeSlot.end), bookedStart + (appointment.estimatedDuration || 0));
+    return rangesOverlap(start, end, bookedStart, bookedEnd);
+  });
+};
+
+module.exports = mongoose.model('DoctorSchedule', doctorScheduleSchema);
@@ -4,7 +4,13 @@ const emailNotificationSchema = new mongoose.Schema({
   recipient: {
     type: mongoose.Schema.Types.ObjectId,
     ref: 'User',
-    required: [true, 'Recipient is required']
+    required: [function() { return !this.recipientEmail; }, 'Recipient is required']
+  },
+  // For people without an account, such as the recipient of a record share link
+  recipientEmail: {
+    type: String,
+    lowercase: true,
+    trim: true
   },
   sender: {
     type: mongoose.Schema.Types.ObjectId,
@@ -22,6 +28,7 @@ const emailNotificationSchema = new mongoose.Schema({
       'treatment_plan_update',
       'system_notification',
       'health_record_shared',
+      'waitlist_offer',
       'password_reset',
       'welcome_email',
       'discharge_instructions'
@@ -51,7 +58,7 @@ const emailNotificationSchema = new mongoose.Schema({
   relatedEntity: {
     entityType: {
       type: String,
-      enum: ['appointment', 'healthRecord', 'message', 'user', 'prescription']
+      enum: ['appointment', 'healthRecord', 'message', 'user', 'prescription', 'waitlistOffer']
     },
     entityId: {
       type: mongoose.Schema.Types.ObjectId
@@ -138,7 +145,7 @@ emailNotificationSchema.statics.createAppointmentReminder = async function(appoi
   };
 
   const reminderDelay = reminderTimes[reminderType] || reminderTimes['24_hours'];
-  const scheduledFor = new Date(appointment.appointmentDate.getTime() - reminderDelay);
+  const scheduledFor = new Date(appointment.getStartDateTime().getTime() - reminderDelay);
 
   // Only schedule if the reminder time is in the future
   if (scheduledFor <= new Date()) {
@@ -174,6 +181,20 @@ emailNotificationSchema.statics.createAppointmentReminder = async function(appoi
   return notification.save();
 };
 
+// Static method to cancel appointment reminders that have not been sent yet,
+// including failed ones the retry job would otherwise send with the stale time
+emailNotificationSchema.statics.cancelAppointmentReminders = async function(appointmentId) {
+  return this.updateMany(
+    {
+      notificationType: 'appointment_reminder',
+      'relatedEntity.entityType': 'appointment',
+      'relatedEntity.entityId': appointmentId,
+      status: { $in: ['pending', 'failed'] }
+    },
+    { $set: { status: 'cancelled' } }
+  );
+};
+
 // Static method to create lab results notification
 emailNotificationSchema.statics.createLabResultsNotification = async function(patientId, healthRecordId) {
   const User = require('./User');
@@ -213,6 +234,208 @@ emailNotificationSchema.statics.createLabResultsNotification = async function(pa
   return notification.save();
 };
 
+// Static method to create password reset email
+emailNotificationSchema.statics.createPasswordResetNotification = async function(userId, resetUrl, expiresInMinutes) {
+  const User = require('./User');
+
+  const user = await User.findById(userId);
+
+  if (!user) {
+    throw new Error('User not found');
+  }
+
+  const templateData = {
+    userName: `${user.profile.firstName} ${user.profile.lastName}`,
+    expiresInMinutes
+  };
+
+  const notification = new this({
+    recipient: userId,
+    notificationType: 'password_reset',
+    subject: 'Reset your Healem password',
+    emailContent: {
+      htmlBody: this.generatePasswordResetHTML({ ...templateData, resetUrl }),
+      textBody: this.generatePasswordResetText({ ...templateData, resetUrl })
+    },
+    templateData,
+    relatedEntity: {
+      entityType: 'user',
+      entityId: userId
+    },
+    priority: 'high'
+  });
+
+  return notification.save();
+};
+
+// Static method to tell a provider or an outside email address that a patient shared
+// records with them. Link shares carry the link, which is redacted once delivered.
+emailNotificationSchema.statics.createRecordShareNotification = async function(share, shareUrl) {
+  const User = require('./User');
+
+  const [patient, provider] = await Promise.all([
+    User.findById(share.patient),
+    share.provider ? User.findById(share.provider) : null
+  ]);
+
+  if (!patient || (share.provider && !provider)) {
+    throw new Error('Patient or provider not found');
+  }
+
+  const templateData = {
+    patientName: `${patient.profile.firstName} ${patient.profile.lastName}`,
+    recipientName: provider ? `${provider.profile.firstName} ${provider.profile.lastName}` : share.email,
+    recordCount: share.records.length,
+    recordTypes: share.recordTypes.map(type => type.replace('_', ' ')),
+    note: share.note,
+    expiresAt: share.expiresAt.toLocaleDateString()
+  };
+
+  const notification = new this({
+    recipient: provider?._id,
+    recipientEmail: provider ? undefined : share.email,
+    sender: patient._id,
+    notificationType: 'health_record_shared',
+    subject: `${templateData.patientName} shared health records with you`,
+    emailContent: {
+      htmlBody: this.generateRecordShareHTML({ ...templateData, shareUrl }),
+      textBody: this.generateRecordShareText({ ...templateData, shareUrl })
+    },
+    templateData,
+    relatedEntity: {
+      entityType: 'user',
+      entityId: patient._id
+    }
+  });
+
+  return notification.save();
+};
+
+// Static method to offer a waiting patient a slot that has just been freed
+emailNotificationSchema.statics.createWaitlistOfferNotification = async function(offer, claimUrl) {
+  const User = require('./User');
+
+  const [patient, doctor] = await Promise.all([
+    User.findById(offer.patient),
+    User.findById(offer.doctor)
+  ]);
+
+  if (!patient || !doctor) {
+    throw new Error('Patient or doctor not found');
+  }
+
+  const templateData = {
+    patientName: `${patient.profile.firstName} ${patient.profile.lastName}`,
+    doctorName: `Dr. ${doctor.profile.firstName} ${doctor.profile.lastName}`,
+    specialization: doctor.profile.specialization,
+    appointmentDate: offer.appointmentDate.toLocaleDateString(),
+    appointmentTime: offer.timeSlot.start,
+    expiresAt: offer.expiresAt.toLocaleString()
+  };
+
+  const notification = new this({
+    recipient: patient._id,
+    notificationType: 'waitlist_offer',
+    subject: `An earlier appointment is available - ${templateData.appointmentDate} at ${templateData.appointmentTime}`,
+    emailContent: {
+      htmlBody: this.generateWaitlistOfferHTML({ ...templateData, claimUrl }),
+      textBody: this.generateWaitlistOfferText({ ...templateData, claimUrl })
+    },
+    templateData,
+    relatedEntity: {
+      entityType: 'waitlistOffer',
+      entityId: offer._id
+    },
+    priority: 'high'
+  });
+
+  return notification.save();
+};
+
+// What each appointment change tells the patient when someone else made it
+const APPOINTMENT_CHANGES = {
+  booked: {
+    notificationType: 'appointment_confirmation',
+    title: 'Appointment Booked',
+    subject: 'Appointment Booked',
+    intro: 'An appointment has been booked for you:',
+    introMany: 'A series of appointments has been booked for you:'
+  },
+  rescheduled: {
+    notificationType: 'appointment_rescheduled',
+    title: 'Appointment Rescheduled',
+    subject: 'Appointment Rescheduled',
+    intro: 'Your appointment has been moved. It now takes place:',
+    introMany: 'Appointments in your series have been moved. They now take place:'
+  },
+  cancelled: {
+    notificationType: 'appointment_cancellation',
+    title: 'Appointment Cancelled',
+    subject: 'Appointment Cancelled',
+    intro: 'The following appointment has been cancelled:',
+    introMany: 'The following appointments in your series have been cancelled:'
+  }
+};
+
+// Static method to tell a patient that `actor` booked, rescheduled or cancelled
+// an appointment for them, or several appointments of one series in a single email
+emailNotificationSchema.statics.createAppointmentChangeNotification = async function(appointments, change, actor) {
+  const User = require('./User');
+
+  const changed = [].concat(appointments);
+  const appointment = changed[0];
+
+  const details = APPOINTMENT_CHANGES[change];
+  if (!details) {
+    throw new Error(`Unknown appointment change: ${change}`);
+  }
+
+  const [patient, doctor] = await Promise.all([
+    User.findById(appointment.patient),
+    User.findById(appointment.doctor)
+  ]);
+
+  if (!patient || !doctor) {
+    throw new Error('Patient or doctor not found');
+  }
+
+  const actorName = `${actor.profile.firstName} ${actor.profile.lastName}`;
+  const templateData = {
+    title: details.title,
+    intro: changed.length > 1 ? details.introMany : details.intro,
+    patientName: `${patient.profile.firstName} ${patient.profile.lastName}`,
+    doctorName: `Dr. ${doctor.profile.firstName} ${doctor.profile.lastName}`,
+    specialization: doctor.profile.specialization,
+    appointmentDate: appointment.appointmentDate.toLocaleDateString(),
+    appointmentTime: appointment.timeSlot.start,
+    dates: changed.map(item => `${item.appointmentDate.toLocaleDateString()} at ${item.timeSlot.start}`),
+    reason: appointment.reason,
+    changedBy: actor.role === 'doctor' ? `Dr. ${actorName}` : actorName,
+    cancellationReason: change === 'cancelled' ? appointment.cancellationReason : undefined
+  };
+
+  const notification = new this({
+    recipient: patient._id,
+    sender: actor._id,
+    notificationType: details.notificationType,
+    subject: changed.length > 1
+      ? `${details.subject} - ${changed.length} appointments from ${templateData.appointmentDate}`
+      : `${details.subject} - ${templateData.appointmentDate} at ${templateData.appointmentTime}`,
+    emailContent: {
+      htmlBody: this.generateAppointmentChangeHTML(templateData),
+      textBody: this.generateAppointmentChangeText(templateData)
+    },
+    templateData,
+    relatedEntity: {
+      entityType: 'appointment',
+      entityId: appointment._id
+    },
+    priority: change === 'booked' ? 'normal' : 'high'
+  });
+
+  return notification.save();
+};
+
 // Email template generators
 emailNotificationSchema.statics.generateAppointmentReminderHTML = function(data) {
   return `
@@ -348,6 +571,274 @@ This is an automated message. Please do not reply to this email.
   `;
 };
 
+emailNotificationSchema.statics.generatePasswordResetHTML = function(data) {
+  return `
+    <!DOCTYPE html>
+    <html>
+    <head>
+      <meta charset="utf-8">
+      <title>Password Reset</title>
+      <style>
+        body { font-family: Arial, sans-serif; line-height: 1.6; color: #333; }
+        .container { max-width: 600px; margin: 0 auto; padding: 20px; }
+        .header { background-color: #007bff; color: white; padding: 20px; text-align: center; }
+        .content { padding: 20px; background-color: #f8f9fa; }
+        .footer { text-align: center; padding: 20px; font-size: 12px; color: #666; }
+        .button { display: inline-block; padding: 10px 20px; background-color: #007bff; color: white; text-decoration: none; border-radius: 5px; }
+      </style>
+    </head>
+    <body>
+      <div class="container">
+        <div class="header">
+          <h1>Password Reset</h1>
+        </div>
+        <div class="content">
+          <p>Dear ${data.userName},</p>
+          <p>We received a request to reset the password for your account.</p>
+          <p><a class="button" href="${data.resetUrl}">Reset Password</a></p>
+          <p>This link can be used once and expires in ${data.expiresInMinutes} minutes.</p>
+          <p>If you did not request a password reset, you can ignore this email. Your password will not change.</p>
+        </div>
+        <div class="footer">
+          <p>Healem Health Management System</p>
+          <p>This is an automated message. Please do not reply to this email.</p>
+        </div>
+      </div>
+    </body>
+    </html>
+  `;
+};
+
+emailNotificationSchema.statics.generatePasswordResetText = function(data) {
+  return `
+Password Reset
+
+Dear ${data.userName},
+
+We received a request to reset the password for your account.
+
+Reset your password here: ${data.resetUrl}
+
+This link can be used once and expires in ${data.expiresInMinutes} minutes.
+
+If you did not request a password reset, you can ignore this email. Your password will not change.
+
+Healem Health Management System
+This is an automated message. Please do not reply to this email.
+  `;
+};
+
+const describeSharedRecords = (data) => [
+  data.recordCount > 0 ? `${data.recordCount} selected record${data.recordCount === 1 ? '' : 's'}` : null,
+  data.recordTypes.length > 0 ? `all ${data.recordTypes.join(', ')} records` : null
+].filter(Boolean).join(' and ');
+
+emailNotificationSchema.statics.generateRecordShareHTML = function(data) {
+  const escapeHtml = (text) => String(text)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+
+  return `
+    <!DOCTYPE html>
+    <html>
+    <head>
+      <meta charset="utf-8">
+      <title>Health Records Shared</title>
+      <style>
+        body { font-family: Arial, sans-serif; line-height: 1.6; color: #333; }
+        .container { max-width: 600px; margin: 0 auto; padding: 20px; }
+        .header { background-color: #17a2b8; color: white; padding: 20px; text-align: center; }
+        .content { padding: 20px; background-color: #f8f9fa; }
+        .share-info { background-color: white; padding: 15px; border-radius: 5px; margin: 15px 0; }
+        .footer { text-align: center; padding: 20px; font-size: 12px; color: #666; }
+        .button { display: inline-block; padding: 10px 20px; background-color: #17a2b8; color: white; text-decoration: none; border-radius: 5px; }
+      </style>
+    </head>
+    <body>
+      <div class="container">
+        <div class="header">
+          <h1>Health Records Shared</h1>
+        </div>
+        <div class="content">
+          <p>Dear ${escapeHtml(data.recipientName)},</p>
+          <p>${escapeHtml(data.patientName)} has shared ${escapeHtml(describeSharedRecords(data))} with you.</p>
+          <div class="share-info">
+            ${data.note ? `<p><strong>Note:</strong> ${escapeHtml(data.note)}</p>` : ''}
+            <p><strong>Available until:</strong> ${data.expiresAt}</p>
+          </div>
+          ${data.shareUrl
+            ? `<p><a href="${data.shareUrl}" class="button">View Shared Records</a></p>
+          <p>Anyone with this link can view the records until it expires, so please do not forward it.</p>`
+            : '<p>Log in to Healem to view the shared records.</p>'}
+        </div>
+        <div class="footer">
+          <p>Healem Health Management System</p>
+          <p>This is an automated message. Please do not reply to this email.</p>
+        </div>
+      </div>
+    </body>
+    </html>
+  `;
+};
+
+emailNotificationSchema.statics.generateRecordShareText = function(data) {
+  return `
+Health Records Shared
+
+Dear ${data.recipientName},
+
+${data.patientName} has shared ${describeSharedRecords(data)} with you.
+${data.note ? `\nNote: ${data.note}\n` : ''}
+Available until: ${data.expiresAt}
+
+${data.shareUrl
+    ? `View the shared records here: ${data.shareUrl}\n\nAnyone with this link can view the records until it expires, so please do not forward it.`
+    : 'Log in to Healem to view the shared records.'}
+
+Healem Health Management System
+This is an automated message. Please do not reply to this email.
+  `;
+};
+
+emailNotificationSchema.statics.generateWaitlistOfferHTML = function(data) {
+  return `
+    <!DOCTYPE html>
+    <html>
+    <head>
+      <meta charset="utf-8">
+      <title>Appointment Available</title>
+      <style>
+        body { font-family: Arial, sans-serif; line-height: 1.6; color: #333; }
+        .container { max-width: 600px; margin: 0 auto; padding: 20px; }
+        .header { background-color: #28a745; color: white; padding: 20px; text-align: center; }
+        .content { padding: 20px; background-color: #f8f9fa; }
+        .appointment-details { background-color: white; padding: 15px; border-radius: 5px; margin: 15px 0; }
+        .footer { text-align: center; padding: 20px; font-size: 12px; color: #666; }
+        .button { display: inline-block; padding: 10px 20px; background-color: #28a745; color: white; text-decoration: none; border-radius: 5px; }
+      </style>
+    </head>
+    <body>
+      <div class="container">
+        <div class="header">
+          <h1>Appointment Available</h1>
+        </div>
+        <div class="content">
+          <p>Dear ${data.patientName},</p>
+          <p>A slot you are on the waitlist for has just become free:</p>
+          <div class="appointment-details">
+            <p><strong>Doctor:</strong> ${data.doctorName}</p>
+            <p><strong>Specialization:</strong> ${data.specialization}</p>
+            <p><strong>Date:</strong> ${data.appointmentDate}</p>
+            <p><strong>Time:</strong> ${data.appointmentTime}</p>
+          </div>
+          <p><a href="${data.claimUrl}" class="button">Claim This Appointment</a></p>
+          <p>The offer is open until ${data.expiresAt}. It may also have gone to other patients on the waitlist; whoever claims it first gets the appointment.</p>
+        </div>
+        <div class="footer">
+          <p>Healem Health Management System</p>
+          <p>This is an automated message. Please do not reply to this email.</p>
+        </div>
+      </div>
+    </body>
+    </html>
+  `;
+};
+
+emailNotificationSchema.statics.generateWaitlistOfferText = function(data) {
+  return `
+Appointment Available
+
+Dear ${data.patientName},
+
+A slot you are on the waitlist for has just become free:
+
+- Doctor: ${data.doctorName}
+- Specialization: ${data.specialization}
+- Date: ${data.appointmentDate}
+- Time: ${data.appointmentTime}
+
+Claim it here: ${data.claimUrl}
+
+The offer is open until ${data.expiresAt}. It may also have gone to other patients on the waitlist; whoever claims it first gets the appointment.
+
+Healem Health Management System
+This is an automated message. Please do not reply to this email.
+  `;
+};
+
+emailNotificationSchema.statics.generateAppointmentChangeHTML = function(data) {
+  return `
+    <!DOCTYPE html>
+    <html>
+    <head>
+      <meta charset="utf-8">
+      <title>${data.title}</title>
+      <style>
+        body { font-family: Arial, sans-serif; line-height: 1.6; color: #333; }
+        .container { max-width: 600px; margin: 0 auto; padding: 20px; }
+        .header { background-color: #007bff; color: white; padding: 20px; text-align: center; }
+        .content { padding: 20px; background-color: #f8f9fa; }
+        .appointment-details { background-color: white; padding: 15px; border-radius: 5px; margin: 15px 0; }
+        .footer { text-align: center; padding: 20px; font-size: 12px; color: #666; }
+      </style>
+    </head>
+    <body>
+      <div class="container">
+        <div class="header">
+          <h1>${data.title}</h1>
+        </div>
+        <div class="content">
+          <p>Dear ${data.patientName},</p>
+          <p>${data.intro}</p>
+          <div class="appointment-details">
+            <p><strong>Doctor:</strong> ${data.doctorName}</p>
+            <p><strong>Specialization:</strong> ${data.specialization}</p>
+            ${data.dates.length > 1
+              ? `<p><strong>Dates:</strong></p><ul>${data.dates.map(date => `<li>${date}</li>`).join('')}</ul>`
+              : `<p><strong>Date:</strong> ${data.appointmentDate}</p>
+            <p><strong>Time:</strong> ${data.appointmentTime}</p>`}
+            <p><strong>Reason:</strong> ${data.reason}</p>
+            ${data.cancellationReason ? `<p><strong>Cancellation reason:</strong> ${data.cancellationReason}</p>` : ''}
+          </div>
+          <p>This change was made by ${data.changedBy}. You can see all your appointments in your patient portal.</p>
+          <p>If this is not what you agreed, please contact us.</p>
+        </div>
+        <div class="footer">
+          <p>Healem Health Management System</p>
+          <p>This is an automated message. Please do not reply to this email.</p>
+        </div>
+      </div>
+    </body>
+    </html>
+  `;
+};
+
+emailNotificationSchema.statics.generateAppointmentChangeText = function(data) {
+  return `
+${data.title}
+
+Dear ${data.patientName},
+
+${data.intro}
+
+- Doctor: ${data.doctorName}
+- Specialization: ${data.specialization}
+${data.dates.length > 1
+    ? `- Dates:\n${data.dates.map(date => `  - ${date}`).join('\n')}`
+    : `- Date: ${data.appointmentDate}\n- Time: ${data.appointmentTime}`}
+- Reason: ${data.reason}${data.cancellationReason ? `\n- Cancellation reason: ${data.cancellationReason}` : ''}
+
+This change was made by ${data.changedBy}. You can see all your appointments in your patient portal.
+
+If this is not what you agreed, please contact us.
+
+Healem Health Management System
+This is an automated message. Please do not reply to this email.
+  `;
+};
+
 // Instance method to mark as sent
 emailNotificationSchema.methods.markAsSent = function() {
   this.status = 'sent';
@@ -1,4 +1,5 @@
 const mongoose = require('mongoose');
+const signatureService = require('../services/signatureService');
 
 const healthRecordSchema = new mongoose.Schema({
   patient: {
@@ -109,6 +110,11 @@ const healthRecordSchema = new mongoose.Schema({
     mimeType: String,
     size: Number,
     url: String,
+    storageKey: String,
+    uploadedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
+    },
     uploadDate: {
       type: Date,
       default: Date.now
@@ -136,11 +142,22 @@ const healthRecordSchema = new mongoose.Schema({
     ref: 'HealthRecord'
   },
   amendmentReason: String,
+  amendedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  version: {
+    type: Number,
+    default: 1
+  },
   signedBy: {
     type: mongoose.Schema.Types.ObjectId,
     ref: 'User'
   },
   signedDate: Date,
+  signatureHash: String,
+  patientAcknowledgedDate: Date,
+  patientSignatureHash: String,
   isElectronicallySignedBy: {
     provider: Boolean,
     patient: Boolean
@@ -158,12 +175,37 @@ healthRecordSchema.index({ status: 1 });
 healthRecordSchema.index({ priority: 1 });
 healthRecordSchema.index({ visitDate: 1 });
 healthRecordSchema.index({ facility: 1, department: 1 });
+healthRecordSchema.index({ originalRecord: 1 });
+// Full-text search over the record's narrative and the named clinical entries
+healthRecordSchema.index({
+  title: 'text',
+  description: 'text',
+  'clinicalData.diagnosis.description': 'text',
+  'clinicalData.diagnosis.icdCode': 'text',
+  'clinicalData.labResults.testName': 'text',
+  'clinicalData.medications.name': 'text',
+  'clinicalData.medications.instructions': 'text',
+  'clinicalData.procedures.procedureName': 'text',
+  'clinicalData.procedures.outcome': 'text'
+}, {
+  name: 'health_record_text',
+  weights: {
+    title: 10,
+    'clinicalData.diagnosis.description': 6,
+    'clinicalData.diagnosis.icdCode': 6,
+    'clinicalData.medications.name': 6,
+    'clinicalData.labResults.testName': 6,
+    'clinicalData.procedures.procedureName': 6,
+    description: 3
+  }
+});
 
-// Static method to get patient's health summary
+// Static method to get patient's health summary. `filter` narrows it to the
+// records the reader may see (see careAccessService.getChartAccess).
 healthRecordSchema.statics.getPatientSummary = async function(patientId, options = {}) {
-  const { limit = 10, recordType, startDate, endDate } = options;
+  const { limit = 10, recordType, startDate, endDate, filter = {} } = options;
   
-  let query = { patient: patientId, status: 'active' };
+  let query = { ...filter, patient: patientId, status: 'active' };
   
   if (recordType) {
     query.recordType = recordType;
@@ -183,8 +225,9 @@ healthRecordSchema.statics.getPatientSummary = async function(patientId, options
 };
 
 // Static method to get records by type
-healthRecordSchema.statics.getRecordsByType = async function(patientId, recordType) {
+healthRecordSchema.statics.getRecordsByType = async function(patientId, recordType, filter = {}) {
   return this.find({ 
+    ...filter,
     patient: patientId, 
     recordType, 
     status: 'active' 
@@ -193,18 +236,132 @@ healthRecordSchema.statics.getRecordsByType = async function(patientId, recordTy
   .sort({ recordDate: -1 });
 };
 
-// Instance method to create amendment
-healthRecordSchema.methods.createAmendment = function(amendmentData, amendmentReason) {
+// Instance method to create amendment. The new version carries over the
+// original's content; the original itself is never modified here.
+healthRecordSchema.methods.createAmendment = function(amendmentData, amendmentReason, amendedBy) {
+  const {
+    _id, __v, createdAt, updatedAt, status,
+    signedBy, signedDate, signatureHash,
+    patientAcknowledgedDate, patientSignatureHash, isElectronicallySignedBy,
+    ...content
+  } = this.toObject();
+
   const amendment = new this.constructor({
+    ...content,
     ...amendmentData,
     patient: this.patient,
     isAmendment: true,
     originalRecord: this._id,
     amendmentReason,
+    amendedBy,
+    version: (this.version || 1) + 1,
     recordDate: new Date()
   });
   
   return amendment.save();
 };
 
+// Static method to get every version of a record, oldest first, starting
+// from any version in the chain
+healthRecordSchema.statics.getVersionHistory = async function(recordId) {
+  const populateVersion = (query) => query
+    .populate('provider', 'username profile.firstName profile.lastName profile.specialization')
+    .populate('amendedBy', 'username role profile.firstName profile.lastName');
+
+  const versions = [];
+
+  let current = await populateVersion(this.findById(recordId));
+  while (current) {
+    versions.unshift(current);
+    current = current.originalRecord
+      ? await populateVersion(this.findById(current.originalRecord))
+      : null;
+  }
+
+  if (versions.length === 0) {
+    return versions;
+  }
+
+  let next = await populateVersion(this.findOne({ originalRecord: versions[versions.length - 1]._id }));
+  while (next) {
+    versions.push(next);
+    next = await populateVersion(this.findOne({ originalRecord: next._id }));
+  }
+
+  return versions;
+};
+
+// Clinical content covered by the provider's signature
+const SIGNED_FIELDS = [
+  'patient', 'provider', 'recordType', 'title', 'description', 'clinicalData',
+  'recordDate', 'visitDate', 'facility', 'department', 'priority', 'attachments',
+  'relatedAppointment', 'confidentiality', 'isAmendment', 'originalRecord',
+  'amendmentReason', 'version'
+];
+
+const refId = (value) => (value && value._id ? value._id : value);
+
+healthRecordSchema.methods.getSignaturePayload = function() {
+  const record = this.toObject({ depopulate: true });
+  const content = SIGNED_FIELDS.reduce((picked, field) => {
+    picked[field] = record[field];
+    return picked;
+  }, {});
+
+  return {
+    content,
+    signedBy: refId(this.signedBy),
+    signedDate: this.signedDate
+  };
+};
+
+healthRecordSchema.methods.getPatientSignaturePayload = function() {
+  return {
+    record: this._id,
+    patient: refId(this.patient),
+    signatureHash: this.signatureHash,
+    acknowledgedDate: this.patientAcknowledgedDate
+  };
+};
+
+// Signed records are locked against amendment
+healthRecordSchema.methods.isSigned = function() {
+  return Boolean(this.isElectronicallySignedBy?.provider);
+};
+
+// Instance method to sign as the record's provider
+healthRecordSchema.methods.signAsProvider = function(providerId) {
+  this.signedBy = providerId;
+  this.signedDate = new Date();
+  this.signatureHash = signatureService.sign(this.getSignaturePayload());
+  this.set('isElectronicallySignedBy.provider', true);
+};
+
+// Instance method to record the patient's acknowledgment of a signed record
+healthRecordSchema.methods.acknowledgeAsPatient = function() {
+  this.patientAcknowledgedDate = new Date();
+  this.patientSignatureHash = signatureService.sign(this.getPatientSignaturePayload());
+  this.set('isElectronicallySignedBy.patient', true);
+};
+
+// Instance method to check both signatures against the current content
+healthRecordSchema.methods.verifySignatures = function() {
+  const providerSigned = this.isSigned();
+  const patientSigned = Boolean(this.isElectronicallySignedBy?.patient);
+
+  return {
+    provider: {
+      signed: providerSigned,
+      valid: providerSigned && signatureService.verify(this.getSignaturePayload(), this.signatureHash),
+      signedBy: this.signedBy,
+      signedDate: this.signedDate
+    },
+    patient: {
+      signed: patientSigned,
+      valid: patientSigned && signatureService.verify(this.getPatientSignaturePayload(), this.patientSignatureHash),
+      acknowledgedDate: this.patientAcknowledgedDate
+    }
+  };
+};
+
 module.exports = mongoose.model('HealthRecord', healthRecordSchema);
\ No newline at end of file
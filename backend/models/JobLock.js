@@ -0,0 +1,59 @@
+const mongoose = require('mongoose');
+
+const jobLockSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: [true, 'Lock name is required'],
+    unique: true,
+    trim: true
+  },
+  owner: {
+    type: String,
+    required: [true, 'Lock owner is required']
+  },
+  acquiredAt: Date,
+  lockedUntil: {
+    type: Date,
+    required: true
+  }
+}, {
+  timestamps: true
+});
+
+// Static method to take the lock if it is free or its holder's lease has expired.
+// Two instances racing on a free lock both try to upsert; the unique index on
+// name makes one of them fail with a duplicate key error.
+jobLockSchema.statics.acquire = async function(name, owner, ttlMs) {
+  const now = new Date();
+
+  try {
+    const lock = await this.findOneAndUpdate(
+      { name, lockedUntil: { $lte: now } },
+      {
+        $set: {
+          owner,
+          acquiredAt: now,
+          lockedUntil: new Date(now.getTime() + ttlMs)
+        }
+      },
+      { upsert: true, new: true }
+    );
+
+    return !!lock;
+  } catch (error) {
+    if (error.code === 11000) {
+      return false;
+    }
+    throw error;
+  }
+};
+
+// Static method to release a lock held by the given owner
+jobLockSchema.statics.release = async function(name, owner) {
+  return this.updateOne(
+    { name, owner },
+    { $set: { lockedUntil: new Date() } }
+  );
+};
+
+module.exports = mongoose.model('JobLock', jobLockSchema);
@@ -0,0 +1,58 @@
+const mongoose = require('mongoose');
+
+const jobRunSchema = new mongoose.Schema({
+  jobName: {
+    type: String,
+    required: [true, 'Job name is required'],
+    trim: true
+  },
+  instanceId: {
+    type: String,
+    trim: true
+  },
+  status: {
+    type: String,
+    enum: ['running', 'succeeded', 'failed'],
+    default: 'running'
+  },
+  startedAt: {
+    type: Date,
+    default: Date.now
+  },
+  finishedAt: Date,
+  durationMs: Number,
+  result: {
+    type: mongoose.Schema.Types.Mixed,
+    default: {}
+  },
+  failureReason: String
+}, {
+  timestamps: true
+});
+
+// Indexes for efficient querying
+jobRunSchema.index({ jobName: 1, startedAt: -1 });
+jobRunSchema.index({ jobName: 1, status: 1, startedAt: -1 });
+
+// Keep 30 days of run history
+jobRunSchema.index({ startedAt: 1 }, { expireAfterSeconds: 30 * 24 * 60 * 60 });
+
+// Instance method to mark as succeeded
+jobRunSchema.methods.markAsSucceeded = function(result) {
+  this.status = 'succeeded';
+  this.finishedAt = new Date();
+  this.durationMs = this.finishedAt - this.startedAt;
+  this.result = result || {};
+  return this.save();
+};
+
+// Instance method to mark as failed
+jobRunSchema.methods.markAsFailed = function(reason) {
+  this.status = 'failed';
+  this.finishedAt = new Date();
+  this.durationMs = this.finishedAt - this.startedAt;
+  this.failureReason = reason;
+  return this.save();
+};
+
+module.exports = mongoose.model('JobRun', jobRunSchema);
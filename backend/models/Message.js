@@ -42,12 +42,27 @@ const messageSchema = new mongoose.Schema({
     type: mongoose.Schema.Types.ObjectId,
     ref: 'Appointment'
   },
+  // The message this one replies to, and the first message of its thread
+  parentMessage: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Message'
+  },
+  thread: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Message'
+  },
+  // Set on each recipient's copy of a broadcast
+  broadcast: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Broadcast'
+  },
   attachments: [{
     filename: String,
     originalName: String,
     mimeType: String,
     size: Number,
-    url: String
+    url: String,
+    storageKey: String
   }],
   readAt: Date,
   isSystemMessage: {
@@ -65,6 +80,23 @@ messageSchema.index({ type: 1 });
 messageSchema.index({ priority: 1 });
 messageSchema.index({ to: 1, status: 1 });
 messageSchema.index({ from: 1, to: 1, createdAt: -1 });
+messageSchema.index({ thread: 1, createdAt: 1 });
+messageSchema.index({ broadcast: 1, status: 1 });
+messageSchema.index({ subject: 'text', content: 'text' }, {
+  name: 'message_text',
+  weights: { subject: 5, content: 1 }
+});
+
+const REPLY_PREFIX = /^\s*(re\s*:\s*)+/i;
+const THREAD_PREVIEW_LENGTH = 140;
+
+// A new message starts its own thread
+messageSchema.pre('save', function(next) {
+  if (!this.thread) {
+    this.thread = this._id;
+  }
+  next();
+});
 
 messageSchema.methods.markAsRead = function() {
   this.status = 'read';
@@ -72,6 +104,16 @@ messageSchema.methods.markAsRead = function() {
   return this.save();
 };
 
+// Messages sent before threading existed have no thread and stand alone
+messageSchema.methods.getThreadId = function() {
+  return this.thread || this._id;
+};
+
+// "Re: Re: Lab results" and "RE: Lab results" both become "Re: Lab results"
+messageSchema.statics.toReplySubject = function(subject) {
+  return `Re: ${subject.replace(REPLY_PREFIX, '')}`.substring(0, 200);
+};
+
 messageSchema.statics.getConversation = async function(userId1, userId2, limit = 50) {
   return this.find({
     $or: [
@@ -92,4 +134,66 @@ messageSchema.statics.getUnreadCount = async function(userId) {
   });
 };
 
+// One entry per thread the user takes part in, newest activity first
+messageSchema.statics.getThreadSummaries = async function(userId, { skip = 0, limit = 20 } = {}) {
+  const participant = new mongoose.Types.ObjectId(userId);
+
+  const [result] = await this.aggregate([
+    // A broadcast's copies are listed under the broadcast, not as the sender's threads
+    { $match: { $or: [{ from: participant, broadcast: { $exists: false } }, { to: participant }] } },
+    { $addFields: { threadId: { $ifNull: ['$thread', '$_id'] } } },
+    { $sort: { createdAt: -1 } },
+    {
+      $group: {
+        _id: '$threadId',
+        lastMessage: { $first: '$$ROOT' },
+        // Sorted newest first, so the last subject is the one the thread started with
+        subject: { $last: '$subject' },
+        messageCount: { $sum: 1 },
+        unreadCount: {
+          $sum: {
+            $cond: [{ $and: [{ $eq: ['$to', participant] }, { $eq: ['$status', 'unread'] }] }, 1, 0]
+          }
+        }
+      }
+    },
+    {
+      $project: {
+        subject: 1,
+        messageCount: 1,
+        unreadCount: 1,
+        lastMessage: {
+          _id: '$lastMessage._id',
+          from: '$lastMessage.from',
+          to: '$lastMessage.to',
+          subject: '$lastMessage.subject',
+          status: '$lastMessage.status',
+          type: '$lastMessage.type',
+          priority: '$lastMessage.priority',
+          createdAt: '$lastMessage.createdAt',
+          preview: { $substrCP: ['$lastMessage.content', 0, THREAD_PREVIEW_LENGTH] },
+          attachmentCount: { $size: { $ifNull: ['$lastMessage.attachments', []] } }
+        }
+      }
+    },
+    { $sort: { 'lastMessage.createdAt': -1 } },
+    {
+      $facet: {
+        threads: [{ $skip: skip }, { $limit: limit }],
+        total: [{ $count: 'count' }]
+      }
+    }
+  ]);
+
+  const threads = await this.populate(result.threads, [
+    { path: 'lastMessage.from', model: 'User', select: 'username profile.firstName profile.lastName role' },
+    { path: 'lastMessage.to', model: 'User', select: 'username profile.firstName profile.lastName role' }
+  ]);
+
+  return {
+    threads,
+    total: result.total[0]?.count || 0
+  };
+};
+
 module.exports = mongoose.model('Message', messageSchema);
\ No newline at end of file
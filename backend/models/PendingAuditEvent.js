@@ -0,0 +1,27 @@
+const mongoose = require('mongoose');
+
+// Audit events that could not be appended to the chain when they happened. They
+// are kept here, with the time they happened, until the append-pending-audit-events
+// job appends them.
+const pendingAuditEventSchema = new mongoose.Schema({
+  timestamp: {
+    type: Date,
+    required: true
+  },
+  details: {
+    type: mongoose.Schema.Types.Mixed,
+    required: true
+  },
+  failureReason: String,
+  attempts: {
+    type: Number,
+    default: 1
+  }
+}, {
+  timestamps: true
+});
+
+// Indexes for efficient querying
+pendingAuditEventSchema.index({ timestamp: 1 });
+
+module.exports = mongoose.model('PendingAuditEvent', pendingAuditEventSchema);
@@ -0,0 +1,137 @@
+const mongoose = require('mongoose');
+const crypto = require('crypto');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const MAX_SHARE_DAYS = 365;
+
+// A patient's consent for a provider, or anyone holding a link sent to an email
+// address, to read some of their records until the share expires or is revoked
+const recordShareSchema = new mongoose.Schema({
+  patient: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: [true, 'Patient is required']
+  },
+  // Specific records, kept up to date as they are amended
+  records: [{
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'HealthRecord'
+  }],
+  // Every record of these types, including ones added later
+  recordTypes: [{
+    type: String,
+    enum: ['diagnosis', 'treatment', 'lab_result', 'vital_signs', 'prescription', 'procedure', 'imaging', 'consultation']
+  }],
+  provider: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  email: {
+    type: String,
+    lowercase: true,
+    trim: true
+  },
+  // SHA-256 of the link token for email shares; the token itself is only ever emailed
+  tokenHash: {
+    type: String,
+    select: false
+  },
+  note: {
+    type: String,
+    trim: true,
+    maxlength: [500, 'Note cannot exceed 500 characters']
+  },
+  expiresAt: {
+    type: Date,
+    required: [true, 'Expiry is required']
+  },
+  revokedAt: Date,
+  lastAccessedAt: Date,
+  accessCount: {
+    type: Number,
+    default: 0
+  }
+}, {
+  timestamps: true
+});
+
+recordShareSchema.index({ patient: 1, createdAt: -1 });
+recordShareSchema.index({ provider: 1, patient: 1, expiresAt: 1 });
+recordShareSchema.index({ tokenHash: 1 }, { unique: true, sparse: true });
+
+recordShareSchema.pre('validate', function(next) {
+  if (this.records.length === 0 && this.recordTypes.length === 0) {
+    this.invalidate('records', 'Choose at least one record or record type to share');
+  }
+  if (Boolean(this.provider) === Boolean(this.email)) {
+    this.invalidate('provider', 'Share with either a provider or an email address');
+  }
+  next();
+});
+
+const activeClause = (now = new Date()) => ({
+  revokedAt: { $exists: false },
+  expiresAt: { $gt: now }
+});
+
+recordShareSchema.methods.isActive = function(now = new Date()) {
+  return !this.revokedAt && this.expiresAt > now;
+};
+
+// Shared records are readable at any confidentiality; a shared record type does not
+// reach the patient's very restricted records, which have to be shared one by one
+recordShareSchema.methods.covers = function(record) {
+  const recordId = record._id.toString();
+  return this.records.some(id => id.toString() === recordId) ||
+    (this.recordTypes.includes(record.recordType) && record.confidentiality !== 'very_restricted');
+};
+
+// The same rule as covers(), as a query on the patient's records
+recordShareSchema.methods.toRecordFilter = function() {
+  const clauses = [];
+  if (this.records.length > 0) {
+    clauses.push({ _id: { $in: this.records } });
+  }
+  if (this.recordTypes.length > 0) {
+    clauses.push({ recordType: { $in: this.recordTypes }, confidentiality: { $ne: 'very_restricted' } });
+  }
+  return { patient: this.patient, $or: clauses };
+};
+
+// Create the link token for an email share; only its hash is stored
+recordShareSchema.methods.createLinkToken = function() {
+  const token = crypto.randomBytes(32).toString('hex');
+  this.tokenHash = this.constructor.hashToken(token);
+  return token;
+};
+
+recordShareSchema.statics.hashToken = function(token) {
+  return crypto.createHash('sha256').update(token).digest('hex');
+};
+
+recordShareSchema.statics.activeFilter = function(now) {
+  return activeClause(now);
+};
+
+// The patient's active shares with the provider
+recordShareSchema.statics.findActiveForProvider = function(providerId, patientId) {
+  return this.find({ ...activeClause(), provider: providerId, patient: patientId });
+};
+
+// The active email share behind a link token, or null
+recordShareSchema.statics.findByLinkToken = function(token) {
+  return this.findOne({ ...activeClause(), tokenHash: this.hashToken(token) });
+};
+
+// Extend shares of an amended record to its new version
+recordShareSchema.statics.carryForward = function(recordId, amendmentId) {
+  return this.updateMany({ records: recordId }, { $addToSet: { records: amendmentId } });
+};
+
+recordShareSchema.statics.maxExpiry = function(now = new Date()) {
+  return new Date(now.getTime() + MAX_SHARE_DAYS * DAY_MS);
+};
+
+recordShareSchema.statics.MAX_SHARE_DAYS = MAX_SHARE_DAYS;
+
+module.exports = mongoose.model('RecordShare', recordShareSchema);
@@ -0,0 +1,170 @@
+const mongoose = require('mongoose');
+
+const ROLES = ['patient', 'doctor', 'nurse', 'admin'];
+
+// Every capability the API checks, as resource:action[:scope]. "own" scopes
+// cover resources the user takes part in; "any" scopes cover everyone's.
+const PERMISSIONS = {
+  'appointment:create': 'Book appointments for yourself',
+  'appointment:create:patient': 'Book follow-ups with yourself for patients under your care',
+  'appointment:create:any': 'Book appointments for any patient',
+  'appointment:read:any': 'View every appointment',
+  'appointment:update:any': 'Reschedule any appointment',
+  'appointment:status:update': 'Change the status of any appointment',
+  'appointment:status:update:own': 'Change the status of appointments you are the doctor for',
+  'appointment:cancel:own': 'Cancel your own appointments',
+  'appointment:delete': 'Delete appointments',
+  'healthRecord:create': 'Create health records as their provider',
+  'healthRecord:read:own': 'View your own health records',
+  'healthRecord:read:patient': 'Read the records of patients under your care',
+  'healthRecord:read:any': 'View every health record',
+  'healthRecord:update:own': 'Amend and attach files to records you provided',
+  'healthRecord:update:any': 'Amend and attach files to any health record',
+  'healthRecord:sign': 'Sign records you provided',
+  'healthRecord:acknowledge': 'Acknowledge your own signed records',
+  'healthRecord:share': 'Share your own records with providers or by link',
+  'healthRecord:delete': 'Delete health records',
+  'healthRecord:emergency_access': 'Break the glass: read any patient\'s records in an emergency, with a reason',
+  'careRelationship:manage': 'Assign and end care relationships between patients and providers',
+  'waitlist:manage': 'View every waitlist entry and offer, and remove entries',
+  'queue:read': 'View today\'s waiting-room queue for every doctor',
+  'message:patient': 'Message patients (only those of your department when staff messaging is limited to departments)',
+  'message:unrestricted': 'Message and broadcast to anyone whatever the messaging rules, and never be blocked',
+  'message:read:any': 'Read and delete any message',
+  'message:broadcast': 'Send broadcasts',
+  'message:broadcast:system': 'Send broadcasts as system messages',
+  'message:broadcast:read:any': 'View the delivery report of any broadcast',
+  'notification:send': 'Send email notifications',
+  'notification:manage': 'View and retry every email notification',
+  'user:list': 'List all users',
+  'user:read:any': 'View any user\'s profile',
+  'user:manage': 'Edit, activate, deactivate and delete users and revoke their sessions',
+  'schedule:manage:own': 'Manage your own schedule',
+  'schedule:manage:any': 'Manage every doctor\'s schedule',
+  'analytics:read': 'View analytics',
+  'audit:read': 'Search, export and verify the audit trail',
+  'audit:read:own': 'See who accessed your records',
+  'settings:manage': 'Change security and messaging settings',
+  'role:manage': 'Change the permissions of each role'
+};
+
+// Used until an admin saves a role's permissions
+const DEFAULT_ROLE_PERMISSIONS = {
+  patient: [
+    'appointment:create',
+    'appointment:cancel:own',
+    'healthRecord:read:own',
+    'healthRecord:acknowledge',
+    'healthRecord:share',
+    'audit:read:own'
+  ],
+  doctor: [
+    'appointment:create:patient',
+    'appointment:status:update:own',
+    'healthRecord:create',
+    'healthRecord:read:patient',
+    'healthRecord:update:own',
+    'healthRecord:sign',
+    'healthRecord:emergency_access',
+    'message:patient',
+    'message:broadcast',
+    'notification:send',
+    'user:read:any',
+    'schedule:manage:own'
+  ],
+  nurse: [
+    'appointment:create:any',
+    'appointment:read:any',
+    'appointment:update:any',
+    'appointment:status:update',
+    'waitlist:manage',
+    'queue:read',
+    'healthRecord:create',
+    'healthRecord:read:patient',
+    'healthRecord:update:own',
+    'healthRecord:sign',
+    'healthRecord:emergency_access',
+    'message:patient',
+    'message:broadcast',
+    'notification:send',
+    'user:list',
+    'user:read:any'
+  ],
+  admin: Object.keys(PERMISSIONS).filter(permission => ![
+    'appointment:create',
+    'appointment:create:patient',
+    'appointment:cancel:own',
+    'appointment:status:update:own',
+    'healthRecord:create',
+    'healthRecord:read:own',
+    'healthRecord:read:patient',
+    'healthRecord:update:own',
+    'healthRecord:sign',
+    'healthRecord:acknowledge',
+    'healthRecord:share',
+    'healthRecord:emergency_access',
+    'audit:read:own',
+    'schedule:manage:own'
+  ].includes(permission))
+};
+
+// Admins keep these whatever is saved, so nobody can lock the role editor away
+const LOCKED_ADMIN_PERMISSIONS = ['role:manage'];
+
+const rolePermissionSchema = new mongoose.Schema({
+  role: {
+    type: String,
+    enum: ROLES,
+    required: [true, 'Role is required'],
+    unique: true
+  },
+  permissions: [{
+    type: String,
+    enum: Object.keys(PERMISSIONS)
+  }],
+  updatedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }
+}, {
+  timestamps: true
+});
+
+const withLockedPermissions = (role, permissions) => (
+  role === 'admin' ? [...new Set([...permissions, ...LOCKED_ADMIN_PERMISSIONS])] : [...permissions]
+);
+
+// Static method to read a role's permissions, falling back to its defaults
+rolePermissionSchema.statics.getPermissions = async function(role) {
+  const saved = await this.findOne({ role });
+  return withLockedPermissions(role, saved ? saved.permissions : DEFAULT_ROLE_PERMISSIONS[role] || []);
+};
+
+// Every role's permissions, and whether each role still has its defaults
+rolePermissionSchema.statics.getMatrix = async function() {
+  const saved = await this.find({ role: { $in: ROLES } });
+
+  return ROLES.map(role => {
+    const entry = saved.find(item => item.role === role);
+    return {
+      role,
+      permissions: withLockedPermissions(role, entry ? entry.permissions : DEFAULT_ROLE_PERMISSIONS[role]),
+      isDefault: !entry
+    };
+  });
+};
+
+rolePermissionSchema.statics.setPermissions = function(role, permissions, updatedBy) {
+  return this.findOneAndUpdate(
+    { role },
+    { $set: { permissions: [...new Set(permissions)], updatedBy } },
+    { upsert: true, new: true, runValidators: true }
+  );
+};
+
+rolePermissionSchema.statics.ROLES = ROLES;
+rolePermissionSchema.statics.PERMISSIONS = PERMISSIONS;
+rolePermissionSchema.statics.DEFAULT_ROLE_PERMISSIONS = DEFAULT_ROLE_PERMISSIONS;
+rolePermissionSchema.statics.LOCKED_ADMIN_PERMISSIONS = LOCKED_ADMIN_PERMISSIONS;
+
+module.exports = mongoose.model('RolePermission', rolePermissionSchema);
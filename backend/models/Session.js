@@ -0,0 +1,204 @@
+const mongoose = require('mongoose');
+const crypto = require('crypto');
+
+// A presented refresh token that was rotated less than this long ago is treated
+// as a race between tabs rather than token theft
+const ROTATION_GRACE_MS = 30 * 1000;
+
+const hashToken = (token) => crypto.createHash('sha256').update(token).digest('hex');
+
+const sessionSchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: [true, 'User is required']
+  },
+  refreshTokenHash: {
+    type: String,
+    required: true,
+    select: false
+  },
+  previousRefreshTokenHash: {
+    type: String,
+    select: false
+  },
+  userAgent: {
+    type: String,
+    maxlength: 500
+  },
+  ipAddress: String,
+  lastIpAddress: String,
+  lastUsedAt: {
+    type: Date,
+    default: Date.now
+  },
+  lastRotatedAt: Date,
+  rotationCount: {
+    type: Number,
+    default: 0
+  },
+  expiresAt: {
+    type: Date,
+    required: true
+  },
+  revokedAt: Date,
+  revokedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  revokedReason: {
+    type: String,
+    enum: [
+      'logout',
+      'logout_all',
+      'revoked_by_user',
+      'admin',
+      'account_deactivated',
+      'password_reset',
+      'token_reuse'
+    ]
+  }
+}, {
+  timestamps: true
+});
+
+// Indexes for efficient querying
+sessionSchema.index({ user: 1, revokedAt: 1, expiresAt: 1 });
+
+// Expired sessions are removed by MongoDB
+sessionSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+const generateSecret = () => crypto.randomBytes(48).toString('hex');
+
+const getRefreshTokenTtlMs = () => {
+  const days = parseInt(process.env.REFRESH_TOKEN_EXPIRES_DAYS) || 30;
+  return days * 24 * 60 * 60 * 1000;
+};
+
+sessionSchema.methods.isActive = function() {
+  return !this.revokedAt && this.expiresAt > new Date();
+};
+
+sessionSchema.methods.revoke = function(reason, revokedBy) {
+  this.revokedAt = new Date();
+  this.revokedReason = reason;
+  this.revokedBy = revokedBy;
+  return this.save();
+};
+
+// Static method to start a session; returns the session and its refresh token.
+// Refresh tokens are "<sessionId>.<secret>" and only the secret's hash is stored.
+sessionSchema.statics.createForUser = async function(userId, { userAgent, ipAddress } = {}) {
+  const secret = generateSecret();
+
+  const session = await this.create({
+    user: userId,
+    refreshTokenHash: hashToken(secret),
+    userAgent: userAgent ? userAgent.substring(0, 500) : undefined,
+    ipAddress,
+    lastIpAddress: ipAddress,
+    expiresAt: new Date(Date.now() + getRefreshTokenTtlMs())
+  });
+
+  return {
+    session,
+    refreshToken: `${session._id}.${secret}`
+  };
+};
+
+// Static method to exchange a refresh token for a new one.
+// Returns { status: 'rotated', session, refreshToken } or { status: 'invalid' | 'reused' }.
+sessionSchema.statics.rotate = async function(refreshToken, { userAgent, ipAddress } = {}) {
+  const [sessionId, secret] = (refreshToken || '').split('.');
+
+  if (!sessionId || !secret || !mongoose.Types.ObjectId.isValid(sessionId)) {
+    return { status: 'invalid' };
+  }
+
+  const presentedHash = hashToken(secret);
+  const newSecret = generateSecret();
+  const now = new Date();
+
+  // Swap the token in one step, so two requests presenting the same token cannot
+  // both rotate it
+  const set = {
+    previousRefreshTokenHash: presentedHash,
+    refreshTokenHash: hashToken(newSecret),
+    lastRotatedAt: now,
+    lastUsedAt: now,
+    lastIpAddress: ipAddress
+  };
+  if (userAgent) set.userAgent = userAgent.substring(0, 500);
+
+  const rotated = await this.findOneAndUpdate(
+    {
+      _id: sessionId,
+      refreshTokenHash: presentedHash,
+      revokedAt: { $exists: false },
+      expiresAt: { $gt: now }
+    },
+    { $set: set, $inc: { rotationCount: 1 } },
+    { new: true }
+  );
+
+  if (rotated) {
+    return {
+      status: 'rotated',
+      session: rotated,
+      refreshToken: `${rotated._id}.${newSecret}`
+    };
+  }
+
+  const session = await this.findById(sessionId).select('+previousRefreshTokenHash');
+
+  if (!session || !session.isActive()) {
+    return { status: 'invalid' };
+  }
+
+  if (presentedHash === session.previousRefreshTokenHash) {
+    const withinGrace = session.lastRotatedAt &&
+      Date.now() - session.lastRotatedAt.getTime() < ROTATION_GRACE_MS;
+
+    // A superseded token used again outside the grace window means it was copied
+    if (!withinGrace) {
+      await session.revoke('token_reuse');
+      return { status: 'reused' };
+    }
+  }
+
+  return { status: 'invalid' };
+};
+
+// Static method to revoke every active session of a user
+sessionSchema.statics.revokeAllForUser = async function(userId, reason, revokedBy, exceptSessionId) {
+  const query = {
+    user: userId,
+    revokedAt: { $exists: false },
+    expiresAt: { $gt: new Date() }
+  };
+
+  if (exceptSessionId) {
+    query._id = { $ne: exceptSessionId };
+  }
+
+  const result = await this.updateMany(query, {
+    $set: {
+      revokedAt: new Date(),
+      revokedReason: reason,
+      revokedBy
+    }
+  });
+
+  return result.modifiedCount;
+};
+
+// Static method to list a user's active sessions
+sessionSchema.statics.findActiveForUser = function(userId) {
+  return this.find({
+    user: userId,
+    revokedAt: { $exists: false },
+    expiresAt: { $gt: new Date() }
+  }).sort({ lastUsedAt: -1 });
+};
+
+module.exports = mongoose.model('Session', sessionSchema);
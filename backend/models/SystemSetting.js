@@ -0,0 +1,71 @@
+const mongoose = require('mongoose');
+
+const TWO_FACTOR_ENFORCEABLE_ROLES = ['doctor', 'nurse', 'admin'];
+
+// Defaults used until an admin saves a value
+const DEFAULT_SETTINGS = {
+  'security.twoFactorRequiredRoles': [],
+  // Patients only reach doctors and nurses they have an appointment or health record with
+  'messaging.patientCareTeamOnly': true,
+  'messaging.patientsCanMessageAdmins': true,
+  // Doctors and nurses only reach staff and patients of their own department
+  'messaging.staffSameDepartmentOnly': true
+};
+
+const MESSAGING_SETTING_KEYS = ['patientCareTeamOnly', 'patientsCanMessageAdmins', 'staffSameDepartmentOnly'];
+
+const systemSettingSchema = new mongoose.Schema({
+  key: {
+    type: String,
+    required: [true, 'Setting key is required'],
+    unique: true,
+    trim: true
+  },
+  value: {
+    type: mongoose.Schema.Types.Mixed
+  },
+  updatedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }
+}, {
+  timestamps: true
+});
+
+// Static method to read a setting, falling back to its default
+systemSettingSchema.statics.getValue = async function(key) {
+  const setting = await this.findOne({ key });
+  return setting ? setting.value : DEFAULT_SETTINGS[key];
+};
+
+systemSettingSchema.statics.setValue = function(key, value, updatedBy) {
+  return this.findOneAndUpdate(
+    { key },
+    { $set: { value, updatedBy } },
+    { upsert: true, new: true, runValidators: true }
+  );
+};
+
+systemSettingSchema.statics.getSecuritySettings = async function() {
+  return {
+    twoFactorRequiredRoles: await this.getValue('security.twoFactorRequiredRoles')
+  };
+};
+
+systemSettingSchema.statics.getMessagingSettings = async function() {
+  const settings = {};
+  for (const key of MESSAGING_SETTING_KEYS) {
+    settings[key] = await this.getValue(`messaging.${key}`);
+  }
+  return settings;
+};
+
+systemSettingSchema.statics.isTwoFactorRequired = async function(role) {
+  const requiredRoles = await this.getValue('security.twoFactorRequiredRoles');
+  return requiredRoles.includes(role);
+};
+
+systemSettingSchema.statics.TWO_FACTOR_ENFORCEABLE_ROLES = TWO_FACTOR_ENFORCEABLE_ROLES;
+systemSettingSchema.statics.MESSAGING_SETTING_KEYS = MESSAGING_SETTING_KEYS;
+
+module.exports = mongoose.model('SystemSetting', systemSettingSchema);
@@ -1,5 +1,7 @@
 const mongoose = require('mongoose');
 const bcrypt = require('bcryptjs');
+const crypto = require('crypto');
+const twoFactorService = require('../services/twoFactorService');
 
 const userSchema = new mongoose.Schema({
   username: {
@@ -79,6 +81,47 @@ const userSchema = new mongoose.Schema({
   isActive: {
     type: Boolean,
     default: true
+  },
+  passwordChangedAt: Date,
+  passwordResetToken: {
+    type: String,
+    select: false
+  },
+  passwordResetExpires: {
+    type: Date,
+    select: false
+  },
+  twoFactor: {
+    enabled: {
+      type: Boolean,
+      default: false
+    },
+    // TOTP secrets are stored encrypted (see services/twoFactorService)
+    secret: {
+      type: String,
+      select: false
+    },
+    pendingSecret: {
+      type: String,
+      select: false
+    },
+    recoveryCodes: {
+      type: [String],
+      select: false
+    },
+    lastUsedStep: {
+      type: Number,
+      select: false
+    },
+    enabledAt: Date
+  },
+  // Users who may not message this user; kept private to the user
+  blockedUsers: {
+    type: [{
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
+    }],
+    select: false
   }
 }, {
   timestamps: true
@@ -96,6 +139,14 @@ userSchema.pre('save', async function(next) {
   }
 });
 
+userSchema.pre('save', function(next) {
+  if (!this.isModified('password') || this.isNew) return next();
+
+  // Backdate slightly so a token issued right after the change stays valid
+  this.passwordChangedAt = new Date(Date.now() - 1000);
+  next();
+});
+
 userSchema.methods.comparePassword = async function(candidatePassword) {
   return bcrypt.compare(candidatePassword, this.password);
 };
@@ -103,9 +154,66 @@ userSchema.methods.comparePassword = async function(candidatePassword) {
 userSchema.methods.getPublicProfile = function() {
   const userObj = this.toObject();
   delete userObj.password;
+  delete userObj.passwordResetToken;
+  delete userObj.passwordResetExpires;
+  if (userObj.twoFactor) {
+    userObj.twoFactor = {
+      enabled: userObj.twoFactor.enabled,
+      enabledAt: userObj.twoFactor.enabledAt
+    };
+  }
   return userObj;
 };
 
+// Create a single-use reset token; only its SHA-256 hash is stored
+userSchema.methods.createPasswordResetToken = function(expiresInMs = 60 * 60 * 1000) {
+  const resetToken = crypto.randomBytes(32).toString('hex');
+
+  this.passwordResetToken = this.constructor.hashResetToken(resetToken);
+  this.passwordResetExpires = new Date(Date.now() + expiresInMs);
+
+  return resetToken;
+};
+
+// Check whether the password was changed after a JWT was issued (iat in seconds)
+userSchema.methods.changedPasswordAfter = function(issuedAt) {
+  if (!this.passwordChangedAt) return false;
+  return issuedAt * 1000 < this.passwordChangedAt.getTime();
+};
+
+// Check a TOTP code against the active secret (or the pending one during enrollment).
+// Requires the twoFactor secret fields to be selected; records the used time step.
+userSchema.methods.verifyTwoFactorCode = function(code, { pending = false } = {}) {
+  const encryptedSecret = pending ? this.twoFactor.pendingSecret : this.twoFactor.secret;
+  if (!encryptedSecret) return false;
+
+  const step = twoFactorService.verifyCode(
+    twoFactorService.decryptSecret(encryptedSecret),
+    code,
+    this.twoFactor.lastUsedStep
+  );
+
+  if (step === null) return false;
+
+  this.twoFactor.lastUsedStep = step;
+  return true;
+};
+
+// Consume a single-use recovery code
+userSchema.methods.useRecoveryCode = function(code) {
+  const hash = twoFactorService.hashRecoveryCode(code);
+  const index = (this.twoFactor.recoveryCodes || []).indexOf(hash);
+
+  if (index === -1) return false;
+
+  this.twoFactor.recoveryCodes.splice(index, 1);
+  return true;
+};
+
+userSchema.statics.hashResetToken = function(token) {
+  return crypto.createHash('sha256').update(token).digest('hex');
+};
+
 userSchema.index({ email: 1 });
 userSchema.index({ username: 1 });
 userSchema.index({ role: 1 });
@@ -114,5 +222,10 @@ userSchema.index({ role: 1, isActive: 1 });
 userSchema.index({ 'profile.firstName': 1, 'profile.lastName': 1 });
 userSchema.index({ 'profile.specialization': 1, role: 1 });
 userSchema.index({ 'profile.department': 1, role: 1 });
+userSchema.index({ username: 'text', 'profile.firstName': 'text', 'profile.lastName': 'text' }, {
+  name: 'user_name_text',
+  // Names are matched as written, without stemming or stop words
+  default_language: 'none'
+});
 
 module.exports = mongoose.model('User', userSchema);
\ No newline at end of file
@@ -0,0 +1,115 @@
+const mongoose = require('mongoose');
+
+const TIME_PATTERN = /^([0-1]?[0-9]|2[0-3]):[0-5][0-9]$/;
+const MAX_WAITING_PER_PATIENT = 5;
+
+const toMinutes = (time) => {
+  const [hours, minutes] = time.split(':').map(Number);
+  return hours * 60 + minutes;
+};
+
+// A patient waiting for an earlier slot with a doctor, or with any doctor of a
+// specialization, within a date range and optionally a time-of-day window
+const waitlistEntrySchema = new mongoose.Schema({
+  patient: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: [true, 'Patient is required']
+  },
+  doctor: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  specialization: {
+    type: String,
+    trim: true
+  },
+  dateFrom: {
+    type: Date,
+    required: [true, 'Earliest date is required']
+  },
+  dateTo: {
+    type: Date,
+    required: [true, 'Latest date is required']
+  },
+  timeFrom: {
+    type: String,
+    match: [TIME_PATTERN, 'Invalid time format (HH:MM)']
+  },
+  timeTo: {
+    type: String,
+    match: [TIME_PATTERN, 'Invalid time format (HH:MM)']
+  },
+  reason: {
+    type: String,
+    required: [true, 'Reason for appointment is required'],
+    trim: true,
+    maxlength: [500, 'Reason cannot exceed 500 characters']
+  },
+  type: {
+    type: String,
+    enum: ['consultation', 'follow-up', 'check-up', 'emergency', 'surgery'],
+    default: 'consultation'
+  },
+  status: {
+    type: String,
+    enum: ['waiting', 'booked', 'cancelled', 'expired'],
+    default: 'waiting'
+  },
+  // The appointment booked by claiming an offer
+  appointment: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Appointment'
+  }
+}, {
+  timestamps: true
+});
+
+waitlistEntrySchema.index({ status: 1, doctor: 1, dateFrom: 1 });
+waitlistEntrySchema.index({ status: 1, specialization: 1, dateFrom: 1 });
+waitlistEntrySchema.index({ patient: 1, createdAt: -1 });
+
+waitlistEntrySchema.pre('validate', function(next) {
+  if (Boolean(this.doctor) === Boolean(this.specialization)) {
+    this.invalidate('doctor', 'Wait for either a doctor or a specialization');
+  }
+  if (this.dateFrom && this.dateTo && this.dateTo < this.dateFrom) {
+    this.invalidate('dateTo', 'Latest date must be on or after the earliest date');
+  }
+  if (this.timeFrom && this.timeTo && toMinutes(this.timeTo) <= toMinutes(this.timeFrom)) {
+    this.invalidate('timeTo', 'Latest time must be after the earliest time');
+  }
+  next();
+});
+
+// Whether a slot falls inside the entry's preferred times of day
+waitlistEntrySchema.methods.fitsTime = function(timeSlot) {
+  return (!this.timeFrom || toMinutes(timeSlot.start) >= toMinutes(this.timeFrom)) &&
+    (!this.timeTo || toMinutes(timeSlot.end) <= toMinutes(this.timeTo));
+};
+
+// Waiting entries a freed slot with `doctor` (a user with profile.specialization)
+// suits, first come first served
+waitlistEntrySchema.statics.findCandidates = async function(doctor, appointmentDate, timeSlot, excludeIds = []) {
+  const dayStart = new Date(appointmentDate);
+  dayStart.setHours(0, 0, 0, 0);
+
+  const who = [{ doctor: doctor._id }];
+  if (doctor.profile?.specialization) {
+    who.push({ doctor: { $exists: false }, specialization: doctor.profile.specialization });
+  }
+
+  const entries = await this.find({
+    _id: { $nin: excludeIds },
+    status: 'waiting',
+    $or: who,
+    dateFrom: { $lte: appointmentDate },
+    dateTo: { $gte: dayStart }
+  }).sort({ createdAt: 1 });
+
+  return entries.filter(entry => entry.fitsTime(timeSlot));
+};
+
+waitlistEntrySchema.statics.MAX_WAITING_PER_PATIENT = MAX_WAITING_PER_PATIENT;
+
+module.exports = mongoose.model('WaitlistEntry', waitlistEntrySchema);
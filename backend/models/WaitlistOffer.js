@@ -0,0 +1,72 @@
+const mongoose = require('mongoose');
+
+// A freed slot offered to a waiting patient. The same slot goes to a few patients
+// at once; the first to claim it books it and the other offers are closed as taken.
+const waitlistOfferSchema = new mongoose.Schema({
+  entry: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'WaitlistEntry',
+    required: [true, 'Waitlist entry is required']
+  },
+  patient: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: [true, 'Patient is required']
+  },
+  doctor: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: [true, 'Doctor is required']
+  },
+  appointmentDate: {
+    type: Date,
+    required: [true, 'Appointment date is required']
+  },
+  timeSlot: {
+    start: {
+      type: String,
+      required: [true, 'Start time is required']
+    },
+    end: {
+      type: String,
+      required: [true, 'End time is required']
+    }
+  },
+  expiresAt: {
+    type: Date,
+    required: [true, 'Expiry is required']
+  },
+  status: {
+    type: String,
+    enum: ['open', 'claimed', 'declined', 'expired', 'taken', 'withdrawn'],
+    default: 'open'
+  },
+  respondedAt: Date,
+  // The appointment booked when the offer was claimed
+  appointment: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Appointment'
+  }
+}, {
+  timestamps: true
+});
+
+waitlistOfferSchema.index({ patient: 1, status: 1, expiresAt: 1 });
+waitlistOfferSchema.index({ status: 1, expiresAt: 1 });
+waitlistOfferSchema.index({ doctor: 1, appointmentDate: 1, 'timeSlot.start': 1 });
+waitlistOfferSchema.index({ entry: 1, createdAt: -1 });
+
+waitlistOfferSchema.statics.openFilter = function(now = new Date()) {
+  return { status: 'open', expiresAt: { $gt: now } };
+};
+
+// Every offer ever made for one slot
+waitlistOfferSchema.statics.slotFilter = function({ doctor, appointmentDate, timeSlot }) {
+  return { doctor, appointmentDate, 'timeSlot.start': timeSlot.start };
+};
+
+waitlistOfferSchema.methods.isOpen = function(now = new Date()) {
+  return this.status === 'open' && this.expiresAt > now;
+};
+
+module.exports = mongoose.model('WaitlistOffer', waitlistOfferSchema);
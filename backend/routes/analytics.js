@@ -3,13 +3,17 @@ const User = require('../models/User');
 const Appointment = require('../models/Appointment');
 const Message = require('../models/Message');
 const HealthRecord = require('../models/HealthRecord');
+const CareRelationship = require('../models/CareRelationship');
 const EmailNotification = require('../models/EmailNotification');
-const { authenticate, authorize } = require('../middleware/auth');
+const JobRun = require('../models/JobRun');
+const JobLock = require('../models/JobLock');
+const jobScheduler = require('../services/jobScheduler');
+const { authenticate, requirePermission } = require('../middleware/auth');
 
 const router = express.Router();
 
 // Admin dashboard overview
-router.get('/dashboard', authenticate, authorize('admin'), async (req, res) => {
+router.get('/dashboard', authenticate, requirePermission('analytics:read'), async (req, res) => {
   try {
     const today = new Date();
     const oneWeekAgo = new Date(today.getTime() - 7 * 24 * 60 * 60 * 1000);
@@ -31,7 +35,7 @@ router.get('/dashboard', authenticate, authorize('admin'), async (req, res) => {
     const totalAppointments = await Appointment.countDocuments();
     const upcomingAppointments = await Appointment.countDocuments({
       appointmentDate: { $gte: today },
-      status: { $in: ['pending', 'confirmed'] }
+      status: { $in: Appointment.BOOKED_STATUSES }
     });
     const appointmentsThisMonth = await Appointment.countDocuments({
       createdAt: { $gte: oneMonthAgo }
@@ -111,7 +115,7 @@ router.get('/dashboard', authenticate, authorize('admin'), async (req, res) => {
 });
 
 // Appointment analytics
-router.get('/appointments', authenticate, authorize('admin'), async (req, res) => {
+router.get('/appointments', authenticate, requirePermission('analytics:read'), async (req, res) => {
   try {
     const { period = '30' } = req.query;
     const days = parseInt(period);
@@ -190,7 +194,7 @@ router.get('/appointments', authenticate, authorize('admin'), async (req, res) =
 });
 
 // User engagement analytics
-router.get('/users', authenticate, authorize('admin'), async (req, res) => {
+router.get('/users', authenticate, requirePermission('analytics:read'), async (req, res) => {
   try {
     const { period = '30' } = req.query;
     const days = parseInt(period);
@@ -278,7 +282,7 @@ router.get('/users', authenticate, authorize('admin'), async (req, res) => {
 });
 
 // Health records analytics
-router.get('/health-records', authenticate, authorize('admin'), async (req, res) => {
+router.get('/health-records', authenticate, requirePermission('analytics:read'), async (req, res) => {
   try {
     const { period = '30' } = req.query;
     const days = parseInt(period);
@@ -335,11 +339,27 @@ router.get('/health-records', authenticate, authorize('admin'), async (req, res)
       { $sort: { '_id.year': 1, '_id.month': 1, '_id.day': 1 } }
     ]);
 
+    // Break-the-glass access, flagged for review
+    const emergencyMatch = { type: 'emergency', createdAt: { $gte: startDate } };
+    const [emergencyTotal, recentEmergencyAccess] = await Promise.all([
+      CareRelationship.countDocuments(emergencyMatch),
+      CareRelationship.find(emergencyMatch)
+        .populate('provider', 'username profile.firstName profile.lastName role')
+        .populate('patient', 'username profile.firstName profile.lastName')
+        .select('provider patient reason createdAt expiresAt endedAt')
+        .sort({ createdAt: -1 })
+        .limit(10)
+    ]);
+
     res.json({
       period: days,
       recordsByType,
       activeProviders,
-      dailyRecords
+      dailyRecords,
+      emergencyAccess: {
+        total: emergencyTotal,
+        recent: recentEmergencyAccess
+      }
     });
 
   } catch (error) {
@@ -349,7 +369,7 @@ router.get('/health-records', authenticate, authorize('admin'), async (req, res)
 });
 
 // System performance metrics
-router.get('/system', authenticate, authorize('admin'), async (req, res) => {
+router.get('/system', authenticate, requirePermission('analytics:read'), async (req, res) => {
   try {
     const { period = '7' } = req.query;
     const days = parseInt(period);
@@ -406,4 +426,50 @@ router.get('/system', authenticate, authorize('admin'), async (req, res) => {
   }
 });
 
+// Background job status
+router.get('/jobs', authenticate, requirePermission('analytics:read'), async (req, res) => {
+  try {
+    const { jobName } = req.query;
+    const limit = Math.min(parseInt(req.query.limit) || 20, 100);
+    const oneDayAgo = new Date(Date.now() - 24 * 60 * 60 * 1000);
+    const now = new Date();
+
+    const jobs = await Promise.all(jobScheduler.getJobs().map(async (job) => {
+      const [lastRun, lastFailure, runsLast24h, failuresLast24h, lock] = await Promise.all([
+        JobRun.findOne({ jobName: job.name, status: { $ne: 'running' } }).sort({ startedAt: -1 }),
+        JobRun.findOne({ jobName: job.name, status: 'failed' }).sort({ startedAt: -1 }),
+        JobRun.countDocuments({ jobName: job.name, startedAt: { $gte: oneDayAgo } }),
+        JobRun.countDocuments({ jobName: job.name, status: 'failed', startedAt: { $gte: oneDayAgo } }),
+        JobLock.findOne({ name: job.name })
+      ]);
+
+      return {
+        ...job,
+        lastRun,
+        lastFailure,
+        runsLast24h,
+        failuresLast24h,
+        lock: lock && lock.lockedUntil > now
+          ? { owner: lock.owner, acquiredAt: lock.acquiredAt, lockedUntil: lock.lockedUntil }
+          : null
+      };
+    }));
+
+    const recentRuns = await JobRun.find(jobName ? { jobName } : {})
+      .sort({ startedAt: -1 })
+      .limit(limit);
+
+    res.json({
+      schedulerEnabled: process.env.JOBS_ENABLED !== 'false',
+      instanceId: jobScheduler.instanceId,
+      jobs,
+      recentRuns
+    });
+
+  } catch (error) {
+    console.error('Job analytics error:', error);
+    res.status(500).json({ message: 'Server error fetching job status' });
+  }
+});
+
 module.exports = router;
\ No newline at end of file
@@ -0,0 +1,658 @@
+const express = require('express');
+const Appointment = require('../models/Appointment');
+const AppointmentSeries = require('../models/AppointmentSeries');
+const DoctorSchedule = require('../models/DoctorSchedule');
+const User = require('../models/User');
+const auditService = require('../services/auditService');
+const realtimeService = require('../services/realtimeService');
+const permissionService = require('../services/permissionService');
+const waitlistService = require('../services/waitlistService');
+const { checkOccurrences, shiftDays, daysBetween } = require('../services/appointmentSeriesService');
+const {
+  syncAppointmentReminders,
+  syncCareRelationships,
+  BOOKING_PERMISSIONS,
+  resolveBookingPatient,
+  notifyPatientOfChange,
+  changeStatus
+} = require('../services/appointmentService');
+const { authenticate, requirePermission } = require('../middleware/auth');
+const {
+  validateAppointmentSeries,
+  validateSeriesReschedule,
+  validateSeriesCancel,
+  validateObjectId,
+  validatePagination
+} = require('../middleware/validation');
+
+const router = express.Router();
+
+const ACTIVE_STATUSES = ['pending', 'confirmed'];
+const SERIES_AUDIT_ACTIONS = { PUT: 'appointment.series_update', POST: 'appointment.series_cancel' };
+
+const populateSeries = (query) => query
+  .populate('patient', 'username profile.firstName profile.lastName')
+  .populate('doctor', 'username profile.firstName profile.lastName profile.specialization');
+
+// Load the series in :id for its patient, its doctor, or anyone who may read every appointment
+const authorizeSeriesAccess = async (req, res, next) => {
+  try {
+    const series = await AppointmentSeries.findById(req.params.id);
+    if (!series) {
+      return res.status(404).json({ message: 'Appointment series not found' });
+    }
+
+    const isPatient = req.user._id.toString() === series.patient.toString();
+    const isDoctor = req.user._id.toString() === series.doctor.toString();
+    if (!isPatient && !isDoctor && !await permissionService.hasPermission(req.user, 'appointment:read:any')) {
+      await auditService.record(req, {
+        action: SERIES_AUDIT_ACTIONS[req.method] || 'appointment.view',
+        resourceType: 'AppointmentSeries',
+        resourceId: series._id,
+        patients: [series.patient],
+        outcome: 'denied'
+      });
+      return res.status(403).json({ message: 'Access denied to this appointment series' });
+    }
+
+    req.series = series;
+    next();
+  } catch (error) {
+    console.error('Authorize appointment series error:', error);
+    res.status(500).json({ message: 'Server error during authorization.' });
+  }
+};
+
+// Every occurrence of a new series with its conflict, if any, or an error to send back
+const planSeries = async ({ doctor, appointmentDate, timeSlot, recurrence }) => {
+  const doctorUser = await User.findById(doctor);
+  if (!doctorUser || doctorUser.role !== 'doctor' || !doctorUser.isActive) {
+    return { error: 'Invalid or inactive doctor selected' };
+  }
+
+  if (recurrence.until) {
+    const until = new Date(recurrence.until);
+    if (until < new Date(appointmentDate)) {
+      return { error: 'The series must end after its first appointment' };
+    }
+    if (until > AppointmentSeries.maxUntil(appointmentDate)) {
+      return { error: `A series can run for at most ${AppointmentSeries.MAX_SERIES_DAYS} days` };
+    }
+  }
+
+  const dates = AppointmentSeries.buildOccurrenceDates({
+    startDate: appointmentDate,
+    frequency: recurrence.frequency,
+    count: recurrence.count,
+    until: recurrence.until
+  });
+  if (dates.length < 2) {
+    return { error: 'The series must include at least 2 appointments' };
+  }
+
+  const occurrences = await checkOccurrences(
+    doctor,
+    dates.map((date, index) => ({ index: index + 1, appointmentDate: date, timeSlot }))
+  );
+
+  return { occurrences };
+};
+
+// The upcoming, still active occurrences a change applies to
+const findTargets = (series, anchor, scope) => {
+  if (scope === 'this') {
+    return [anchor];
+  }
+
+  const query = {
+    series: series._id,
+    status: { $in: ACTIVE_STATUSES },
+    appointmentDate: { $gt: new Date() }
+  };
+  if (scope === 'following') {
+    query.seriesIndex = { $gte: anchor.seriesIndex };
+  }
+  return Appointment.find(query).sort({ seriesIndex: 1 });
+};
+
+// Put moved occurrences back where they were, latest move first, and return the
+// ones that stay moved because their old slot was booked meanwhile
+const rollBackMoves = async (done) => {
+  const stillMoved = [];
+  for (const { appointment, original } of [...done].reverse()) {
+    try {
+      await Appointment.updateOne({ _id: appointment._id }, { $set: original });
+      Object.assign(appointment, original);
+    } catch (error) {
+      if (error.code !== 11000) throw error;
+      stillMoved.push(appointment);
+    }
+  }
+  return stillMoved;
+};
+
+const notifyOtherParty = (req, series, action, count) => {
+  const otherParties = [series.patient, series.doctor]
+    .filter(participant => participant.toString() !== req.user._id.toString());
+
+  realtimeService.publish(otherParties, 'appointment:series', {
+    seriesId: series._id,
+    action,
+    count,
+    changedByRole: req.user.role
+  });
+};
+
+// Check a recurrence rule before booking: every occurrence and whether it conflicts
+router.post('/preview',
+  authenticate,
+  requirePermission(...BOOKING_PERMISSIONS),
+  validateAppointmentSeries,
+  async (req, res) => {
+    try {
+      const booking = await resolveBookingPatient(req, req.body.patient, req.body.doctor);
+      if (!booking.patient) {
+        return res.status(booking.status).json({ message: booking.message });
+      }
+
+      const plan = await planSeries(req.body);
+      if (plan.error) {
+        return res.status(400).json({ message: plan.error });
+      }
+
+      res.json({
+        occurrences: plan.occurrences,
+        available: plan.occurrences.filter(occurrence => !occurrence.conflict).length
+      });
+
+    } catch (error) {
+      console.error('Preview appointment series error:', error);
+      res.status(500).json({
+        message: 'Failed to check appointment series',
+        error: process.env.NODE_ENV === 'development' ? error.message : 'Internal server error'
+      });
+    }
+  }
+);
+
+// Book a series. Conflicting occurrences fail the request unless skipConflicts is set,
+// in which case the rest are booked and the conflicts reported back.
+router.post('/',
+  authenticate,
+  requirePermission(...BOOKING_PERMISSIONS),
+  validateAppointmentSeries,
+  async (req, res) => {
+    try {
+      const { doctor, patient, appointmentDate, timeSlot, reason, type, priority, recurrence, skipConflicts } = req.body;
+
+      const booking = await resolveBookingPatient(req, patient, doctor);
+      if (!booking.patient) {
+        return res.status(booking.status).json({ message: booking.message });
+      }
+
+      const plan = await planSeries(req.body);
+      if (plan.error) {
+        return res.status(400).json({ message: plan.error });
+      }
+
+      const { occurrences } = plan;
+      const conflicts = occurrences.filter(occurrence => occurrence.conflict);
+      if (conflicts.length === occurrences.length) {
+        return res.status(409).json({
+          message: 'None of the appointments in this series can be booked',
+          occurrences
+        });
+      }
+      if (conflicts.length > 0 && !skipConflicts) {
+        return res.status(409).json({
+          message: `${conflicts.length} of ${occurrences.length} appointments conflict with the doctor's schedule or bookings`,
+          occurrences
+        });
+      }
+
+      const series = new AppointmentSeries({
+        patient: booking.patient._id,
+        doctor,
+        frequency: recurrence.frequency,
+        count: recurrence.count || undefined,
+        until: recurrence.until || undefined,
+        startDate: appointmentDate,
+        timeSlot,
+        reason,
+        type: type || 'consultation',
+        priority: priority || 'medium',
+        createdBy: req.user._id
+      });
+      await series.save();
+
+      const booked = [];
+      const skipped = [...conflicts];
+      for (const occurrence of occurrences.filter(item => !item.conflict)) {
+        const appointment = new Appointment({
+          patient: series.patient,
+          doctor,
+          appointmentDate: occurrence.appointmentDate,
+          timeSlot,
+          reason,
+          type: series.type,
+          priority: series.priority,
+          estimatedDuration: Appointment.estimateDuration(timeSlot),
+          series: series._id,
+          seriesIndex: occurrence.index,
+          bookedBy: req.user._id
+        });
+
+        try {
+          await appointment.save();
+          booked.push(appointment);
+        } catch (saveError) {
+          if (saveError.code !== 11000) throw saveError;
+          skipped.push({ ...occurrence, conflict: { reason: 'booked', message: 'Booked by someone else meanwhile' } });
+        }
+      }
+
+      if (booked.length === 0) {
+        await AppointmentSeries.deleteOne({ _id: series._id });
+        return res.status(409).json({
+          message: 'None of the appointments in this series can be booked',
+          occurrences: skipped
+        });
+      }
+
+      await notifyPatientOfChange(req, booked, 'booked');
+
+      await auditService.record(req, {
+        action: 'appointment.series_create',
+        resourceType: 'AppointmentSeries',
+        resourceId: series._id,
+        patients: [series.patient],
+        metadata: {
+          frequency: series.frequency,
+          booked: booked.length,
+          skipped: skipped.length
+        }
+      });
+
+      res.status(201).json({
+        message: skipped.length > 0
+          ? `Booked ${booked.length} appointments; ${skipped.length} skipped because of conflicts`
+          : `Booked ${booked.length} appointments`,
+        series: await populateSeries(AppointmentSeries.findById(series._id)),
+        appointments: booked,
+        skipped: skipped.sort((a, b) => a.index - b.index)
+      });
+
+    } catch (error) {
+      console.error('Create appointment series error:', error);
+      res.status(500).json({
+        message: 'Failed to book appointment series',
+        error: process.env.NODE_ENV === 'development' ? error.message : 'Internal server error'
+      });
+    }
+  }
+);
+
+// Series the user books or takes, or every series for those who may read any appointment
+router.get('/', authenticate, validatePagination, async (req, res) => {
+  try {
+    const page = parseInt(req.query.page) || 1;
+    const limit = parseInt(req.query.limit) || 10;
+    const skip = (page - 1) * limit;
+
+    const query = {};
+    if (!await permissionService.hasPermission(req.user, 'appointment:read:any')) {
+      query.$or = [{ doctor: req.user._id }, { patient: req.user._id }];
+    }
+    if (req.query.status) {
+      query.status = req.query.status;
+    }
+
+    const [seriesList, total] = await Promise.all([
+      populateSeries(AppointmentSeries.find(query))
+        .sort({ createdAt: -1 })
+        .skip(skip)
+        .limit(limit),
+      AppointmentSeries.countDocuments(query)
+    ]);
+
+    // How many occurrences each series has left, and when the next one is
+    const progress = await Appointment.aggregate([
+      { $match: { series: { $in: seriesList.map(series => series._id) } } },
+      {
+        $group: {
+          _id: '$series',
+          total: { $sum: 1 },
+          upcoming: {
+            $sum: {
+              $cond: [{
+                $and: [
+                  { $in: ['$status', ACTIVE_STATUSES] },
+                  { $gt: ['$appointmentDate', new Date()] }
+                ]
+              }, 1, 0]
+            }
+          },
+          nextAppointmentDate: {
+            $min: {
+              $cond: [{
+                $and: [
+                  { $in: ['$status', ACTIVE_STATUSES] },
+                  { $gt: ['$appointmentDate', new Date()] }
+                ]
+              }, '$appointmentDate', null]
+            }
+          }
+        }
+      }
+    ]);
+    const progressBySeries = new Map(progress.map(item => [item._id.toString(), item]));
+
+    await auditService.record(req, {
+      action: 'appointment.list',
+      resourceType: 'AppointmentSeries',
+      patients: seriesList.map(series => series.patient),
+      metadata: { resultCount: seriesList.length }
+    });
+
+    res.json({
+      series: seriesList.map(series => {
+        const { total: appointmentCount = 0, upcoming = 0, nextAppointmentDate = null } =
+          progressBySeries.get(series._id.toString()) || {};
+        return { ...series.toObject(), appointmentCount, upcoming, nextAppointmentDate };
+      }),
+      pagination: {
+        current: page,
+        pages: Math.ceil(total / limit),
+        total,
+        hasNext: page < Math.ceil(total / limit),
+        hasPrev: page > 1
+      }
+    });
+
+  } catch (error) {
+    console.error('Get appointment series error:', error);
+    res.status(500).json({
+      message: 'Failed to retrieve appointment series',
+      error: process.env.NODE_ENV === 'development' ? error.message : 'Internal server error'
+    });
+  }
+});
+
+// A series with every occurrence, past and cancelled ones included
+router.get('/:id',
+  authenticate,
+  validateObjectId('id'),
+  authorizeSeriesAccess,
+  async (req, res) => {
+    try {
+      const [series, appointments] = await Promise.all([
+        populateSeries(AppointmentSeries.findById(req.series._id)),
+        Appointment.find({ series: req.series._id })
+          .select('appointmentDate timeSlot status seriesIndex cancellationReason')
+          .sort({ seriesIndex: 1 })
+      ]);
+
+      await auditService.record(req, {
+        action: 'appointment.view',
+        resourceType: 'AppointmentSeries',
+        resourceId: series._id,
+        patients: [req.series.patient]
+      });
+
+      res.json({ series, appointments });
+
+    } catch (error) {
+      console.error('Get appointment series error:', error);
+      res.status(500).json({
+        message: 'Failed to retrieve appointment series',
+        error: process.env.NODE_ENV === 'development' ? error.message : 'Internal server error'
+      });
+    }
+  }
+);
+
+// Move one occurrence, it and the ones after it, or every upcoming one. The others
+// shift by as many days as the chosen one moves and all take the new time slot.
+router.put('/:id/appointments/:appointmentId',
+  authenticate,
+  validateObjectId('id'),
+  validateObjectId('appointmentId'),
+  validateSeriesReschedule,
+  authorizeSeriesAccess,
+  async (req, res) => {
+    try {
+      const series = req.series;
+      const { scope, appointmentDate, timeSlot } = req.body;
+
+      const anchor = await Appointment.findOne({ _id: req.params.appointmentId, series: series._id });
+      if (!anchor) {
+        return res.status(404).json({ message: 'Appointment not found in this series' });
+      }
+      if (!ACTIVE_STATUSES.includes(anchor.status)) {
+        return res.status(400).json({ message: 'Only pending or confirmed appointments can be rescheduled' });
+      }
+
+      const newDate = new Date(appointmentDate);
+      if (newDate <= new Date()) {
+        return res.status(400).json({ message: 'Appointment date must be in the future' });
+      }
+      if (DoctorSchedule.toMinutes(timeSlot.end) <= DoctorSchedule.toMinutes(timeSlot.start)) {
+        return res.status(400).json({ message: 'End time must be after start time' });
+      }
+
+      const targets = await findTargets(series, anchor, scope);
+
+      const isPatient = req.user._id.toString() === series.patient.toString();
+      const isBooker = req.user._id.equals(series.createdBy) && req.user._id.equals(series.doctor);
+      const canUpdate =
+        await permissionService.hasPermission(req.user, 'appointment:update:any') ||
+        ((isPatient || isBooker) && targets.every(appointment => appointment.status === 'pending'));
+
+      if (!canUpdate) {
+        return res.status(403).json({
+          message: 'Not authorized to update these appointments or they cannot be modified'
+        });
+      }
+
+      const days = daysBetween(anchor.appointmentDate, newDate);
+      const planned = await checkOccurrences(
+        series.doctor,
+        targets.map(appointment => ({
+          index: appointment.seriesIndex,
+          appointmentId: appointment._id,
+          appointmentDate: appointment._id.equals(anchor._id) ? newDate : shiftDays(appointment.appointmentDate, days),
+          timeSlot
+        })),
+        targets.map(appointment => appointment._id)
+      );
+
+      const conflicts = planned.filter(occurrence => occurrence.conflict);
+      if (conflicts.length > 0) {
+        return res.status(409).json({
+          message: `${conflicts.length} of ${planned.length} appointments conflict with the doctor's schedule or bookings`,
+          occurrences: planned
+        });
+      }
+
+      // Move the occurrence furthest in the direction of travel first, so none
+      // lands on a slot a sibling still holds
+      const moves = targets
+        .map((appointment, i) => ({ appointment, occurrence: planned[i] }))
+        .sort((a, b) => (days > 0 ? -1 : 1) * (a.appointment.appointmentDate - b.appointment.appointmentDate));
+
+      // Conflicts were checked above, but a slot can still be booked meanwhile. Then
+      // the occurrences already moved go back, so the series is never left half moved.
+      const done = [];
+      for (const { appointment, occurrence } of moves) {
+        const original = {
+          appointmentDate: appointment.appointmentDate,
+          timeSlot: { start: appointment.timeSlot.start, end: appointment.timeSlot.end },
+          estimatedDuration: appointment.estimatedDuration,
+          reminderSent: appointment.reminderSent
+        };
+        appointment.appointmentDate = occurrence.appointmentDate;
+        appointment.timeSlot = timeSlot;
+        appointment.estimatedDuration = Appointment.estimateDuration(timeSlot);
+        appointment.reminderSent = false;
+
+        try {
+          await appointment.save();
+          done.push({ appointment, original });
+        } catch (saveError) {
+          const stillMoved = await rollBackMoves(done);
+          for (const appointment of stillMoved) {
+            await syncAppointmentReminders(appointment);
+          }
+          if (saveError.code !== 11000) throw saveError;
+
+          return res.status(409).json({
+            message: stillMoved.length === 0
+              ? 'A slot was booked by someone else meanwhile; no appointments were moved'
+              : `A slot was booked by someone else meanwhile; ${stillMoved.length} appointments could not be moved back`,
+            moved: stillMoved.map(appointment => appointment._id)
+          });
+        }
+      }
+      const moved = done.length;
+
+      for (const { appointment } of done) {
+        await syncAppointmentReminders(appointment);
+        await syncCareRelationships(req, appointment);
+      }
+      const freedSlots = done.map(({ appointment, original }) => ({
+        doctor: appointment.doctor,
+        appointmentDate: original.appointmentDate,
+        timeSlot: original.timeSlot
+      }));
+
+      // Slots the series moved out of may now suit waiting patients
+      for (const slot of freedSlots) {
+        await waitlistService.offerFreedSlot(slot);
+      }
+
+      if (scope === 'all') {
+        series.startDate = shiftDays(series.startDate, days);
+        series.timeSlot = timeSlot;
+        await series.save();
+      }
+
+      await auditService.record(req, {
+        action: 'appointment.series_update',
+        resourceType: 'AppointmentSeries',
+        resourceId: series._id,
+        patients: [series.patient],
+        metadata: { scope, appointmentId: anchor._id, count: moved, days }
+      });
+
+      notifyOtherParty(req, series, 'rescheduled', moved);
+      await notifyPatientOfChange(req, targets, 'rescheduled', { live: false });
+
+      res.json({
+        message: moved === 1 ? 'Appointment rescheduled successfully' : `Rescheduled ${moved} appointments`,
+        appointments: targets
+      });
+
+    } catch (error) {
+      console.error('Reschedule appointment series error:', error);
+      res.status(500).json({
+        message: 'Failed to reschedule appointments',
+        error: process.env.NODE_ENV === 'development' ? error.message : 'Internal server error'
+      });
+    }
+  }
+);
+
+// Cancel one occurrence, it and the ones after it, or every upcoming one. The series
+// itself is cancelled once it has no upcoming appointments left.
+router.post('/:id/cancel',
+  authenticate,
+  validateObjectId('id'),
+  validateSeriesCancel,
+  authorizeSeriesAccess,
+  async (req, res) => {
+    try {
+      const series = req.series;
+      const { scope, appointmentId, reason } = req.body;
+
+      const isDoctor = req.user._id.toString() === series.doctor.toString();
+      const isPatient = req.user._id.toString() === series.patient.toString();
+      const canCancel =
+        await permissionService.hasPermission(req.user, 'appointment:status:update') ||
+        (isDoctor && await permissionService.hasPermission(req.user, 'appointment:status:update:own')) ||
+        (isPatient && await permissionService.hasPermission(req.user, 'appointment:cancel:own'));
+
+      if (!canCancel) {
+        return res.status(403).json({ message: 'Not authorized to cancel these appointments' });
+      }
+
+      let anchor = null;
+      if (scope !== 'all') {
+        anchor = await Appointment.findOne({ _id: appointmentId, series: series._id });
+        if (!anchor) {
+          return res.status(404).json({ message: 'Appointment not found in this series' });
+        }
+        if (!ACTIVE_STATUSES.includes(anchor.status)) {
+          return res.status(400).json({ message: 'Only pending or confirmed appointments can be cancelled' });
+        }
+      }
+
+      const targets = await findTargets(series, anchor, scope);
+      if (targets.length === 0) {
+        return res.status(400).json({ message: 'No upcoming appointments to cancel' });
+      }
+
+      // Each occurrence goes through the same transition checks, reminders, waitlist
+      // offers, audit and queue updates as a single cancellation; the patient and
+      // doctor hear about the series once, below
+      const cancelled = [];
+      let refusal = null;
+      for (const appointment of targets) {
+        const result = await changeStatus(req, appointment, 'cancelled', reason, { notify: false });
+        if (result.appointment) {
+          cancelled.push(result.appointment);
+        } else {
+          refusal = refusal || result;
+        }
+      }
+      if (cancelled.length === 0) {
+        return res.status(refusal.status).json({ message: refusal.message });
+      }
+
+      const remaining = await Appointment.countDocuments({
+        series: series._id,
+        status: { $in: ACTIVE_STATUSES },
+        appointmentDate: { $gt: new Date() }
+      });
+      if (remaining === 0) {
+        series.status = 'cancelled';
+        await series.save();
+      }
+
+      await auditService.record(req, {
+        action: 'appointment.series_cancel',
+        resourceType: 'AppointmentSeries',
+        resourceId: series._id,
+        patients: [series.patient],
+        metadata: { scope, appointmentId: anchor?._id, count: cancelled.length }
+      });
+
+      notifyOtherParty(req, series, 'cancelled', cancelled.length);
+      await notifyPatientOfChange(req, cancelled, 'cancelled');
+
+      res.json({
+        message: cancelled.length === 1 ? 'Appointment cancelled successfully' : `Cancelled ${cancelled.length} appointments`,
+        cancelled: cancelled.length,
+        seriesStatus: series.status
+      });
+
+    } catch (error) {
+      console.error('Cancel appointment series error:', error);
+      res.status(500).json({
+        message: 'Failed to cancel appointments',
+        error: process.env.NODE_ENV === 'development' ? error.message : 'Internal server error'
+      });
+    }
+  }
+);
+
+module.exports = router;
@@ -1,28 +1,68 @@
 const express = require('express');
 const Appointment = require('../models/Appointment');
 const User = require('../models/User');
-const { authenticate, authorize, authorizeAppointmentAccess } = require('../middleware/auth');
+const DoctorSchedule = require('../models/DoctorSchedule');
+const emailService = require('../services/emailService');
+const auditService = require('../services/auditService');
+const permissionService = require('../services/permissionService');
+const waitlistService = require('../services/waitlistService');
+const {
+  syncAppointmentReminders,
+  syncCareRelationships,
+  releaseCareRelationships,
+  BOOKING_PERMISSIONS,
+  resolveBookingPatient,
+  notifyPatientOfChange,
+  announceBooking,
+  getStatusActors,
+  changeStatus
+} = require('../services/appointmentService');
+const { authenticate, requirePermission, authorizeAppointmentAccess } = require('../middleware/auth');
 const { validateAppointment, validateObjectId, validatePagination } = require('../middleware/validation');
 
 const router = express.Router();
 
-router.post('/', authenticate, authorize('patient'), validateAppointment, async (req, res) => {
+const ACTOR_USER_FIELDS = 'username role profile.firstName profile.lastName';
+
+// An appointment with the statuses the requesting user can move it to now
+const withAllowedStatuses = (appointment, actorsOf) => ({
+  ...appointment.toObject(),
+  allowedStatuses: appointment.getAllowedStatuses(actorsOf(appointment))
+});
+
+// Book an appointment. Patients book for themselves; staff and doctors with the
+// right permission pass `patient` to book on someone's behalf.
+router.post('/', authenticate, requirePermission(...BOOKING_PERMISSIONS), validateAppointment, async (req, res) => {
   try {
-    const { doctor, appointmentDate, timeSlot, reason, type, priority } = req.body;
+    const { doctor, patient, appointmentDate, timeSlot, reason, type, priority } = req.body;
 
     const doctorUser = await User.findById(doctor);
     if (!doctorUser || doctorUser.role !== 'doctor' || !doctorUser.isActive) {
       return res.status(400).json({ message: 'Invalid or inactive doctor selected' });
     }
 
+    const booking = await resolveBookingPatient(req, patient, doctor);
+    if (!booking.patient) {
+      return res.status(booking.status).json({ message: booking.message });
+    }
+
+    const isAvailable = await Appointment.checkAvailability(doctor, appointmentDate, timeSlot);
+    if (!isAvailable) {
+      return res.status(409).json({ 
+        message: 'Doctor is not available at the selected time slot' 
+      });
+    }
+
     const appointment = new Appointment({
-      patient: req.user._id,
+      patient: booking.patient._id,
       doctor,
       appointmentDate,
       timeSlot,
       reason,
       type: type || 'consultation',
-      priority: priority || 'medium'
+      priority: priority || 'medium',
+      estimatedDuration: Appointment.estimateDuration(timeSlot),
+      bookedBy: req.user._id
     });
 
     try {
@@ -35,10 +75,21 @@ router.post('/', authenticate, authorize('patient'), validateAppointment, async
       }
       throw saveError;
     }
+
+    await auditService.record(req, {
+      action: 'appointment.create',
+      resourceType: 'Appointment',
+      resourceId: appointment._id,
+      patients: [appointment.patient],
+      metadata: { onBehalf: !req.user._id.equals(appointment.patient) }
+    });
+
+    await announceBooking(req, appointment);
     
     const populatedAppointment = await Appointment.findById(appointment._id)
       .populate('patient', 'username profile.firstName profile.lastName')
-      .populate('doctor', 'username profile.firstName profile.lastName profile.specialization');
+      .populate('doctor', 'username profile.firstName profile.lastName profile.specialization')
+      .populate('bookedBy', ACTOR_USER_FIELDS);
 
     res.status(201).json({
       message: 'Appointment booked successfully',
@@ -63,10 +114,10 @@ router.get('/', authenticate, validatePagination, async (req, res) => {
     let query = {};
     const { status, date, doctorId, patientId } = req.query;
 
-    if (req.user.role === 'patient') {
-      query.patient = req.user._id;
-    } else if (req.user.role === 'doctor') {
-      query.doctor = req.user._id;
+    // Without access to every appointment, users see the ones they take or attend
+    const canReadAny = await permissionService.hasPermission(req.user, 'appointment:read:any');
+    if (!canReadAny) {
+      query.$or = [{ doctor: req.user._id }, { patient: req.user._id }];
     }
 
     if (status) {
@@ -84,25 +135,39 @@ router.get('/', authenticate, validatePagination, async (req, res) => {
       };
     }
 
-    if (doctorId && ['admin', 'nurse'].includes(req.user.role)) {
+    if (doctorId && canReadAny) {
       query.doctor = doctorId;
     }
 
-    if (patientId && ['admin', 'nurse', 'doctor'].includes(req.user.role)) {
+    if (patientId) {
       query.patient = patientId;
     }
 
     const appointments = await Appointment.find(query)
       .populate('patient', 'username profile.firstName profile.lastName profile.phone')
       .populate('doctor', 'username profile.firstName profile.lastName profile.specialization profile.department')
+      .populate('bookedBy', ACTOR_USER_FIELDS)
+      .populate('statusHistory.changedBy', ACTOR_USER_FIELDS)
       .sort({ appointmentDate: 1, 'timeSlot.start': 1 })
       .skip(skip)
       .limit(limit);
 
     const total = await Appointment.countDocuments(query);
 
+    await auditService.record(req, {
+      action: 'appointment.list',
+      resourceType: 'Appointment',
+      patients: [query.patient, ...appointments.map(appointment => appointment.patient)],
+      metadata: {
+        filters: auditService.describeFilters(req.query, ['status', 'date', 'doctorId', 'patientId', 'page', 'limit']),
+        resultCount: appointments.length
+      }
+    });
+
+    const actorsOf = await getStatusActors(req.user);
+
     res.json({
-      appointments,
+      appointments: appointments.map(appointment => withAllowedStatuses(appointment, actorsOf)),
       pagination: {
         current: page,
         pages: Math.ceil(total / limit),
@@ -129,9 +194,20 @@ router.get('/:id',
     try {
       const appointment = await Appointment.findById(req.params.id)
         .populate('patient', 'username profile.firstName profile.lastName profile.phone profile.dateOfBirth')
-        .populate('doctor', 'username profile.firstName profile.lastName profile.specialization profile.department');
+        .populate('doctor', 'username profile.firstName profile.lastName profile.specialization profile.department')
+        .populate('bookedBy', ACTOR_USER_FIELDS)
+        .populate('statusHistory.changedBy', ACTOR_USER_FIELDS);
+
+      await auditService.record(req, {
+        action: 'appointment.view',
+        resourceType: 'Appointment',
+        resourceId: appointment._id,
+        patients: [appointment.patient]
+      });
 
-      res.json({ appointment });
+      const actorsOf = await getStatusActors(req.user);
+
+      res.json({ appointment: withAllowedStatuses(appointment, actorsOf) });
 
     } catch (error) {
       console.error('Get appointment error:', error);
@@ -150,49 +226,21 @@ router.patch('/:id/status',
   async (req, res) => {
     try {
       const { status, notes } = req.body;
-      const appointment = req.appointment;
-      
-      const validStatuses = ['pending', 'confirmed', 'cancelled', 'completed', 'no-show'];
-      if (!validStatuses.includes(status)) {
-        return res.status(400).json({ message: 'Invalid status' });
-      }
-
-      const canUpdateStatus = 
-        req.user.role === 'admin' ||
-        req.user.role === 'nurse' ||
-        (req.user.role === 'doctor' && req.user._id.toString() === appointment.doctor.toString()) ||
-        (req.user.role === 'patient' && req.user._id.toString() === appointment.patient.toString() && status === 'cancelled');
 
-      if (!canUpdateStatus) {
-        return res.status(403).json({ message: 'Not authorized to update appointment status' });
-      }
-
-      appointment.status = status;
-      
-      if (status === 'cancelled') {
-        appointment.cancelledBy = req.user._id;
-        appointment.cancellationReason = notes;
-      }
-
-      if (notes) {
-        if (req.user.role === 'doctor') {
-          appointment.notes.doctor = notes;
-        } else if (req.user.role === 'patient') {
-          appointment.notes.patient = notes;
-        } else if (['admin', 'nurse'].includes(req.user.role)) {
-          appointment.notes.admin = notes;
-        }
+      const result = await changeStatus(req, req.appointment, status, notes);
+      if (!result.appointment) {
+        return res.status(result.status).json({ message: result.message });
       }
 
-      await appointment.save();
-
-      const updatedAppointment = await Appointment.findById(appointment._id)
+      const updatedAppointment = await Appointment.findById(result.appointment._id)
         .populate('patient', 'username profile.firstName profile.lastName')
-        .populate('doctor', 'username profile.firstName profile.lastName profile.specialization');
+        .populate('doctor', 'username profile.firstName profile.lastName profile.specialization')
+        .populate('bookedBy', ACTOR_USER_FIELDS)
+        .populate('statusHistory.changedBy', ACTOR_USER_FIELDS);
 
       res.json({
         message: 'Appointment status updated successfully',
-        appointment: updatedAppointment
+        appointment: withAllowedStatuses(updatedAppointment, result.actorsOf)
       });
 
     } catch (error) {
@@ -213,11 +261,19 @@ router.put('/:id',
     try {
       const appointment = req.appointment;
       const { appointmentDate, timeSlot, reason, type, priority } = req.body;
+      const previousSlot = {
+        doctor: appointment.doctor,
+        appointmentDate: appointment.appointmentDate,
+        timeSlot: { start: appointment.timeSlot.start, end: appointment.timeSlot.end }
+      };
 
+      // Patients may move their own pending bookings, and doctors the pending ones they booked for a patient
+      const isPatient = req.user._id.toString() === appointment.patient.toString();
+      const isBooker = appointment.bookedBy && req.user._id.equals(appointment.bookedBy) &&
+        req.user._id.equals(appointment.doctor);
       const canUpdate = 
-        req.user.role === 'admin' ||
-        req.user.role === 'nurse' ||
-        (req.user.role === 'patient' && req.user._id.toString() === appointment.patient.toString() && appointment.status === 'pending');
+        await permissionService.hasPermission(req.user, 'appointment:update:any') ||
+        ((isPatient || isBooker) && appointment.status === 'pending');
 
       if (!canUpdate) {
         return res.status(403).json({ 
@@ -229,7 +285,8 @@ router.put('/:id',
         const isAvailable = await Appointment.checkAvailability(
           appointment.doctor, 
           appointmentDate, 
-          timeSlot
+          timeSlot,
+          appointment._id
         );
         
         if (!isAvailable) {
@@ -240,14 +297,34 @@ router.put('/:id',
         
         appointment.appointmentDate = appointmentDate;
         appointment.timeSlot = timeSlot;
+        appointment.reminderSent = false;
       }
 
       if (reason) appointment.reason = reason;
       if (type) appointment.type = type;
       if (priority) appointment.priority = priority;
 
+      const isRescheduled = appointment.isModified('appointmentDate') || appointment.isModified('timeSlot');
+
       await appointment.save();
 
+      if (isRescheduled) {
+        await syncAppointmentReminders(appointment);
+        await syncCareRelationships(req, appointment);
+        if (Appointment.BOOKED_STATUSES.includes(appointment.status)) {
+          await waitlistService.offerFreedSlot(previousSlot);
+        }
+        await notifyPatientOfChange(req, appointment, 'rescheduled');
+      }
+
+      await auditService.record(req, {
+        action: 'appointment.update',
+        resourceType: 'Appointment',
+        resourceId: appointment._id,
+        patients: [appointment.patient],
+        metadata: { rescheduled: isRescheduled }
+      });
+
       const updatedAppointment = await Appointment.findById(appointment._id)
         .populate('patient', 'username profile.firstName profile.lastName')
         .populate('doctor', 'username profile.firstName profile.lastName profile.specialization');
@@ -270,7 +347,7 @@ router.put('/:id',
 router.delete('/:id', 
   authenticate, 
   validateObjectId('id'),
-  authorize('admin'),
+  requirePermission('appointment:delete'),
   async (req, res) => {
     try {
       const appointment = await Appointment.findByIdAndDelete(req.params.id);
@@ -279,6 +356,21 @@ router.delete('/:id',
         return res.status(404).json({ message: 'Appointment not found' });
       }
 
+      await emailService.cancelAppointmentReminders(appointment._id);
+      if (Appointment.BOOKED_STATUSES.includes(appointment.status)) {
+        await waitlistService.offerFreedSlot(appointment);
+      }
+      if (appointment.getStartDateTime() > new Date()) {
+        await releaseCareRelationships(req, appointment);
+      }
+
+      await auditService.record(req, {
+        action: 'appointment.delete',
+        resourceType: 'Appointment',
+        resourceId: appointment._id,
+        patients: [appointment.patient]
+      });
+
       res.json({ message: 'Appointment deleted successfully' });
 
     } catch (error) {
@@ -303,33 +395,32 @@ router.get('/doctor/:doctorId/availability',
         return res.status(400).json({ message: 'Date parameter is required' });
       }
 
-      const searchDate = new Date(date);
-      const nextDay = new Date(searchDate);
-      nextDay.setDate(nextDay.getDate() + 1);
+      const searchDate = DoctorSchedule.parseDateKey(date);
+      if (!searchDate) {
+        return res.status(400).json({ message: 'Date must be in YYYY-MM-DD format' });
+      }
 
-      const bookedAppointments = await Appointment.find({
-        doctor: doctorId,
-        appointmentDate: {
-          $gte: searchDate,
-          $lt: nextDay
-        },
-        status: { $in: ['pending', 'confirmed'] }
-      }).select('timeSlot');
-
-      const workingHours = [
-        '09:00', '09:30', '10:00', '10:30', '11:00', '11:30',
-        '14:00', '14:30', '15:00', '15:30', '16:00', '16:30'
-      ];
-
-      const availableSlots = workingHours.filter(slot => {
-        return !bookedAppointments.some(appointment => 
-          appointment.timeSlot.start === slot
-        );
-      });
+      const duration = parseInt(req.query.duration) || undefined;
+      if (duration !== undefined && (duration < 15 || duration > 240)) {
+        return res.status(400).json({ message: 'Duration must be between 15 and 240 minutes' });
+      }
+
+      const [schedule, bookedAppointments] = await Promise.all([
+        DoctorSchedule.findForDoctor(doctorId),
+        Appointment.findBookedOnDate(doctorId, searchDate)
+      ]);
+
+      const slots = schedule.getAvailableSlots(searchDate, bookedAppointments, duration);
 
       res.json({
         date,
-        availableSlots,
+        slotDuration: duration || schedule.slotDuration,
+        sessions: schedule.getSessionsForDate(searchDate).map(([start, end]) => ({
+          start: DoctorSchedule.fromMinutes(start),
+          end: DoctorSchedule.fromMinutes(end)
+        })),
+        availableSlots: slots.map(slot => slot.start),
+        slots,
         bookedSlots: bookedAppointments.map(app => app.timeSlot)
       });
 
@@ -0,0 +1,256 @@
+const express = require('express');
+const mongoose = require('mongoose');
+const AuditEvent = require('../models/AuditEvent');
+const { authenticate, requirePermission } = require('../middleware/auth');
+const { validatePagination } = require('../middleware/validation');
+
+const router = express.Router();
+
+const EXPORT_LIMIT = 50000;
+const ACTOR_FIELDS = 'username role profile.firstName profile.lastName';
+
+// Build a query from admin filters; returns { error } for malformed input
+const buildAuditQuery = (filters) => {
+  const { actor, patient, action, resourceType, resourceId, outcome, startDate, endDate } = filters;
+  const query = {};
+
+  for (const [name, value] of Object.entries({ actor, patient, resourceId })) {
+    if (value && !mongoose.Types.ObjectId.isValid(value)) {
+      return { error: `Invalid ${name} ID` };
+    }
+  }
+
+  if (actor) query.actor = actor;
+  if (patient) query.patients = patient;
+  if (resourceId) query.resourceId = resourceId;
+  if (resourceType) query.resourceType = resourceType;
+  if (outcome) query.outcome = outcome;
+
+  // "health_record" matches every health_record.* action
+  if (action) {
+    query.action = action.includes('.')
+      ? action
+      : { $in: AuditEvent.AUDIT_ACTIONS.filter(name => name.startsWith(`${action}.`)) };
+  }
+
+  if (startDate || endDate) {
+    query.timestamp = {};
+    if (startDate) query.timestamp.$gte = new Date(startDate);
+    if (endDate) query.timestamp.$lte = new Date(endDate);
+
+    if (Object.values(query.timestamp).some(date => isNaN(date.getTime()))) {
+      return { error: 'Invalid date range' };
+    }
+  }
+
+  return { query };
+};
+
+const formatActorName = (actor) => {
+  if (!actor) return 'System';
+  const fullName = [actor.profile?.firstName, actor.profile?.lastName].filter(Boolean).join(' ');
+  return fullName || actor.username;
+};
+
+// Quote a CSV cell and neutralise spreadsheet formulas
+const toCsvCell = (value) => {
+  if (value === null || value === undefined) return '';
+  let text = typeof value === 'object' ? JSON.stringify(value) : String(value);
+  if (/^[=+\-@]/.test(text)) text = `'${text}`;
+  return `"${text.replace(/"/g, '""')}"`;
+};
+
+// Query the audit trail (admin only)
+router.get('/',
+  authenticate,
+  requirePermission('audit:read'),
+  validatePagination,
+  async (req, res) => {
+    try {
+      const page = parseInt(req.query.page) || 1;
+      const limit = parseInt(req.query.limit) || 50;
+      const skip = (page - 1) * limit;
+
+      const { query, error } = buildAuditQuery(req.query);
+      if (error) {
+        return res.status(400).json({ message: error });
+      }
+
+      const events = await AuditEvent.find(query)
+        .populate('actor', ACTOR_FIELDS)
+        .populate('patients', 'username profile.firstName profile.lastName')
+        .sort({ sequence: -1 })
+        .skip(skip)
+        .limit(limit);
+
+      const total = await AuditEvent.countDocuments(query);
+
+      res.json({
+        events,
+        actions: AuditEvent.AUDIT_ACTIONS,
+        pagination: {
+          current: page,
+          pages: Math.ceil(total / limit),
+          total,
+          hasNext: page < Math.ceil(total / limit),
+          hasPrev: page > 1
+        }
+      });
+
+    } catch (error) {
+      console.error('Get audit events error:', error);
+      res.status(500).json({
+        message: 'Failed to retrieve audit events',
+        error: process.env.NODE_ENV === 'development' ? error.message : 'Internal server error'
+      });
+    }
+  }
+);
+
+// Export matching events as CSV (admin only)
+router.get('/export',
+  authenticate,
+  requirePermission('audit:read'),
+  async (req, res) => {
+    try {
+      const { query, error } = buildAuditQuery(req.query);
+      if (error) {
+        return res.status(400).json({ message: error });
+      }
+
+      const filename = `audit-log-${new Date().toISOString().split('T')[0]}.csv`;
+      res.setHeader('Content-Type', 'text/csv; charset=utf-8');
+      res.setHeader('Content-Disposition', `attachment; filename="${filename}"`);
+
+      const columns = [
+        'sequence', 'timestamp', 'actorId', 'actorName', 'actorRole', 'action', 'outcome',
+        'resourceType', 'resourceId', 'patientIds', 'ipAddress', 'userAgent', 'metadata', 'hash'
+      ];
+      res.write(`${columns.join(',')}\n`);
+
+      const cursor = AuditEvent.find(query)
+        .populate('actor', ACTOR_FIELDS)
+        .sort({ sequence: 1 })
+        .limit(EXPORT_LIMIT)
+        .lean()
+        .cursor();
+
+      for await (const event of cursor) {
+        const row = [
+          event.sequence,
+          event.timestamp.toISOString(),
+          event.actor?._id,
+          formatActorName(event.actor),
+          event.actorRole,
+          event.action,
+          event.outcome,
+          event.resourceType,
+          event.resourceId,
+          (event.patients || []).join(' '),
+          event.ipAddress,
+          event.userAgent,
+          event.metadata,
+          event.hash
+        ];
+        res.write(`${row.map(toCsvCell).join(',')}\n`);
+      }
+
+      res.end();
+
+    } catch (error) {
+      console.error('Export audit events error:', error);
+      if (res.headersSent) {
+        return res.end();
+      }
+      res.status(500).json({
+        message: 'Failed to export audit events',
+        error: process.env.NODE_ENV === 'development' ? error.message : 'Internal server error'
+      });
+    }
+  }
+);
+
+// Recompute the hash chain to detect tampering (admin only)
+router.get('/verify',
+  authenticate,
+  requirePermission('audit:read'),
+  async (req, res) => {
+    try {
+      const fromSequence = Math.max(parseInt(req.query.fromSequence) || 1, 1);
+      const result = await AuditEvent.verifyChain({ fromSequence });
+
+      res.json({
+        ...result,
+        fromSequence,
+        verifiedAt: new Date()
+      });
+
+    } catch (error) {
+      console.error('Verify audit chain error:', error);
+      res.status(500).json({
+        message: 'Failed to verify audit trail',
+        error: process.env.NODE_ENV === 'development' ? error.message : 'Internal server error'
+      });
+    }
+  }
+);
+
+// Who accessed my data: other users' actions involving the current patient
+router.get('/my-access',
+  authenticate,
+  requirePermission('audit:read:own'),
+  validatePagination,
+  async (req, res) => {
+    try {
+      const page = parseInt(req.query.page) || 1;
+      const limit = parseInt(req.query.limit) || 20;
+      const skip = (page - 1) * limit;
+
+      const query = {
+        patients: req.user._id,
+        actor: { $ne: req.user._id }
+      };
+
+      const events = await AuditEvent.find(query)
+        .select('timestamp actor actorRole action resourceType resourceId outcome metadata.emergencyAccess')
+        .populate('actor', ACTOR_FIELDS)
+        .sort({ sequence: -1 })
+        .skip(skip)
+        .limit(limit)
+        .lean();
+
+      const total = await AuditEvent.countDocuments(query);
+
+      res.json({
+        events: events.map(event => ({
+          _id: event._id,
+          timestamp: event.timestamp,
+          // Share links are opened without an account
+          actorName: event.action === 'health_record.share_view' ? 'Share link holder' : formatActorName(event.actor),
+          actorRole: event.actorRole,
+          action: event.action,
+          resourceType: event.resourceType,
+          resourceId: event.resourceId,
+          outcome: event.outcome,
+          emergencyAccess: Boolean(event.metadata?.emergencyAccess)
+        })),
+        pagination: {
+          current: page,
+          pages: Math.ceil(total / limit),
+          total,
+          hasNext: page < Math.ceil(total / limit),
+          hasPrev: page > 1
+        }
+      });
+
+    } catch (error) {
+      console.error('Get my access log error:', error);
+      res.status(500).json({
+        message: 'Failed to retrieve access log',
+        error: process.env.NODE_ENV === 'development' ? error.message : 'Internal server error'
+      });
+    }
+  }
+);
+
+module.exports = router;
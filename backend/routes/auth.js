@@ -1,20 +1,130 @@
 const express = require('express');
 const jwt = require('jsonwebtoken');
 const User = require('../models/User');
+const Session = require('../models/Session');
+const SystemSetting = require('../models/SystemSetting');
 const { authenticate } = require('../middleware/auth');
-const { validateRegister, validateLogin } = require('../middleware/validation');
-const { authLimiter } = require('../middleware/rateLimiter');
+const emailService = require('../services/emailService');
+const twoFactorService = require('../services/twoFactorService');
+const permissionService = require('../services/permissionService');
+const {
+  validateRegister,
+  validateLogin,
+  validateForgotPassword,
+  validateResetPassword,
+  validateRefreshToken,
+  validateTwoFactorVerify,
+  validateTwoFactorCode,
+  validateTwoFactorDisable,
+  validateObjectId
+} = require('../middleware/validation');
+const { authLimiter, passwordResetLimiter } = require('../middleware/rateLimiter');
 
 const router = express.Router();
 
-const generateToken = (userId) => {
+const PASSWORD_RESET_EXPIRY_MINUTES = 60;
+const TWO_FACTOR_CHALLENGE_EXPIRY = '5m';
+const TWO_FACTOR_SECRET_FIELDS = '+twoFactor.secret +twoFactor.pendingSecret +twoFactor.recoveryCodes +twoFactor.lastUsedStep';
+
+// Access tokens are short-lived; clients renew them with the session's refresh token
+const generateToken = (userId, sessionId) => {
+  return jwt.sign(
+    { id: userId, sid: sessionId },
+    process.env.JWT_SECRET,
+    { expiresIn: process.env.JWT_EXPIRES_IN || '15m' }
+  );
+};
+
+const getClientInfo = (req) => ({
+  userAgent: req.get('User-Agent'),
+  ipAddress: req.ip
+});
+
+// Start a server-side session and issue its token pair
+const issueTokens = async (user, req) => {
+  const { session, refreshToken } = await Session.createForUser(user._id, getClientInfo(req));
+
+  return {
+    token: generateToken(user._id, session._id),
+    refreshToken
+  };
+};
+
+// Challenge tokens prove the password step of a login. They carry a purpose claim
+// and no session id, so authenticate() never accepts them as access tokens.
+const generateChallengeToken = (userId, purpose) => {
   return jwt.sign(
-    { id: userId },
+    { id: userId, purpose },
     process.env.JWT_SECRET,
-    { expiresIn: process.env.JWT_EXPIRES_IN || '7d' }
+    { expiresIn: TWO_FACTOR_CHALLENGE_EXPIRY }
   );
 };
 
+const findChallengeUser = async (challengeToken, purpose) => {
+  let decoded;
+  try {
+    decoded = jwt.verify(challengeToken, process.env.JWT_SECRET);
+  } catch (error) {
+    return null;
+  }
+
+  if (decoded.purpose !== purpose) {
+    return null;
+  }
+
+  const user = await User.findById(decoded.id).select(TWO_FACTOR_SECRET_FIELDS);
+
+  if (!user || !user.isActive || user.changedPasswordAfter(decoded.iat)) {
+    return null;
+  }
+
+  return user;
+};
+
+// Decide whether a user who passed the password step needs a second factor.
+// Returns the response body for the challenge, or null when tokens can be issued.
+const getTwoFactorChallenge = async (user) => {
+  if (user.twoFactor?.enabled) {
+    return {
+      message: 'Enter the code from your authenticator app',
+      twoFactorRequired: true,
+      challengeToken: generateChallengeToken(user._id, '2fa_login')
+    };
+  }
+
+  if (await SystemSetting.isTwoFactorRequired(user.role)) {
+    return {
+      message: 'Two-factor authentication must be set up for your account',
+      twoFactorSetupRequired: true,
+      challengeToken: generateChallengeToken(user._id, '2fa_setup')
+    };
+  }
+
+  return null;
+};
+
+// Enrollment accepts a normal access token, or the setup challenge issued at
+// login when the user's role requires 2FA and none is configured yet
+const authenticateTwoFactorSetup = async (req, res, next) => {
+  if (!req.body.challengeToken) {
+    return authenticate(req, res, next);
+  }
+
+  try {
+    const user = await findChallengeUser(req.body.challengeToken, '2fa_setup');
+
+    if (!user) {
+      return res.status(401).json({ message: 'Setup session has expired. Please log in again.' });
+    }
+
+    req.user = user;
+    req.isLoginChallenge = true;
+    next();
+  } catch (error) {
+    res.status(500).json({ message: 'Server error during authentication.' });
+  }
+};
+
 router.post('/register', authLimiter, validateRegister, async (req, res) => {
   try {
     const { username, email, password, role = 'patient', profile } = req.body;
@@ -41,12 +151,18 @@ router.post('/register', authLimiter, validateRegister, async (req, res) => {
 
     await user.save();
 
-    const token = generateToken(user._id);
+    const challenge = await getTwoFactorChallenge(user);
+    if (challenge) {
+      return res.status(201).json(challenge);
+    }
+
+    const { token, refreshToken } = await issueTokens(user, req);
     const userProfile = user.getPublicProfile();
 
     res.status(201).json({
       message: 'User registered successfully',
       token,
+      refreshToken,
       user: userProfile
     });
 
@@ -81,12 +197,18 @@ router.post('/login', authLimiter, validateLogin, async (req, res) => {
       return res.status(401).json({ message: 'Invalid credentials' });
     }
 
-    const token = generateToken(user._id);
+    const challenge = await getTwoFactorChallenge(user);
+    if (challenge) {
+      return res.json(challenge);
+    }
+
+    const { token, refreshToken } = await issueTokens(user, req);
     const userProfile = user.getPublicProfile();
 
     res.json({
       message: 'Login successful',
       token,
+      refreshToken,
       user: userProfile
     });
 
@@ -99,12 +221,306 @@ router.post('/login', authLimiter, validateLogin, async (req, res) => {
   }
 });
 
+// Second login step: exchange a challenge token and TOTP or recovery code for tokens
+router.post('/2fa/verify', authLimiter, validateTwoFactorVerify, async (req, res) => {
+  try {
+    const { challengeToken, code, recoveryCode } = req.body;
+
+    const user = await findChallengeUser(challengeToken, '2fa_login');
+
+    if (!user || !user.twoFactor.enabled) {
+      return res.status(401).json({ message: 'Login session has expired. Please log in again.' });
+    }
+
+    const isValid = code
+      ? user.verifyTwoFactorCode(code)
+      : user.useRecoveryCode(recoveryCode);
+
+    if (!isValid) {
+      return res.status(401).json({ message: 'Invalid authentication code' });
+    }
+
+    await user.save({ validateBeforeSave: false });
+
+    const { token, refreshToken } = await issueTokens(user, req);
+
+    res.json({
+      message: 'Login successful',
+      token,
+      refreshToken,
+      user: user.getPublicProfile(),
+      ...(recoveryCode && !code && { recoveryCodesRemaining: user.twoFactor.recoveryCodes.length })
+    });
+
+  } catch (error) {
+    console.error('Two-factor verification error:', error);
+    res.status(500).json({
+      message: 'Two-factor verification failed',
+      error: process.env.NODE_ENV === 'development' ? error.message : 'Internal server error'
+    });
+  }
+});
+
+router.get('/2fa/status', authenticate, async (req, res) => {
+  try {
+    const user = await User.findById(req.user._id).select(TWO_FACTOR_SECRET_FIELDS);
+
+    res.json({
+      enabled: user.twoFactor.enabled,
+      enabledAt: user.twoFactor.enabledAt,
+      required: await SystemSetting.isTwoFactorRequired(user.role),
+      recoveryCodesRemaining: user.twoFactor.enabled ? user.twoFactor.recoveryCodes.length : 0
+    });
+
+  } catch (error) {
+    console.error('Two-factor status error:', error);
+    res.status(500).json({
+      message: 'Failed to retrieve two-factor status',
+      error: process.env.NODE_ENV === 'development' ? error.message : 'Internal server error'
+    });
+  }
+});
+
+// Start enrollment: generate a secret to add to an authenticator app
+router.post('/2fa/setup', authenticateTwoFactorSetup, async (req, res) => {
+  try {
+    const user = await User.findById(req.user._id).select(TWO_FACTOR_SECRET_FIELDS);
+
+    if (user.twoFactor.enabled) {
+      return res.status(400).json({ message: 'Two-factor authentication is already enabled' });
+    }
+
+    const secret = twoFactorService.generateSecret();
+    user.twoFactor.pendingSecret = twoFactorService.encryptSecret(secret);
+    await user.save({ validateBeforeSave: false });
+
+    res.json({
+      secret,
+      otpauthUri: twoFactorService.buildOtpauthUri(secret, user.email)
+    });
+
+  } catch (error) {
+    console.error('Two-factor setup error:', error);
+    res.status(500).json({
+      message: 'Failed to start two-factor setup',
+      error: process.env.NODE_ENV === 'development' ? error.message : 'Internal server error'
+    });
+  }
+});
+
+// Finish enrollment by confirming a code from the new secret
+router.post('/2fa/enable', authLimiter, authenticateTwoFactorSetup, validateTwoFactorCode, async (req, res) => {
+  try {
+    const user = await User.findById(req.user._id).select(TWO_FACTOR_SECRET_FIELDS);
+
+    if (user.twoFactor.enabled) {
+      return res.status(400).json({ message: 'Two-factor authentication is already enabled' });
+    }
+
+    if (!user.twoFactor.pendingSecret) {
+      return res.status(400).json({ message: 'Start two-factor setup first' });
+    }
+
+    if (!user.verifyTwoFactorCode(req.body.code, { pending: true })) {
+      return res.status(401).json({ message: 'Invalid authentication code' });
+    }
+
+    const { codes, hashes } = twoFactorService.generateRecoveryCodes();
+
+    user.twoFactor.secret = user.twoFactor.pendingSecret;
+    user.twoFactor.pendingSecret = undefined;
+    user.twoFactor.recoveryCodes = hashes;
+    user.twoFactor.enabled = true;
+    user.twoFactor.enabledAt = new Date();
+    await user.save({ validateBeforeSave: false });
+
+    const response = {
+      message: 'Two-factor authentication enabled',
+      recoveryCodes: codes,
+      user: user.getPublicProfile()
+    };
+
+    // Enrollment forced at login completes the login
+    if (req.isLoginChallenge) {
+      Object.assign(response, await issueTokens(user, req));
+    }
+
+    res.json(response);
+
+  } catch (error) {
+    console.error('Two-factor enable error:', error);
+    res.status(500).json({
+      message: 'Failed to enable two-factor authentication',
+      error: process.env.NODE_ENV === 'development' ? error.message : 'Internal server error'
+    });
+  }
+});
+
+router.post('/2fa/disable', authLimiter, authenticate, validateTwoFactorDisable, async (req, res) => {
+  try {
+    const user = await User.findById(req.user._id).select(TWO_FACTOR_SECRET_FIELDS);
+
+    if (!user.twoFactor.enabled) {
+      return res.status(400).json({ message: 'Two-factor authentication is not enabled' });
+    }
+
+    if (await SystemSetting.isTwoFactorRequired(user.role)) {
+      return res.status(403).json({ message: 'Two-factor authentication is required for your role' });
+    }
+
+    const isMatch = await user.comparePassword(req.body.password);
+
+    if (!isMatch || !user.verifyTwoFactorCode(req.body.code)) {
+      return res.status(401).json({ message: 'Invalid password or authentication code' });
+    }
+
+    user.twoFactor.enabled = false;
+    user.twoFactor.secret = undefined;
+    user.twoFactor.recoveryCodes = undefined;
+    user.twoFactor.lastUsedStep = undefined;
+    user.twoFactor.enabledAt = undefined;
+    await user.save({ validateBeforeSave: false });
+
+    res.json({
+      message: 'Two-factor authentication disabled',
+      user: user.getPublicProfile()
+    });
+
+  } catch (error) {
+    console.error('Two-factor disable error:', error);
+    res.status(500).json({
+      message: 'Failed to disable two-factor authentication',
+      error: process.env.NODE_ENV === 'development' ? error.message : 'Internal server error'
+    });
+  }
+});
+
+// Replace all recovery codes; the old ones stop working
+router.post('/2fa/recovery-codes', authLimiter, authenticate, validateTwoFactorCode, async (req, res) => {
+  try {
+    const user = await User.findById(req.user._id).select(TWO_FACTOR_SECRET_FIELDS);
+
+    if (!user.twoFactor.enabled) {
+      return res.status(400).json({ message: 'Two-factor authentication is not enabled' });
+    }
+
+    if (!user.verifyTwoFactorCode(req.body.code)) {
+      return res.status(401).json({ message: 'Invalid authentication code' });
+    }
+
+    const { codes, hashes } = twoFactorService.generateRecoveryCodes();
+    user.twoFactor.recoveryCodes = hashes;
+    await user.save({ validateBeforeSave: false });
+
+    res.json({
+      message: 'Recovery codes regenerated',
+      recoveryCodes: codes
+    });
+
+  } catch (error) {
+    console.error('Recovery code regeneration error:', error);
+    res.status(500).json({
+      message: 'Failed to regenerate recovery codes',
+      error: process.env.NODE_ENV === 'development' ? error.message : 'Internal server error'
+    });
+  }
+});
+
+router.post('/forgot-password', passwordResetLimiter, validateForgotPassword, async (req, res) => {
+  // Same response whether or not the account exists, so emails cannot be enumerated
+  const genericResponse = {
+    message: 'If an account exists for that email, a password reset link has been sent'
+  };
+
+  try {
+    const { email } = req.body;
+
+    const user = await User.findOne({ email });
+
+    if (!user || !user.isActive) {
+      return res.json(genericResponse);
+    }
+
+    const resetToken = user.createPasswordResetToken(PASSWORD_RESET_EXPIRY_MINUTES * 60 * 1000);
+    await user.save({ validateBeforeSave: false });
+
+    try {
+      await emailService.sendPasswordResetEmail(user._id, resetToken, PASSWORD_RESET_EXPIRY_MINUTES);
+    } catch (sendError) {
+      user.passwordResetToken = undefined;
+      user.passwordResetExpires = undefined;
+      await user.save({ validateBeforeSave: false });
+      throw sendError;
+    }
+
+    res.json(genericResponse);
+
+  } catch (error) {
+    console.error('Forgot password error:', error);
+    res.status(500).json({
+      message: 'Failed to process password reset request',
+      error: process.env.NODE_ENV === 'development' ? error.message : 'Internal server error'
+    });
+  }
+});
+
+router.post('/reset-password', passwordResetLimiter, validateResetPassword, async (req, res) => {
+  try {
+    const { token, password } = req.body;
+
+    const user = await User.findOne({
+      passwordResetToken: User.hashResetToken(token),
+      passwordResetExpires: { $gt: new Date() }
+    }).select('+passwordResetToken +passwordResetExpires');
+
+    if (!user || !user.isActive) {
+      return res.status(400).json({ message: 'Password reset link is invalid or has expired' });
+    }
+
+    user.password = password;
+    user.passwordResetToken = undefined;
+    user.passwordResetExpires = undefined;
+    await user.save();
+
+    await Session.revokeAllForUser(user._id, 'password_reset');
+
+    res.json({ message: 'Password has been reset. You can now log in with your new password.' });
+
+  } catch (error) {
+    console.error('Reset password error:', error);
+    res.status(500).json({
+      message: 'Failed to reset password',
+      error: process.env.NODE_ENV === 'development' ? error.message : 'Internal server error'
+    });
+  }
+});
+
 router.get('/me', authenticate, (req, res) => {
   res.json({
     user: req.user.getPublicProfile()
   });
 });
 
+// Permissions granted by the current user's role, for the client to shape its UI.
+// The API checks them again on every request.
+router.get('/me/permissions', authenticate, async (req, res) => {
+  try {
+    const permissions = await permissionService.getRolePermissions(req.user.role);
+
+    res.json({
+      role: req.user.role,
+      permissions: [...permissions].sort()
+    });
+
+  } catch (error) {
+    console.error('Get permissions error:', error);
+    res.status(500).json({
+      message: 'Failed to retrieve permissions',
+      error: process.env.NODE_ENV === 'development' ? error.message : 'Internal server error'
+    });
+  }
+});
+
 router.post('/verify-token', authenticate, (req, res) => {
   res.json({
     valid: true,
@@ -112,14 +528,33 @@ router.post('/verify-token', authenticate, (req, res) => {
   });
 });
 
-router.post('/refresh-token', authenticate, (req, res) => {
+// Exchange a refresh token for a new access token. The refresh token is rotated
+// on every use; presenting a superseded one revokes the session.
+router.post('/refresh-token', authLimiter, validateRefreshToken, async (req, res) => {
   try {
-    const token = generateToken(req.user._id);
-    
+    const result = await Session.rotate(req.body.refreshToken, getClientInfo(req));
+
+    if (result.status === 'reused') {
+      return res.status(401).json({ message: 'Refresh token reuse detected. Please log in again.' });
+    }
+
+    if (result.status !== 'rotated') {
+      return res.status(401).json({ message: 'Refresh token is invalid or has expired.' });
+    }
+
+    const { session, refreshToken } = result;
+    const user = await User.findById(session.user);
+
+    if (!user || !user.isActive) {
+      await session.revoke('account_deactivated');
+      return res.status(401).json({ message: 'Account is deactivated.' });
+    }
+
     res.json({
       message: 'Token refreshed successfully',
-      token,
-      user: req.user.getPublicProfile()
+      token: generateToken(user._id, session._id),
+      refreshToken,
+      user: user.getPublicProfile()
     });
   } catch (error) {
     console.error('Token refresh error:', error);
@@ -130,4 +565,75 @@ router.post('/refresh-token', authenticate, (req, res) => {
   }
 });
 
+router.post('/logout', authenticate, async (req, res) => {
+  try {
+    await req.authSession.revoke('logout', req.user._id);
+
+    res.json({ message: 'Logged out successfully' });
+  } catch (error) {
+    console.error('Logout error:', error);
+    res.status(500).json({
+      message: 'Logout failed',
+      error: process.env.NODE_ENV === 'development' ? error.message : 'Internal server error'
+    });
+  }
+});
+
+// Log out everywhere, including the current session
+router.post('/logout-all', authenticate, async (req, res) => {
+  try {
+    const revokedSessions = await Session.revokeAllForUser(req.user._id, 'logout_all', req.user._id);
+
+    res.json({
+      message: 'Logged out of all sessions successfully',
+      revokedSessions
+    });
+  } catch (error) {
+    console.error('Logout all error:', error);
+    res.status(500).json({
+      message: 'Failed to log out of all sessions',
+      error: process.env.NODE_ENV === 'development' ? error.message : 'Internal server error'
+    });
+  }
+});
+
+router.get('/sessions', authenticate, async (req, res) => {
+  try {
+    const sessions = await Session.findActiveForUser(req.user._id);
+
+    res.json({
+      sessions: sessions.map(session => ({
+        ...session.toObject(),
+        isCurrent: session._id.equals(req.authSession._id)
+      }))
+    });
+  } catch (error) {
+    console.error('Get sessions error:', error);
+    res.status(500).json({
+      message: 'Failed to retrieve sessions',
+      error: process.env.NODE_ENV === 'development' ? error.message : 'Internal server error'
+    });
+  }
+});
+
+router.delete('/sessions/:id', authenticate, validateObjectId('id'), async (req, res) => {
+  try {
+    const session = await Session.findOne({ _id: req.params.id, user: req.user._id });
+
+    if (!session || !session.isActive()) {
+      return res.status(404).json({ message: 'Session not found' });
+    }
+
+    await session.revoke('revoked_by_user', req.user._id);
+
+    res.json({ message: 'Session revoked successfully' });
+  } catch (error) {
+    console.error('Revoke session error:', error);
+    res.status(500).json({
+      message: 'Failed to revoke session',
+      error: process.env.NODE_ENV === 'development' ? error.message : 'Internal server error'
+    });
+  }
+});
+
 module.exports = router;
\ No newline at end of file
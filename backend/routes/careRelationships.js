@@ -0,0 +1,248 @@
+const express = require('express');
+const mongoose = require('mongoose');
+const CareRelationship = require('../models/CareRelationship');
+const User = require('../models/User');
+const auditService = require('../services/auditService');
+const permissionService = require('../services/permissionService');
+const careAccessService = require('../services/careAccessService');
+const { authenticate, requirePermission } = require('../middleware/auth');
+const {
+  validateCareRelationship,
+  validateEmergencyAccess,
+  validateObjectId,
+  validatePagination
+} = require('../middleware/validation');
+
+const router = express.Router();
+
+const HOUR_MS = 60 * 60 * 1000;
+const USER_FIELDS = 'username role profile.firstName profile.lastName profile.department';
+
+const withActive = (relationship) => ({ ...relationship.toObject(), active: relationship.isActive() });
+
+const populateRelationship = (query) => query
+  .populate('patient', USER_FIELDS)
+  .populate('provider', USER_FIELDS)
+  .populate('createdBy', 'username profile.firstName profile.lastName')
+  .populate('endedBy', 'username profile.firstName profile.lastName');
+
+// Care relationships: everything for managers, otherwise the user's own care team as a
+// patient or the relationships that cover them as a provider
+router.get('/', authenticate, validatePagination, async (req, res) => {
+  try {
+    const page = parseInt(req.query.page) || 1;
+    const limit = parseInt(req.query.limit) || 20;
+    const skip = (page - 1) * limit;
+
+    const { patient, provider, type, active } = req.query;
+
+    for (const [name, value] of Object.entries({ patient, provider })) {
+      if (value && !mongoose.isValidObjectId(value)) {
+        return res.status(400).json({ message: `Invalid ${name} ID` });
+      }
+    }
+
+    if (type && !CareRelationship.RELATIONSHIP_TYPES.includes(type)) {
+      return res.status(400).json({ message: 'Invalid relationship type' });
+    }
+
+    const conditions = [];
+    if (await permissionService.hasPermission(req.user, 'careRelationship:manage')) {
+      if (provider) conditions.push({ provider });
+    } else if (await permissionService.hasPermission(req.user, 'healthRecord:read:patient')) {
+      conditions.push(CareRelationship.providerFilter(req.user));
+    } else {
+      conditions.push({ patient: req.user._id });
+    }
+
+    if (patient) conditions.push({ patient });
+    if (type) conditions.push({ type });
+    if (active === 'true') conditions.push(CareRelationship.activeFilter());
+
+    const query = conditions.length > 0 ? { $and: conditions } : {};
+
+    const [relationships, total] = await Promise.all([
+      populateRelationship(CareRelationship.find(query))
+        .sort({ createdAt: -1 })
+        .skip(skip)
+        .limit(limit),
+      CareRelationship.countDocuments(query)
+    ]);
+
+    res.json({
+      relationships: relationships.map(withActive),
+      pagination: {
+        current: page,
+        pages: Math.ceil(total / limit),
+        total,
+        hasNext: page < Math.ceil(total / limit),
+        hasPrev: page > 1
+      }
+    });
+
+  } catch (error) {
+    console.error('Get care relationships error:', error);
+    res.status(500).json({
+      message: 'Failed to retrieve care relationships',
+      error: process.env.NODE_ENV === 'development' ? error.message : 'Internal server error'
+    });
+  }
+});
+
+// Put a provider, or a whole department, on a patient's care team
+router.post('/',
+  authenticate,
+  requirePermission('careRelationship:manage'),
+  validateCareRelationship,
+  async (req, res) => {
+    try {
+      const { patient, provider, type, department, expiresAt } = req.body;
+
+      const patientUser = await User.findById(patient);
+      if (!patientUser || patientUser.role !== 'patient') {
+        return res.status(400).json({ message: 'Invalid patient ID' });
+      }
+
+      if (type !== 'department_coverage') {
+        const providerUser = await User.findById(provider);
+        if (!providerUser || !['doctor', 'nurse'].includes(providerUser.role) || !providerUser.isActive) {
+          return res.status(400).json({ message: 'Provider must be an active doctor or nurse' });
+        }
+      }
+
+      const relationship = await CareRelationship.create({
+        patient,
+        provider: type === 'department_coverage' ? undefined : provider,
+        department: type === 'department_coverage' ? department : undefined,
+        type,
+        source: 'manual',
+        expiresAt: expiresAt || undefined,
+        createdBy: req.user._id
+      });
+
+      await auditService.record(req, {
+        action: 'care_relationship.create',
+        resourceType: 'CareRelationship',
+        resourceId: relationship._id,
+        patients: [relationship.patient],
+        metadata: { type, provider: relationship.provider, department: relationship.department }
+      });
+
+      const populated = await populateRelationship(CareRelationship.findById(relationship._id));
+
+      res.status(201).json({
+        message: 'Care relationship created successfully',
+        relationship: withActive(populated)
+      });
+
+    } catch (error) {
+      console.error('Create care relationship error:', error);
+      res.status(500).json({
+        message: 'Failed to create care relationship',
+        error: process.env.NODE_ENV === 'development' ? error.message : 'Internal server error'
+      });
+    }
+  }
+);
+
+// Break the glass: grant the caller EMERGENCY_ACCESS_HOURS of access to a patient's
+// records. The reason is kept with the relationship and the audit trail for review.
+router.post('/emergency',
+  authenticate,
+  requirePermission('healthRecord:emergency_access'),
+  validateEmergencyAccess,
+  async (req, res) => {
+    try {
+      const { patient, reason } = req.body;
+
+      const patientUser = await User.findById(patient);
+      if (!patientUser || patientUser.role !== 'patient') {
+        return res.status(400).json({ message: 'Invalid patient ID' });
+      }
+
+      const access = await careAccessService.getPatientAccess(req.user, patientUser._id);
+      if (access && access !== 'emergency') {
+        return res.status(400).json({ message: 'You already have access to this patient\'s records' });
+      }
+
+      const relationship = await CareRelationship.create({
+        patient: patientUser._id,
+        provider: req.user._id,
+        type: 'emergency',
+        source: 'emergency',
+        reason,
+        expiresAt: new Date(Date.now() + CareRelationship.EMERGENCY_ACCESS_HOURS * HOUR_MS),
+        createdBy: req.user._id
+      });
+
+      await auditService.record(req, {
+        action: 'health_record.emergency_access',
+        resourceType: 'CareRelationship',
+        resourceId: relationship._id,
+        patients: [patientUser._id],
+        metadata: { reason, expiresAt: relationship.expiresAt, emergencyAccess: true }
+      });
+
+      res.status(201).json({
+        message: `Emergency access granted for ${CareRelationship.EMERGENCY_ACCESS_HOURS} hours`,
+        relationship: withActive(relationship)
+      });
+
+    } catch (error) {
+      console.error('Emergency access error:', error);
+      res.status(500).json({
+        message: 'Failed to grant emergency access',
+        error: process.env.NODE_ENV === 'development' ? error.message : 'Internal server error'
+      });
+    }
+  }
+);
+
+// End a relationship now. Providers may end their own, e.g. to close emergency access early.
+router.delete('/:id',
+  authenticate,
+  validateObjectId('id'),
+  async (req, res) => {
+    try {
+      const relationship = await CareRelationship.findById(req.params.id);
+      if (!relationship) {
+        return res.status(404).json({ message: 'Care relationship not found' });
+      }
+
+      const isProvider = relationship.provider?.toString() === req.user._id.toString();
+      if (!isProvider && !(await permissionService.hasPermission(req.user, 'careRelationship:manage'))) {
+        return res.status(403).json({ message: 'Not authorized to end this care relationship' });
+      }
+
+      if (relationship.endedAt) {
+        return res.status(400).json({ message: 'Care relationship has already ended' });
+      }
+
+      relationship.endedAt = new Date();
+      relationship.endedBy = req.user._id;
+      await relationship.save();
+
+      await auditService.record(req, {
+        action: 'care_relationship.end',
+        resourceType: 'CareRelationship',
+        resourceId: relationship._id,
+        patients: [relationship.patient],
+        metadata: { type: relationship.type }
+      });
+
+      res.json({
+        message: 'Care relationship ended successfully',
+        relationship: withActive(relationship)
+      });
+
+    } catch (error) {
+      console.error('End care relationship error:', error);
+      res.status(500).json({
+        message: 'Failed to end care relationship',
+        error: process.env.NODE_ENV === 'development' ? error.message : 'Internal server error'
+      });
+    }
+  }
+);
+
+module.exports = router;
@@ -1,8 +1,17 @@
 const express = require('express');
+const mongoose = require('mongoose');
 const HealthRecord = require('../models/HealthRecord');
+const RecordShare = require('../models/RecordShare');
 const User = require('../models/User');
-const { authenticate, authorize } = require('../middleware/auth');
-const { validateObjectId, validatePagination } = require('../middleware/validation');
+const auditService = require('../services/auditService');
+const storageService = require('../services/storageService');
+const permissionService = require('../services/permissionService');
+const careAccessService = require('../services/careAccessService');
+const chartSummaryService = require('../services/chartSummaryService');
+const { authLimiter } = require('../middleware/rateLimiter');
+const { uploadAttachments } = require('../middleware/upload');
+const { authenticate, requirePermission } = require('../middleware/auth');
+const { validateObjectId, validatePagination, handleValidationErrors } = require('../middleware/validation');
 const { body, validationResult } = require('express-validator');
 
 const router = express.Router();
@@ -40,6 +49,11 @@ const validateHealthRecord = [
     .optional()
     .isIn(['low', 'normal', 'high', 'urgent'])
     .withMessage('Invalid priority level'),
+
+  body('confidentiality')
+    .optional()
+    .isIn(['normal', 'restricted', 'very_restricted'])
+    .withMessage('Invalid confidentiality level'),
   
   (req, res, next) => {
     const errors = validationResult(req);
@@ -53,8 +67,94 @@ const validateHealthRecord = [
   }
 ];
 
+const validateAmendment = [
+  body('amendmentReason')
+    .trim()
+    .isLength({ min: 1, max: 500 })
+    .withMessage('A reason for the amendment is required and must be less than 500 characters'),
+
+  body('title')
+    .optional()
+    .trim()
+    .isLength({ min: 1, max: 200 })
+    .withMessage('Title must be between 1 and 200 characters'),
+
+  body('description')
+    .optional()
+    .trim()
+    .isLength({ min: 1, max: 2000 })
+    .withMessage('Description must be between 1 and 2000 characters'),
+
+  body('priority')
+    .optional()
+    .isIn(['low', 'normal', 'high', 'urgent'])
+    .withMessage('Invalid priority level'),
+
+  handleValidationErrors
+];
+
+const validateSignature = [
+  body('password')
+    .notEmpty()
+    .withMessage('Password is required to sign'),
+
+  handleValidationErrors
+];
+
+// Only the record's provider may change it, unless the user may change every record
+const canUpdateRecord = async (user, record) => {
+  return user._id.toString() === (record.provider._id || record.provider).toString()
+    ? permissionService.hasPermission(user, 'healthRecord:update:own', 'healthRecord:update:any')
+    : permissionService.hasPermission(user, 'healthRecord:update:any');
+};
+
+const AMENDABLE_FIELDS = ['title', 'description', 'clinicalData', 'priority', 'tags'];
+
+// Flatten record content to dotted paths so versions can be compared field by field
+const flattenContent = (value, prefix = '', flattened = {}) => {
+  if (Array.isArray(value)) {
+    if (value.length > 0) {
+      flattened[prefix] = JSON.stringify(value.map(item => {
+        if (!item || typeof item !== 'object') return item;
+        const { _id, ...rest } = item;
+        return rest;
+      }));
+    }
+  } else if (value && typeof value === 'object' && !(value instanceof Date) && value._bsontype !== 'ObjectId') {
+    Object.entries(value).forEach(([key, child]) => {
+      flattenContent(child, prefix ? `${prefix}.${key}` : key, flattened);
+    });
+  } else if (value !== undefined && value !== null && value !== '') {
+    flattened[prefix] = value instanceof Date ? value.toISOString() : value;
+  }
+  return flattened;
+};
+
+// List the amendable fields that differ between two versions of a record
+const diffVersions = (previous, next) => {
+  const pickContent = (record) => {
+    const content = record.toObject();
+    return AMENDABLE_FIELDS.reduce((picked, field) => {
+      picked[field] = content[field];
+      return picked;
+    }, {});
+  };
+
+  const before = flattenContent(pickContent(previous));
+  const after = flattenContent(pickContent(next));
+
+  return [...new Set([...Object.keys(before), ...Object.keys(after)])]
+    .sort()
+    .filter(field => String(before[field]) !== String(after[field]))
+    .map(field => ({
+      field,
+      from: before[field] ?? null,
+      to: after[field] ?? null
+    }));
+};
+
 // Create a new health record
-router.post('/', authenticate, authorize('doctor', 'nurse'), validateHealthRecord, async (req, res) => {
+router.post('/', authenticate, requirePermission('healthRecord:create'), validateHealthRecord, async (req, res) => {
   try {
     const {
       patient,
@@ -66,7 +166,8 @@ router.post('/', authenticate, authorize('doctor', 'nurse'), validateHealthRecor
       facility,
       department,
       priority,
-      relatedAppointment
+      relatedAppointment,
+      confidentiality
     } = req.body;
 
     // Verify patient exists
@@ -75,6 +176,11 @@ router.post('/', authenticate, authorize('doctor', 'nurse'), validateHealthRecor
       return res.status(400).json({ message: 'Invalid patient ID' });
     }
 
+    // Providers only add to the charts of patients under their care
+    if (!(await careAccessService.getPatientAccess(req.user, patientUser._id))) {
+      return res.status(403).json({ message: 'You are not on this patient\'s care team' });
+    }
+
     const healthRecord = new HealthRecord({
       patient,
       provider: req.user._id,
@@ -86,11 +192,20 @@ router.post('/', authenticate, authorize('doctor', 'nurse'), validateHealthRecor
       facility,
       department,
       priority,
-      relatedAppointment
+      relatedAppointment,
+      confidentiality
     });
 
     await healthRecord.save();
 
+    await auditService.record(req, {
+      action: 'health_record.create',
+      resourceType: 'HealthRecord',
+      resourceId: healthRecord._id,
+      patients: [healthRecord.patient],
+      metadata: { recordType }
+    });
+
     const populatedRecord = await HealthRecord.findById(healthRecord._id)
       .populate('patient', 'username profile.firstName profile.lastName')
       .populate('provider', 'username profile.firstName profile.lastName profile.specialization')
@@ -120,17 +235,37 @@ router.get('/', authenticate, validatePagination, async (req, res) => {
     const { patient, recordType, startDate, endDate, priority } = req.query;
     let query = {};
 
-    // Role-based access control
-    if (req.user.role === 'patient') {
-      query.patient = req.user._id;
-    } else if (req.user.role === 'doctor' || req.user.role === 'nurse') {
-      if (patient) {
-        query.patient = patient;
-      } else {
-        query.provider = req.user._id;
+    // A chosen patient's chart needs a care relationship, a share from the patient or
+    // access to every record, and only shows what their confidentiality allows. Without
+    // one, users see every record, the records they provided or their own.
+    let access = null;
+    if (patient) {
+      if (!mongoose.isValidObjectId(patient)) {
+        return res.status(400).json({ message: 'Invalid patient format' });
       }
+
+      const chart = await careAccessService.getChartAccess(req.user, patient);
+      access = chart.access;
+      if (!access) {
+        await auditService.record(req, {
+          action: 'health_record.list',
+          resourceType: 'HealthRecord',
+          patients: [patient],
+          outcome: 'denied'
+        });
+        return res.status(403).json({ message: 'You are not on this patient\'s care team' });
+      }
+      query = chart.filter;
+    } else if (await permissionService.hasPermission(req.user, 'healthRecord:read:any')) {
+      query = careAccessService.anyRecordFilter(req.user);
+    } else if (await permissionService.hasPermission(req.user, 'healthRecord:read:patient')) {
+      query.provider = req.user._id;
+    } else {
+      query.patient = req.user._id;
     }
-    // Admin can access all records
+
+    // Superseded versions are only reachable through a record's history
+    query.status = { $ne: 'amended' };
 
     // Apply filters
     if (recordType) query.recordType = recordType;
@@ -153,6 +288,17 @@ router.get('/', authenticate, validatePagination, async (req, res) => {
 
     const total = await HealthRecord.countDocuments(query);
 
+    await auditService.record(req, {
+      action: 'health_record.list',
+      resourceType: 'HealthRecord',
+      patients: [query.patient, ...records.map(record => record.patient)],
+      metadata: {
+        filters: auditService.describeFilters(req.query, ['patient', 'recordType', 'startDate', 'endDate', 'priority', 'page', 'limit']),
+        resultCount: records.length,
+        ...careAccessService.describeAccess(access)
+      }
+    });
+
     res.json({
       records,
       pagination: {
@@ -174,14 +320,14 @@ router.get('/', authenticate, validatePagination, async (req, res) => {
 });
 
 // Get my health records (for patients)
-router.get('/my-records', authenticate, authorize('patient'), validatePagination, async (req, res) => {
+router.get('/my-records', authenticate, requirePermission('healthRecord:read:own'), validatePagination, async (req, res) => {
   try {
     const page = parseInt(req.query.page) || 1;
     const limit = parseInt(req.query.limit) || 10;
     const skip = (page - 1) * limit;
     
     const { recordType, startDate, endDate } = req.query;
-    let query = { patient: req.user._id };
+    let query = { patient: req.user._id, status: { $ne: 'amended' } };
 
     if (recordType) query.recordType = recordType;
 
@@ -200,6 +346,16 @@ router.get('/my-records', authenticate, authorize('patient'), validatePagination
 
     const total = await HealthRecord.countDocuments(query);
 
+    await auditService.record(req, {
+      action: 'health_record.list',
+      resourceType: 'HealthRecord',
+      patients: [req.user._id],
+      metadata: {
+        filters: auditService.describeFilters(req.query, ['recordType', 'startDate', 'endDate', 'page', 'limit']),
+        resultCount: records.length
+      }
+    });
+
     res.json({
       records,
       pagination: {
@@ -220,6 +376,56 @@ router.get('/my-records', authenticate, authorize('patient'), validatePagination
   }
 });
 
+// A patient's chart at a glance, limited to the records the user may see
+router.get('/patient/:patientId/summary',
+  authenticate,
+  validateObjectId('patientId'),
+  async (req, res) => {
+    try {
+      const patient = await User.findById(req.params.patientId)
+        .select('username role profile.firstName profile.lastName profile.dateOfBirth');
+
+      if (!patient || patient.role !== 'patient') {
+        return res.status(404).json({ message: 'Patient not found' });
+      }
+
+      const { access, filter } = await careAccessService.getChartAccess(req.user, patient._id);
+
+      await auditService.record(req, {
+        action: 'health_record.summary',
+        resourceType: 'HealthRecord',
+        patients: [patient._id],
+        outcome: access ? 'success' : 'denied',
+        metadata: careAccessService.describeAccess(access)
+      });
+
+      if (!access) {
+        return res.status(403).json({ message: 'You are not on this patient\'s care team' });
+      }
+
+      // A share covers records, not the patient's schedule: shared readers only see
+      // the appointments they take themselves
+      const summary = await chartSummaryService.getChartSummary(
+        patient._id,
+        filter,
+        access === 'share' ? { doctor: req.user._id } : {}
+      );
+
+      res.json({
+        patient,
+        ...summary
+      });
+
+    } catch (error) {
+      console.error('Get patient summary error:', error);
+      res.status(500).json({
+        message: 'Failed to retrieve patient summary',
+        error: process.env.NODE_ENV === 'development' ? error.message : 'Internal server error'
+      });
+    }
+  }
+);
+
 // Get specific health record
 router.get('/:id', 
   authenticate, 
@@ -229,23 +435,34 @@ router.get('/:id',
       const record = await HealthRecord.findById(req.params.id)
         .populate('patient', 'username profile.firstName profile.lastName profile.dateOfBirth')
         .populate('provider', 'username profile.firstName profile.lastName profile.specialization')
-        .populate('relatedAppointment', 'appointmentDate timeSlot reason');
+        .populate('relatedAppointment', 'appointmentDate timeSlot reason')
+        .populate('amendedBy', 'username role profile.firstName profile.lastName')
+        .populate('signedBy', 'username profile.firstName profile.lastName');
 
       if (!record) {
         return res.status(404).json({ message: 'Health record not found' });
       }
 
       // Check authorization
-      const canAccess = 
-        req.user.role === 'admin' ||
-        req.user._id.toString() === record.provider._id.toString() ||
-        req.user._id.toString() === record.patient._id.toString();
+      const access = await careAccessService.getRecordAccess(req.user, record);
+
+      await auditService.record(req, {
+        action: 'health_record.view',
+        resourceType: 'HealthRecord',
+        resourceId: record._id,
+        patients: [record.patient],
+        outcome: access ? 'success' : 'denied',
+        metadata: careAccessService.describeAccess(access)
+      });
 
-      if (!canAccess) {
+      if (!access) {
         return res.status(403).json({ message: 'Access denied' });
       }
 
-      res.json({ record });
+      res.json({
+        record,
+        signature: record.verifySignatures()
+      });
 
     } catch (error) {
       console.error('Get health record error:', error);
@@ -257,11 +474,59 @@ router.get('/:id',
   }
 );
 
-// Update health record
+// Get every version of a health record with the changes made by each amendment
+router.get('/:id/history',
+  authenticate,
+  validateObjectId('id'),
+  async (req, res) => {
+    try {
+      const versions = await HealthRecord.getVersionHistory(req.params.id);
+
+      if (versions.length === 0) {
+        return res.status(404).json({ message: 'Health record not found' });
+      }
+
+      const latest = versions[versions.length - 1];
+      const access = await careAccessService.getRecordAccess(req.user, latest);
+
+      await auditService.record(req, {
+        action: 'health_record.history',
+        resourceType: 'HealthRecord',
+        resourceId: req.params.id,
+        patients: [latest.patient],
+        outcome: access ? 'success' : 'denied',
+        metadata: careAccessService.describeAccess(access)
+      });
+
+      if (!access) {
+        return res.status(403).json({ message: 'Access denied' });
+      }
+
+      res.json({
+        currentVersion: latest._id,
+        versions: versions.map((version, index) => ({
+          record: version,
+          changes: index > 0 ? diffVersions(versions[index - 1], version) : []
+        }))
+      });
+
+    } catch (error) {
+      console.error('Get health record history error:', error);
+      res.status(500).json({
+        message: 'Failed to retrieve health record history',
+        error: process.env.NODE_ENV === 'development' ? error.message : 'Internal server error'
+      });
+    }
+  }
+);
+
+// Amend health record. Records are never edited in place: the change is saved
+// as a new version linked to the original, which is marked as amended.
 router.put('/:id', 
   authenticate, 
-  authorize('doctor', 'nurse', 'admin'),
+  requirePermission('healthRecord:update:own', 'healthRecord:update:any'),
   validateObjectId('id'),
+  validateAmendment,
   async (req, res) => {
     try {
       const record = await HealthRecord.findById(req.params.id);
@@ -270,38 +535,84 @@ router.put('/:id',
         return res.status(404).json({ message: 'Health record not found' });
       }
 
-      // Check authorization (only provider or admin can update)
-      const canUpdate = 
-        req.user.role === 'admin' ||
-        req.user._id.toString() === record.provider.toString();
+      const canUpdate = await canUpdateRecord(req.user, record);
 
       if (!canUpdate) {
+        await auditService.record(req, {
+          action: 'health_record.update',
+          resourceType: 'HealthRecord',
+          resourceId: record._id,
+          patients: [record.patient],
+          outcome: 'denied'
+        });
         return res.status(403).json({ message: 'Access denied' });
       }
 
-      const allowedUpdates = [
-        'title', 'description', 'clinicalData', 
-        'priority', 'tags'
-      ];
-      
+      if (record.isSigned()) {
+        return res.status(423).json({ message: 'Signed health records are locked and cannot be amended' });
+      }
+
+      if (record.status === 'amended') {
+        return res.status(409).json({ message: 'This version has already been amended. Amend the latest version instead.' });
+      }
+
       const updates = {};
       Object.keys(req.body).forEach(key => {
-        if (allowedUpdates.includes(key)) {
+        if (AMENDABLE_FIELDS.includes(key)) {
           updates[key] = req.body[key];
         }
       });
 
-      const updatedRecord = await HealthRecord.findByIdAndUpdate(
-        req.params.id,
-        updates,
-        { new: true, runValidators: true }
-      )
-      .populate('patient', 'username profile.firstName profile.lastName')
-      .populate('provider', 'username profile.firstName profile.lastName profile.specialization');
+      const changes = diffVersions(record, new HealthRecord({ ...record.toObject(), ...updates }));
+      if (changes.length === 0) {
+        return res.status(400).json({ message: 'No changes to amend' });
+      }
 
-      res.json({
-        message: 'Health record updated successfully',
-        record: updatedRecord
+      // Claim the original first so two concurrent edits cannot both amend it
+      const claimed = await HealthRecord.findOneAndUpdate(
+        { _id: record._id, status: { $ne: 'amended' }, 'isElectronicallySignedBy.provider': { $ne: true } },
+        { status: 'amended' }
+      );
+
+      if (!claimed) {
+        return res.status(409).json({ message: 'This version has already been amended. Amend the latest version instead.' });
+      }
+
+      let amendment;
+      try {
+        amendment = await record.createAmendment(updates, req.body.amendmentReason, req.user._id);
+      } catch (saveError) {
+        await HealthRecord.updateOne({ _id: record._id }, { status: claimed.status });
+        if (saveError.name === 'ValidationError') {
+          return res.status(400).json({ message: saveError.message });
+        }
+        throw saveError;
+      }
+
+      // Records the patient shared stay shared in their new version
+      await RecordShare.carryForward(record._id, amendment._id);
+
+      await auditService.record(req, {
+        action: 'health_record.update',
+        resourceType: 'HealthRecord',
+        resourceId: record._id,
+        patients: [record.patient],
+        metadata: {
+          amendmentId: amendment._id,
+          version: amendment.version,
+          fields: changes.map(change => change.field)
+        }
+      });
+
+      const populatedAmendment = await HealthRecord.findById(amendment._id)
+        .populate('patient', 'username profile.firstName profile.lastName')
+        .populate('provider', 'username profile.firstName profile.lastName profile.specialization')
+        .populate('amendedBy', 'username role profile.firstName profile.lastName');
+
+      res.status(201).json({
+        message: 'Health record amended successfully',
+        record: populatedAmendment,
+        changes
       });
 
     } catch (error) {
@@ -314,19 +625,346 @@ router.put('/:id',
   }
 );
 
+// Upload attachments to a health record (provider or admin). Signed records are locked.
+router.post('/:id/attachments',
+  authenticate,
+  requirePermission('healthRecord:update:own', 'healthRecord:update:any'),
+  validateObjectId('id'),
+  uploadAttachments,
+  async (req, res) => {
+    try {
+      if (req.files.length === 0) {
+        return res.status(400).json({ message: 'No files uploaded' });
+      }
+
+      const record = await HealthRecord.findById(req.params.id);
+
+      if (!record) {
+        return res.status(404).json({ message: 'Health record not found' });
+      }
+
+      const canUpdate = await canUpdateRecord(req.user, record);
+
+      if (!canUpdate) {
+        await auditService.record(req, {
+          action: 'health_record.update',
+          resourceType: 'HealthRecord',
+          resourceId: record._id,
+          patients: [record.patient],
+          outcome: 'denied'
+        });
+        return res.status(403).json({ message: 'Access denied' });
+      }
+
+      if (record.isSigned()) {
+        return res.status(423).json({ message: 'Signed health records are locked and cannot be changed' });
+      }
+
+      if (record.status === 'amended') {
+        return res.status(409).json({ message: 'This version has been amended. Add attachments to the latest version instead.' });
+      }
+
+      const stored = await storageService.saveFiles(req.files, `health-records/${record._id}`, req.user._id);
+      const attachments = stored.map(attachment => {
+        const _id = new mongoose.Types.ObjectId();
+        return {
+          ...attachment,
+          _id,
+          url: `/api/health-records/${record._id}/attachments/${_id}`
+        };
+      });
+
+      const result = await HealthRecord.updateOne(
+        { _id: record._id, status: { $ne: 'amended' }, 'isElectronicallySignedBy.provider': { $ne: true } },
+        { $push: { attachments: { $each: attachments } } }
+      );
+
+      if (result.modifiedCount === 0) {
+        await storageService.removeFiles(attachments);
+        return res.status(409).json({ message: 'Health record was amended or signed during the upload' });
+      }
+
+      await auditService.record(req, {
+        action: 'health_record.update',
+        resourceType: 'HealthRecord',
+        resourceId: record._id,
+        patients: [record.patient],
+        metadata: {
+          attachments: attachments.map(attachment => ({
+            id: attachment._id,
+            name: attachment.originalName,
+            mimeType: attachment.mimeType,
+            size: attachment.size
+          }))
+        }
+      });
+
+      const updatedRecord = await HealthRecord.findById(record._id).select('attachments');
+
+      res.status(201).json({
+        message: `${attachments.length} attachment(s) uploaded successfully`,
+        attachments: updatedRecord.attachments
+      });
+
+    } catch (error) {
+      console.error('Upload health record attachments error:', error);
+      res.status(500).json({
+        message: 'Failed to upload attachments',
+        error: process.env.NODE_ENV === 'development' ? error.message : 'Internal server error'
+      });
+    }
+  }
+);
+
+// Download a health record attachment
+router.get('/:id/attachments/:attachmentId',
+  authenticate,
+  validateObjectId('id'),
+  validateObjectId('attachmentId'),
+  async (req, res) => {
+    try {
+      const record = await HealthRecord.findById(req.params.id);
+
+      if (!record) {
+        return res.status(404).json({ message: 'Health record not found' });
+      }
+
+      const access = await careAccessService.getRecordAccess(req.user, record);
+
+      await auditService.record(req, {
+        action: 'health_record.view',
+        resourceType: 'HealthRecord',
+        resourceId: record._id,
+        patients: [record.patient],
+        outcome: access ? 'success' : 'denied',
+        metadata: { attachmentId: req.params.attachmentId, ...careAccessService.describeAccess(access) }
+      });
+
+      if (!access) {
+        return res.status(403).json({ message: 'Access denied' });
+      }
+
+      const attachment = record.attachments.id(req.params.attachmentId);
+      if (!attachment || !attachment.storageKey) {
+        return res.status(404).json({ message: 'Attachment not found' });
+      }
+
+      await storageService.sendFile(res, attachment);
+
+    } catch (error) {
+      if (error.code === 'ENOENT' || error.name === 'NoSuchKey') {
+        return res.status(404).json({ message: 'Attachment file not found' });
+      }
+      console.error('Download health record attachment error:', error);
+      res.status(500).json({
+        message: 'Failed to download attachment',
+        error: process.env.NODE_ENV === 'development' ? error.message : 'Internal server error'
+      });
+    }
+  }
+);
+
+// Sign health record as its provider; the provider re-enters their password
+router.post('/:id/sign',
+  authLimiter,
+  authenticate,
+  requirePermission('healthRecord:sign'),
+  validateObjectId('id'),
+  validateSignature,
+  async (req, res) => {
+    try {
+      const record = await HealthRecord.findById(req.params.id);
+
+      if (!record) {
+        return res.status(404).json({ message: 'Health record not found' });
+      }
+
+      if (req.user._id.toString() !== record.provider.toString()) {
+        await auditService.record(req, {
+          action: 'health_record.sign',
+          resourceType: 'HealthRecord',
+          resourceId: record._id,
+          patients: [record.patient],
+          outcome: 'denied'
+        });
+        return res.status(403).json({ message: 'Only the record\'s provider can sign it' });
+      }
+
+      if (record.status === 'amended') {
+        return res.status(409).json({ message: 'Superseded versions cannot be signed. Sign the latest version instead.' });
+      }
+
+      if (record.isSigned()) {
+        return res.status(409).json({ message: 'Health record is already signed' });
+      }
+
+      const signer = await User.findById(req.user._id);
+      if (!(await signer.comparePassword(req.body.password))) {
+        return res.status(401).json({ message: 'Invalid password' });
+      }
+
+      record.signAsProvider(req.user._id);
+
+      // Conditional write so a concurrent amendment or signature wins cleanly
+      const result = await HealthRecord.updateOne(
+        { _id: record._id, status: { $ne: 'amended' }, 'isElectronicallySignedBy.provider': { $ne: true } },
+        {
+          $set: {
+            signedBy: record.signedBy,
+            signedDate: record.signedDate,
+            signatureHash: record.signatureHash,
+            'isElectronicallySignedBy.provider': true
+          }
+        }
+      );
+
+      if (result.modifiedCount === 0) {
+        return res.status(409).json({ message: 'Health record was changed while signing. Reload and try again.' });
+      }
+
+      await auditService.record(req, {
+        action: 'health_record.sign',
+        resourceType: 'HealthRecord',
+        resourceId: record._id,
+        patients: [record.patient]
+      });
+
+      const signedRecord = await HealthRecord.findById(record._id)
+        .populate('patient', 'username profile.firstName profile.lastName')
+        .populate('provider', 'username profile.firstName profile.lastName profile.specialization')
+        .populate('signedBy', 'username profile.firstName profile.lastName');
+
+      res.json({
+        message: 'Health record signed successfully',
+        record: signedRecord,
+        signature: signedRecord.verifySignatures()
+      });
+
+    } catch (error) {
+      console.error('Sign health record error:', error);
+      res.status(500).json({
+        message: 'Failed to sign health record',
+        error: process.env.NODE_ENV === 'development' ? error.message : 'Internal server error'
+      });
+    }
+  }
+);
+
+// Patient acknowledges a signed record; the patient re-enters their password
+router.post('/:id/acknowledge',
+  authLimiter,
+  authenticate,
+  requirePermission('healthRecord:acknowledge'),
+  validateObjectId('id'),
+  validateSignature,
+  async (req, res) => {
+    try {
+      const record = await HealthRecord.findById(req.params.id);
+
+      if (!record || req.user._id.toString() !== record.patient.toString()) {
+        return res.status(404).json({ message: 'Health record not found' });
+      }
+
+      if (!record.isSigned()) {
+        return res.status(409).json({ message: 'Only records signed by the provider can be acknowledged' });
+      }
+
+      if (record.isElectronicallySignedBy?.patient) {
+        return res.status(409).json({ message: 'Health record is already acknowledged' });
+      }
+
+      // Never let a patient countersign content that no longer matches the provider's signature
+      if (!record.verifySignatures().provider.valid) {
+        return res.status(409).json({ message: 'The provider signature on this record could not be verified' });
+      }
+
+      const patient = await User.findById(req.user._id);
+      if (!(await patient.comparePassword(req.body.password))) {
+        return res.status(401).json({ message: 'Invalid password' });
+      }
+
+      record.acknowledgeAsPatient();
+
+      const result = await HealthRecord.updateOne(
+        { _id: record._id, 'isElectronicallySignedBy.patient': { $ne: true } },
+        {
+          $set: {
+            patientAcknowledgedDate: record.patientAcknowledgedDate,
+            patientSignatureHash: record.patientSignatureHash,
+            'isElectronicallySignedBy.patient': true
+          }
+        }
+      );
+
+      if (result.modifiedCount === 0) {
+        return res.status(409).json({ message: 'Health record is already acknowledged' });
+      }
+
+      await auditService.record(req, {
+        action: 'health_record.acknowledge',
+        resourceType: 'HealthRecord',
+        resourceId: record._id,
+        patients: [record.patient]
+      });
+
+      res.json({
+        message: 'Health record acknowledged',
+        signature: record.verifySignatures()
+      });
+
+    } catch (error) {
+      console.error('Acknowledge health record error:', error);
+      res.status(500).json({
+        message: 'Failed to acknowledge health record',
+        error: process.env.NODE_ENV === 'development' ? error.message : 'Internal server error'
+      });
+    }
+  }
+);
+
 // Delete health record (admin only)
 router.delete('/:id', 
   authenticate, 
-  authorize('admin'),
+  requirePermission('healthRecord:delete'),
   validateObjectId('id'),
   async (req, res) => {
     try {
-      const record = await HealthRecord.findByIdAndDelete(req.params.id);
+      const existing = await HealthRecord.findById(req.params.id);
 
-      if (!record) {
+      if (!existing) {
         return res.status(404).json({ message: 'Health record not found' });
       }
 
+      // Versions and signatures are part of the legal record; deleting one would
+      // break the version history of the others or discard a signed document
+      if (existing.status === 'amended' || existing.isAmendment) {
+        return res.status(409).json({ message: 'Records with amendments cannot be deleted' });
+      }
+      if (existing.signedBy) {
+        return res.status(409).json({ message: 'Signed records cannot be deleted' });
+      }
+
+      // Delete only if it was not amended or signed in the meantime
+      const record = await HealthRecord.findOneAndDelete({
+        _id: existing._id,
+        status: { $ne: 'amended' },
+        signedBy: null
+      });
+
+      if (!record) {
+        return res.status(409).json({ message: 'Health record was amended or signed meanwhile' });
+      }
+
+      await storageService.removeFiles(record.attachments);
+
+      await auditService.record(req, {
+        action: 'health_record.delete',
+        resourceType: 'HealthRecord',
+        resourceId: record._id,
+        patients: [record.patient],
+        metadata: { recordType: record.recordType, title: record.title }
+      });
+
       res.json({ message: 'Health record deleted successfully' });
 
     } catch (error) {
@@ -1,13 +1,85 @@
 const express = require('express');
+const mongoose = require('mongoose');
 const Message = require('../models/Message');
+const Broadcast = require('../models/Broadcast');
 const User = require('../models/User');
-const { authenticate, authorize } = require('../middleware/auth');
-const { validateMessage, validateObjectId, validatePagination } = require('../middleware/validation');
+const { authenticate, requirePermission } = require('../middleware/auth');
+const {
+  validateMessage,
+  validateReply,
+  validateBroadcast,
+  validateBroadcastAudience,
+  validateObjectId,
+  validatePagination
+} = require('../middleware/validation');
 const { messageLimiter } = require('../middleware/rateLimiter');
+const { uploadAttachments } = require('../middleware/upload');
+const storageService = require('../services/storageService');
+const realtimeService = require('../services/realtimeService');
+const messagingPolicy = require('../services/messagingPolicy');
+const auditService = require('../services/auditService');
+const broadcastService = require('../services/broadcastService');
+const permissionService = require('../services/permissionService');
 
 const router = express.Router();
 
-router.post('/', authenticate, messageLimiter, validateMessage, async (req, res) => {
+// Participants can read a message, and so can anyone allowed to read every message
+const canViewMessage = async (user, message) => {
+  const userId = user._id.toString();
+  return userId === (message.from._id || message.from).toString() ||
+    userId === (message.to._id || message.to).toString() ||
+    permissionService.hasPermission(user, 'message:read:any');
+};
+
+// Store the uploaded files, save the message and push it to the recipient. Stored
+// files are removed again if the message fails to save.
+const deliverMessage = async (req, fields) => {
+  const messageId = new mongoose.Types.ObjectId();
+  const stored = await storageService.saveFiles(req.files, `messages/${messageId}`, req.user._id);
+  const attachments = stored.map(({ uploadedBy, ...attachment }) => {
+    const _id = new mongoose.Types.ObjectId();
+    return {
+      ...attachment,
+      _id,
+      url: `/api/messages/${messageId}/attachments/${_id}`
+    };
+  });
+
+  const message = new Message({
+    _id: messageId,
+    from: req.user._id,
+    ...fields,
+    attachments
+  });
+
+  try {
+    await message.save();
+  } catch (saveError) {
+    await storageService.removeFiles(attachments);
+    throw saveError;
+  }
+
+  const populatedMessage = await Message.findById(message._id)
+    .populate('from', 'username profile.firstName profile.lastName role')
+    .populate('to', 'username profile.firstName profile.lastName role')
+    .populate('relatedAppointment', 'appointmentDate timeSlot');
+
+  // The recipient's client fetches the body when the conversation is opened
+  realtimeService.publish(fields.to, 'message:new', {
+    _id: populatedMessage._id,
+    thread: populatedMessage.thread,
+    subject: populatedMessage.subject,
+    from: populatedMessage.from,
+    type: populatedMessage.type,
+    priority: populatedMessage.priority,
+    createdAt: populatedMessage.createdAt
+  });
+
+  return populatedMessage;
+};
+
+// Accepts JSON, or multipart/form-data when files are attached
+router.post('/', authenticate, messageLimiter, uploadAttachments, validateMessage, async (req, res) => {
   try {
     const { to, subject, content, type, priority, relatedAppointment } = req.body;
 
@@ -16,34 +88,20 @@ router.post('/', authenticate, messageLimiter, validateMessage, async (req, res)
       return res.status(400).json({ message: 'Invalid or inactive recipient' });
     }
 
-    const canMessage = 
-      req.user.role === 'admin' ||
-      ['doctor', 'nurse'].includes(req.user.role) ||
-      (req.user.role === 'patient' && ['doctor', 'nurse', 'admin'].includes(recipient.role));
-
-    if (!canMessage) {
-      return res.status(403).json({ 
-        message: 'You are not authorized to send messages to this user' 
-      });
+    const restriction = await messagingPolicy.getMessagingRestriction(req.user, recipient);
+    if (restriction) {
+      return res.status(403).json({ message: restriction });
     }
 
-    const message = new Message({
-      from: req.user._id,
-      to,
+    const populatedMessage = await deliverMessage(req, {
+      to: recipient._id,
       subject,
       content,
       type: type || 'general',
       priority: priority || 'normal',
-      relatedAppointment
+      relatedAppointment: relatedAppointment || undefined
     });
 
-    await message.save();
-
-    const populatedMessage = await Message.findById(message._id)
-      .populate('from', 'username profile.firstName profile.lastName role')
-      .populate('to', 'username profile.firstName profile.lastName role')
-      .populate('relatedAppointment', 'appointmentDate timeSlot');
-
     res.status(201).json({
       message: 'Message sent successfully',
       data: populatedMessage
@@ -58,6 +116,80 @@ router.post('/', authenticate, messageLimiter, validateMessage, async (req, res)
   }
 });
 
+// Reply to the other participant of a message, in the same thread
+router.post('/:id/reply',
+  authenticate,
+  messageLimiter,
+  validateObjectId('id'),
+  uploadAttachments,
+  validateReply,
+  async (req, res) => {
+    try {
+      const parent = await Message.findById(req.params.id);
+
+      if (!parent) {
+        return res.status(404).json({ message: 'Message not found' });
+      }
+
+      if (parent.isSystemMessage) {
+        return res.status(400).json({ message: 'System messages cannot be replied to' });
+      }
+
+      const userId = req.user._id.toString();
+      const isRecipient = parent.to.toString() === userId;
+
+      if (!isRecipient && parent.from.toString() !== userId) {
+        return res.status(403).json({ message: 'Only participants can reply to this message' });
+      }
+
+      const recipient = await User.findById(isRecipient ? parent.from : parent.to);
+      if (!recipient || !recipient.isActive) {
+        return res.status(400).json({ message: 'The other participant is no longer active' });
+      }
+
+      // Anyone may answer a message they received; follow-ups go through the policy again
+      const restriction = await messagingPolicy.getMessagingRestriction(req.user, recipient, { isReply: isRecipient });
+      if (restriction) {
+        return res.status(403).json({ message: restriction });
+      }
+
+      const { content, type, priority } = req.body;
+
+      const reply = await deliverMessage(req, {
+        to: recipient._id,
+        subject: Message.toReplySubject(parent.subject),
+        content,
+        type: type || (parent.type === 'system' ? 'general' : parent.type),
+        priority: priority || 'normal',
+        relatedAppointment: parent.relatedAppointment,
+        parentMessage: parent._id,
+        thread: parent.getThreadId()
+      });
+
+      // Answering a received message marks it replied; following up on your own does not.
+      // Archived messages stay archived.
+      if (isRecipient) {
+        await Message.updateOne(
+          { _id: parent._id, status: { $ne: 'archived' } },
+          { $set: { status: 'replied' }, $min: { readAt: new Date() } }
+        );
+      }
+
+      res.status(201).json({
+        message: 'Reply sent successfully',
+        data: reply
+      });
+
+    } catch (error) {
+      console.error('Reply to message error:', error);
+      res.status(500).json({
+        message: 'Failed to send reply',
+        error: process.env.NODE_ENV === 'development' ? error.message : 'Internal server error'
+      });
+    }
+  }
+);
+
 router.get('/inbox', authenticate, validatePagination, async (req, res) => {
   try {
     const page = parseInt(req.query.page) || 1;
@@ -67,9 +199,8 @@ router.get('/inbox', authenticate, validatePagination, async (req, res) => {
     const { status, type, priority } = req.query;
     let query = { to: req.user._id };
 
-    if (status) {
-      query.status = status;
-    }
+    // Archived messages only show up when asked for explicitly
+    query.status = status || { $ne: 'archived' };
 
     if (type) {
       query.type = type;
@@ -119,14 +250,17 @@ router.get('/sent', authenticate, validatePagination, async (req, res) => {
     const limit = parseInt(req.query.limit) || 20;
     const skip = (page - 1) * limit;
 
-    const messages = await Message.find({ from: req.user._id })
+    // Broadcast copies are listed under /broadcasts instead
+    const query = { from: req.user._id, broadcast: { $exists: false } };
+
+    const messages = await Message.find(query)
       .populate('to', 'username profile.firstName profile.lastName role')
       .populate('relatedAppointment', 'appointmentDate timeSlot')
       .sort({ createdAt: -1 })
       .skip(skip)
       .limit(limit);
 
-    const total = await Message.countDocuments({ from: req.user._id });
+    const total = await Message.countDocuments(query);
 
     res.json({
       messages,
@@ -195,6 +329,413 @@ router.get('/conversation/:userId',
   }
 );
 
+// Directory of users the current user may message, for the compose form
+router.get('/recipients', authenticate, async (req, res) => {
+  try {
+    const search = (req.query.q || '').trim();
+    const limit = Math.min(parseInt(req.query.limit) || 20, 50);
+    const filter = await messagingPolicy.buildRecipientFilter(req.user);
+
+    if (search) {
+      const sanitizedSearch = search.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+      filter.$and.push({
+        $or: [
+          { username: { $regex: sanitizedSearch, $options: 'i' } },
+          { 'profile.firstName': { $regex: sanitizedSearch, $options: 'i' } },
+          { 'profile.lastName': { $regex: sanitizedSearch, $options: 'i' } }
+        ]
+      });
+    }
+
+    const users = await User.find(filter)
+      .select('username role profile.firstName profile.lastName profile.specialization profile.department')
+      .sort({ 'profile.firstName': 1 })
+      .limit(limit);
+
+    const patients = users.filter(user => user.role === 'patient').map(user => user._id);
+    if (patients.length > 0) {
+      await auditService.record(req, {
+        action: 'user.list',
+        resourceType: 'User',
+        patients,
+        metadata: { filters: { search }, resultCount: users.length }
+      });
+    }
+
+    res.json({ users });
+
+  } catch (error) {
+    console.error('Get message recipients error:', error);
+    res.status(500).json({
+      message: 'Failed to retrieve recipients',
+      error: process.env.NODE_ENV === 'development' ? error.message : 'Internal server error'
+    });
+  }
+});
+
+router.get('/broadcasts/audience-options',
+  authenticate,
+  requirePermission('message:broadcast'),
+  async (req, res) => {
+    try {
+      // Staff broadcasts are limited to their own department by the messaging rules
+      const departments = await permissionService.hasPermission(req.user, 'message:unrestricted')
+        ? await User.distinct('profile.department', { role: { $in: ['doctor', 'nurse'] }, isActive: true })
+        : [req.user.profile?.department].filter(Boolean);
+
+      res.json({
+        roles: Broadcast.BROADCAST_ROLES,
+        departments: departments.filter(Boolean).sort()
+      });
+
+    } catch (error) {
+      console.error('Get broadcast audience options error:', error);
+      res.status(500).json({
+        message: 'Failed to retrieve audience options',
+        error: process.env.NODE_ENV === 'development' ? error.message : 'Internal server error'
+      });
+    }
+  }
+);
+
+// How many users a broadcast to this audience would reach
+router.post('/broadcasts/preview',
+  authenticate,
+  requirePermission('message:broadcast'),
+  validateBroadcastAudience,
+  async (req, res) => {
+    try {
+      const recipients = await broadcastService.resolveRecipients(req.user, req.body.audience);
+
+      res.json({ recipientCount: recipients.length });
+
+    } catch (error) {
+      console.error('Preview broadcast error:', error);
+      res.status(500).json({
+        message: 'Failed to preview broadcast',
+        error: process.env.NODE_ENV === 'development' ? error.message : 'Internal server error'
+      });
+    }
+  }
+);
+
+router.post('/broadcasts',
+  authenticate,
+  requirePermission('message:broadcast'),
+  messageLimiter,
+  validateBroadcast,
+  async (req, res) => {
+    try {
+      const { subject, content, type, priority, audience } = req.body;
+      const isSystemMessage = req.body.isSystemMessage === true;
+
+      if (isSystemMessage && !(await permissionService.hasPermission(req.user, 'message:broadcast:system'))) {
+        return res.status(403).json({ message: 'You are not allowed to send system messages' });
+      }
+
+      const broadcast = await broadcastService.sendBroadcast(req.user, {
+        subject,
+        content,
+        type,
+        priority,
+        audience,
+        isSystemMessage
+      });
+
+      if (!broadcast) {
+        return res.status(400).json({ message: 'No one you can message matches this audience' });
+      }
+
+      res.status(201).json({
+        message: `Broadcast sent to ${broadcast.recipientCount} recipient(s)`,
+        broadcast
+      });
+
+    } catch (error) {
+      console.error('Send broadcast error:', error);
+      res.status(500).json({
+        message: 'Failed to send broadcast',
+        error: process.env.NODE_ENV === 'development' ? error.message : 'Internal server error'
+      });
+    }
+  }
+);
+
+router.get('/broadcasts',
+  authenticate,
+  requirePermission('message:broadcast'),
+  validatePagination,
+  async (req, res) => {
+    try {
+      const page = parseInt(req.query.page) || 1;
+      const limit = parseInt(req.query.limit) || 20;
+      const skip = (page - 1) * limit;
+
+      const broadcasts = await Broadcast.find({ sender: req.user._id })
+        .sort({ createdAt: -1 })
+        .skip(skip)
+        .limit(limit);
+
+      const total = await Broadcast.countDocuments({ sender: req.user._id });
+
+      const withCounts = await Promise.all(broadcasts.map(async broadcast => ({
+        ...broadcast.toObject(),
+        delivery: await broadcast.getDeliveryCounts()
+      })));
+
+      res.json({
+        broadcasts: withCounts,
+        pagination: {
+          current: page,
+          pages: Math.ceil(total / limit),
+          total,
+          hasNext: page < Math.ceil(total / limit),
+          hasPrev: page > 1
+        }
+      });
+
+    } catch (error) {
+      console.error('Get broadcasts error:', error);
+      res.status(500).json({
+        message: 'Failed to retrieve broadcasts',
+        error: process.env.NODE_ENV === 'development' ? error.message : 'Internal server error'
+      });
+    }
+  }
+);
+
+// Delivery report: read status of every recipient's copy
+router.get('/broadcasts/:id/report',
+  authenticate,
+  requirePermission('message:broadcast'),
+  validateObjectId('id'),
+  validatePagination,
+  async (req, res) => {
+    try {
+      const broadcast = await Broadcast.findById(req.params.id)
+        .populate('sender', 'username profile.firstName profile.lastName role')
+        .populate('audience.users', 'username profile.firstName profile.lastName role');
+
+      if (!broadcast) {
+        return res.status(404).json({ message: 'Broadcast not found' });
+      }
+
+      if (broadcast.sender._id.toString() !== req.user._id.toString() &&
+        !(await permissionService.hasPermission(req.user, 'message:broadcast:read:any'))) {
+        return res.status(403).json({ message: 'Access denied to this broadcast' });
+      }
+
+      const page = parseInt(req.query.page) || 1;
+      const limit = parseInt(req.query.limit) || 50;
+      const skip = (page - 1) * limit;
+
+      const query = { broadcast: broadcast._id };
+      if (['unread', 'read', 'replied', 'archived'].includes(req.query.status)) {
+        query.status = req.query.status;
+      }
+
+      const copies = await Message.find(query)
+        .select('to status readAt')
+        .populate('to', 'username profile.firstName profile.lastName role')
+        .sort({ _id: 1 })
+        .skip(skip)
+        .limit(limit);
+
+      const total = await Message.countDocuments(query);
+
+      const patients = copies
+        .filter(copy => copy.to?.role === 'patient')
+        .map(copy => copy.to._id);
+      if (patients.length > 0) {
+        await auditService.record(req, {
+          action: 'user.list',
+          resourceType: 'User',
+          patients,
+          metadata: { broadcastId: broadcast._id, resultCount: copies.length }
+        });
+      }
+
+      res.json({
+        broadcast,
+        delivery: await broadcast.getDeliveryCounts(),
+        recipients: copies.map(copy => ({
+          messageId: copy._id,
+          user: copy.to,
+          status: copy.status,
+          readAt: copy.readAt
+        })),
+        pagination: {
+          current: page,
+          pages: Math.ceil(total / limit),
+          total,
+          hasNext: page < Math.ceil(total / limit),
+          hasPrev: page > 1
+        }
+      });
+
+    } catch (error) {
+      console.error('Get broadcast report error:', error);
+      res.status(500).json({
+        message: 'Failed to retrieve broadcast report',
+        error: process.env.NODE_ENV === 'development' ? error.message : 'Internal server error'
+      });
+    }
+  }
+);
+
+router.get('/blocked', authenticate, async (req, res) => {
+  try {
+    const blockedUserIds = await messagingPolicy.getBlockedUserIds(req.user._id);
+    const users = await User.find({ _id: { $in: blockedUserIds } })
+      .select('username role profile.firstName profile.lastName');
+
+    res.json({ users });
+
+  } catch (error) {
+    console.error('Get blocked users error:', error);
+    res.status(500).json({
+      message: 'Failed to retrieve blocked users',
+      error: process.env.NODE_ENV === 'development' ? error.message : 'Internal server error'
+    });
+  }
+});
+
+router.post('/blocked/:userId',
+  authenticate,
+  validateObjectId('userId'),
+  async (req, res) => {
+    try {
+      const { userId } = req.params;
+
+      if (userId === req.user._id.toString()) {
+        return res.status(400).json({ message: 'You cannot block yourself' });
+      }
+
+      const user = await User.findById(userId);
+      if (!user) {
+        return res.status(404).json({ message: 'User not found' });
+      }
+
+      // Unrestricted senders, such as administrators, must always be able to reach users
+      if (await permissionService.hasPermission(user, 'message:unrestricted')) {
+        return res.status(400).json({ message: 'This user must always be able to reach you and cannot be blocked' });
+      }
+
+      await User.updateOne({ _id: req.user._id }, { $addToSet: { blockedUsers: user._id } });
+
+      res.json({ message: 'User blocked successfully' });
+
+    } catch (error) {
+      console.error('Block user error:', error);
+      res.status(500).json({
+        message: 'Failed to block user',
+        error: process.env.NODE_ENV === 'development' ? error.message : 'Internal server error'
+      });
+    }
+  }
+);
+
+router.delete('/blocked/:userId',
+  authenticate,
+  validateObjectId('userId'),
+  async (req, res) => {
+    try {
+      await User.updateOne({ _id: req.user._id }, { $pull: { blockedUsers: req.params.userId } });
+
+      res.json({ message: 'User unblocked successfully' });
+
+    } catch (error) {
+      console.error('Unblock user error:', error);
+      res.status(500).json({
+        message: 'Failed to unblock user',
+        error: process.env.NODE_ENV === 'development' ? error.message : 'Internal server error'
+      });
+    }
+  }
+);
+
+router.get('/threads', authenticate, validatePagination, async (req, res) => {
+  try {
+    const page = parseInt(req.query.page) || 1;
+    const limit = parseInt(req.query.limit) || 20;
+    const skip = (page - 1) * limit;
+
+    const { threads, total } = await Message.getThreadSummaries(req.user._id, { skip, limit });
+
+    res.json({
+      threads,
+      pagination: {
+        current: page,
+        pages: Math.ceil(total / limit),
+        total,
+        hasNext: page < Math.ceil(total / limit),
+        hasPrev: page > 1
+      }
+    });
+
+  } catch (error) {
+    console.error('Get threads error:', error);
+    res.status(500).json({
+      message: 'Failed to retrieve threads',
+      error: process.env.NODE_ENV === 'development' ? error.message : 'Internal server error'
+    });
+  }
+});
+
+router.get('/threads/:threadId',
+  authenticate,
+  validateObjectId('threadId'),
+  async (req, res) => {
+    try {
+      const { threadId } = req.params;
+
+      // Messages from before threading only match on their own id
+      const messages = await Message.find({ $or: [{ thread: threadId }, { _id: threadId }] })
+        .populate('from', 'username profile.firstName profile.lastName role')
+        .populate('to', 'username profile.firstName profile.lastName role')
+        .populate('relatedAppointment', 'appointmentDate timeSlot')
+        .sort({ createdAt: 1 });
+
+      if (messages.length === 0) {
+        return res.status(404).json({ message: 'Thread not found' });
+      }
+
+      // Every message in a thread is between the same two participants
+      if (!(await canViewMessage(req.user, messages[0]))) {
+        return res.status(403).json({ message: 'Access denied to this thread' });
+      }
+
+      await Message.updateMany(
+        {
+          _id: { $in: messages.map(message => message._id) },
+          to: req.user._id,
+          status: 'unread'
+        },
+        {
+          status: 'read',
+          readAt: new Date()
+        }
+      );
+
+      res.json({
+        thread: {
+          _id: threadId,
+          subject: messages[0].subject,
+          messageCount: messages.length
+        },
+        messages
+      });
+
+    } catch (error) {
+      console.error('Get thread error:', error);
+      res.status(500).json({
+        message: 'Failed to retrieve thread',
+        error: process.env.NODE_ENV === 'development' ? error.message : 'Internal server error'
+      });
+    }
+  }
+);
+
 router.get('/:id', 
   authenticate, 
   validateObjectId('id'),
@@ -209,12 +750,7 @@ router.get('/:id',
         return res.status(404).json({ message: 'Message not found' });
       }
 
-      const isAuthorized = 
-        message.from._id.toString() === req.user._id.toString() ||
-        message.to._id.toString() === req.user._id.toString() ||
-        req.user.role === 'admin';
-
-      if (!isAuthorized) {
+      if (!(await canViewMessage(req.user, message))) {
         return res.status(403).json({ message: 'Access denied to this message' });
       }
 
@@ -234,6 +770,42 @@ router.get('/:id',
   }
 );
 
+router.get('/:id/attachments/:attachmentId',
+  authenticate,
+  validateObjectId('id'),
+  validateObjectId('attachmentId'),
+  async (req, res) => {
+    try {
+      const message = await Message.findById(req.params.id);
+
+      if (!message) {
+        return res.status(404).json({ message: 'Message not found' });
+      }
+
+      if (!(await canViewMessage(req.user, message))) {
+        return res.status(403).json({ message: 'Access denied to this message' });
+      }
+
+      const attachment = message.attachments.id(req.params.attachmentId);
+      if (!attachment || !attachment.storageKey) {
+        return res.status(404).json({ message: 'Attachment not found' });
+      }
+
+      await storageService.sendFile(res, attachment);
+
+    } catch (error) {
+      if (error.code === 'ENOENT' || error.name === 'NoSuchKey') {
+        return res.status(404).json({ message: 'Attachment file not found' });
+      }
+      console.error('Download message attachment error:', error);
+      res.status(500).json({
+        message: 'Failed to download attachment',
+        error: process.env.NODE_ENV === 'development' ? error.message : 'Internal server error'
+      });
+    }
+  }
+);
+
 router.patch('/:id/status', 
   authenticate, 
   validateObjectId('id'),
@@ -289,16 +861,14 @@ router.delete('/:id',
         return res.status(404).json({ message: 'Message not found' });
       }
 
-      const canDelete = 
-        message.from.toString() === req.user._id.toString() ||
-        message.to.toString() === req.user._id.toString() ||
-        req.user.role === 'admin';
+      const canDelete = await canViewMessage(req.user, message);
 
       if (!canDelete) {
         return res.status(403).json({ message: 'Access denied' });
       }
 
       await Message.findByIdAndDelete(req.params.id);
+      await storageService.removeFiles(message.attachments);
 
       res.json({ message: 'Message deleted successfully' });
 
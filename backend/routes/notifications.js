@@ -1,7 +1,7 @@
 const express = require('express');
 const EmailNotification = require('../models/EmailNotification');
 const emailService = require('../services/emailService');
-const { authenticate, authorize } = require('../middleware/auth');
+const { authenticate, requirePermission } = require('../middleware/auth');
 const { validateObjectId, validatePagination } = require('../middleware/validation');
 const { body, validationResult } = require('express-validator');
 
@@ -24,6 +24,7 @@ const validateEmailNotification = [
       'treatment_plan_update',
       'system_notification',
       'health_record_shared',
+      'waitlist_offer',
       'password_reset',
       'welcome_email',
       'discharge_instructions'
@@ -57,7 +58,7 @@ const validateEmailNotification = [
 ];
 
 // Create and send email notification
-router.post('/', authenticate, authorize('admin', 'doctor', 'nurse'), validateEmailNotification, async (req, res) => {
+router.post('/', authenticate, requirePermission('notification:send'), validateEmailNotification, async (req, res) => {
   try {
     const { recipient, notificationType, subject, content, metadata, priority, scheduledFor } = req.body;
 
@@ -150,7 +151,7 @@ router.get('/my-notifications', authenticate, validatePagination, async (req, re
 });
 
 // Admin: Get all email notifications
-router.get('/', authenticate, authorize('admin'), validatePagination, async (req, res) => {
+router.get('/', authenticate, requirePermission('notification:manage'), validatePagination, async (req, res) => {
   try {
     const { page = 1, limit = 20, status, type, recipient } = req.query;
     const skip = (page - 1) * limit;
@@ -196,7 +197,7 @@ router.get('/', authenticate, authorize('admin'), validatePagination, async (req
 });
 
 // Retry failed email notification
-router.post('/:id/retry', authenticate, authorize('admin'), validateObjectId('id'), async (req, res) => {
+router.post('/:id/retry', authenticate, requirePermission('notification:manage'), validateObjectId('id'), async (req, res) => {
   try {
     const notification = await EmailNotification.findById(req.params.id);
     
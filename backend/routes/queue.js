@@ -0,0 +1,121 @@
+const express = require('express');
+const Appointment = require('../models/Appointment');
+const auditService = require('../services/auditService');
+const permissionService = require('../services/permissionService');
+const queueService = require('../services/queueService');
+const { changeStatus } = require('../services/appointmentService');
+const { authenticate, authorizeAppointmentAccess } = require('../middleware/auth');
+const { validateObjectId, validateQueueFilters, validateCallNext } = require('../middleware/validation');
+
+const router = express.Router();
+
+const populateForQueue = (appointmentId) => Appointment.findById(appointmentId)
+  .populate('patient', 'username profile.firstName profile.lastName')
+  .populate('doctor', 'username profile.firstName profile.lastName');
+
+// Today's waiting room, per doctor. With queue:read every doctor's queue can be
+// viewed (filter by `doctor` or `department`); doctors who manage their own
+// appointments' status see their own.
+router.get('/', authenticate, validateQueueFilters, async (req, res) => {
+  try {
+    const canReadAll = await permissionService.hasPermission(req.user, 'queue:read');
+    if (!canReadAll && !await permissionService.hasPermission(req.user, 'appointment:status:update:own')) {
+      return res.status(403).json({ message: 'Insufficient permissions' });
+    }
+
+    const { doctor, department } = req.query;
+    let doctorIds;
+    if (!canReadAll) {
+      doctorIds = [req.user._id];
+    } else if (doctor) {
+      doctorIds = [doctor];
+    }
+
+    const { date, queues, appointments } = await queueService.buildQueue({
+      doctorIds,
+      department: canReadAll ? department : undefined
+    });
+
+    await auditService.record(req, {
+      action: 'appointment.list',
+      resourceType: 'Appointment',
+      patients: appointments.map(appointment => appointment.patient),
+      metadata: {
+        view: 'queue',
+        filters: auditService.describeFilters(req.query, ['doctor', 'department']),
+        resultCount: appointments.length
+      }
+    });
+
+    res.json({ date, queues });
+
+  } catch (error) {
+    console.error('Get queue error:', error);
+    res.status(500).json({
+      message: 'Failed to retrieve the queue',
+      error: process.env.NODE_ENV === 'development' ? error.message : 'Internal server error'
+    });
+  }
+});
+
+// Mark a patient as arrived for today's appointment
+router.post('/:id/check-in',
+  authenticate,
+  validateObjectId('id'),
+  authorizeAppointmentAccess,
+  async (req, res) => {
+    try {
+      const result = await changeStatus(req, req.appointment, 'checked-in', req.body.notes);
+      if (!result.appointment) {
+        return res.status(result.status).json({ message: result.message });
+      }
+
+      res.json({
+        message: 'Patient checked in',
+        appointment: await populateForQueue(result.appointment._id)
+      });
+
+    } catch (error) {
+      console.error('Check in error:', error);
+      res.status(500).json({
+        message: 'Failed to check the patient in',
+        error: process.env.NODE_ENV === 'development' ? error.message : 'Internal server error'
+      });
+    }
+  }
+);
+
+// Call the next waiting patient in to a doctor; their visit starts
+router.post('/call-next',
+  authenticate,
+  validateCallNext,
+  async (req, res) => {
+    try {
+      const appointment = await queueService.findNextWaiting(req.body.doctor);
+      if (!appointment) {
+        return res.status(404).json({ message: 'Nobody is waiting for this doctor' });
+      }
+
+      const result = await changeStatus(req, appointment, 'in-progress');
+      if (!result.appointment) {
+        return res.status(result.status).json({ message: result.message });
+      }
+
+      const called = await populateForQueue(result.appointment._id);
+
+      res.json({
+        message: `${called.patient.profile?.firstName || called.patient.username} has been called in`,
+        appointment: called
+      });
+
+    } catch (error) {
+      console.error('Call next patient error:', error);
+      res.status(500).json({
+        message: 'Failed to call the next patient',
+        error: process.env.NODE_ENV === 'development' ? error.message : 'Internal server error'
+      });
+    }
+  }
+);
+
+module.exports = router;
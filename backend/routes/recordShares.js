@@ -0,0 +1,237 @@
+const express = require('express');
+const RecordShare = require('../models/RecordShare');
+const HealthRecord = require('../models/HealthRecord');
+const User = require('../models/User');
+const auditService = require('../services/auditService');
+const emailService = require('../services/emailService');
+const { authenticate, requirePermission } = require('../middleware/auth');
+const { validateRecordShare, validateObjectId, validatePagination } = require('../middleware/validation');
+
+const router = express.Router();
+
+const USER_FIELDS = 'username role profile.firstName profile.lastName profile.specialization';
+
+// What a share link shows: the clinical content, without internal references or storage keys
+const SHARED_RECORD_FIELDS = [
+  'recordType', 'title', 'description', 'clinicalData', 'recordDate', 'visitDate',
+  'facility', 'department', 'priority', 'provider', 'version',
+  'attachments.originalName', 'attachments.mimeType', 'attachments.size'
+].join(' ');
+
+const withActive = (share) => ({ ...share.toObject(), active: share.isActive() });
+
+const populateShare = (query) => query
+  .populate('patient', 'username profile.firstName profile.lastName')
+  .populate('provider', USER_FIELDS)
+  .populate('records', 'title recordType recordDate status');
+
+// Shares the user made as a patient and shares made with them as a provider
+router.get('/', authenticate, validatePagination, async (req, res) => {
+  try {
+    const page = parseInt(req.query.page) || 1;
+    const limit = parseInt(req.query.limit) || 20;
+    const skip = (page - 1) * limit;
+
+    const query = { $or: [{ patient: req.user._id }, { provider: req.user._id }] };
+    if (req.query.active === 'true') {
+      Object.assign(query, RecordShare.activeFilter());
+    }
+
+    const [shares, total] = await Promise.all([
+      populateShare(RecordShare.find(query))
+        .sort({ createdAt: -1 })
+        .skip(skip)
+        .limit(limit),
+      RecordShare.countDocuments(query)
+    ]);
+
+    res.json({
+      shares: shares.map(withActive),
+      pagination: {
+        current: page,
+        pages: Math.ceil(total / limit),
+        total,
+        hasNext: page < Math.ceil(total / limit),
+        hasPrev: page > 1
+      }
+    });
+
+  } catch (error) {
+    console.error('Get record shares error:', error);
+    res.status(500).json({
+      message: 'Failed to retrieve record shares',
+      error: process.env.NODE_ENV === 'development' ? error.message : 'Internal server error'
+    });
+  }
+});
+
+// Share some of the patient's own records with a provider, or by a link emailed to an address
+router.post('/',
+  authenticate,
+  requirePermission('healthRecord:share'),
+  validateRecordShare,
+  async (req, res) => {
+    try {
+      const { provider, email, recordTypes = [], note, expiresAt } = req.body;
+      const records = [...new Set(req.body.records || [])];
+
+      if (new Date(expiresAt) > RecordShare.maxExpiry()) {
+        return res.status(400).json({
+          message: `Shares can last at most ${RecordShare.MAX_SHARE_DAYS} days`
+        });
+      }
+
+      if (records.length > 0) {
+        const ownRecords = await HealthRecord.countDocuments({
+          _id: { $in: records },
+          patient: req.user._id,
+          status: { $ne: 'amended' }
+        });
+        if (ownRecords !== records.length) {
+          return res.status(400).json({ message: 'Only your own current records can be shared' });
+        }
+      }
+
+      if (provider) {
+        const providerUser = await User.findById(provider);
+        if (!providerUser || !['doctor', 'nurse'].includes(providerUser.role) || !providerUser.isActive) {
+          return res.status(400).json({ message: 'Records can only be shared with an active doctor or nurse' });
+        }
+      }
+
+      const share = new RecordShare({
+        patient: req.user._id,
+        records,
+        recordTypes,
+        provider: provider || undefined,
+        email: provider ? undefined : email,
+        note,
+        expiresAt
+      });
+      const linkToken = share.provider ? null : share.createLinkToken();
+      await share.save();
+
+      try {
+        await emailService.sendRecordShareNotification(share, linkToken);
+      } catch (notifyError) {
+        console.error('Record share notification error:', notifyError);
+      }
+
+      await auditService.record(req, {
+        action: 'health_record.share',
+        resourceType: 'RecordShare',
+        resourceId: share._id,
+        patients: [req.user._id],
+        metadata: {
+          provider: share.provider,
+          link: Boolean(linkToken),
+          records: records.length,
+          recordTypes,
+          expiresAt: share.expiresAt
+        }
+      });
+
+      const populated = await populateShare(RecordShare.findById(share._id));
+
+      res.status(201).json({
+        message: linkToken ? `Share link sent to ${share.email}` : 'Records shared successfully',
+        share: withActive(populated),
+        // Only returned here, so the patient can copy the link
+        linkToken
+      });
+
+    } catch (error) {
+      console.error('Create record share error:', error);
+      res.status(500).json({
+        message: 'Failed to share records',
+        error: process.env.NODE_ENV === 'development' ? error.message : 'Internal server error'
+      });
+    }
+  }
+);
+
+// Revoke a share now; only the patient who made it can
+router.delete('/:id',
+  authenticate,
+  validateObjectId('id'),
+  async (req, res) => {
+    try {
+      const share = await RecordShare.findOne({ _id: req.params.id, patient: req.user._id });
+      if (!share) {
+        return res.status(404).json({ message: 'Record share not found' });
+      }
+
+      if (share.revokedAt) {
+        return res.status(400).json({ message: 'Record share has already been revoked' });
+      }
+
+      share.revokedAt = new Date();
+      await share.save();
+
+      await auditService.record(req, {
+        action: 'health_record.share_revoke',
+        resourceType: 'RecordShare',
+        resourceId: share._id,
+        patients: [share.patient]
+      });
+
+      res.json({
+        message: 'Record share revoked successfully',
+        share: withActive(share)
+      });
+
+    } catch (error) {
+      console.error('Revoke record share error:', error);
+      res.status(500).json({
+        message: 'Failed to revoke record share',
+        error: process.env.NODE_ENV === 'development' ? error.message : 'Internal server error'
+      });
+    }
+  }
+);
+
+// View the records behind a share link. No account needed: the token is the credential.
+router.get('/link/:token', async (req, res) => {
+  try {
+    const share = await RecordShare.findByLinkToken(req.params.token)
+      .populate('patient', 'profile.firstName profile.lastName profile.dateOfBirth');
+
+    if (!share) {
+      return res.status(404).json({ message: 'This share link is invalid or has expired' });
+    }
+
+    const records = await HealthRecord.find({ ...share.toRecordFilter(), status: { $ne: 'amended' } })
+      .select(SHARED_RECORD_FIELDS)
+      .populate('provider', 'profile.firstName profile.lastName profile.specialization')
+      .sort({ recordDate: -1 });
+
+    await RecordShare.updateOne(
+      { _id: share._id },
+      { $set: { lastAccessedAt: new Date() }, $inc: { accessCount: 1 } }
+    );
+
+    await auditService.record(req, {
+      action: 'health_record.share_view',
+      resourceType: 'RecordShare',
+      resourceId: share._id,
+      patients: [share.patient],
+      metadata: { resultCount: records.length }
+    });
+
+    res.json({
+      patient: share.patient,
+      note: share.note,
+      expiresAt: share.expiresAt,
+      records
+    });
+
+  } catch (error) {
+    console.error('View shared records error:', error);
+    res.status(500).json({
+      message: 'Failed to retrieve shared records',
+      error: process.env.NODE_ENV === 'development' ? error.message : 'Internal server error'
+    });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,246 @@
+const express = require('express');
+const DoctorSchedule = require('../models/DoctorSchedule');
+const User = require('../models/User');
+const permissionService = require('../services/permissionService');
+const { authenticate } = require('../middleware/auth');
+const { validateObjectId, handleValidationErrors } = require('../middleware/validation');
+const { body } = require('express-validator');
+
+const router = express.Router();
+
+const TIME_PATTERN = /^([0-1]?[0-9]|2[0-3]):[0-5][0-9]$/;
+const DATE_KEY_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+
+const validateSchedule = [
+  body('slotDuration')
+    .optional()
+    .isInt({ min: 15, max: 240 })
+    .withMessage('Slot length must be between 15 and 240 minutes'),
+
+  body(['weeklyHours', 'breaks'])
+    .optional()
+    .isArray()
+    .withMessage('Weekly hours and breaks must be arrays'),
+
+  body(['weeklyHours.*.dayOfWeek', 'breaks.*.dayOfWeek'])
+    .isInt({ min: 0, max: 6 })
+    .withMessage('Day of week must be between 0 (Sunday) and 6 (Saturday)'),
+
+  body(['weeklyHours.*.start', 'weeklyHours.*.end', 'breaks.*.start', 'breaks.*.end'])
+    .matches(TIME_PATTERN)
+    .withMessage('Times must be in HH:MM format'),
+
+  handleValidationErrors
+];
+
+const validateScheduleException = [
+  body('type')
+    .isIn(['unavailable', 'extra_session'])
+    .withMessage('Exception type must be unavailable or extra_session'),
+
+  body('date')
+    .matches(DATE_KEY_PATTERN)
+    .withMessage('Date must be in YYYY-MM-DD format'),
+
+  body('endDate')
+    .optional()
+    .matches(DATE_KEY_PATTERN)
+    .withMessage('End date must be in YYYY-MM-DD format'),
+
+  body(['start', 'end'])
+    .optional()
+    .matches(TIME_PATTERN)
+    .withMessage('Times must be in HH:MM format'),
+
+  body('reason')
+    .optional()
+    .trim()
+    .isLength({ max: 200 })
+    .withMessage('Reason cannot exceed 200 characters'),
+
+  handleValidationErrors
+];
+
+// Doctors may change their own schedule; other schedules need schedule:manage:any
+const authorizeScheduleManagement = async (req, res, next) => {
+  try {
+    const isOwnSchedule = req.user._id.toString() === req.params.doctorId;
+    const allowed = isOwnSchedule
+      ? await permissionService.hasPermission(req.user, 'schedule:manage:own', 'schedule:manage:any')
+      : await permissionService.hasPermission(req.user, 'schedule:manage:any');
+
+    if (!allowed) {
+      return res.status(403).json({ message: 'Not authorized to manage this schedule' });
+    }
+
+    next();
+  } catch (error) {
+    res.status(500).json({ message: 'Server error during authorization.' });
+  }
+};
+
+const findDoctor = async (doctorId) => {
+  const doctor = await User.findById(doctorId);
+  return doctor && doctor.role === 'doctor' ? doctor : null;
+};
+
+// Get a doctor's schedule (the default template if none is configured)
+router.get('/:doctorId',
+  authenticate,
+  validateObjectId('doctorId'),
+  async (req, res) => {
+    try {
+      const doctor = await findDoctor(req.params.doctorId);
+      if (!doctor) {
+        return res.status(404).json({ message: 'Doctor not found' });
+      }
+
+      const schedule = await DoctorSchedule.findForDoctor(doctor._id);
+
+      res.json({
+        schedule,
+        isDefault: schedule.isNew
+      });
+
+    } catch (error) {
+      console.error('Get doctor schedule error:', error);
+      res.status(500).json({
+        message: 'Failed to retrieve schedule',
+        error: process.env.NODE_ENV === 'development' ? error.message : 'Internal server error'
+      });
+    }
+  }
+);
+
+// Replace the weekly template
+router.put('/:doctorId',
+  authenticate,
+  validateObjectId('doctorId'),
+  authorizeScheduleManagement,
+  validateSchedule,
+  async (req, res) => {
+    try {
+      const doctor = await findDoctor(req.params.doctorId);
+      if (!doctor) {
+        return res.status(404).json({ message: 'Doctor not found' });
+      }
+
+      const { slotDuration, weeklyHours, breaks } = req.body;
+      const schedule = await DoctorSchedule.findForDoctor(doctor._id);
+
+      if (slotDuration !== undefined) schedule.slotDuration = slotDuration;
+      if (weeklyHours) schedule.weeklyHours = weeklyHours;
+      if (breaks) schedule.breaks = breaks;
+      schedule.updatedBy = req.user._id;
+
+      try {
+        await schedule.save();
+      } catch (saveError) {
+        if (saveError.name === 'ValidationError') {
+          return res.status(400).json({ message: saveError.message });
+        }
+        throw saveError;
+      }
+
+      res.json({
+        message: 'Schedule updated successfully',
+        schedule
+      });
+
+    } catch (error) {
+      console.error('Update doctor schedule error:', error);
+      res.status(500).json({
+        message: 'Failed to update schedule',
+        error: process.env.NODE_ENV === 'development' ? error.message : 'Internal server error'
+      });
+    }
+  }
+);
+
+// Add a date-specific exception (vacation, blocked time or extra session)
+router.post('/:doctorId/exceptions',
+  authenticate,
+  validateObjectId('doctorId'),
+  authorizeScheduleManagement,
+  validateScheduleException,
+  async (req, res) => {
+    try {
+      const doctor = await findDoctor(req.params.doctorId);
+      if (!doctor) {
+        return res.status(404).json({ message: 'Doctor not found' });
+      }
+
+      const { type, date, endDate, start, end, reason } = req.body;
+      const schedule = await DoctorSchedule.findForDoctor(doctor._id);
+
+      schedule.exceptions.push({
+        type,
+        date,
+        endDate,
+        start,
+        end,
+        reason,
+        createdBy: req.user._id
+      });
+      schedule.updatedBy = req.user._id;
+
+      try {
+        await schedule.save();
+      } catch (saveError) {
+        if (saveError.name === 'ValidationError') {
+          return res.status(400).json({ message: saveError.message });
+        }
+        throw saveError;
+      }
+
+      res.status(201).json({
+        message: 'Schedule exception added successfully',
+        exception: schedule.exceptions[schedule.exceptions.length - 1],
+        schedule
+      });
+
+    } catch (error) {
+      console.error('Add schedule exception error:', error);
+      res.status(500).json({
+        message: 'Failed to add schedule exception',
+        error: process.env.NODE_ENV === 'development' ? error.message : 'Internal server error'
+      });
+    }
+  }
+);
+
+// Remove a date-specific exception
+router.delete('/:doctorId/exceptions/:exceptionId',
+  authenticate,
+  validateObjectId('doctorId'),
+  validateObjectId('exceptionId'),
+  authorizeScheduleManagement,
+  async (req, res) => {
+    try {
+      const schedule = await DoctorSchedule.findOne({ doctor: req.params.doctorId });
+      const exception = schedule?.exceptions.id(req.params.exceptionId);
+
+      if (!exception) {
+        return res.status(404).json({ message: 'Schedule exception not found' });
+      }
+
+      exception.deleteOne();
+      schedule.updatedBy = req.user._id;
+      await schedule.save();
+
+      res.json({
+        message: 'Schedule exception removed successfully',
+        schedule
+      });
+
+    } catch (error) {
+      console.error('Remove schedule exception error:', error);
+      res.status(500).json({
+        message: 'Failed to remove schedule exception',
+        error: process.env.NODE_ENV === 'development' ? error.message : 'Internal server error'
+      });
+    }
+  }
+);
+
+module.exports = router;
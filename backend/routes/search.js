@@ -0,0 +1,50 @@
+const express = require('express');
+const { authenticate } = require('../middleware/auth');
+const { validateSearch } = require('../middleware/validation');
+const searchService = require('../services/searchService');
+const auditService = require('../services/auditService');
+
+const router = express.Router();
+
+// @route   GET /api/search
+// @desc    Search health records, messages and users the current user can access
+// @access  Private
+router.get('/', authenticate, validateSearch, async (req, res) => {
+  try {
+    const search = req.query.q;
+    const types = req.query.types ? [...new Set(req.query.types.split(','))] : searchService.SEARCH_TYPES;
+    const limit = parseInt(req.query.limit) || 5;
+
+    const { terms, results } = await searchService.search(req.user, search, { types, limit });
+
+    if (results.records?.items.length > 0) {
+      await auditService.record(req, {
+        action: 'health_record.list',
+        resourceType: 'HealthRecord',
+        patients: results.records.items.map(record => record.patient),
+        metadata: { filters: { search }, resultCount: results.records.items.length }
+      });
+    }
+
+    const patients = (results.users?.items || []).filter(user => user.role === 'patient');
+    if (patients.length > 0) {
+      await auditService.record(req, {
+        action: 'user.list',
+        resourceType: 'User',
+        patients,
+        metadata: { filters: { search }, resultCount: results.users.items.length }
+      });
+    }
+
+    res.json({ query: search, terms, results });
+
+  } catch (error) {
+    console.error('Search error:', error);
+    res.status(500).json({
+      message: 'Search failed',
+      error: process.env.NODE_ENV === 'development' ? error.message : 'Internal server error'
+    });
+  }
+});
+
+module.exports = router;
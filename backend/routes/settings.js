@@ -0,0 +1,274 @@
+const express = require('express');
+const SystemSetting = require('../models/SystemSetting');
+const User = require('../models/User');
+const Session = require('../models/Session');
+const RolePermission = require('../models/RolePermission');
+const permissionService = require('../services/permissionService');
+const auditService = require('../services/auditService');
+const { authenticate, requirePermission } = require('../middleware/auth');
+const { handleValidationErrors } = require('../middleware/validation');
+const { body, param } = require('express-validator');
+
+const router = express.Router();
+
+const validateSecuritySettings = [
+  body('twoFactorRequiredRoles')
+    .isArray()
+    .withMessage('Two-factor required roles must be an array'),
+
+  body('twoFactorRequiredRoles.*')
+    .isIn(SystemSetting.TWO_FACTOR_ENFORCEABLE_ROLES)
+    .withMessage(`Two-factor can only be required for: ${SystemSetting.TWO_FACTOR_ENFORCEABLE_ROLES.join(', ')}`),
+
+  handleValidationErrors
+];
+
+const validateMessagingSettings = [
+  ...SystemSetting.MESSAGING_SETTING_KEYS.map(key =>
+    body(key)
+      .optional()
+      .isBoolean()
+      .withMessage(`${key} must be true or false`)
+  ),
+
+  handleValidationErrors
+];
+
+const validateRole = [
+  param('role')
+    .isIn(RolePermission.ROLES)
+    .withMessage(`Role must be one of: ${RolePermission.ROLES.join(', ')}`),
+
+  handleValidationErrors
+];
+
+const validateRolePermissions = [
+  body('permissions')
+    .isArray()
+    .withMessage('Permissions must be an array'),
+
+  body('permissions.*')
+    .isIn(Object.keys(RolePermission.PERMISSIONS))
+    .withMessage('Unknown permission'),
+
+  handleValidationErrors
+];
+
+const describeRoles = async () => ({
+  roles: await RolePermission.getMatrix(),
+  permissions: Object.entries(RolePermission.PERMISSIONS).map(([key, description]) => ({ key, description })),
+  lockedAdminPermissions: RolePermission.LOCKED_ADMIN_PERMISSIONS
+});
+
+// What a role gained and lost, for the audit trail
+const describePermissionChange = (previous, next) => ({
+  added: next.filter(permission => !previous.includes(permission)),
+  removed: previous.filter(permission => !next.includes(permission))
+});
+
+router.get('/security',
+  authenticate,
+  requirePermission('settings:manage'),
+  async (req, res) => {
+    try {
+      const settings = await SystemSetting.getSecuritySettings();
+
+      res.json({
+        settings,
+        enforceableRoles: SystemSetting.TWO_FACTOR_ENFORCEABLE_ROLES
+      });
+
+    } catch (error) {
+      console.error('Get security settings error:', error);
+      res.status(500).json({
+        message: 'Failed to retrieve security settings',
+        error: process.env.NODE_ENV === 'development' ? error.message : 'Internal server error'
+      });
+    }
+  }
+);
+
+router.put('/security',
+  authenticate,
+  requirePermission('settings:manage'),
+  validateSecuritySettings,
+  async (req, res) => {
+    try {
+      const twoFactorRequiredRoles = [...new Set(req.body.twoFactorRequiredRoles)];
+
+      // Stop an admin from locking themselves into an enrollment they have not done
+      if (twoFactorRequiredRoles.includes('admin') && !req.user.twoFactor?.enabled) {
+        return res.status(400).json({
+          message: 'Enable two-factor authentication on your own account before requiring it for admins'
+        });
+      }
+
+      const previousRoles = await SystemSetting.getValue('security.twoFactorRequiredRoles');
+      await SystemSetting.setValue('security.twoFactorRequiredRoles', twoFactorRequiredRoles, req.user._id);
+
+      // Sign out users of newly covered roles who have not enrolled, so their next
+      // login goes through setup
+      const newlyRequiredRoles = twoFactorRequiredRoles.filter(role => !previousRoles.includes(role));
+      let revokedSessions = 0;
+
+      if (newlyRequiredRoles.length > 0) {
+        const unenrolledUsers = await User.find({
+          role: { $in: newlyRequiredRoles },
+          'twoFactor.enabled': { $ne: true }
+        }).select('_id');
+
+        for (const user of unenrolledUsers) {
+          revokedSessions += await Session.revokeAllForUser(user._id, 'admin', req.user._id);
+        }
+      }
+
+      res.json({
+        message: 'Security settings updated successfully',
+        settings: await SystemSetting.getSecuritySettings(),
+        revokedSessions
+      });
+
+    } catch (error) {
+      console.error('Update security settings error:', error);
+      res.status(500).json({
+        message: 'Failed to update security settings',
+        error: process.env.NODE_ENV === 'development' ? error.message : 'Internal server error'
+      });
+    }
+  }
+);
+
+router.get('/messaging',
+  authenticate,
+  requirePermission('settings:manage'),
+  async (req, res) => {
+    try {
+      res.json({ settings: await SystemSetting.getMessagingSettings() });
+
+    } catch (error) {
+      console.error('Get messaging settings error:', error);
+      res.status(500).json({
+        message: 'Failed to retrieve messaging settings',
+        error: process.env.NODE_ENV === 'development' ? error.message : 'Internal server error'
+      });
+    }
+  }
+);
+
+router.put('/messaging',
+  authenticate,
+  requirePermission('settings:manage'),
+  validateMessagingSettings,
+  async (req, res) => {
+    try {
+      for (const key of SystemSetting.MESSAGING_SETTING_KEYS) {
+        if (req.body[key] !== undefined) {
+          await SystemSetting.setValue(`messaging.${key}`, req.body[key] === true || req.body[key] === 'true', req.user._id);
+        }
+      }
+
+      res.json({
+        message: 'Messaging settings updated successfully',
+        settings: await SystemSetting.getMessagingSettings()
+      });
+
+    } catch (error) {
+      console.error('Update messaging settings error:', error);
+      res.status(500).json({
+        message: 'Failed to update messaging settings',
+        error: process.env.NODE_ENV === 'development' ? error.message : 'Internal server error'
+      });
+    }
+  }
+);
+
+router.get('/roles',
+  authenticate,
+  requirePermission('role:manage'),
+  async (req, res) => {
+    try {
+      res.json(await describeRoles());
+
+    } catch (error) {
+      console.error('Get role permissions error:', error);
+      res.status(500).json({
+        message: 'Failed to retrieve role permissions',
+        error: process.env.NODE_ENV === 'development' ? error.message : 'Internal server error'
+      });
+    }
+  }
+);
+
+router.put('/roles/:role',
+  authenticate,
+  requirePermission('role:manage'),
+  validateRole,
+  validateRolePermissions,
+  async (req, res) => {
+    try {
+      const { role } = req.params;
+      const permissions = role === 'admin'
+        ? [...req.body.permissions, ...RolePermission.LOCKED_ADMIN_PERMISSIONS]
+        : req.body.permissions;
+
+      const previous = await RolePermission.getPermissions(role);
+      const saved = await RolePermission.setPermissions(role, permissions, req.user._id);
+      permissionService.invalidate(role);
+
+      await auditService.record(req, {
+        action: 'role.permissions_update',
+        resourceType: 'RolePermission',
+        resourceId: saved._id,
+        metadata: { role, ...describePermissionChange(previous, [...saved.permissions]) }
+      });
+
+      res.json({
+        message: `Permissions for ${role} updated successfully`,
+        ...await describeRoles()
+      });
+
+    } catch (error) {
+      console.error('Update role permissions error:', error);
+      res.status(500).json({
+        message: 'Failed to update role permissions',
+        error: process.env.NODE_ENV === 'development' ? error.message : 'Internal server error'
+      });
+    }
+  }
+);
+
+// Go back to the built-in permissions of a role
+router.delete('/roles/:role',
+  authenticate,
+  requirePermission('role:manage'),
+  validateRole,
+  async (req, res) => {
+    try {
+      const { role } = req.params;
+      const previous = await RolePermission.getPermissions(role);
+      const removed = await RolePermission.findOneAndDelete({ role });
+      permissionService.invalidate(role);
+
+      await auditService.record(req, {
+        action: 'role.permissions_reset',
+        resourceType: 'RolePermission',
+        resourceId: removed?._id,
+        metadata: { role, ...describePermissionChange(previous, await RolePermission.getPermissions(role)) }
+      });
+
+      res.json({
+        message: `Permissions for ${role} reset to defaults`,
+        ...await describeRoles()
+      });
+
+    } catch (error) {
+      console.error('Reset role permissions error:', error);
+      res.status(500).json({
+        message: 'Failed to reset role permissions',
+        error: process.env.NODE_ENV === 'development' ? error.message : 'Internal server error'
+      });
+    }
+  }
+);
+
+module.exports = router;
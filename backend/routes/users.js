@@ -1,13 +1,36 @@
 const express = require('express');
 const User = require('../models/User');
-const { authenticate, authorize, authorizeOwnerOrRole } = require('../middleware/auth');
+const Session = require('../models/Session');
+const auditService = require('../services/auditService');
+const permissionService = require('../services/permissionService');
+const careAccessService = require('../services/careAccessService');
+const { authenticate, requirePermission, requireOwnerOrPermission } = require('../middleware/auth');
 const { validateUpdateProfile, validateObjectId, validatePagination } = require('../middleware/validation');
 
 const router = express.Router();
 
+// Only patient accounts appear in the patient-facing access log
+const patientIdsOf = (...users) => users
+  .filter(user => user && user.role === 'patient')
+  .map(user => user._id);
+
+const LIST_FIELDS = [
+  'username',
+  'email',
+  'role',
+  'profile.firstName',
+  'profile.lastName',
+  'profile.phone',
+  'profile.specialization',
+  'profile.department',
+  'isActive',
+  'twoFactor.enabled',
+  'createdAt'
+].join(' ');
+
 router.get('/', 
   authenticate, 
-  authorize('admin', 'nurse'), 
+  requirePermission('user:list'), 
   validatePagination,
   async (req, res) => {
     try {
@@ -32,14 +55,26 @@ router.get('/',
         ];
       }
 
+      // Directory fields only: clinical details such as the medical history stay behind
+      // the care team check of GET /:id
       const users = await User.find(query)
-        .select('-password')
+        .select(LIST_FIELDS)
         .sort({ createdAt: -1 })
         .skip(skip)
         .limit(limit);
 
       const total = await User.countDocuments(query);
 
+      await auditService.record(req, {
+        action: 'user.list',
+        resourceType: 'User',
+        patients: patientIdsOf(...users),
+        metadata: {
+          filters: auditService.describeFilters(req.query, ['role', 'search', 'page', 'limit']),
+          resultCount: users.length
+        }
+      });
+
       res.json({
         users,
         pagination: {
@@ -106,10 +141,64 @@ router.get('/doctors', authenticate, validatePagination, async (req, res) => {
   }
 });
 
+// Name lookup for picking message recipients. Patients only find staff, since
+// those are the only users they can message.
+router.get('/search', authenticate, async (req, res) => {
+  try {
+    const search = (req.query.q || '').trim();
+    if (search.length < 2) {
+      return res.json({ users: [] });
+    }
+
+    const sanitizedSearch = search.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+    const query = {
+      _id: { $ne: req.user._id },
+      isActive: true,
+      $or: [
+        { username: { $regex: sanitizedSearch, $options: 'i' } },
+        { 'profile.firstName': { $regex: sanitizedSearch, $options: 'i' } },
+        { 'profile.lastName': { $regex: sanitizedSearch, $options: 'i' } }
+      ]
+    };
+
+    // Users who may not view patients' profiles only find staff; everyone else may
+    // narrow the results to one role
+    if (!(await permissionService.hasPermission(req.user, 'user:read:any'))) {
+      query.role = { $in: ['doctor', 'nurse', 'admin'] };
+    } else if (User.schema.path('role').enumValues.includes(req.query.role)) {
+      query.role = req.query.role;
+    }
+
+    const users = await User.find(query)
+      .select('username role profile.firstName profile.lastName profile.specialization profile.department')
+      .sort({ 'profile.firstName': 1 })
+      .limit(10);
+
+    const patients = patientIdsOf(...users);
+    if (patients.length > 0) {
+      await auditService.record(req, {
+        action: 'user.list',
+        resourceType: 'User',
+        patients,
+        metadata: { filters: { search }, resultCount: users.length }
+      });
+    }
+
+    res.json({ users });
+
+  } catch (error) {
+    console.error('Search users error:', error);
+    res.status(500).json({
+      message: 'Failed to search users',
+      error: process.env.NODE_ENV === 'development' ? error.message : 'Internal server error'
+    });
+  }
+});
+
 router.get('/:id', 
   authenticate, 
   validateObjectId('id'),
-  authorizeOwnerOrRole('admin', 'nurse', 'doctor'),
+  requireOwnerOrPermission('user:read:any'),
   async (req, res) => {
     try {
       const user = await User.findById(req.params.id).select('-password');
@@ -118,6 +207,30 @@ router.get('/:id',
         return res.status(404).json({ message: 'User not found' });
       }
 
+      // A patient's profile holds their medical history, so staff need to be on their care team
+      let access = null;
+      if (user.role === 'patient' && !(await permissionService.hasPermission(req.user, 'user:manage'))) {
+        access = await careAccessService.getPatientAccess(req.user, user._id);
+        if (!access) {
+          await auditService.record(req, {
+            action: 'user.view',
+            resourceType: 'User',
+            resourceId: user._id,
+            patients: [user._id],
+            outcome: 'denied'
+          });
+          return res.status(403).json({ message: 'You are not on this patient\'s care team' });
+        }
+      }
+
+      await auditService.record(req, {
+        action: 'user.view',
+        resourceType: 'User',
+        resourceId: user._id,
+        patients: patientIdsOf(user),
+        metadata: careAccessService.describeAccess(access)
+      });
+
       res.json({ user: user.getPublicProfile() });
 
     } catch (error) {
@@ -133,7 +246,7 @@ router.get('/:id',
 router.put('/:id/profile', 
   authenticate, 
   validateObjectId('id'),
-  authorizeOwnerOrRole('admin', 'patient', 'doctor', 'nurse'),
+  requireOwnerOrPermission('user:manage'),
   validateUpdateProfile,
   async (req, res) => {
     try {
@@ -149,6 +262,14 @@ router.put('/:id/profile',
         return res.status(404).json({ message: 'User not found' });
       }
 
+      await auditService.record(req, {
+        action: 'user.update',
+        resourceType: 'User',
+        resourceId: user._id,
+        patients: patientIdsOf(user),
+        metadata: { fields: Object.keys(profile || {}).map(field => `profile.${field}`) }
+      });
+
       res.json({
         message: 'Profile updated successfully',
         user: user.getPublicProfile()
@@ -166,7 +287,7 @@ router.put('/:id/profile',
 
 router.patch('/:id/status', 
   authenticate, 
-  authorize('admin'),
+  requirePermission('user:manage'),
   validateObjectId('id'),
   async (req, res) => {
     try {
@@ -186,9 +307,23 @@ router.patch('/:id/status',
         return res.status(404).json({ message: 'User not found' });
       }
 
+      let revokedSessions = 0;
+      if (!isActive) {
+        revokedSessions = await Session.revokeAllForUser(user._id, 'account_deactivated', req.user._id);
+      }
+
+      await auditService.record(req, {
+        action: 'user.status_change',
+        resourceType: 'User',
+        resourceId: user._id,
+        patients: patientIdsOf(user),
+        metadata: { isActive, revokedSessions }
+      });
+
       res.json({
         message: `User ${isActive ? 'activated' : 'deactivated'} successfully`,
-        user: user.getPublicProfile()
+        user: user.getPublicProfile(),
+        revokedSessions
       });
 
     } catch (error) {
@@ -201,9 +336,81 @@ router.patch('/:id/status',
   }
 );
 
+// List a user's active sessions
+router.get('/:id/sessions',
+  authenticate,
+  requirePermission('user:manage'),
+  validateObjectId('id'),
+  async (req, res) => {
+    try {
+      const user = await User.findById(req.params.id);
+
+      if (!user) {
+        return res.status(404).json({ message: 'User not found' });
+      }
+
+      const sessions = await Session.findActiveForUser(user._id);
+
+      await auditService.record(req, {
+        action: 'user.sessions_view',
+        resourceType: 'User',
+        resourceId: user._id,
+        patients: patientIdsOf(user)
+      });
+
+      res.json({ sessions });
+
+    } catch (error) {
+      console.error('Get user sessions error:', error);
+      res.status(500).json({
+        message: 'Failed to retrieve user sessions',
+        error: process.env.NODE_ENV === 'development' ? error.message : 'Internal server error'
+      });
+    }
+  }
+);
+
+// Revoke all of a user's sessions, signing them out on every device
+router.delete('/:id/sessions',
+  authenticate,
+  requirePermission('user:manage'),
+  validateObjectId('id'),
+  async (req, res) => {
+    try {
+      const user = await User.findById(req.params.id);
+
+      if (!user) {
+        return res.status(404).json({ message: 'User not found' });
+      }
+
+      const revokedSessions = await Session.revokeAllForUser(user._id, 'admin', req.user._id);
+
+      await auditService.record(req, {
+        action: 'user.sessions_revoke',
+        resourceType: 'User',
+        resourceId: user._id,
+        patients: patientIdsOf(user),
+        metadata: { revokedSessions }
+      });
+
+      res.json({
+        message: 'User sessions revoked successfully',
+        revokedSessions
+      });
+
+    } catch (error) {
+      console.error('Revoke user sessions error:', error);
+      res.status(500).json({
+        message: 'Failed to revoke user sessions',
+        error: process.env.NODE_ENV === 'development' ? error.message : 'Internal server error'
+      });
+    }
+  }
+);
+
 router.delete('/:id', 
   authenticate, 
-  authorize('admin'),
+  requirePermission('user:manage'),
   validateObjectId('id'),
   async (req, res) => {
     try {
@@ -213,6 +420,16 @@ router.delete('/:id',
         return res.status(404).json({ message: 'User not found' });
       }
 
+      await Session.revokeAllForUser(user._id, 'admin', req.user._id);
+
+      await auditService.record(req, {
+        action: 'user.delete',
+        resourceType: 'User',
+        resourceId: user._id,
+        patients: patientIdsOf(user),
+        metadata: { username: user.username, role: user.role }
+      });
+
       res.json({ message: 'User deleted successfully' });
 
     } catch (error) {
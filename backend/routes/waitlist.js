@@ -0,0 +1,285 @@
+const express = require('express');
+const WaitlistEntry = require('../models/WaitlistEntry');
+const WaitlistOffer = require('../models/WaitlistOffer');
+const Appointment = require('../models/Appointment');
+const User = require('../models/User');
+const auditService = require('../services/auditService');
+const permissionService = require('../services/permissionService');
+const waitlistService = require('../services/waitlistService');
+const { announceBooking } = require('../services/appointmentService');
+const { authenticate, requirePermission } = require('../middleware/auth');
+const { validateWaitlistEntry, validateObjectId, validatePagination } = require('../middleware/validation');
+
+const router = express.Router();
+
+const MAX_WAIT_DAYS = 90;
+const DOCTOR_FIELDS = 'username profile.firstName profile.lastName profile.specialization';
+
+const withOpen = (offer) => ({ ...offer.toObject(), open: offer.isOpen() });
+
+// Waitlist entries: your own, or everyone's with waitlist:manage. Each comes with
+// the offers made for it, newest first.
+router.get('/', authenticate, validatePagination, async (req, res) => {
+  try {
+    const page = parseInt(req.query.page) || 1;
+    const limit = parseInt(req.query.limit) || 20;
+    const skip = (page - 1) * limit;
+
+    const canManage = await permissionService.hasPermission(req.user, 'waitlist:manage');
+    const query = canManage ? {} : { patient: req.user._id };
+    if (req.query.status) {
+      query.status = req.query.status;
+    }
+    if (canManage && req.query.doctor) {
+      query.doctor = req.query.doctor;
+    }
+
+    const [entries, total] = await Promise.all([
+      WaitlistEntry.find(query)
+        .populate('patient', 'username profile.firstName profile.lastName')
+        .populate('doctor', DOCTOR_FIELDS)
+        .populate('appointment', 'appointmentDate timeSlot status')
+        .sort({ createdAt: -1 })
+        .skip(skip)
+        .limit(limit),
+      WaitlistEntry.countDocuments(query)
+    ]);
+
+    const offers = await WaitlistOffer.find({ entry: { $in: entries.map(entry => entry._id) } })
+      .populate('doctor', DOCTOR_FIELDS)
+      .sort({ createdAt: -1 });
+
+    res.json({
+      entries: entries.map(entry => ({
+        ...entry.toObject(),
+        offers: offers
+          .filter(offer => offer.entry.equals(entry._id))
+          .map(withOpen)
+      })),
+      pagination: {
+        current: page,
+        pages: Math.ceil(total / limit),
+        total,
+        hasNext: page < Math.ceil(total / limit),
+        hasPrev: page > 1
+      }
+    });
+
+  } catch (error) {
+    console.error('Get waitlist error:', error);
+    res.status(500).json({
+      message: 'Failed to retrieve waitlist',
+      error: process.env.NODE_ENV === 'development' ? error.message : 'Internal server error'
+    });
+  }
+});
+
+// Join the waitlist for a doctor, or for any doctor of a specialization
+router.post('/',
+  authenticate,
+  requirePermission('appointment:create'),
+  validateWaitlistEntry,
+  async (req, res) => {
+    try {
+      const { doctor, specialization, timeFrom, timeTo, reason, type } = req.body;
+
+      const today = new Date();
+      today.setHours(0, 0, 0, 0);
+      const dateFrom = new Date(Math.max(new Date(req.body.dateFrom), today));
+      dateFrom.setHours(0, 0, 0, 0);
+      const dateTo = new Date(req.body.dateTo);
+      dateTo.setHours(23, 59, 59, 999);
+
+      if (dateTo < today) {
+        return res.status(400).json({ message: 'The latest date has already passed' });
+      }
+      if (dateTo - dateFrom > MAX_WAIT_DAYS * 24 * 60 * 60 * 1000) {
+        return res.status(400).json({ message: `You can wait for at most ${MAX_WAIT_DAYS} days at a time` });
+      }
+
+      if (doctor) {
+        const doctorUser = await User.findById(doctor);
+        if (!doctorUser || doctorUser.role !== 'doctor' || !doctorUser.isActive) {
+          return res.status(400).json({ message: 'Invalid or inactive doctor selected' });
+        }
+      } else if (!await User.exists({ role: 'doctor', isActive: true, 'profile.specialization': specialization })) {
+        return res.status(400).json({ message: 'No active doctor has this specialization' });
+      }
+
+      const waiting = await WaitlistEntry.countDocuments({ patient: req.user._id, status: 'waiting' });
+      if (waiting >= WaitlistEntry.MAX_WAITING_PER_PATIENT) {
+        return res.status(400).json({
+          message: `You can be on at most ${WaitlistEntry.MAX_WAITING_PER_PATIENT} waitlists at a time`
+        });
+      }
+
+      const entry = new WaitlistEntry({
+        patient: req.user._id,
+        doctor: doctor || undefined,
+        specialization: doctor ? undefined : specialization,
+        dateFrom,
+        dateTo,
+        timeFrom: timeFrom || undefined,
+        timeTo: timeTo || undefined,
+        reason,
+        type: type || 'consultation'
+      });
+      await entry.save();
+
+      const populated = await WaitlistEntry.findById(entry._id).populate('doctor', DOCTOR_FIELDS);
+
+      res.status(201).json({
+        message: 'You are on the waitlist. We will offer you a slot as soon as one frees up.',
+        entry: { ...populated.toObject(), offers: [] }
+      });
+
+    } catch (error) {
+      console.error('Join waitlist error:', error);
+      res.status(500).json({
+        message: 'Failed to join the waitlist',
+        error: process.env.NODE_ENV === 'development' ? error.message : 'Internal server error'
+      });
+    }
+  }
+);
+
+// Leave the waitlist, or remove someone from it with waitlist:manage. Open offers
+// are withdrawn and their slots passed on.
+router.delete('/:id',
+  authenticate,
+  validateObjectId('id'),
+  async (req, res) => {
+    try {
+      const entry = await WaitlistEntry.findById(req.params.id);
+      const isOwner = entry && entry.patient.equals(req.user._id);
+      if (!entry || (!isOwner && !await permissionService.hasPermission(req.user, 'waitlist:manage'))) {
+        return res.status(404).json({ message: 'Waitlist entry not found' });
+      }
+
+      if (entry.status !== 'waiting') {
+        return res.status(400).json({ message: 'Only waiting entries can be removed' });
+      }
+
+      entry.status = 'cancelled';
+      await entry.save();
+
+      const openOffers = await WaitlistOffer.find({ entry: entry._id, status: 'open' });
+      await WaitlistOffer.updateMany(
+        { _id: { $in: openOffers.map(offer => offer._id) } },
+        { $set: { status: 'withdrawn' } }
+      );
+      for (const offer of openOffers) {
+        await waitlistService.offerFreedSlot(offer);
+      }
+
+      res.json({ message: 'Removed from the waitlist' });
+
+    } catch (error) {
+      console.error('Leave waitlist error:', error);
+      res.status(500).json({
+        message: 'Failed to remove the waitlist entry',
+        error: process.env.NODE_ENV === 'development' ? error.message : 'Internal server error'
+      });
+    }
+  }
+);
+
+// The offer behind a claim link
+router.get('/offers/:id',
+  authenticate,
+  validateObjectId('id'),
+  async (req, res) => {
+    try {
+      const offer = await WaitlistOffer.findById(req.params.id)
+        .populate('doctor', DOCTOR_FIELDS)
+        .populate('entry', 'reason type');
+
+      const isOwner = offer && offer.patient.equals(req.user._id);
+      if (!offer || (!isOwner && !await permissionService.hasPermission(req.user, 'waitlist:manage'))) {
+        return res.status(404).json({ message: 'Waitlist offer not found' });
+      }
+
+      res.json({ offer: withOpen(offer) });
+
+    } catch (error) {
+      console.error('Get waitlist offer error:', error);
+      res.status(500).json({
+        message: 'Failed to retrieve the waitlist offer',
+        error: process.env.NODE_ENV === 'development' ? error.message : 'Internal server error'
+      });
+    }
+  }
+);
+
+// Book the offered slot; only the first patient to claim a slot gets it
+router.post('/offers/:id/claim',
+  authenticate,
+  requirePermission('appointment:create'),
+  validateObjectId('id'),
+  async (req, res) => {
+    try {
+      const result = await waitlistService.claimOffer(req.params.id, req.user._id);
+      if (!result.appointment) {
+        return res.status(result.status).json({ message: result.message });
+      }
+
+      const { appointment, offer } = result;
+      await auditService.record(req, {
+        action: 'appointment.create',
+        resourceType: 'Appointment',
+        resourceId: appointment._id,
+        patients: [appointment.patient],
+        metadata: { waitlistOffer: offer._id }
+      });
+
+      await announceBooking(req, appointment);
+
+      const populatedAppointment = await Appointment.findById(appointment._id)
+        .populate('patient', 'username profile.firstName profile.lastName')
+        .populate('doctor', DOCTOR_FIELDS);
+
+      res.status(201).json({
+        message: 'Appointment booked successfully',
+        appointment: populatedAppointment
+      });
+
+    } catch (error) {
+      console.error('Claim waitlist offer error:', error);
+      res.status(500).json({
+        message: 'Failed to claim the waitlist offer',
+        error: process.env.NODE_ENV === 'development' ? error.message : 'Internal server error'
+      });
+    }
+  }
+);
+
+// Turn an offer down so the slot can go to the next patient; the entry keeps waiting
+router.post('/offers/:id/decline',
+  authenticate,
+  validateObjectId('id'),
+  async (req, res) => {
+    try {
+      const offer = await WaitlistOffer.findOneAndUpdate(
+        { _id: req.params.id, patient: req.user._id, ...WaitlistOffer.openFilter() },
+        { $set: { status: 'declined', respondedAt: new Date() } },
+        { new: true }
+      );
+      if (!offer) {
+        return res.status(410).json({ message: 'This offer has expired or was already answered' });
+      }
+
+      await waitlistService.offerFreedSlot(offer);
+
+      res.json({ message: 'Offer declined. You stay on the waitlist.' });
+
+    } catch (error) {
+      console.error('Decline waitlist offer error:', error);
+      res.status(500).json({
+        message: 'Failed to decline the waitlist offer',
+        error: process.env.NODE_ENV === 'development' ? error.message : 'Internal server error'
+      });
+    }
+  }
+);
+
+module.exports = router;
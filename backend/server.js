@@ -4,6 +4,9 @@ const mongoose = require('mongoose');
 const cors = require('cors');
 const helmet = require('helmet');
 const { generalLimiter } = require('./middleware/rateLimiter');
+const jobScheduler = require('./services/jobScheduler');
+const { registerScheduledJobs } = require('./services/scheduledJobs');
+const realtimeService = require('./services/realtimeService');
 
 const authRoutes = require('./routes/auth');
 const userRoutes = require('./routes/users');
@@ -12,6 +15,15 @@ const messageRoutes = require('./routes/messages');
 const healthRecordRoutes = require('./routes/healthRecords');
 const notificationRoutes = require('./routes/notifications');
 const analyticsRoutes = require('./routes/analytics');
+const scheduleRoutes = require('./routes/schedules');
+const settingsRoutes = require('./routes/settings');
+const auditRoutes = require('./routes/audit');
+const searchRoutes = require('./routes/search');
+const careRelationshipRoutes = require('./routes/careRelationships');
+const recordShareRoutes = require('./routes/recordShares');
+const appointmentSeriesRoutes = require('./routes/appointmentSeries');
+const waitlistRoutes = require('./routes/waitlist');
+const queueRoutes = require('./routes/queue');
 
 const app = express();
 const PORT = process.env.PORT || 5000;
@@ -62,8 +74,9 @@ app.use(cors({
   origin: process.env.CLIENT_URL || 'http://localhost:3000',
   credentials: true
 }));
-app.use(express.json({ limit: '10mb' }));
-app.use(express.urlencoded({ extended: true, limit: '10mb' }));
+// Files are uploaded as multipart/form-data, so JSON bodies can stay small
+app.use(express.json({ limit: '1mb' }));
+app.use(express.urlencoded({ extended: true, limit: '1mb' }));
 
 mongoose.connect(process.env.MONGO_URI || 'mongodb://localhost:27017/healem', {
   useNewUrlParser: true,
@@ -85,6 +98,15 @@ app.use('/api/messages', messageRoutes);
 app.use('/api/health-records', healthRecordRoutes);
 app.use('/api/notifications', notificationRoutes);
 app.use('/api/analytics', analyticsRoutes);
+app.use('/api/schedules', scheduleRoutes);
+app.use('/api/settings', settingsRoutes);
+app.use('/api/audit', auditRoutes);
+app.use('/api/search', searchRoutes);
+app.use('/api/care-relationships', careRelationshipRoutes);
+app.use('/api/record-shares', recordShareRoutes);
+app.use('/api/appointment-series', appointmentSeriesRoutes);
+app.use('/api/waitlist', waitlistRoutes);
+app.use('/api/queue', queueRoutes);
 
 app.get('/api/health', (req, res) => {
   res.json({ status: 'Server is running', timestamp: new Date().toISOString() });
@@ -102,8 +124,17 @@ app.use('*', (req, res) => {
   res.status(404).json({ message: 'Route not found' });
 });
 
-app.listen(PORT, () => {
+registerScheduledJobs();
+
+const server = app.listen(PORT, () => {
   console.log(`Server running on port ${PORT}`);
+
+  if (process.env.JOBS_ENABLED !== 'false') {
+    jobScheduler.start();
+  }
 });
 
+// Live updates for messages, appointments and notifications on ws://<host>/ws
+realtimeService.attach(server);
+
 module.exports = app;
\ No newline at end of file
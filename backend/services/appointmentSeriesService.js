@@ -0,0 +1,58 @@
+const Appointment = require('../models/Appointment');
+const DoctorSchedule = require('../models/DoctorSchedule');
+
+const describeSlot = (timeSlot) => `${timeSlot.start}-${timeSlot.end}`;
+
+// Why a slot cannot be booked, or null when it can. Checked against the doctor's
+// schedule first, then against their other active bookings that day.
+const findConflict = async (schedule, doctorId, date, timeSlot, excludeIds) => {
+  if (!schedule.isSlotAvailable(date, timeSlot)) {
+    return { reason: 'unavailable', message: 'Outside the doctor\'s schedule' };
+  }
+
+  const booked = await Appointment.findBookedOnDate(doctorId, date, excludeIds);
+  const clash = booked.find(appointment => !schedule.isSlotAvailable(date, timeSlot, [appointment]));
+  if (clash) {
+    return { reason: 'booked', message: `Overlaps a booking at ${describeSlot(clash.timeSlot)}` };
+  }
+
+  return null;
+};
+
+// Check each occurrence ({ appointmentDate, timeSlot }) of a series against the
+// doctor's schedule and bookings. Appointments in `excludeIds` are the ones
+// being moved, so they never conflict with themselves.
+const checkOccurrences = async (doctorId, occurrences, excludeIds = []) => {
+  const schedule = await DoctorSchedule.findForDoctor(doctorId);
+
+  const results = [];
+  for (const occurrence of occurrences) {
+    const conflict = occurrence.appointmentDate <= new Date()
+      ? { reason: 'past', message: 'Date has already passed' }
+      : await findConflict(schedule, doctorId, occurrence.appointmentDate, occurrence.timeSlot, excludeIds);
+    results.push({ ...occurrence, conflict });
+  }
+  return results;
+};
+
+// Shift a date by whole calendar days, keeping its time of day
+const shiftDays = (date, days) => {
+  const result = new Date(date);
+  result.setDate(result.getDate() + days);
+  return result;
+};
+
+// Calendar days from `from` to `to`, ignoring the time of day and DST changes
+const daysBetween = (from, to) => {
+  const start = new Date(from);
+  start.setHours(12, 0, 0, 0);
+  const end = new Date(to);
+  end.setHours(12, 0, 0, 0);
+  return Math.round((end - start) / (24 * 60 * 60 * 1000));
+};
+
+module.exports = {
+  checkOccurrences,
+  shiftDays,
+  daysBetween
+};
@@ -0,0 +1,286 @@
+const mongoose = require('mongoose');
+const Appointment = require('../models/Appointment');
+const User = require('../models/User');
+const CareRelationship = require('../models/CareRelationship');
+const auditService = require('./auditService');
+const emailService = require('./emailService');
+const permissionService = require('./permissionService');
+const queueService = require('./queueService');
+const realtimeService = require('./realtimeService');
+const waitlistService = require('./waitlistService');
+
+// Any of these lets a user book; resolveBookingPatient decides for whom
+const BOOKING_PERMISSIONS = ['appointment:create', 'appointment:create:patient', 'appointment:create:any'];
+
+// Keep reminder emails in step with the appointment's status and time.
+// Reminder failures are logged instead of failing the request.
+const syncAppointmentReminders = async (appointment) => {
+  try {
+    if (appointment.status === 'confirmed') {
+      await emailService.scheduleAppointmentReminders(appointment._id);
+    } else {
+      await emailService.cancelAppointmentReminders(appointment._id);
+    }
+  } catch (error) {
+    console.error('Sync appointment reminders error:', error);
+  }
+};
+
+// Keep the patient's care team in step with the appointment: appointments that grant
+// care access (see Appointment#grantsCareAccess) put the doctor and their department
+// on it, with each new relationship audited, and cancelling one before it takes place
+// takes that access back. Failures are logged; access can still be granted or ended
+// by hand.
+const syncCareRelationships = async (req, appointment, doctor) => {
+  try {
+    if (appointment.grantsCareAccess()) {
+      const doctorUser = doctor || await User.findById(appointment.doctor).select('profile.department');
+      if (doctorUser) {
+        const created = await CareRelationship.recordAppointment(appointment, doctorUser);
+        for (const relationship of created) {
+          await auditService.record(req, {
+            action: 'care_relationship.create',
+            resourceType: 'CareRelationship',
+            resourceId: relationship._id,
+            patients: [relationship.patient],
+            metadata: {
+              type: relationship.type,
+              provider: relationship.provider,
+              department: relationship.department,
+              appointment: appointment._id,
+              expiresAt: relationship.expiresAt
+            }
+          });
+        }
+      }
+    } else if (appointment.status === 'cancelled' && appointment.getStartDateTime() > new Date()) {
+      await releaseCareRelationships(req, appointment);
+    }
+  } catch (error) {
+    console.error('Sync care relationships error:', error);
+  }
+};
+
+// End the care access an appointment granted, e.g. when it is deleted before it
+// takes place, and audit each relationship that ended
+const releaseCareRelationships = async (req, appointment) => {
+  const ended = await CareRelationship.releaseAppointment(appointment, req.user);
+  for (const relationship of ended) {
+    await auditService.record(req, {
+      action: 'care_relationship.end',
+      resourceType: 'CareRelationship',
+      resourceId: relationship._id,
+      patients: [relationship.patient],
+      metadata: { type: relationship.type, appointment: appointment._id, reason: 'appointment_cancelled' }
+    });
+  }
+};
+
+// The patient a booking by req.user is for. Without `patientId` users book for
+// themselves; with appointment:create:any staff book for any active patient, and
+// with appointment:create:patient doctors book follow-ups with themselves for
+// patients they currently care for. Returns { patient } or { status, message }.
+const resolveBookingPatient = async (req, patientId, doctorId) => {
+  if (!patientId || req.user._id.equals(patientId)) {
+    if (!await permissionService.hasPermission(req.user, 'appointment:create')) {
+      return { status: 403, message: 'Not authorized to book appointments for yourself' };
+    }
+    return { patient: req.user };
+  }
+
+  const [canBookAny, canBookOwnPatients] = await Promise.all([
+    permissionService.hasPermission(req.user, 'appointment:create:any'),
+    permissionService.hasPermission(req.user, 'appointment:create:patient')
+  ]);
+  if (!canBookAny && !canBookOwnPatients) {
+    return { status: 403, message: 'Not authorized to book appointments for other patients' };
+  }
+  if (!canBookAny && !req.user._id.equals(doctorId)) {
+    return { status: 403, message: 'You can only book patients in with yourself' };
+  }
+
+  const patient = await User.findById(patientId);
+  if (!patient || patient.role !== 'patient' || !patient.isActive) {
+    return { status: 400, message: 'Invalid or inactive patient selected' };
+  }
+
+  if (!canBookAny) {
+    const relationship = await CareRelationship.findActive(req.user, patient._id);
+    if (!relationship || relationship.type === 'emergency') {
+      return { status: 403, message: 'This patient is not under your care' };
+    }
+  }
+
+  return { patient };
+};
+
+// Tell the patient when someone else booked, rescheduled or cancelled their
+// appointment, or several appointments of one series at once: by email, and live
+// for bookings and reschedules unless `live` is off because the caller publishes its
+// own event (cancellations already go out as a status change). Failures are logged,
+// not returned.
+const notifyPatientOfChange = async (req, appointments, change, { live = true } = {}) => {
+  const changed = [].concat(appointments);
+  const [appointment] = changed;
+  if (req.user._id.equals(appointment.patient)) {
+    return;
+  }
+
+  if (live && change !== 'cancelled') {
+    realtimeService.publish([appointment.patient], `appointment:${change}`, {
+      appointmentId: appointment._id,
+      appointmentDate: appointment.appointmentDate,
+      timeSlot: appointment.timeSlot,
+      count: changed.length,
+      changedByRole: req.user.role
+    });
+  }
+
+  try {
+    await emailService.sendAppointmentChangeNotification(changed, change, req.user);
+  } catch (error) {
+    console.error('Notify patient of appointment change error:', error);
+  }
+};
+
+// Announce a new booking: the patient hears when someone else booked it, and the
+// doctor's queue board updates when it is for today
+const announceBooking = async (req, appointment) => {
+  await notifyPatientOfChange(req, appointment, 'booked');
+  await queueService.publishQueueUpdate(appointment);
+};
+
+// Resolve once which parts `user` can play in status changes, and return a function
+// giving their actors (see Appointment.STATUS_TRANSITIONS) for one appointment.
+// Works with populated and unpopulated appointments.
+const getStatusActors = async (user) => {
+  const [isStaff, isOwnDoctor, canCancelOwn] = await Promise.all([
+    permissionService.hasPermission(user, 'appointment:status:update'),
+    permissionService.hasPermission(user, 'appointment:status:update:own'),
+    permissionService.hasPermission(user, 'appointment:cancel:own')
+  ]);
+
+  return (appointment) => {
+    const actors = [];
+    if (isStaff) {
+      actors.push('staff');
+    }
+    if (isOwnDoctor && user._id.equals(appointment.doctor._id || appointment.doctor)) {
+      actors.push('doctor');
+    }
+    if (canCancelOwn && user._id.equals(appointment.patient._id || appointment.patient)) {
+      actors.push('patient');
+    }
+    return actors;
+  };
+};
+
+// Move an appointment to `status` on behalf of req.user, following
+// Appointment.STATUS_TRANSITIONS, and do what goes with it: reminders, the care
+// team, waitlist offers, the audit trail and live updates. With `notify: false` the
+// caller tells the patient and doctor itself, e.g. once for a whole series. Returns
+// { appointment, previousStatus, actorsOf } or { status, message } when refused,
+// with 409 when someone else changed the status first.
+const changeStatus = async (req, appointment, status, notes, { notify = true } = {}) => {
+  if (!Appointment.STATUSES.includes(status)) {
+    return { status: 400, message: 'Invalid status' };
+  }
+
+  const previousStatus = appointment.status;
+  if (status === previousStatus) {
+    return { status: 400, message: `Appointment is already ${status}` };
+  }
+
+  const allowedActors = Appointment.STATUS_TRANSITIONS[previousStatus]?.[status];
+  if (!allowedActors) {
+    return { status: 400, message: `A ${previousStatus} appointment cannot be changed to ${status}` };
+  }
+
+  const actorsOf = await getStatusActors(req.user);
+  if (!allowedActors.some(actor => actorsOf(appointment).includes(actor))) {
+    return { status: 403, message: 'Not authorized to update appointment status' };
+  }
+
+  const timingError = appointment.getStatusTimingError(status);
+  if (timingError) {
+    return { status: 400, message: timingError };
+  }
+
+  appointment.setStatus(status, req.user, notes);
+
+  if (status === 'cancelled') {
+    appointment.cancelledBy = req.user._id;
+    appointment.cancellationReason = notes;
+  }
+
+  // Notes go with the part the user plays in the appointment
+  if (notes) {
+    const actors = actorsOf(appointment);
+    if (actors.includes('doctor')) {
+      appointment.notes.doctor = notes;
+    } else if (actors.includes('patient')) {
+      appointment.notes.patient = notes;
+    } else if (actors.includes('staff')) {
+      appointment.notes.admin = notes;
+    }
+  }
+
+  // Save only while the appointment is still in the status the change was checked
+  // against, so two people acting at once (e.g. both calling the next patient in)
+  // cannot both move it
+  appointment.$where = { status: previousStatus };
+  try {
+    await appointment.save();
+  } catch (saveError) {
+    if (saveError instanceof mongoose.Error.DocumentNotFoundError || saveError instanceof mongoose.Error.VersionError) {
+      return { status: 409, message: 'The appointment was just changed by someone else; please reload and try again' };
+    }
+    throw saveError;
+  }
+
+  await syncAppointmentReminders(appointment);
+  await syncCareRelationships(req, appointment);
+  if (status === 'cancelled') {
+    await waitlistService.offerFreedSlot(appointment);
+    if (notify) {
+      await notifyPatientOfChange(req, appointment, 'cancelled');
+    }
+  }
+
+  await auditService.record(req, {
+    action: 'appointment.status_change',
+    resourceType: 'Appointment',
+    resourceId: appointment._id,
+    patients: [appointment.patient],
+    metadata: { from: previousStatus, to: status }
+  });
+
+  const otherParties = [appointment.patient, appointment.doctor]
+    .filter(participant => participant.toString() !== req.user._id.toString());
+
+  if (notify) {
+    realtimeService.publish(otherParties, 'appointment:status', {
+      appointmentId: appointment._id,
+      appointmentDate: appointment.appointmentDate,
+      timeSlot: appointment.timeSlot,
+      previousStatus,
+      status,
+      changedByRole: req.user.role
+    });
+  }
+  await queueService.publishQueueUpdate(appointment);
+
+  return { appointment, previousStatus, actorsOf };
+};
+
+module.exports = {
+  syncAppointmentReminders,
+  syncCareRelationships,
+  releaseCareRelationships,
+  BOOKING_PERMISSIONS,
+  resolveBookingPatient,
+  notifyPatientOfChange,
+  announceBooking,
+  getStatusActors,
+  changeStatus
+};
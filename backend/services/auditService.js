@@ -0,0 +1,82 @@
+const AuditEvent = require('../models/AuditEvent');
+const PendingAuditEvent = require('../models/PendingAuditEvent');
+
+// Keep an event that could not be appended so it can be appended later. Only when
+// even that fails is the event left to the error log, in full.
+const keepPending = async (timestamp, details, appendError) => {
+  try {
+    await PendingAuditEvent.create({ timestamp, details, failureReason: appendError.message });
+    console.error(`Audit event ${details.action} kept for a later append:`, appendError);
+  } catch (error) {
+    console.error(`Failed to record audit event ${details.action}:`, appendError, error, JSON.stringify({ timestamp, ...details }));
+  }
+};
+
+// Record who did what to which resource. An event that cannot be appended right
+// away is kept and appended by a background job, so an audit outage neither takes
+// the clinical API down with it nor loses the event.
+const record = async (req, { action, resourceType, resourceId, patients = [], outcome = 'success', metadata }) => {
+  const timestamp = new Date();
+  const details = {
+    actor: req.user?._id,
+    actorRole: req.user?.role,
+    action,
+    resourceType,
+    resourceId,
+    patients: [...new Set(patients.filter(Boolean).map(patient => (patient._id || patient).toString()))],
+    outcome,
+    ipAddress: req.ip,
+    userAgent: req.get('User-Agent')?.substring(0, 500),
+    metadata
+  };
+
+  try {
+    await AuditEvent.append({ timestamp, ...details });
+  } catch (error) {
+    // An invalid event is a bug in the caller; appending it later would fail too
+    if (error.name === 'ValidationError') {
+      console.error(`Failed to record audit event ${action}:`, error);
+      return;
+    }
+    await keepPending(timestamp, details, error);
+  }
+};
+
+// Append the kept events in the order they happened. Stops at the first failure
+// so the chain keeps that order; the rest wait for the next run.
+const appendPending = async () => {
+  const pending = await PendingAuditEvent.find().sort({ timestamp: 1, _id: 1 });
+
+  let appended = 0;
+  for (const event of pending) {
+    try {
+      await AuditEvent.append({ timestamp: event.timestamp, ...event.details });
+    } catch (error) {
+      await PendingAuditEvent.updateOne(
+        { _id: event._id },
+        { $set: { failureReason: error.message }, $inc: { attempts: 1 } }
+      );
+      break;
+    }
+    await PendingAuditEvent.deleteOne({ _id: event._id });
+    appended++;
+  }
+
+  return { appended, remaining: pending.length - appended };
+};
+
+// Strip empty values from query filters before storing them as metadata
+const describeFilters = (query, keys) => {
+  return keys.reduce((filters, key) => {
+    if (query[key] !== undefined && query[key] !== '') {
+      filters[key] = query[key];
+    }
+    return filters;
+  }, {});
+};
+
+module.exports = {
+  record,
+  appendPending,
+  describeFilters
+};
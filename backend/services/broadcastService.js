@@ -0,0 +1,120 @@
+const mongoose = require('mongoose');
+const User = require('../models/User');
+const Message = require('../models/Message');
+const Broadcast = require('../models/Broadcast');
+const messagingPolicy = require('./messagingPolicy');
+const realtimeService = require('./realtimeService');
+
+const INSERT_BATCH_SIZE = 500;
+
+// Roles and departments narrow each other and listed users are added on top.
+// Patients belong to a department through their appointments and health records.
+const buildAudienceFilter = async ({ roles = [], departments = [], users = [] }) => {
+  const clauses = [];
+
+  if (departments.length > 0) {
+    const targetRoles = roles.length > 0 ? roles : Broadcast.BROADCAST_ROLES;
+    const staffRoles = targetRoles.filter(role => role !== 'patient');
+
+    if (staffRoles.length > 0) {
+      clauses.push({ role: { $in: staffRoles }, 'profile.department': { $in: departments } });
+    }
+    if (targetRoles.includes('patient')) {
+      clauses.push({ role: 'patient', _id: { $in: await messagingPolicy.getDepartmentPatientIds(departments) } });
+    }
+  } else if (roles.length > 0) {
+    clauses.push({ role: { $in: roles } });
+  }
+
+  if (users.length > 0) {
+    clauses.push({ _id: { $in: users } });
+  }
+
+  return clauses.length > 0 ? { $or: clauses } : null;
+};
+
+// Everyone in the audience the sender is allowed to message, so staff broadcasts
+// stay within the messaging rules and blocks are respected
+const resolveRecipients = async (sender, audience) => {
+  const audienceFilter = await buildAudienceFilter(audience);
+  if (!audienceFilter) {
+    return [];
+  }
+
+  const recipientFilter = await messagingPolicy.buildRecipientFilter(sender);
+  recipientFilter.$and.push(audienceFilter);
+  return User.distinct('_id', recipientFilter);
+};
+
+// Fan the broadcast out as one message per recipient. Returns null when nobody matches.
+// A failed fan-out is rolled back so the delivery report never describes a partial send.
+const sendBroadcast = async (sender, { subject, content, type, priority, audience, isSystemMessage = false }) => {
+  const recipientIds = await resolveRecipients(sender, audience);
+  if (recipientIds.length === 0) {
+    return null;
+  }
+
+  const broadcast = await Broadcast.create({
+    sender: sender._id,
+    subject,
+    content,
+    type: isSystemMessage ? 'system' : type || 'general',
+    priority: priority || 'normal',
+    audience,
+    isSystemMessage,
+    recipientCount: recipientIds.length
+  });
+
+  const messages = recipientIds.map(recipientId => {
+    const _id = new mongoose.Types.ObjectId();
+    return {
+      _id,
+      thread: _id,
+      from: sender._id,
+      to: recipientId,
+      subject: broadcast.subject,
+      content: broadcast.content,
+      type: broadcast.type,
+      priority: broadcast.priority,
+      isSystemMessage,
+      broadcast: broadcast._id
+    };
+  });
+
+  try {
+    for (let i = 0; i < messages.length; i += INSERT_BATCH_SIZE) {
+      await Message.insertMany(messages.slice(i, i + INSERT_BATCH_SIZE));
+    }
+  } catch (error) {
+    await Message.deleteMany({ broadcast: broadcast._id });
+    await Broadcast.deleteOne({ _id: broadcast._id });
+    throw error;
+  }
+
+  const from = {
+    _id: sender._id,
+    username: sender.username,
+    role: sender.role,
+    profile: { firstName: sender.profile?.firstName, lastName: sender.profile?.lastName }
+  };
+
+  messages.forEach(message => {
+    realtimeService.publish(message.to, 'message:new', {
+      _id: message._id,
+      thread: message.thread,
+      broadcast: broadcast._id,
+      subject: message.subject,
+      from,
+      type: message.type,
+      priority: message.priority,
+      createdAt: broadcast.createdAt
+    });
+  });
+
+  return broadcast;
+};
+
+module.exports = {
+  resolveRecipients,
+  sendBroadcast
+};
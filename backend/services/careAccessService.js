@@ -0,0 +1,150 @@
+const CareRelationship = require('../models/CareRelationship');
+const RecordShare = require('../models/RecordShare');
+const permissionService = require('./permissionService');
+
+const idOf = (value) => (value._id || value).toString();
+
+// Chart access that also reaches restricted records. Very restricted records are only
+// ever read by their provider and patient, or through a share.
+const RESTRICTED_ACCESS = ['self', 'permission', 'emergency'];
+
+// Why the user may see the patient's chart: 'self', 'permission' for users who may read
+// every record, or the type of their care relationship. Null when they may not.
+const getPatientAccess = async (user, patientId) => {
+  const patient = idOf(patientId);
+  if (user._id.toString() === patient) {
+    return 'self';
+  }
+
+  if (await permissionService.hasPermission(user, 'healthRecord:read:any')) {
+    return 'permission';
+  }
+
+  if (!(await permissionService.hasPermission(user, 'healthRecord:read:patient'))) {
+    return null;
+  }
+
+  const relationship = await CareRelationship.findActive(user, patient);
+  return relationship ? relationship.type : null;
+};
+
+// Whether chart access reaches a record of the given confidentiality
+const reachesConfidentiality = (access, confidentiality = 'normal') => {
+  if (!access) return false;
+  if (access === 'self') return true;
+  if (confidentiality === 'very_restricted') return false;
+  return confidentiality !== 'restricted' || RESTRICTED_ACCESS.includes(access);
+};
+
+// The same rule as a query condition
+const confidentialityFilter = (access) => {
+  if (access === 'self') return {};
+  return RESTRICTED_ACCESS.includes(access)
+    ? { confidentiality: { $ne: 'very_restricted' } }
+    : { confidentiality: { $nin: ['restricted', 'very_restricted'] } };
+};
+
+// Why the user may view a record: 'provider' for its author, their chart access when it
+// reaches the record's confidentiality, or 'share' when the patient shared it with them.
+// Null when they may not.
+const getRecordAccess = async (user, record) => {
+  if (user._id.toString() === idOf(record.provider)) {
+    return 'provider';
+  }
+
+  const access = await getPatientAccess(user, record.patient);
+  if (reachesConfidentiality(access, record.confidentiality)) {
+    return access;
+  }
+
+  const shares = await RecordShare.findActiveForProvider(user._id, idOf(record.patient));
+  return shares.some(share => share.covers(record)) ? 'share' : null;
+};
+
+// The patient's records the user may list: { access, filter }, with a null filter when
+// they may see none. Access is 'share' when only the patient's shares let them in.
+const getChartAccess = async (user, patientId) => {
+  const access = await getPatientAccess(user, patientId);
+  if (access === 'self') {
+    return { access, filter: { patient: patientId } };
+  }
+
+  const shares = await RecordShare.findActiveForProvider(user._id, patientId);
+  if (!access && shares.length === 0) {
+    return { access: null, filter: null };
+  }
+
+  const clauses = [{ provider: user._id }, ...shares.map(share => share.toRecordFilter())];
+  if (access) {
+    clauses.push(confidentialityFilter(access));
+  }
+
+  return {
+    access: access || 'share',
+    filter: { patient: patientId, $or: clauses }
+  };
+};
+
+// Records the user may find across every patient, by the same rules as getChartAccess:
+// the ones they provided or are about them, the charts of patients they care for as
+// far as their relationship reaches, and whatever patients shared with them
+const getReachableRecordFilter = async (user) => {
+  const [relationships, shares] = await Promise.all([
+    (await permissionService.hasPermission(user, 'healthRecord:read:patient'))
+      ? CareRelationship.find({ $and: [CareRelationship.activeFilter(), CareRelationship.providerFilter(user)] })
+        .select('patient type')
+      : [],
+    RecordShare.find({ ...RecordShare.activeFilter(), provider: user._id })
+  ]);
+
+  // Like findActive, a standing relationship wins over emergency access
+  const accessByPatient = new Map();
+  relationships.forEach(relationship => {
+    const patient = idOf(relationship.patient);
+    if (!accessByPatient.has(patient) || accessByPatient.get(patient) === 'emergency') {
+      accessByPatient.set(patient, relationship.type);
+    }
+  });
+
+  const patientsByAccess = { standing: [], emergency: [] };
+  accessByPatient.forEach((access, patient) => {
+    patientsByAccess[access === 'emergency' ? 'emergency' : 'standing'].push(patient);
+  });
+
+  const clauses = [{ provider: user._id }, { patient: user._id }];
+  if (patientsByAccess.standing.length > 0) {
+    clauses.push({ patient: { $in: patientsByAccess.standing }, ...confidentialityFilter('primary_care') });
+  }
+  if (patientsByAccess.emergency.length > 0) {
+    clauses.push({ patient: { $in: patientsByAccess.emergency }, ...confidentialityFilter('emergency') });
+  }
+  shares.forEach(share => clauses.push(share.toRecordFilter()));
+
+  return { $or: clauses };
+};
+
+// Records visible to users who may read every record: all but very restricted ones,
+// which stay with their provider and patient
+const anyRecordFilter = (user) => ({
+  $or: [
+    { confidentiality: { $ne: 'very_restricted' } },
+    { provider: user._id },
+    { patient: user._id }
+  ]
+});
+
+// Audit metadata that marks access gained by breaking the glass or through a share
+const describeAccess = (access) => {
+  if (access === 'emergency') return { emergencyAccess: true };
+  if (access === 'share') return { sharedAccess: true };
+  return undefined;
+};
+
+module.exports = {
+  getPatientAccess,
+  getRecordAccess,
+  getChartAccess,
+  getReachableRecordFilter,
+  anyRecordFilter,
+  describeAccess
+};
@@ -0,0 +1,110 @@
+const HealthRecord = require('../models/HealthRecord');
+const Appointment = require('../models/Appointment');
+
+const MAX_MEDICATIONS = 20;
+const RECENT_LAB_LIMIT = 5;
+const UPCOMING_APPOINTMENT_LIMIT = 5;
+
+const providerName = (provider) => (provider
+  ? [provider.profile?.firstName, provider.profile?.lastName].filter(Boolean).join(' ') || provider.username
+  : null);
+
+// Keep the first item per key; records come newest first, so that is the latest one
+const latestBy = (items, keyOf) => {
+  const seen = new Set();
+  return items.filter(item => {
+    const key = keyOf(item);
+    if (!key || seen.has(key)) return false;
+    seen.add(key);
+    return true;
+  });
+};
+
+// Diagnoses, newest first, once per ICD code (or description when uncoded)
+const summarizeProblems = (records) => latestBy(
+  records
+    .filter(record => record.clinicalData?.diagnosis?.description || record.clinicalData?.diagnosis?.icdCode)
+    .map(record => ({
+      recordId: record._id,
+      title: record.title,
+      icdCode: record.clinicalData.diagnosis.icdCode,
+      description: record.clinicalData.diagnosis.description,
+      severity: record.clinicalData.diagnosis.severity,
+      recordDate: record.recordDate,
+      provider: providerName(record.provider)
+    })),
+  problem => (problem.icdCode || problem.description).toLowerCase()
+);
+
+// The latest prescription of each medication
+const summarizeMedications = (records) => latestBy(
+  records.flatMap(record => (record.clinicalData?.medications || []).map(medication => ({
+    recordId: record._id,
+    name: medication.name,
+    dosage: medication.dosage,
+    frequency: medication.frequency,
+    duration: medication.duration,
+    instructions: medication.instructions,
+    prescribedDate: medication.prescribedDate || record.recordDate,
+    provider: providerName(record.provider)
+  }))),
+  medication => medication.name?.toLowerCase()
+).slice(0, MAX_MEDICATIONS);
+
+const summarizeVitals = (record) => (record
+  ? {
+    recordId: record._id,
+    recordDate: record.recordDate,
+    provider: providerName(record.provider),
+    ...record.toObject().clinicalData?.vitals
+  }
+  : null);
+
+const summarizeLabs = (records) => records.map(record => ({
+  recordId: record._id,
+  title: record.title,
+  recordDate: record.recordDate,
+  testName: record.clinicalData?.labResults?.testName,
+  value: record.clinicalData?.labResults?.value,
+  unit: record.clinicalData?.labResults?.unit,
+  referenceRange: record.clinicalData?.labResults?.referenceRange,
+  status: record.clinicalData?.labResults?.status,
+  provider: providerName(record.provider)
+}));
+
+// One payload for a patient's chart: active problems, current medications, latest
+// vitals, recent labs and upcoming appointments. `filter` limits the records to
+// the ones the reader may see, and `appointmentFilter` the appointments.
+const getChartSummary = async (patientId, filter = {}, appointmentFilter = {}) => {
+  const startOfToday = new Date();
+  startOfToday.setHours(0, 0, 0, 0);
+
+  const [diagnoses, prescriptions, [vitals], labs, upcomingAppointments] = await Promise.all([
+    HealthRecord.getRecordsByType(patientId, 'diagnosis', filter),
+    HealthRecord.getRecordsByType(patientId, 'prescription', filter),
+    HealthRecord.getPatientSummary(patientId, { recordType: 'vital_signs', limit: 1, filter }),
+    HealthRecord.getPatientSummary(patientId, { recordType: 'lab_result', limit: RECENT_LAB_LIMIT, filter }),
+    Appointment.find({
+      ...appointmentFilter,
+      patient: patientId,
+      appointmentDate: { $gte: startOfToday },
+      status: { $in: Appointment.BOOKED_STATUSES }
+    })
+      .populate('doctor', 'username profile.firstName profile.lastName profile.specialization')
+      .select('doctor appointmentDate timeSlot type reason status')
+      .sort({ appointmentDate: 1, 'timeSlot.start': 1 })
+      .limit(UPCOMING_APPOINTMENT_LIMIT)
+  ]);
+
+  return {
+    activeProblems: summarizeProblems(diagnoses),
+    currentMedications: summarizeMedications(prescriptions),
+    latestVitals: summarizeVitals(vitals),
+    recentLabs: summarizeLabs(labs),
+    upcomingAppointments
+  };
+};
+
+module.exports = {
+  getChartSummary
+};
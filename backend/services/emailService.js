@@ -1,4 +1,8 @@
 const EmailNotification = require('../models/EmailNotification');
+const Appointment = require('../models/Appointment');
+const realtimeService = require('./realtimeService');
+
+const APPOINTMENT_REMINDER_TYPES = ['24_hours', '2_hours', '30_minutes'];
 
 // Mock email service for development; integrate with a provider in production
 class EmailService {
@@ -29,8 +33,9 @@ class EmailService {
         return false;
       }
 
+      const to = notification.recipient?.email || notification.recipientEmail;
       const emailData = {
-        to: notification.recipient.email,
+        to,
         from: `${this.fromName} <${this.fromEmail}>`,
         subject: notification.subject,
         html: notification.emailContent.htmlBody,
@@ -43,11 +48,31 @@ class EmailService {
 
       if (result.success) {
         await notification.markAsSent();
-        console.log(`Email sent successfully to ${notification.recipient.email}`);
+
+        if (notification.notificationType === 'appointment_reminder' &&
+            notification.relatedEntity?.entityType === 'appointment') {
+          await Appointment.updateOne(
+            { _id: notification.relatedEntity.entityId },
+            { $set: { reminderSent: true } }
+          );
+        }
+
+        // Mirror the email in any open browser session of the recipient
+        if (notification.recipient) {
+          realtimeService.publish(notification.recipient._id, 'notification', {
+            _id: notification._id,
+            notificationType: notification.notificationType,
+            subject: notification.subject,
+            priority: notification.priority,
+            relatedEntity: notification.relatedEntity
+          });
+        }
+
+        console.log(`Email sent successfully to ${to}`);
         return true;
       } else {
         await notification.markAsFailed(result.error);
-        console.error(`Failed to send email to ${notification.recipient.email}:`, result.error);
+        console.error(`Failed to send email to ${to}:`, result.error);
         return false;
       }
 
@@ -171,18 +196,33 @@ class EmailService {
 
       console.log(`Retrying ${failedNotifications.length} failed email notifications`);
 
+      const results = {
+        retried: failedNotifications.length,
+        sent: 0,
+        failed: 0
+      };
+
       for (const notification of failedNotifications) {
         try {
           // Reset to pending for retry
           notification.status = 'pending';
           await notification.save();
           
-          await this.sendEmail(notification._id);
+          const success = await this.sendEmail(notification._id);
+          if (success) {
+            results.sent++;
+          } else {
+            results.failed++;
+          }
         } catch (error) {
           console.error(`Failed to retry notification ${notification._id}:`, error);
+          results.failed++;
         }
       }
 
+      console.log('Email retry results:', results);
+      return results;
+
     } catch (error) {
       console.error('Error retrying failed emails:', error);
       throw error;
@@ -213,6 +253,128 @@ class EmailService {
     }
   }
 
+  // Schedule every reminder for a confirmed appointment, replacing any still pending
+  async scheduleAppointmentReminders(appointmentId) {
+    try {
+      await EmailNotification.cancelAppointmentReminders(appointmentId);
+
+      const scheduled = [];
+      for (const reminderType of APPOINTMENT_REMINDER_TYPES) {
+        const notification = await EmailNotification.createAppointmentReminder(appointmentId, reminderType);
+        if (notification) {
+          scheduled.push(notification);
+        }
+      }
+
+      console.log(`Scheduled ${scheduled.length} reminders for appointment ${appointmentId}`);
+      return scheduled;
+
+    } catch (error) {
+      console.error('Error scheduling appointment reminders:', error);
+      throw error;
+    }
+  }
+
+  // Cancel reminders that have not been sent for an appointment
+  async cancelAppointmentReminders(appointmentId) {
+    try {
+      const result = await EmailNotification.cancelAppointmentReminders(appointmentId);
+      return result.modifiedCount;
+
+    } catch (error) {
+      console.error('Error cancelling appointment reminders:', error);
+      throw error;
+    }
+  }
+
+  // Send a password reset link. Once delivered, the token is redacted from the
+  // stored copy so it cannot be read back from the notifications log.
+  async sendPasswordResetEmail(userId, resetToken, expiresInMinutes) {
+    try {
+      const clientUrl = process.env.CLIENT_URL || 'http://localhost:3000';
+      const resetUrl = `${clientUrl}/reset-password?token=${resetToken}`;
+
+      const notification = await EmailNotification.createPasswordResetNotification(userId, resetUrl, expiresInMinutes);
+      const sent = await this.sendEmail(notification._id);
+
+      if (sent) {
+        await EmailNotification.updateOne(
+          { _id: notification._id },
+          {
+            $set: {
+              'emailContent.htmlBody': notification.emailContent.htmlBody.split(resetToken).join('[redacted]'),
+              'emailContent.textBody': notification.emailContent.textBody.split(resetToken).join('[redacted]')
+            }
+          }
+        );
+      }
+
+      return sent;
+
+    } catch (error) {
+      console.error('Error sending password reset email:', error);
+      throw error;
+    }
+  }
+
+  // Tell the recipient of a record share about it. A link share's token is redacted
+  // from the stored copy once delivered, like a password reset link.
+  async sendRecordShareNotification(share, linkToken) {
+    try {
+      const clientUrl = process.env.CLIENT_URL || 'http://localhost:3000';
+      const shareUrl = linkToken ? `${clientUrl}/shared/${linkToken}` : null;
+
+      const notification = await EmailNotification.createRecordShareNotification(share, shareUrl);
+      const sent = await this.sendEmail(notification._id);
+
+      if (sent && linkToken) {
+        await EmailNotification.updateOne(
+          { _id: notification._id },
+          {
+            $set: {
+              'emailContent.htmlBody': notification.emailContent.htmlBody.split(linkToken).join('[redacted]'),
+              'emailContent.textBody': notification.emailContent.textBody.split(linkToken).join('[redacted]')
+            }
+          }
+        );
+      }
+
+      return sent;
+
+    } catch (error) {
+      console.error('Error sending record share notification:', error);
+      throw error;
+    }
+  }
+
+  // Offer a freed slot to a waiting patient, with a link to claim it in the app
+  async sendWaitlistOfferNotification(offer) {
+    try {
+      const clientUrl = process.env.CLIENT_URL || 'http://localhost:3000';
+      const claimUrl = `${clientUrl}/waitlist/offers/${offer._id}`;
+
+      const notification = await EmailNotification.createWaitlistOfferNotification(offer, claimUrl);
+      return await this.sendEmail(notification._id);
+
+    } catch (error) {
+      console.error('Error sending waitlist offer notification:', error);
+      throw error;
+    }
+  }
+
+  // Tell a patient about a booking, reschedule or cancellation someone else made for
+  // them, of one appointment or several in a series
+  async sendAppointmentChangeNotification(appointments, change, actor) {
+    try {
+      const notification = await EmailNotification.createAppointmentChangeNotification(appointments, change, actor);
+      return await this.sendEmail(notification._id);
+
+    } catch (error) {
+      console.error('Error sending appointment change notification:', error);
+      throw error;
+    }
+  }
+
   // Send lab results notification
   async sendLabResultsNotification(patientId, healthRecordId) {
     try {
@@ -0,0 +1,112 @@
+const os = require('os');
+const JobLock = require('../models/JobLock');
+const JobRun = require('../models/JobRun');
+
+// In-process scheduler for background jobs. Every API replica runs the same
+// timers; a Mongo-backed lock makes sure only one of them executes a job at a time.
+class JobScheduler {
+  constructor() {
+    this.jobs = new Map();
+    this.timers = new Map();
+    this.instanceId = `${os.hostname()}:${process.pid}`;
+    this.started = false;
+  }
+
+  // Register a job handler to run every intervalMs
+  register(name, handler, options = {}) {
+    if (this.jobs.has(name)) {
+      throw new Error(`Job "${name}" is already registered`);
+    }
+
+    const intervalMs = options.intervalMs || 60 * 1000;
+
+    this.jobs.set(name, {
+      name,
+      handler,
+      intervalMs,
+      lockTtlMs: options.lockTtlMs || Math.max(intervalMs, 5 * 60 * 1000),
+      description: options.description || '',
+      isRunning: false
+    });
+  }
+
+  start() {
+    if (this.started) return;
+    this.started = true;
+
+    for (const job of this.jobs.values()) {
+      const timer = setInterval(() => this.runJob(job.name), job.intervalMs);
+      this.timers.set(job.name, timer);
+    }
+
+    console.log(`Job scheduler started with ${this.jobs.size} jobs (${this.instanceId})`);
+  }
+
+  stop() {
+    for (const timer of this.timers.values()) {
+      clearInterval(timer);
+    }
+    this.timers.clear();
+    this.started = false;
+  }
+
+  // Run a job once if this instance can take its lock. Returns the JobRun, or
+  // null when the job was skipped because it is already running somewhere.
+  async runJob(name) {
+    const job = this.jobs.get(name);
+
+    if (!job) {
+      throw new Error(`Job "${name}" is not registered`);
+    }
+
+    if (job.isRunning) {
+      return null;
+    }
+
+    job.isRunning = true;
+
+    try {
+      const acquired = await JobLock.acquire(name, this.instanceId, job.lockTtlMs);
+      if (!acquired) {
+        return null;
+      }
+
+      const run = await JobRun.create({
+        jobName: name,
+        instanceId: this.instanceId,
+        startedAt: new Date()
+      });
+
+      try {
+        const result = await job.handler();
+        await run.markAsSucceeded(result);
+      } catch (error) {
+        console.error(`Job ${name} failed:`, error);
+        await run.markAsFailed(error.message);
+      } finally {
+        await JobLock.release(name, this.instanceId);
+      }
+
+      return run;
+
+    } catch (error) {
+      console.error(`Job scheduler error while running ${name}:`, error);
+      return null;
+    } finally {
+      job.isRunning = false;
+    }
+  }
+
+  // Registered jobs without their handlers
+  getJobs() {
+    return Array.from(this.jobs.values()).map(job => ({
+      name: job.name,
+      description: job.description,
+      intervalMs: job.intervalMs,
+      lockTtlMs: job.lockTtlMs,
+      isRunningHere: job.isRunning
+    }));
+  }
+}
+
+module.exports = new JobScheduler();
@@ -0,0 +1,133 @@
+const User = require('../models/User');
+const Appointment = require('../models/Appointment');
+const HealthRecord = require('../models/HealthRecord');
+const SystemSetting = require('../models/SystemSetting');
+const permissionService = require('./permissionService');
+
+const STAFF_ROLES = ['doctor', 'nurse'];
+
+// Doctors and nurses the patient has an appointment or health record with
+const getCareTeamIds = async (patientId) => {
+  const [doctors, providers] = await Promise.all([
+    Appointment.distinct('doctor', { patient: patientId }),
+    HealthRecord.distinct('provider', { patient: patientId })
+  ]);
+  return [...doctors, ...providers];
+};
+
+// Patients with an appointment or health record from any doctor or nurse of the department(s)
+const getDepartmentPatientIds = async (departments) => {
+  const providerIds = await User.distinct('_id', {
+    role: { $in: STAFF_ROLES },
+    'profile.department': { $in: [].concat(departments) }
+  });
+
+  const [appointmentPatients, recordPatients] = await Promise.all([
+    Appointment.distinct('patient', { doctor: { $in: providerIds } }),
+    HealthRecord.distinct('patient', { provider: { $in: providerIds } })
+  ]);
+  return [...appointmentPatients, ...recordPatients];
+};
+
+// User filter for everyone the sender may start a conversation with, ignoring blocks
+const buildPolicyFilter = async (sender, settings) => {
+  // Unrestricted senders can message, and broadcast to, anyone
+  if (await permissionService.hasPermission(sender, 'message:unrestricted')) {
+    return {};
+  }
+
+  // Without leave to message patients, the sender follows the patient rules
+  if (!(await permissionService.hasPermission(sender, 'message:patient'))) {
+    const allowed = [
+      settings.patientCareTeamOnly
+        ? { role: { $in: STAFF_ROLES }, _id: { $in: await getCareTeamIds(sender._id) } }
+        : { role: { $in: STAFF_ROLES } }
+    ];
+
+    if (settings.patientsCanMessageAdmins) {
+      allowed.push({ role: 'admin' });
+    }
+    return { $or: allowed };
+  }
+
+  if (!settings.staffSameDepartmentOnly) {
+    return {};
+  }
+
+  // Staff outside any department share one with nobody, so they may only reach admins
+  const department = sender.profile?.department;
+  if (!department) {
+    return { role: 'admin' };
+  }
+
+  return {
+    $or: [
+      { role: 'admin' },
+      { role: { $in: STAFF_ROLES }, 'profile.department': department },
+      { role: 'patient', _id: { $in: await getDepartmentPatientIds(department) } }
+    ]
+  };
+};
+
+const getBlockedUserIds = async (userId) => {
+  const user = await User.findById(userId).select('+blockedUsers');
+  return user?.blockedUsers || [];
+};
+
+// Every active user the sender may message: allowed by policy and not blocked either way
+const buildRecipientFilter = async (sender) => {
+  const settings = await SystemSetting.getMessagingSettings();
+  const [policyFilter, blockedUserIds] = await Promise.all([
+    buildPolicyFilter(sender, settings),
+    getBlockedUserIds(sender._id)
+  ]);
+
+  return {
+    $and: [
+      policyFilter,
+      { _id: { $nin: [sender._id, ...blockedUserIds] } },
+      { isActive: true, blockedUsers: { $ne: sender._id } }
+    ]
+  };
+};
+
+// Returns why the sender may not message the recipient, or null when they may.
+// Replies skip the policy so anyone can answer a message they received, but
+// blocks still apply.
+const getMessagingRestriction = async (sender, recipient, { isReply = false } = {}) => {
+  const [senderBlocks, recipientBlocks] = await Promise.all([
+    getBlockedUserIds(sender._id),
+    getBlockedUserIds(recipient._id)
+  ]);
+
+  if (recipientBlocks.some(id => id.equals(sender._id))) {
+    return 'This user is not accepting messages from you';
+  }
+
+  if (senderBlocks.some(id => id.equals(recipient._id))) {
+    return 'You have blocked this user. Unblock them to send messages';
+  }
+
+  if (isReply || await permissionService.hasPermission(sender, 'message:unrestricted')) {
+    return null;
+  }
+
+  const settings = await SystemSetting.getMessagingSettings();
+  const policyFilter = await buildPolicyFilter(sender, settings);
+  const allowed = await User.exists({ $and: [policyFilter, { _id: recipient._id }] });
+
+  if (allowed) {
+    return null;
+  }
+
+  return !(await permissionService.hasPermission(sender, 'message:patient'))
+    ? 'You can only message members of your care team'
+    : 'You can only message staff and patients of your department';
+};
+
+module.exports = {
+  getDepartmentPatientIds,
+  buildRecipientFilter,
+  getBlockedUserIds,
+  getMessagingRestriction
+};
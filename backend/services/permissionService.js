@@ -0,0 +1,43 @@
+const RolePermission = require('../models/RolePermission');
+
+// Permissions are read on most requests, so each role's set is kept briefly in
+// memory. Changes made through this process apply at once; other API processes
+// pick them up when their copy expires.
+const CACHE_TTL_MS = 30 * 1000;
+
+const cache = new Map();
+
+const getRolePermissions = async (role) => {
+  const cached = cache.get(role);
+  if (cached && cached.expiresAt > Date.now()) {
+    return cached.permissions;
+  }
+
+  const permissions = new Set(await RolePermission.getPermissions(role));
+  cache.set(role, { permissions, expiresAt: Date.now() + CACHE_TTL_MS });
+  return permissions;
+};
+
+// Whether the user's role grants any of the given permissions
+const hasPermission = async (user, ...permissions) => {
+  if (!user) {
+    return false;
+  }
+
+  const granted = await getRolePermissions(user.role);
+  return permissions.some(permission => granted.has(permission));
+};
+
+const invalidate = (role) => {
+  if (role) {
+    cache.delete(role);
+  } else {
+    cache.clear();
+  }
+};
+
+module.exports = {
+  getRolePermissions,
+  hasPermission,
+  invalidate
+};
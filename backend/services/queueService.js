@@ -0,0 +1,116 @@
+const Appointment = require('../models/Appointment');
+const User = require('../models/User');
+const realtimeService = require('./realtimeService');
+
+const QUEUE_STATUSES = [...Appointment.BOOKED_STATUSES, 'completed', 'no-show'];
+const DOCTOR_FIELDS = 'username profile.firstName profile.lastName profile.specialization profile.department';
+
+const dayBounds = (date) => {
+  const dayStart = new Date(date);
+  dayStart.setHours(0, 0, 0, 0);
+  const dayEnd = new Date(dayStart);
+  dayEnd.setDate(dayEnd.getDate() + 1);
+  return { dayStart, dayEnd };
+};
+
+const toQueueItem = (appointment, now) => ({
+  _id: appointment._id,
+  patient: appointment.patient,
+  timeSlot: appointment.timeSlot,
+  type: appointment.type,
+  priority: appointment.priority,
+  reason: appointment.reason,
+  status: appointment.status,
+  checkedInAt: appointment.checkedInAt,
+  startedAt: appointment.startedAt,
+  waitMinutes: appointment.getWaitMinutes(now)
+});
+
+// Today's waiting room for each doctor: who is expected, waiting and being seen,
+// and how long patients waited. Only doctors with appointments today are listed
+// unless `doctorIds` names them.
+const buildQueue = async ({ doctorIds, department, now = new Date() } = {}) => {
+  const { dayStart, dayEnd } = dayBounds(now);
+
+  const doctorQuery = { role: 'doctor', isActive: true };
+  if (doctorIds) {
+    doctorQuery._id = { $in: doctorIds };
+  }
+  if (department) {
+    doctorQuery['profile.department'] = department;
+  }
+  const doctors = await User.find(doctorQuery)
+    .select(DOCTOR_FIELDS)
+    .sort({ 'profile.lastName': 1, 'profile.firstName': 1 });
+
+  const appointments = await Appointment.find({
+    doctor: { $in: doctors.map(doctor => doctor._id) },
+    appointmentDate: { $gte: dayStart, $lt: dayEnd },
+    status: { $in: QUEUE_STATUSES }
+  })
+    .populate('patient', 'username profile.firstName profile.lastName profile.dateOfBirth')
+    .sort({ 'timeSlot.start': 1, checkedInAt: 1 });
+
+  const queues = doctors.map(doctor => {
+    const own = appointments.filter(appointment => appointment.doctor.equals(doctor._id));
+    const seen = own.filter(appointment => appointment.checkedInAt && appointment.startedAt);
+    const totalWait = seen.reduce((sum, appointment) => sum + appointment.getWaitMinutes(), 0);
+
+    return {
+      doctor,
+      expected: own
+        .filter(appointment => ['pending', 'confirmed'].includes(appointment.status))
+        .map(appointment => toQueueItem(appointment, now)),
+      waiting: own
+        .filter(appointment => appointment.status === 'checked-in')
+        .map(appointment => toQueueItem(appointment, now)),
+      inProgress: own
+        .filter(appointment => appointment.status === 'in-progress')
+        .map(appointment => toQueueItem(appointment, now)),
+      completed: own.filter(appointment => appointment.status === 'completed').length,
+      noShows: own.filter(appointment => appointment.status === 'no-show').length,
+      averageWaitMinutes: seen.length > 0 ? Math.round(totalWait / seen.length) : null
+    };
+  });
+
+  return {
+    date: dayStart,
+    queues: doctorIds ? queues : queues.filter(queue => appointments.some(appointment => appointment.doctor.equals(queue.doctor._id))),
+    appointments
+  };
+};
+
+// The checked-in patient to call next for a doctor: earliest slot first, then
+// earliest arrival. Moving them on goes through changeStatus, whose guarded save
+// lets only one of two simultaneous calls win; the other gets a 409.
+const findNextWaiting = (doctorId, now = new Date()) => {
+  const { dayStart, dayEnd } = dayBounds(now);
+  return Appointment.findOne({
+    doctor: doctorId,
+    appointmentDate: { $gte: dayStart, $lt: dayEnd },
+    status: 'checked-in'
+  }).sort({ 'timeSlot.start': 1, checkedInAt: 1 });
+};
+
+// Tell queue boards that a doctor's queue for today changed. Best effort, like
+// every live update.
+const publishQueueUpdate = async (appointment) => {
+  try {
+    const { dayStart, dayEnd } = dayBounds(new Date());
+    if (appointment.appointmentDate < dayStart || appointment.appointmentDate >= dayEnd) {
+      return;
+    }
+
+    const data = { doctor: appointment.doctor, appointmentId: appointment._id, status: appointment.status };
+    await realtimeService.publishToPermission('queue:read', 'queue:update', data);
+    realtimeService.publish([appointment.doctor], 'queue:update', data);
+  } catch (error) {
+    console.error('Publish queue update error:', error);
+  }
+};
+
+module.exports = {
+  buildQueue,
+  findNextWaiting,
+  publishQueueUpdate
+};
@@ -0,0 +1,203 @@
+const { WebSocketServer, WebSocket } = require('ws');
+const Session = require('../models/Session');
+const User = require('../models/User');
+const permissionService = require('./permissionService');
+const { verifyAccessToken } = require('../middleware/auth');
+
+const WS_PATH = '/ws';
+const AUTH_TIMEOUT_MS = 10000;
+const HEARTBEAT_INTERVAL_MS = 30000;
+
+// Application close codes the client reacts to
+const CLOSE_CODES = {
+  UNAUTHORIZED: 4001,
+  AUTH_TIMEOUT: 4008
+};
+
+// userId -> set of authenticated sockets (one per open tab or device). Only this
+// process's sockets: events are not relayed between replicas, so live updates
+// assume a single API instance.
+const clients = new Map();
+let server = null;
+
+const send = (socket, type, data) => {
+  if (socket.readyState === WebSocket.OPEN) {
+    socket.send(JSON.stringify({ type, data }));
+  }
+};
+
+const register = (socket) => {
+  if (!clients.has(socket.userId)) {
+    clients.set(socket.userId, new Set());
+  }
+  clients.get(socket.userId).add(socket);
+};
+
+const unregister = (socket) => {
+  const sockets = clients.get(socket.userId);
+  if (!sockets) return;
+
+  sockets.delete(socket);
+  if (sockets.size === 0) {
+    clients.delete(socket.userId);
+  }
+};
+
+// The first frame must carry the access token; browsers cannot set an Authorization
+// header on the upgrade request. Later auth frames re-authenticate after a token refresh.
+const authenticateSocket = async (socket, token) => {
+  try {
+    const { user, session, decoded, error } = await verifyAccessToken(token);
+
+    // The client may have gone while the token was checked; registering it now
+    // would keep a dead socket in the map, as its close handler has already run
+    if (socket.readyState !== WebSocket.OPEN) {
+      return;
+    }
+
+    if (error) {
+      return socket.close(CLOSE_CODES.UNAUTHORIZED, error);
+    }
+
+    if (socket.userId && socket.userId !== user._id.toString()) {
+      return socket.close(CLOSE_CODES.UNAUTHORIZED, 'Token belongs to a different user.');
+    }
+
+    clearTimeout(socket.authTimer);
+    socket.userId = user._id.toString();
+    socket.sessionId = session._id.toString();
+    socket.expiresAt = decoded.exp * 1000;
+    register(socket);
+
+    send(socket, 'ready', { userId: socket.userId });
+  } catch (error) {
+    if (error.name === 'JsonWebTokenError' || error.name === 'TokenExpiredError') {
+      return socket.close(CLOSE_CODES.UNAUTHORIZED, 'Invalid or expired token.');
+    }
+    console.error('Realtime authentication error:', error);
+    socket.close(1011, 'Server error during authentication.');
+  }
+};
+
+const handleConnection = (socket) => {
+  socket.isAlive = true;
+  socket.authTimer = setTimeout(() => {
+    socket.close(CLOSE_CODES.AUTH_TIMEOUT, 'Authentication timed out.');
+  }, AUTH_TIMEOUT_MS);
+
+  socket.on('pong', () => {
+    socket.isAlive = true;
+  });
+
+  socket.on('message', (raw) => {
+    let frame;
+    try {
+      frame = JSON.parse(raw.toString());
+    } catch (error) {
+      return;
+    }
+
+    if (frame?.type === 'auth' && typeof frame.token === 'string') {
+      authenticateSocket(socket, frame.token);
+    }
+  });
+
+  socket.on('close', () => {
+    clearTimeout(socket.authTimer);
+    unregister(socket);
+  });
+
+  socket.on('error', (error) => {
+    console.error('Realtime socket error:', error.message);
+  });
+};
+
+// Drop dead connections, expired tokens and sessions revoked since the socket authenticated
+const heartbeat = async () => {
+  const now = Date.now();
+  const sessionIds = new Set();
+
+  server.clients.forEach(socket => {
+    if (!socket.isAlive) {
+      return socket.terminate();
+    }
+
+    if (socket.userId && socket.expiresAt <= now) {
+      return socket.close(CLOSE_CODES.UNAUTHORIZED, 'Token expired.');
+    }
+
+    if (socket.sessionId) {
+      sessionIds.add(socket.sessionId);
+    }
+    socket.isAlive = false;
+    socket.ping();
+  });
+
+  if (sessionIds.size === 0) return;
+
+  try {
+    const sessions = await Session.find({ _id: { $in: [...sessionIds] } });
+    const activeSessionIds = new Set(
+      sessions.filter(session => session.isActive()).map(session => session._id.toString())
+    );
+
+    server.clients.forEach(socket => {
+      if (socket.sessionId && !activeSessionIds.has(socket.sessionId)) {
+        socket.close(CLOSE_CODES.UNAUTHORIZED, 'Session has expired or been revoked.');
+      }
+    });
+  } catch (error) {
+    console.error('Realtime session check error:', error);
+  }
+};
+
+// Attach the gateway to the HTTP server so it shares the API's port
+const attach = (httpServer) => {
+  const allowedOrigin = process.env.CLIENT_URL || 'http://localhost:3000';
+
+  server = new WebSocketServer({
+    server: httpServer,
+    path: WS_PATH,
+    maxPayload: 16 * 1024,
+    // Browsers always send an Origin; other clients still need a valid token
+    verifyClient: ({ origin }) => !origin || origin === allowedOrigin
+  });
+
+  server.on('connection', handleConnection);
+
+  const interval = setInterval(heartbeat, HEARTBEAT_INTERVAL_MS);
+  interval.unref();
+  server.on('close', () => clearInterval(interval));
+
+  return server;
+};
+
+// Push an event to every open socket of the given users connected to this process.
+// Delivery is best effort: clients re-fetch state when they reconnect, so nothing
+// here is queued or retried.
+const publish = (userIds, type, data) => {
+  [].concat(userIds).filter(Boolean).forEach(userId => {
+    const sockets = clients.get((userId._id || userId).toString());
+    if (!sockets) return;
+
+    sockets.forEach(socket => send(socket, type, data));
+  });
+};
+
+// Push an event to every open socket of users connected to this process who hold
+// `permission`. Roles are read afresh, so role and permission changes apply to
+// sockets that are already open.
+const publishToPermission = async (permission, type, data) => {
+  if (clients.size === 0) return;
+
+  const users = await User.find({ _id: { $in: [...clients.keys()] }, isActive: true }).select('role');
+  const allowed = await Promise.all(users.map(user => permissionService.hasPermission(user, permission)));
+  publish(users.filter((user, index) => allowed[index]), type, data);
+};
+
+module.exports = {
+  CLOSE_CODES,
+  attach,
+  publish,
+  publishToPermission
+};
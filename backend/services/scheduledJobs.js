@@ -0,0 +1,49 @@
+const jobScheduler = require('./jobScheduler');
+const emailService = require('./emailService');
+const waitlistService = require('./waitlistService');
+const auditService = require('./auditService');
+
+const minutes = (value) => value * 60 * 1000;
+
+// Register every recurring background job with the scheduler
+const registerScheduledJobs = () => {
+  jobScheduler.register(
+    'process-pending-emails',
+    () => emailService.processPendingEmails(),
+    {
+      intervalMs: parseInt(process.env.EMAIL_QUEUE_INTERVAL_MS) || minutes(1),
+      description: 'Send pending email notifications whose scheduled time has arrived'
+    }
+  );
+
+  jobScheduler.register(
+    'retry-failed-emails',
+    () => emailService.retryFailedEmails(),
+    {
+      intervalMs: parseInt(process.env.EMAIL_RETRY_INTERVAL_MS) || minutes(15),
+      description: 'Retry failed email notifications that have attempts left'
+    }
+  );
+
+  jobScheduler.register(
+    'expire-waitlist-offers',
+    () => waitlistService.expireOffers(),
+    {
+      intervalMs: parseInt(process.env.WAITLIST_OFFER_INTERVAL_MS) || minutes(5),
+      description: 'Close unanswered waitlist offers, pass their slots on and retire past waitlist entries'
+    }
+  );
+
+  jobScheduler.register(
+    'append-pending-audit-events',
+    () => auditService.appendPending(),
+    {
+      intervalMs: parseInt(process.env.AUDIT_PENDING_INTERVAL_MS) || minutes(1),
+      description: 'Append audit events that could not be added to the audit trail when they happened'
+    }
+  );
+};
+
+module.exports = {
+  registerScheduledJobs
+};
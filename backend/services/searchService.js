@@ -0,0 +1,216 @@
+const HealthRecord = require('../models/HealthRecord');
+const Message = require('../models/Message');
+const User = require('../models/User');
+const permissionService = require('./permissionService');
+const careAccessService = require('./careAccessService');
+
+const SEARCH_TYPES = ['records', 'messages', 'users'];
+const SNIPPET_RADIUS = 60;
+const USER_FIELDS = 'username profile.firstName profile.lastName role';
+
+// Searchable fields in the order their snippets are shown
+const RECORD_FIELDS = [
+  { path: 'title', label: 'Title' },
+  { path: 'description', label: 'Description' },
+  { path: 'clinicalData.diagnosis.description', label: 'Diagnosis' },
+  { path: 'clinicalData.diagnosis.icdCode', label: 'ICD code' },
+  { path: 'clinicalData.labResults.testName', label: 'Lab test' },
+  { path: 'clinicalData.medications.name', label: 'Medication' },
+  { path: 'clinicalData.medications.instructions', label: 'Instructions' },
+  { path: 'clinicalData.procedures.procedureName', label: 'Procedure' },
+  { path: 'clinicalData.procedures.outcome', label: 'Outcome' }
+];
+
+const MESSAGE_FIELDS = [
+  { path: 'subject', label: 'Subject' },
+  { path: 'content', label: 'Message' }
+];
+
+const textScore = { $meta: 'textScore' };
+
+// The words of a $text query worth marking up: phrases are split into words and
+// negated words are dropped, since they never appear in a match
+const extractTerms = (search) => {
+  const words = search
+    .replace(/"/g, ' ')
+    .split(/\s+/)
+    .filter(word => word && !word.startsWith('-'))
+    .map(word => word.toLowerCase().replace(/^\W+|\W+$/g, ''))
+    .filter(word => word.length >= 2);
+
+  return [...new Set(words)];
+};
+
+// Every string at a dotted path, collecting across arrays such as medications
+const valuesAt = (doc, path) => path.split('.')
+  .reduce((values, key) => values.flatMap(value => (value == null ? [] : [].concat(value[key]))), [doc])
+  .filter(value => typeof value === 'string' && value.trim());
+
+// A window of text around the first term it contains, or null when it has none.
+// Text search matches word stems, so a hit can still have no literal term in it.
+const buildSnippet = (text, terms) => {
+  const lower = text.toLowerCase();
+  const positions = terms.map(term => lower.indexOf(term)).filter(position => position >= 0);
+  if (positions.length === 0) {
+    return null;
+  }
+
+  const position = Math.min(...positions);
+  const start = Math.max(0, position - SNIPPET_RADIUS);
+  const end = Math.min(text.length, position + SNIPPET_RADIUS);
+  return `${start > 0 ? '…' : ''}${text.slice(start, end).trim()}${end < text.length ? '…' : ''}`;
+};
+
+// Plain-text snippets of each field that mentions a search term. The client marks
+// the terms itself, so no markup from stored content is ever rendered as HTML.
+const buildHighlights = (doc, fields, terms) => {
+  const highlights = [];
+
+  fields.forEach(({ path, label }) => {
+    valuesAt(doc, path).forEach(value => {
+      const snippet = buildSnippet(value, terms);
+      if (snippet) {
+        highlights.push({ field: path, label, snippet });
+      }
+    });
+  });
+
+  return highlights;
+};
+
+// Mirrors the health record access rules: every record short of very restricted ones
+// with healthRecord:read:any, otherwise the records the user provided or that are about
+// them, those of patients they care for and those shared with them.
+// Superseded versions are left out.
+const searchRecords = async (user, search, terms, limit) => {
+  const filter = { $text: { $search: search }, status: { $ne: 'amended' } };
+  if (await permissionService.hasPermission(user, 'healthRecord:read:any')) {
+    Object.assign(filter, careAccessService.anyRecordFilter(user));
+  } else {
+    Object.assign(filter, await careAccessService.getReachableRecordFilter(user));
+  }
+
+  const [records, total] = await Promise.all([
+    HealthRecord.find(filter)
+      .select({
+        score: textScore,
+        title: 1,
+        description: 1,
+        recordType: 1,
+        recordDate: 1,
+        priority: 1,
+        clinicalData: 1,
+        patient: 1,
+        provider: 1
+      })
+      .populate('patient', USER_FIELDS)
+      .populate('provider', USER_FIELDS)
+      .sort({ score: textScore })
+      .limit(limit)
+      .lean(),
+    HealthRecord.countDocuments(filter)
+  ]);
+
+  return {
+    total,
+    items: records.map(({ clinicalData, description, ...record }) => ({
+      ...record,
+      highlights: buildHighlights({ ...record, clinicalData, description }, RECORD_FIELDS, terms)
+    }))
+  };
+};
+
+// Only the user's own mailbox. A broadcast's copies would otherwise all match for its sender.
+const searchMessages = async (user, search, terms, limit) => {
+  const filter = {
+    $text: { $search: search },
+    $or: [{ from: user._id, broadcast: { $exists: false } }, { to: user._id }]
+  };
+
+  const [messages, total] = await Promise.all([
+    Message.find(filter)
+      .select({
+        score: textScore,
+        subject: 1,
+        content: 1,
+        from: 1,
+        to: 1,
+        thread: 1,
+        status: 1,
+        type: 1,
+        priority: 1,
+        isSystemMessage: 1,
+        broadcast: 1,
+        createdAt: 1
+      })
+      .populate('from', USER_FIELDS)
+      .populate('to', USER_FIELDS)
+      .sort({ score: textScore })
+      .limit(limit)
+      .lean(),
+    Message.countDocuments(filter)
+  ]);
+
+  return {
+    total,
+    items: messages.map(({ content, ...message }) => ({
+      ...message,
+      highlights: buildHighlights({ ...message, content }, MESSAGE_FIELDS, terms)
+    }))
+  };
+};
+
+// Same audience as the user search: active accounts other than the searcher,
+// and only staff for those who may not view patients' profiles
+const searchUsers = async (user, search, terms, limit) => {
+  const filter = {
+    $text: { $search: search },
+    _id: { $ne: user._id },
+    isActive: true
+  };
+  if (!(await permissionService.hasPermission(user, 'user:read:any'))) {
+    filter.role = { $in: ['doctor', 'nurse', 'admin'] };
+  }
+
+  const [users, total] = await Promise.all([
+    User.find(filter)
+      .select({
+        score: textScore,
+        username: 1,
+        role: 1,
+        'profile.firstName': 1,
+        'profile.lastName': 1,
+        'profile.specialization': 1,
+        'profile.department': 1
+      })
+      .sort({ score: textScore })
+      .limit(limit)
+      .lean(),
+    User.countDocuments(filter)
+  ]);
+
+  return { total, items: users };
+};
+
+const SEARCHERS = {
+  records: searchRecords,
+  messages: searchMessages,
+  users: searchUsers
+};
+
+// Search each requested resource, best matches first, applying that resource's access rules
+const search = async (user, query, { types = SEARCH_TYPES, limit = 5 } = {}) => {
+  const terms = extractTerms(query);
+  const results = {};
+
+  await Promise.all(types.map(async type => {
+    results[type] = await SEARCHERS[type](user, query, terms, limit);
+  }));
+
+  return { terms, results };
+};
+
+module.exports = {
+  SEARCH_TYPES,
+  search
+};
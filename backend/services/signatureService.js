@@ -0,0 +1,46 @@
+const crypto = require('crypto');
+
+// JSON with sorted keys so hashes do not depend on property order
+const canonicalize = (value) => {
+  if (value === null || value === undefined) {
+    return 'null';
+  }
+  if (value instanceof Date) {
+    return JSON.stringify(value.toISOString());
+  }
+  if (value._bsontype === 'ObjectId') {
+    return JSON.stringify(value.toString());
+  }
+  if (Array.isArray(value)) {
+    return `[${value.map(canonicalize).join(',')}]`;
+  }
+  if (typeof value === 'object') {
+    const keys = Object.keys(value).filter(key => value[key] !== undefined).sort();
+    return `{${keys.map(key => `${JSON.stringify(key)}:${canonicalize(value[key])}`).join(',')}}`;
+  }
+  return JSON.stringify(value);
+};
+
+// Keyed so a signature cannot be recomputed by someone who can only edit the database
+const getSigningKey = () => {
+  const keySource = process.env.RECORD_SIGNING_KEY || process.env.JWT_SECRET;
+  return crypto.createHash('sha256').update(keySource).digest();
+};
+
+const sign = (payload) => {
+  return crypto.createHmac('sha256', getSigningKey()).update(canonicalize(payload)).digest('hex');
+};
+
+const verify = (payload, signature) => {
+  if (!signature) return false;
+
+  const expected = Buffer.from(sign(payload), 'hex');
+  const actual = Buffer.from(signature, 'hex');
+  return actual.length === expected.length && crypto.timingSafeEqual(actual, expected);
+};
+
+module.exports = {
+  canonicalize,
+  sign,
+  verify
+};
@@ -0,0 +1,175 @@
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+
+// Pluggable file storage for attachments. Drivers share one interface:
+//   put(key, buffer, { mimeType }) -> Promise
+//   getStream(key) -> Promise<Readable>
+//   remove(key) -> Promise
+// STORAGE_DRIVER selects the driver: "local" (default) or "s3".
+
+const createLocalDriver = () => {
+  const rootDir = path.resolve(process.env.UPLOAD_DIR || path.join(__dirname, '..', 'uploads'));
+
+  // Keys are generated server-side, but never let one escape the upload directory
+  const resolveKey = (key) => {
+    const filePath = path.resolve(rootDir, key);
+    if (!filePath.startsWith(rootDir + path.sep)) {
+      throw new Error('Invalid storage key');
+    }
+    return filePath;
+  };
+
+  return {
+    name: 'local',
+
+    async put(key, buffer) {
+      const filePath = resolveKey(key);
+      await fs.promises.mkdir(path.dirname(filePath), { recursive: true });
+      await fs.promises.writeFile(filePath, buffer, { flag: 'wx' });
+    },
+
+    async getStream(key) {
+      const filePath = resolveKey(key);
+      await fs.promises.access(filePath);
+      return fs.createReadStream(filePath);
+    },
+
+    async remove(key) {
+      await fs.promises.rm(resolveKey(key), { force: true });
+    }
+  };
+};
+
+// Works with AWS S3 and S3-compatible servers such as MinIO (set S3_ENDPOINT)
+const createS3Driver = () => {
+  const {
+    S3Client, PutObjectCommand, GetObjectCommand, DeleteObjectCommand
+  } = require('@aws-sdk/client-s3');
+
+  const bucket = process.env.S3_BUCKET;
+  if (!bucket) {
+    throw new Error('S3_BUCKET is required when STORAGE_DRIVER=s3');
+  }
+
+  const client = new S3Client({
+    region: process.env.S3_REGION || 'us-east-1',
+    endpoint: process.env.S3_ENDPOINT || undefined,
+    // MinIO and most self-hosted servers only support path-style URLs
+    forcePathStyle: Boolean(process.env.S3_ENDPOINT),
+    credentials: process.env.S3_ACCESS_KEY_ID ? {
+      accessKeyId: process.env.S3_ACCESS_KEY_ID,
+      secretAccessKey: process.env.S3_SECRET_ACCESS_KEY
+    } : undefined
+  });
+
+  return {
+    name: 's3',
+
+    async put(key, buffer, { mimeType } = {}) {
+      await client.send(new PutObjectCommand({
+        Bucket: bucket,
+        Key: key,
+        Body: buffer,
+        ContentType: mimeType
+      }));
+    },
+
+    async getStream(key) {
+      const response = await client.send(new GetObjectCommand({ Bucket: bucket, Key: key }));
+      return response.Body;
+    },
+
+    async remove(key) {
+      await client.send(new DeleteObjectCommand({ Bucket: bucket, Key: key }));
+    }
+  };
+};
+
+const DRIVERS = {
+  local: createLocalDriver,
+  s3: createS3Driver
+};
+
+let driver = null;
+
+const getDriver = () => {
+  if (!driver) {
+    const name = process.env.STORAGE_DRIVER || 'local';
+    if (!DRIVERS[name]) {
+      throw new Error(`Unknown storage driver: ${name}`);
+    }
+    driver = DRIVERS[name]();
+  }
+  return driver;
+};
+
+// Stored names are random so uploads can never collide with or overwrite each other
+const buildKey = (prefix, originalName) => {
+  const extension = path.extname(originalName || '').toLowerCase().replace(/[^a-z0-9.]/g, '');
+  return `${prefix}/${crypto.randomBytes(16).toString('hex')}${extension}`;
+};
+
+// Store uploaded multer files under a prefix and return attachment metadata.
+// If any upload fails, files already stored by this call are removed.
+const saveFiles = async (files, prefix, uploadedBy) => {
+  const storage = getDriver();
+  const attachments = [];
+
+  try {
+    for (const file of files) {
+      const storageKey = buildKey(prefix, file.originalname);
+      await storage.put(storageKey, file.buffer, { mimeType: file.mimetype });
+      attachments.push({
+        filename: path.basename(storageKey),
+        originalName: file.originalname,
+        mimeType: file.mimetype,
+        size: file.size,
+        storageKey,
+        uploadedBy
+      });
+    }
+  } catch (error) {
+    await removeFiles(attachments);
+    throw error;
+  }
+
+  return attachments;
+};
+
+// Best-effort cleanup; a failed delete only leaves an orphaned file behind
+const removeFiles = async (attachments) => {
+  const storage = getDriver();
+  await Promise.all(attachments
+    .filter(attachment => attachment.storageKey)
+    .map(attachment => storage.remove(attachment.storageKey).catch(error => {
+      console.error(`Failed to remove stored file ${attachment.storageKey}:`, error);
+    })));
+};
+
+// Stream a stored attachment to the response as a download
+const sendFile = async (res, attachment) => {
+  const stream = await getDriver().getStream(attachment.storageKey);
+
+  const fallbackName = attachment.originalName.replace(/[^\x20-\x7e]|["\\]/g, '_');
+  res.setHeader('Content-Type', attachment.mimeType);
+  res.setHeader('Content-Length', attachment.size);
+  res.setHeader(
+    'Content-Disposition',
+    `attachment; filename="${fallbackName}"; filename*=UTF-8''${encodeURIComponent(attachment.originalName)}`
+  );
+  res.setHeader('Cache-Control', 'private, no-store');
+
+  stream.on('error', (error) => {
+    console.error(`Failed to stream stored file ${attachment.storageKey}:`, error);
+    res.destroy(error);
+  });
+  stream.pipe(res);
+};
+
+module.exports = {
+  getDriver,
+  saveFiles,
+  removeFiles,
+  sendFile
+};
@@ -0,0 +1,213 @@
+const Appointment = require('../models/Appointment');
+const WaitlistEntry = require('../models/WaitlistEntry');
+const WaitlistOffer = require('../models/WaitlistOffer');
+const User = require('../models/User');
+const emailService = require('./emailService');
+const realtimeService = require('./realtimeService');
+
+// How many waiting patients a freed slot goes to at once, and for how long
+const OFFER_BATCH_SIZE = 3;
+const OFFER_HOURS = 2;
+
+const slotStart = ({ appointmentDate, timeSlot }) => {
+  const start = new Date(appointmentDate);
+  const [hours, minutes] = timeSlot.start.split(':').map(Number);
+  start.setHours(hours, minutes, 0, 0);
+  return start;
+};
+
+const notifyOffer = async (offer) => {
+  realtimeService.publish([offer.patient], 'waitlist:offer', {
+    offerId: offer._id,
+    appointmentDate: offer.appointmentDate,
+    timeSlot: offer.timeSlot,
+    expiresAt: offer.expiresAt
+  });
+
+  try {
+    await emailService.sendWaitlistOfferNotification(offer);
+  } catch (error) {
+    console.error('Waitlist offer notification error:', error);
+  }
+};
+
+// Offer a free slot ({ doctor, appointmentDate, timeSlot }) to the next waiting
+// patients it suits. Nothing happens while earlier offers for the slot are still
+// open, once it has started, or when it is no longer free.
+const offerSlot = async (slot) => {
+  const now = new Date();
+  const startsAt = slotStart(slot);
+  if (startsAt <= now) {
+    return [];
+  }
+
+  const slotOffers = WaitlistOffer.slotFilter(slot);
+  if (await WaitlistOffer.exists({ ...slotOffers, ...WaitlistOffer.openFilter(now) })) {
+    return [];
+  }
+
+  const [doctor, isFree] = await Promise.all([
+    User.findById(slot.doctor).select('profile.specialization isActive'),
+    Appointment.checkAvailability(slot.doctor, slot.appointmentDate, slot.timeSlot)
+  ]);
+  if (!doctor || !doctor.isActive || !isFree) {
+    return [];
+  }
+
+  // Each entry hears about a slot once
+  const alreadyOffered = await WaitlistOffer.distinct('entry', slotOffers);
+  const candidates = await WaitlistEntry.findCandidates(doctor, slot.appointmentDate, slot.timeSlot, alreadyOffered);
+  if (candidates.length === 0) {
+    return [];
+  }
+
+  const expiresAt = new Date(Math.min(now.getTime() + OFFER_HOURS * 60 * 60 * 1000, startsAt.getTime()));
+  const offers = await WaitlistOffer.insertMany(candidates.slice(0, OFFER_BATCH_SIZE).map(entry => ({
+    entry: entry._id,
+    patient: entry.patient,
+    doctor: slot.doctor,
+    appointmentDate: slot.appointmentDate,
+    timeSlot: { start: slot.timeSlot.start, end: slot.timeSlot.end },
+    expiresAt
+  })));
+
+  for (const offer of offers) {
+    await notifyOffer(offer);
+  }
+  return offers;
+};
+
+// Offer the slot of a cancelled or deleted appointment. Failures are logged;
+// the slot can still be booked the usual way.
+const offerFreedSlot = async (appointment) => {
+  try {
+    await offerSlot({
+      doctor: appointment.doctor,
+      appointmentDate: appointment.appointmentDate,
+      timeSlot: appointment.timeSlot
+    });
+  } catch (error) {
+    console.error('Offer freed slot error:', error);
+  }
+};
+
+// Book the offered slot for its patient. The offer and its waitlist entry are
+// each taken atomically, so an offer is claimed at most once and an entry books
+// at most one slot; the unique slot index settles races between patients holding
+// offers for the same slot. Returns { appointment, offer } or { status, message }.
+const claimOffer = async (offerId, patientId) => {
+  const offer = await WaitlistOffer.findOneAndUpdate(
+    { _id: offerId, patient: patientId, ...WaitlistOffer.openFilter() },
+    { $set: { status: 'claimed', respondedAt: new Date() } },
+    { new: true }
+  );
+  if (!offer) {
+    return { status: 410, message: 'This offer has expired or was already answered' };
+  }
+
+  const entry = await WaitlistEntry.findOneAndUpdate(
+    { _id: offer.entry, status: 'waiting' },
+    { $set: { status: 'booked' } },
+    { new: true }
+  );
+  if (!entry) {
+    await WaitlistOffer.updateOne({ _id: offer._id }, { $set: { status: 'withdrawn' } });
+    return { status: 410, message: 'This waitlist entry is no longer waiting' };
+  }
+
+  const slotTaken = async () => {
+    await WaitlistEntry.updateOne({ _id: entry._id }, { $set: { status: 'waiting' } });
+    await WaitlistOffer.updateMany(
+      { $or: [{ _id: offer._id }, { ...WaitlistOffer.slotFilter(offer), status: 'open' }] },
+      { $set: { status: 'taken' } }
+    );
+    return { status: 409, message: 'Sorry, this slot has just been booked by someone else' };
+  };
+
+  if (!await Appointment.checkAvailability(offer.doctor, offer.appointmentDate, offer.timeSlot)) {
+    return slotTaken();
+  }
+
+  const appointment = new Appointment({
+    patient: offer.patient,
+    doctor: offer.doctor,
+    appointmentDate: offer.appointmentDate,
+    timeSlot: offer.timeSlot,
+    reason: entry.reason,
+    type: entry.type,
+    estimatedDuration: Appointment.estimateDuration(offer.timeSlot)
+  });
+
+  try {
+    await appointment.save();
+  } catch (saveError) {
+    if (saveError.code === 11000) {
+      return slotTaken();
+    }
+
+    // Put the entry back in the queue and close the offer, so neither is left
+    // claimed without an appointment
+    await WaitlistEntry.updateOne({ _id: entry._id }, { $set: { status: 'waiting' } });
+    await WaitlistOffer.updateOne({ _id: offer._id }, { $set: { status: 'withdrawn' } });
+    if (saveError.name === 'ValidationError') {
+      return { status: 400, message: saveError.message };
+    }
+    throw saveError;
+  }
+
+  offer.appointment = appointment._id;
+  entry.appointment = appointment._id;
+  await Promise.all([offer.save(), entry.save()]);
+
+  // Close the other offers for this slot, and the patient's other offers for this entry
+  await WaitlistOffer.updateMany(
+    { ...WaitlistOffer.slotFilter(offer), _id: { $ne: offer._id }, status: 'open' },
+    { $set: { status: 'taken' } }
+  );
+  await WaitlistOffer.updateMany(
+    { entry: entry._id, _id: { $ne: offer._id }, status: 'open' },
+    { $set: { status: 'withdrawn' } }
+  );
+
+  return { appointment, offer };
+};
+
+// Close offers nobody answered in time and pass their slots on to the next patients,
+// and retire entries whose date range has passed
+const expireOffers = async () => {
+  const now = new Date();
+
+  const expired = await WaitlistOffer.find({ status: 'open', expiresAt: { $lte: now } });
+  if (expired.length > 0) {
+    await WaitlistOffer.updateMany(
+      { _id: { $in: expired.map(offer => offer._id) }, status: 'open' },
+      { $set: { status: 'expired' } }
+    );
+  }
+
+  const slots = new Map(expired.map(offer => [
+    `${offer.doctor}|${offer.appointmentDate.toISOString()}|${offer.timeSlot.start}`,
+    offer
+  ]));
+  for (const offer of slots.values()) {
+    await offerFreedSlot(offer);
+  }
+
+  const today = new Date(now);
+  today.setHours(0, 0, 0, 0);
+  const retired = await WaitlistEntry.updateMany(
+    { status: 'waiting', dateTo: { $lt: today } },
+    { $set: { status: 'expired' } }
+  );
+
+  return { expiredOffers: expired.length, expiredEntries: retired.modifiedCount };
+};
+
+module.exports = {
+  OFFER_BATCH_SIZE,
+  OFFER_HOURS,
+  offerSlot,
+  offerFreedSlot,
+  claimOffer,
+  expireOffers
+};
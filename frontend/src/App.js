@@ -8,25 +8,38 @@ import './styles/theme.css';
 
 import { AuthProvider, useAuth } from './contexts/AuthContext';
 import { ThemeProvider } from './contexts/ThemeContext';
+import { RealtimeProvider } from './contexts/RealtimeContext';
+import { PermissionsProvider, usePermissions } from './contexts/PermissionsContext';
 import Navbar from './components/Layout/Navbar';
 import Footer from './components/Layout/Footer';
 import Home from './pages/Home';
 import Login from './pages/Auth/Login';
 import Register from './pages/Auth/Register';
+import ForgotPassword from './pages/Auth/ForgotPassword';
+import ResetPassword from './pages/Auth/ResetPassword';
 import Dashboard from './pages/Dashboard/Dashboard';
 import Appointments from './pages/Appointments/Appointments';
 import BookAppointment from './pages/Appointments/BookAppointment';
+import WaitlistOffer from './pages/Appointments/WaitlistOffer';
+import QueueBoard from './pages/Queue/QueueBoard';
 import Messages from './pages/Messages/Messages';
 import Profile from './pages/Profile/Profile';
 import Users from './pages/Admin/Users';
 import Analytics from './pages/Admin/Analytics';
+import AuditLog from './pages/Admin/AuditLog';
+import RolePermissions from './pages/Admin/RolePermissions';
+import Waitlist from './pages/Admin/Waitlist';
 import HealthRecords from './pages/HealthRecords/HealthRecords';
+import SearchResults from './pages/Search/SearchResults';
+import SharedRecords from './pages/Shared/SharedRecords';
 import NotFound from './pages/NotFound';
 
-const ProtectedRoute = ({ children, allowedRoles = [] }) => {
+// `permissions` lists alternatives: any one of them grants access
+const ProtectedRoute = ({ children, permissions = [] }) => {
   const { user, loading } = useAuth();
+  const { can, loading: permissionsLoading } = usePermissions();
 
-  if (loading) {
+  if (loading || permissionsLoading) {
     return (
       <div className="d-flex justify-content-center align-items-center" style={{ minHeight: '50vh' }}>
         <div className="spinner-border text-primary" role="status">
@@ -40,7 +53,7 @@ const ProtectedRoute = ({ children, allowedRoles = [] }) => {
     return <Navigate to="/login" replace />;
   }
 
-  if (allowedRoles.length > 0 && !allowedRoles.includes(user.role)) {
+  if (permissions.length > 0 && !can(...permissions)) {
     return <Navigate to="/dashboard" replace />;
   }
 
@@ -71,12 +84,15 @@ function App() {
   return (
     <ThemeProvider>
       <AuthProvider>
+        <PermissionsProvider>
+        <RealtimeProvider>
         <Router>
           <div className="App d-flex flex-column min-vh-100">
           <Navbar />
           <main className="flex-grow-1">
             <Routes>
               <Route path="/" element={<Home />} />
+              <Route path="/shared/:token" element={<SharedRecords />} />
               
               <Route 
                 path="/login" 
@@ -96,6 +112,24 @@ function App() {
                 } 
               />
               
+              <Route 
+                path="/forgot-password" 
+                element={
+                  <PublicRoute>
+                    <ForgotPassword />
+                  </PublicRoute>
+                } 
+              />
+              
+              <Route 
+                path="/reset-password" 
+                element={
+                  <PublicRoute>
+                    <ResetPassword />
+                  </PublicRoute>
+                } 
+              />
+              
               <Route 
                 path="/dashboard" 
                 element={
@@ -117,12 +151,30 @@ function App() {
               <Route 
                 path="/appointments/book" 
                 element={
-                  <ProtectedRoute allowedRoles={['patient']}>
+                  <ProtectedRoute permissions={['appointment:create', 'appointment:create:patient', 'appointment:create:any']}>
                     <BookAppointment />
                   </ProtectedRoute>
                 } 
               />
               
+              <Route 
+                path="/queue" 
+                element={
+                  <ProtectedRoute permissions={['queue:read', 'appointment:status:update:own']}>
+                    <QueueBoard />
+                  </ProtectedRoute>
+                } 
+              />
+              
+              <Route 
+                path="/waitlist/offers/:offerId" 
+                element={
+                  <ProtectedRoute>
+                    <WaitlistOffer />
+                  </ProtectedRoute>
+                } 
+              />
+              
               <Route 
                 path="/messages" 
                 element={
@@ -150,10 +202,19 @@ function App() {
                 } 
               />
 
+              <Route 
+                path="/search" 
+                element={
+                  <ProtectedRoute>
+                    <SearchResults />
+                  </ProtectedRoute>
+                } 
+              />
+
               <Route 
                 path="/admin/users" 
                 element={
-                  <ProtectedRoute allowedRoles={['admin', 'nurse']}>
+                  <ProtectedRoute permissions={['user:list']}>
                     <Users />
                   </ProtectedRoute>
                 } 
@@ -162,11 +223,38 @@ function App() {
               <Route 
                 path="/admin/analytics" 
                 element={
-                  <ProtectedRoute allowedRoles={['admin']}>
+                  <ProtectedRoute permissions={['analytics:read']}>
                     <Analytics />
                   </ProtectedRoute>
                 } 
               />
+
+              <Route 
+                path="/admin/audit" 
+                element={
+                  <ProtectedRoute permissions={['audit:read']}>
+                    <AuditLog />
+                  </ProtectedRoute>
+                } 
+              />
+
+              <Route 
+                path="/admin/roles" 
+                element={
+                  <ProtectedRoute permissions={['role:manage']}>
+                    <RolePermissions />
+                  </ProtectedRoute>
+                } 
+              />
+              
+              <Route 
+                path="/admin/waitlist" 
+                element={
+                  <ProtectedRoute permissions={['waitlist:manage']}>
+                    <Waitlist />
+                  </ProtectedRoute>
+                } 
+              />
               
               <Route path="*" element={<NotFound />} />
             </Routes>
@@ -187,6 +275,8 @@ function App() {
           />
         </div>
         </Router>
+        </RealtimeProvider>
+        </PermissionsProvider>
       </AuthProvider>
     </ThemeProvider>
   );
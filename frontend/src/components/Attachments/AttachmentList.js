@@ -0,0 +1,112 @@
+import React, { useState, useEffect } from 'react';
+import { ListGroup, Button, Modal, Spinner } from 'react-bootstrap';
+import { toast } from 'react-toastify';
+
+const PREVIEWABLE_TYPES = ['application/pdf', 'image/jpeg', 'image/png', 'image/gif', 'image/webp', 'text/plain'];
+
+export const formatFileSize = (bytes) => {
+  if (!bytes) return '0 B';
+  if (bytes < 1024) return `${bytes} B`;
+  if (bytes < 1024 * 1024) return `${(bytes / 1024).toFixed(1)} KB`;
+  return `${(bytes / (1024 * 1024)).toFixed(1)} MB`;
+};
+
+// Attachments are downloaded through the authenticated API as blobs, then
+// previewed or saved from a temporary object URL
+const AttachmentList = ({ attachments, onDownload }) => {
+  const [loadingId, setLoadingId] = useState(null);
+  const [preview, setPreview] = useState(null);
+
+  useEffect(() => {
+    return () => {
+      if (preview) window.URL.revokeObjectURL(preview.url);
+    };
+  }, [preview]);
+
+  const fetchBlobUrl = async (attachment) => {
+    const response = await onDownload(attachment._id);
+    return window.URL.createObjectURL(new Blob([response.data], { type: attachment.mimeType }));
+  };
+
+  const handleDownload = async (attachment) => {
+    try {
+      setLoadingId(attachment._id);
+      const url = await fetchBlobUrl(attachment);
+      const link = document.createElement('a');
+      link.href = url;
+      link.download = attachment.originalName;
+      document.body.appendChild(link);
+      link.click();
+      link.remove();
+      window.URL.revokeObjectURL(url);
+    } catch (error) {
+      toast.error('Failed to download attachment');
+    } finally {
+      setLoadingId(null);
+    }
+  };
+
+  const handlePreview = async (attachment) => {
+    try {
+      setLoadingId(attachment._id);
+      const url = await fetchBlobUrl(attachment);
+      setPreview({ url, attachment });
+    } catch (error) {
+      toast.error('Failed to load preview');
+    } finally {
+      setLoadingId(null);
+    }
+  };
+
+  if (!attachments || attachments.length === 0) return null;
+
+  return (
+    <>
+      <ListGroup>
+        {attachments.map(attachment => (
+          <ListGroup.Item key={attachment._id} className="d-flex justify-content-between align-items-center">
+            <div>
+              <div>{attachment.originalName}</div>
+              <div className="text-muted small">{formatFileSize(attachment.size)}</div>
+            </div>
+            <div>
+              {loadingId === attachment._id ? (
+                <Spinner animation="border" size="sm" />
+              ) : (
+                <>
+                  {PREVIEWABLE_TYPES.includes(attachment.mimeType) && (
+                    <Button variant="outline-secondary" size="sm" className="me-2" onClick={() => handlePreview(attachment)}>
+                      Preview
+                    </Button>
+                  )}
+                  <Button variant="outline-primary" size="sm" onClick={() => handleDownload(attachment)}>
+                    Download
+                  </Button>
+                </>
+              )}
+            </div>
+          </ListGroup.Item>
+        ))}
+      </ListGroup>
+
+      <Modal show={Boolean(preview)} onHide={() => setPreview(null)} size="xl">
+        <Modal.Header closeButton>
+          <Modal.Title>{preview?.attachment.originalName}</Modal.Title>
+        </Modal.Header>
+        <Modal.Body className="text-center">
+          {preview && (preview.attachment.mimeType.startsWith('image/') ? (
+            <img src={preview.url} alt={preview.attachment.originalName} className="img-fluid" />
+          ) : (
+            <iframe
+              src={preview.url}
+              title={preview.attachment.originalName}
+              style={{ width: '100%', height: '75vh', border: 0 }}
+            />
+          ))}
+        </Modal.Body>
+      </Modal>
+    </>
+  );
+};
+
+export default AttachmentList;
@@ -0,0 +1,67 @@
+import React, { useRef } from 'react';
+import { Form, ListGroup, Button } from 'react-bootstrap';
+import { toast } from 'react-toastify';
+import { formatFileSize } from './AttachmentList';
+
+// Mirrors the server's allow-list so obviously unsupported files are rejected before upload
+export const ACCEPTED_FILE_TYPES = [
+  '.pdf', '.jpg', '.jpeg', '.png', '.gif', '.webp', '.txt', '.csv', '.dcm', '.doc', '.docx'
+].join(',');
+export const MAX_FILES = 5;
+export const MAX_FILE_SIZE_MB = 10;
+
+const AttachmentPicker = ({ files, onChange, disabled }) => {
+  const inputRef = useRef(null);
+
+  const handleSelect = (e) => {
+    const selected = Array.from(e.target.files);
+    const tooLarge = selected.filter(file => file.size > MAX_FILE_SIZE_MB * 1024 * 1024);
+    const accepted = selected.filter(file => !tooLarge.includes(file));
+
+    if (tooLarge.length > 0) {
+      toast.warning(`${tooLarge.map(file => file.name).join(', ')} exceeds ${MAX_FILE_SIZE_MB} MB`);
+    }
+    if (files.length + accepted.length > MAX_FILES) {
+      toast.warning(`Only ${MAX_FILES} files can be attached`);
+    }
+
+    onChange([...files, ...accepted].slice(0, MAX_FILES));
+    inputRef.current.value = '';
+  };
+
+  const handleRemove = (index) => {
+    onChange(files.filter((file, i) => i !== index));
+  };
+
+  return (
+    <Form.Group>
+      <Form.Control
+        ref={inputRef}
+        type="file"
+        multiple
+        accept={ACCEPTED_FILE_TYPES}
+        onChange={handleSelect}
+        disabled={disabled || files.length >= MAX_FILES}
+      />
+      <Form.Text className="text-muted">
+        Up to {MAX_FILES} files, {MAX_FILE_SIZE_MB} MB each. PDF, images, text, CSV, DICOM or Word documents.
+      </Form.Text>
+      {files.length > 0 && (
+        <ListGroup className="mt-2">
+          {files.map((file, index) => (
+            <ListGroup.Item key={`${file.name}-${index}`} className="d-flex justify-content-between align-items-center py-1">
+              <span>
+                {file.name} <span className="text-muted small">({formatFileSize(file.size)})</span>
+              </span>
+              <Button variant="link" size="sm" className="text-danger p-0" onClick={() => handleRemove(index)} disabled={disabled}>
+                Remove
+              </Button>
+            </ListGroup.Item>
+          ))}
+        </ListGroup>
+      )}
+    </Form.Group>
+  );
+};
+
+export default AttachmentPicker;
@@ -0,0 +1,146 @@
+import React, { useState, useEffect } from 'react';
+import { Form, Button, Alert, Spinner } from 'react-bootstrap';
+import { authAPI } from '../../services/api';
+
+const getErrorMessage = (error, fallback) =>
+  error.response?.data?.errors?.[0]?.message ||
+  error.response?.data?.message ||
+  fallback;
+
+// Split the secret into groups of four so it is easier to type
+const formatSecret = (secret) => secret.match(/.{1,4}/g).join(' ');
+
+export const RecoveryCodes = ({ codes, onDone }) => {
+  const handleCopy = () => {
+    navigator.clipboard?.writeText(codes.join('\n'));
+  };
+
+  return (
+    <>
+      <Alert variant="warning">
+        Save these recovery codes somewhere safe. Each code can be used once to sign in
+        if you lose access to your authenticator app. They will not be shown again.
+      </Alert>
+      <div className="bg-light p-3 rounded mb-3">
+        <div className="row font-monospace">
+          {codes.map(code => (
+            <div key={code} className="col-6 mb-1">{code}</div>
+          ))}
+        </div>
+      </div>
+      <div className="d-flex gap-2">
+        <Button variant="outline-secondary" onClick={handleCopy}>
+          Copy Codes
+        </Button>
+        <Button variant="primary" onClick={onDone}>
+          I've Saved These Codes
+        </Button>
+      </div>
+    </>
+  );
+};
+
+// Enrollment: add the secret to an authenticator app, confirm a code, then show
+// recovery codes. challengeToken is passed when enrollment is forced at login.
+const TwoFactorSetup = ({ challengeToken, onComplete, onCancel }) => {
+  const [setup, setSetup] = useState(null);
+  const [code, setCode] = useState('');
+  const [result, setResult] = useState(null);
+  const [loading, setLoading] = useState(false);
+  const [error, setError] = useState('');
+
+  useEffect(() => {
+    startSetup();
+  }, []);
+
+  const startSetup = async () => {
+    try {
+      const response = await authAPI.setupTwoFactor(challengeToken ? { challengeToken } : {});
+      setSetup(response.data);
+    } catch (err) {
+      setError(getErrorMessage(err, 'Failed to start two-factor setup'));
+    }
+  };
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    setLoading(true);
+    setError('');
+
+    try {
+      const response = await authAPI.enableTwoFactor({
+        code: code.trim(),
+        ...(challengeToken && { challengeToken })
+      });
+      setResult(response.data);
+    } catch (err) {
+      setError(getErrorMessage(err, 'Failed to enable two-factor authentication'));
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  if (result) {
+    return <RecoveryCodes codes={result.recoveryCodes} onDone={() => onComplete(result)} />;
+  }
+
+  if (!setup) {
+    return error ? (
+      <Alert variant="danger">{error}</Alert>
+    ) : (
+      <div className="text-center">
+        <Spinner animation="border" size="sm" />
+      </div>
+    );
+  }
+
+  return (
+    <>
+      <ol className="ps-3">
+        <li className="mb-2">
+          Add this account to an authenticator app such as Google Authenticator, Authy or 1Password.
+          On a phone you can <a href={setup.otpauthUri}>open it in your authenticator app</a>;
+          otherwise enter this key manually:
+          <div className="bg-light p-2 rounded mt-2 font-monospace text-center">
+            {formatSecret(setup.secret)}
+          </div>
+        </li>
+        <li>Enter the 6-digit code the app shows to confirm.</li>
+      </ol>
+
+      {error && (
+        <Alert variant="danger" className="mb-3">
+          {error}
+        </Alert>
+      )}
+
+      <Form onSubmit={handleSubmit}>
+        <Form.Group className="mb-3">
+          <Form.Label>Authentication Code</Form.Label>
+          <Form.Control
+            type="text"
+            inputMode="numeric"
+            autoComplete="one-time-code"
+            maxLength={6}
+            value={code}
+            onChange={(e) => setCode(e.target.value.replace(/\D/g, ''))}
+            placeholder="123456"
+            required
+          />
+        </Form.Group>
+        <div className="d-flex gap-2">
+          {onCancel && (
+            <Button variant="outline-secondary" onClick={onCancel} disabled={loading}>
+              Cancel
+            </Button>
+          )}
+          <Button type="submit" variant="primary" disabled={loading || code.length !== 6}>
+            {loading ? 'Verifying...' : 'Enable Two-Factor'}
+          </Button>
+        </div>
+      </Form>
+    </>
+  );
+};
+
+export default TwoFactorSetup;
@@ -1,36 +1,32 @@
-import React, { useState, useEffect } from 'react';
-import { Navbar as BootstrapNavbar, Nav, Container, NavDropdown, Badge, Button } from 'react-bootstrap';
+import React, { useState } from 'react';
+import { useNavigate } from 'react-router-dom';
+import { Navbar as BootstrapNavbar, Nav, Container, NavDropdown, Badge, Button, Form } from 'react-bootstrap';
 import { LinkContainer } from 'react-router-bootstrap';
 import { useAuth } from '../../contexts/AuthContext';
 import { useTheme } from '../../contexts/ThemeContext';
-import { messagesAPI } from '../../services/api';
+import { useRealtime } from '../../contexts/RealtimeContext';
+import { usePermissions } from '../../contexts/PermissionsContext';
 
 const Navbar = () => {
   const { user, logout } = useAuth();
   const { isDarkMode, toggleTheme } = useTheme();
-  const [unreadCount, setUnreadCount] = useState(0);
-
-  useEffect(() => {
-    if (user) {
-      fetchUnreadCount();
-      const interval = setInterval(fetchUnreadCount, 30000);
-      return () => clearInterval(interval);
-    }
-  }, [user]);
-
-  const fetchUnreadCount = async () => {
-    try {
-      const response = await messagesAPI.getUnreadCount();
-      setUnreadCount(response.data.unreadCount);
-    } catch (error) {
-      console.error('Failed to fetch unread count:', error);
-    }
-  };
+  const { unreadCount } = useRealtime();
+  const { can } = usePermissions();
+  const navigate = useNavigate();
+  const [search, setSearch] = useState('');
 
   const handleLogout = () => {
     logout();
   };
 
+  const handleSearch = (e) => {
+    e.preventDefault();
+    const query = search.trim();
+    if (query.length >= 2) {
+      navigate(`/search?q=${encodeURIComponent(query)}`);
+    }
+  };
+
   const getRoleColor = (role) => {
     const colors = {
       admin: 'danger',
@@ -63,11 +59,17 @@ const Navbar = () => {
                   <Nav.Link>Appointments</Nav.Link>
                 </LinkContainer>
                 
-                {user.role === 'patient' && (
+                {can('appointment:create', 'appointment:create:patient', 'appointment:create:any') && (
                   <LinkContainer to="/appointments/book">
                     <Nav.Link>Book Appointment</Nav.Link>
                   </LinkContainer>
                 )}
+
+                {can('queue:read', 'appointment:status:update:own') && (
+                  <LinkContainer to="/queue">
+                    <Nav.Link>Waiting Room</Nav.Link>
+                  </LinkContainer>
+                )}
                 
                 <LinkContainer to="/messages">
                   <Nav.Link>
@@ -84,20 +86,54 @@ const Navbar = () => {
                   <Nav.Link>Health Records</Nav.Link>
                 </LinkContainer>
                 
-                {['admin', 'nurse'].includes(user.role) && (
+                {can('user:list', 'analytics:read', 'audit:read', 'role:manage', 'waitlist:manage') && (
                   <NavDropdown title="Admin" id="admin-dropdown">
-                    <LinkContainer to="/admin/users">
-                      <NavDropdown.Item>Manage Users</NavDropdown.Item>
-                    </LinkContainer>
-                    <LinkContainer to="/admin/analytics">
-                      <NavDropdown.Item>Analytics</NavDropdown.Item>
-                    </LinkContainer>
+                    {can('user:list') && (
+                      <LinkContainer to="/admin/users">
+                        <NavDropdown.Item>Manage Users</NavDropdown.Item>
+                      </LinkContainer>
+                    )}
+                    {can('analytics:read') && (
+                      <LinkContainer to="/admin/analytics">
+                        <NavDropdown.Item>Analytics</NavDropdown.Item>
+                      </LinkContainer>
+                    )}
+                    {can('waitlist:manage') && (
+                      <LinkContainer to="/admin/waitlist">
+                        <NavDropdown.Item>Waitlist</NavDropdown.Item>
+                      </LinkContainer>
+                    )}
+                    {can('audit:read') && (
+                      <LinkContainer to="/admin/audit">
+                        <NavDropdown.Item>Audit Log</NavDropdown.Item>
+                      </LinkContainer>
+                    )}
+                    {can('role:manage') && (
+                      <LinkContainer to="/admin/roles">
+                        <NavDropdown.Item>Roles &amp; Permissions</NavDropdown.Item>
+                      </LinkContainer>
+                    )}
                   </NavDropdown>
                 )}
               </>
             )}
           </Nav>
 
+          {user && (
+            <Form className="d-flex me-lg-2 my-2 my-lg-0" role="search" onSubmit={handleSearch}>
+              <Form.Control
+                type="search"
+                size="sm"
+                placeholder="Search records, messages, people"
+                aria-label="Search"
+                value={search}
+                onChange={(e) => setSearch(e.target.value)}
+                minLength={2}
+                maxLength={100}
+              />
+            </Form>
+          )}
+
           <Nav>
             <Button
               variant="outline-light"
@@ -1,6 +1,6 @@
 import React, { createContext, useContext, useReducer, useEffect } from 'react';
 import { toast } from 'react-toastify';
-import api from '../services/api';
+import api, { refreshSession, clearStoredTokens } from '../services/api';
 
 const AuthContext = createContext();
 
@@ -18,6 +18,7 @@ const authReducer = (state, action) => {
         loading: false,
         user: action.payload.user,
         token: action.payload.token,
+        twoFactorChallenge: null,
         error: null
       };
     case 'LOGIN_FAILURE':
@@ -34,8 +35,21 @@ const authReducer = (state, action) => {
         loading: false,
         user: null,
         token: null,
+        twoFactorChallenge: null,
         error: null
       };
+    case 'TWO_FACTOR_CHALLENGE':
+      return {
+        ...state,
+        loading: false,
+        twoFactorChallenge: action.payload,
+        error: null
+      };
+    case 'CLEAR_TWO_FACTOR_CHALLENGE':
+      return {
+        ...state,
+        twoFactorChallenge: null
+      };
     case 'UPDATE_USER':
       return {
         ...state,
@@ -54,6 +68,7 @@ const authReducer = (state, action) => {
 const initialState = {
   user: null,
   token: localStorage.getItem('token'),
+  twoFactorChallenge: null,
   loading: true,
   error: null
 };
@@ -81,25 +96,49 @@ export const AuthProvider = ({ children }) => {
         }
       });
     } catch (error) {
-      localStorage.removeItem('token');
+      clearStoredTokens();
       dispatch({ type: 'LOGOUT' });
     }
   };
 
+  const startSession = ({ token, refreshToken, user }) => {
+    localStorage.setItem('token', token);
+    localStorage.setItem('refreshToken', refreshToken);
+    api.defaults.headers.common['Authorization'] = `Bearer ${token}`;
+    
+    dispatch({
+      type: 'LOGIN_SUCCESS',
+      payload: { user, token }
+    });
+  };
+
+  // Returns true when the server asked for a second factor instead of issuing tokens
+  const handleTwoFactorChallenge = (data) => {
+    if (!data.twoFactorRequired && !data.twoFactorSetupRequired) {
+      return false;
+    }
+
+    dispatch({
+      type: 'TWO_FACTOR_CHALLENGE',
+      payload: {
+        type: data.twoFactorRequired ? 'verify' : 'setup',
+        challengeToken: data.challengeToken
+      }
+    });
+    return true;
+  };
+
   const login = async (credentials) => {
     try {
       dispatch({ type: 'LOGIN_START' });
       
       const response = await api.post('/auth/login', credentials);
-      const { token, user } = response.data;
       
-      localStorage.setItem('token', token);
-      api.defaults.headers.common['Authorization'] = `Bearer ${token}`;
+      if (handleTwoFactorChallenge(response.data)) {
+        return { success: false, twoFactorChallenge: true };
+      }
       
-      dispatch({
-        type: 'LOGIN_SUCCESS',
-        payload: { user, token }
-      });
+      startSession(response.data);
       
       toast.success('Login successful!');
       return { success: true };
@@ -120,15 +159,12 @@ export const AuthProvider = ({ children }) => {
       dispatch({ type: 'LOGIN_START' });
       
       const response = await api.post('/auth/register', userData);
-      const { token, user } = response.data;
       
-      localStorage.setItem('token', token);
-      api.defaults.headers.common['Authorization'] = `Bearer ${token}`;
+      if (handleTwoFactorChallenge(response.data)) {
+        return { success: false, twoFactorChallenge: true };
+      }
       
-      dispatch({
-        type: 'LOGIN_SUCCESS',
-        payload: { user, token }
-      });
+      startSession(response.data);
       
       toast.success('Registration successful!');
       return { success: true };
@@ -152,33 +188,88 @@ export const AuthProvider = ({ children }) => {
     }
   };
 
-  const logout = () => {
-    localStorage.removeItem('token');
+  const verifyTwoFactor = async ({ code, recoveryCode }) => {
+    try {
+      const response = await api.post('/auth/2fa/verify', {
+        challengeToken: state.twoFactorChallenge?.challengeToken,
+        code,
+        recoveryCode
+      });
+      
+      startSession(response.data);
+      toast.success('Login successful!');
+      
+      if (response.data.recoveryCodesRemaining !== undefined) {
+        toast.warning(`Recovery code used. ${response.data.recoveryCodesRemaining} remaining.`);
+      }
+      
+      return { success: true };
+    } catch (error) {
+      const message = error.response?.data?.errors?.[0]?.message ||
+        error.response?.data?.message ||
+        'Verification failed';
+      return { success: false, error: message };
+    }
+  };
+
+  // Called once forced enrollment at login has been confirmed and recovery codes saved
+  const completeTwoFactorSetup = (data) => {
+    startSession(data);
+    toast.success('Two-factor authentication enabled. Login successful!');
+  };
+
+  const cancelTwoFactor = () => {
+    dispatch({ type: 'CLEAR_TWO_FACTOR_CHALLENGE' });
+  };
+
+  const clearSession = () => {
+    clearStoredTokens();
     delete api.defaults.headers.common['Authorization'];
     dispatch({ type: 'LOGOUT' });
+  };
+
+  const logout = async () => {
+    try {
+      await api.post('/auth/logout');
+    } catch (error) {
+      // The session may already be expired or revoked; clear it locally regardless
+    }
+    clearSession();
     toast.success('Logged out successfully');
   };
 
+  // Revoke every session of the current user, including this one
+  const logoutAll = async () => {
+    try {
+      await api.post('/auth/logout-all');
+      clearSession();
+      toast.success('Logged out of all devices');
+      return { success: true };
+    } catch (error) {
+      const message = error.response?.data?.message || 'Failed to log out of all devices';
+      toast.error(message);
+      return { success: false, error: message };
+    }
+  };
+
   const updateUser = (userData) => {
     dispatch({ type: 'UPDATE_USER', payload: userData });
   };
 
   const refreshToken = async () => {
     try {
-      const response = await api.post('/auth/refresh-token');
-      const { token, user } = response.data;
+      const { token, user } = await refreshSession();
       
-      localStorage.setItem('token', token);
       api.defaults.headers.common['Authorization'] = `Bearer ${token}`;
       
       dispatch({
         type: 'LOGIN_SUCCESS',
-        payload: { user, token }
+        payload: { user: user || state.user, token }
       });
       
       return { success: true };
     } catch (error) {
-      logout();
+      clearSession();
       return { success: false };
     }
   };
@@ -192,9 +283,14 @@ export const AuthProvider = ({ children }) => {
     token: state.token,
     loading: state.loading,
     error: state.error,
+    twoFactorChallenge: state.twoFactorChallenge,
     login,
+    verifyTwoFactor,
+    completeTwoFactorSetup,
+    cancelTwoFactor,
     register,
     logout,
+    logoutAll,
     updateUser,
     refreshToken
   };
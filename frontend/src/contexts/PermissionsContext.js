@@ -0,0 +1,66 @@
+import React, { createContext, useContext, useState, useEffect, useCallback } from 'react';
+import { useAuth } from './AuthContext';
+import { authAPI } from '../services/api';
+
+const PermissionsContext = createContext();
+
+// What the signed-in user's role may do, as granted by the API. Only shapes the UI;
+// the API checks every permission again.
+export const PermissionsProvider = ({ children }) => {
+  const { user } = useAuth();
+  const [permissions, setPermissions] = useState([]);
+  // The user the permissions were fetched for, so a new sign-in waits for its own
+  const [loadedFor, setLoadedFor] = useState(null);
+
+  const userId = user?._id;
+  const role = user?.role;
+
+  const refreshPermissions = useCallback(async () => {
+    if (!userId) {
+      setPermissions([]);
+      setLoadedFor(null);
+      return;
+    }
+
+    try {
+      const response = await authAPI.getMyPermissions();
+      setPermissions(response.data.permissions);
+    } catch (error) {
+      console.error('Failed to fetch permissions:', error);
+      setPermissions([]);
+    } finally {
+      setLoadedFor(userId);
+    }
+  }, [userId]);
+
+  useEffect(() => {
+    refreshPermissions();
+  }, [refreshPermissions, role]);
+
+  // True when any of the given permissions is granted
+  const can = useCallback(
+    (...required) => required.some(permission => permissions.includes(permission)),
+    [permissions]
+  );
+
+  const value = {
+    permissions,
+    loading: Boolean(userId) && loadedFor !== userId,
+    can,
+    refreshPermissions
+  };
+
+  return (
+    <PermissionsContext.Provider value={value}>
+      {children}
+    </PermissionsContext.Provider>
+  );
+};
+
+export const usePermissions = () => {
+  const context = useContext(PermissionsContext);
+  if (!context) {
+    throw new Error('usePermissions must be used within a PermissionsProvider');
+  }
+  return context;
+};
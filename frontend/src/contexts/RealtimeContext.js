@@ -0,0 +1,234 @@
+import React, { createContext, useContext, useState, useEffect, useRef, useCallback } from 'react';
+import { toast } from 'react-toastify';
+import { format } from 'date-fns';
+import { useAuth } from './AuthContext';
+import { API_BASE_URL, MESSAGES_CHANGED_EVENT, messagesAPI, refreshSession } from '../services/api';
+import { formatRecipient } from '../pages/Messages/RecipientSearch';
+
+const RealtimeContext = createContext();
+
+// Sent by the gateway when the token is invalid, expired or its session was revoked
+const UNAUTHORIZED_CLOSE_CODE = 4001;
+const RECONNECT_BASE_DELAY_MS = 1000;
+const RECONNECT_MAX_DELAY_MS = 30000;
+// The unread count is only polled while the socket is down
+const FALLBACK_POLL_INTERVAL_MS = 30000;
+
+// The gateway is served by the API server on /ws
+const buildSocketUrl = () => {
+  if (process.env.REACT_APP_WS_URL) {
+    return process.env.REACT_APP_WS_URL;
+  }
+
+  const url = new URL(API_BASE_URL, window.location.href);
+  url.protocol = url.protocol === 'https:' ? 'wss:' : 'ws:';
+  url.pathname = `${url.pathname.replace(/\/api\/?$/, '')}/ws`;
+  return url.toString();
+};
+
+const showEventToast = (type, data) => {
+  switch (type) {
+    case 'message:new': {
+      const notify = data.priority === 'urgent' ? toast.warning : toast.info;
+      notify(`New message from ${formatRecipient(data.from)}: ${data.subject}`);
+      break;
+    }
+    case 'appointment:status': {
+      const when = format(new Date(data.appointmentDate), 'MMM dd') +
+        (data.timeSlot?.start ? ` at ${data.timeSlot.start}` : '');
+      toast.info(`Your appointment on ${when} is now ${data.status}`);
+      break;
+    }
+    case 'appointment:booked':
+    case 'appointment:rescheduled': {
+      const when = format(new Date(data.appointmentDate), 'MMM dd') + ` at ${data.timeSlot.start}`;
+      if (type === 'appointment:rescheduled') {
+        toast.info(`Your appointment was moved to ${when}`);
+      } else {
+        toast.info(data.count > 1
+          ? `${data.count} appointments starting ${when} were booked for you`
+          : `An appointment on ${when} was booked for you`);
+      }
+      break;
+    }
+    case 'appointment:series':
+      toast.info(data.count === 1
+        ? `An appointment in your recurring series was ${data.action}`
+        : `${data.count} appointments in your recurring series were ${data.action}`);
+      break;
+    case 'waitlist:offer':
+      toast.info(`A slot on ${format(new Date(data.appointmentDate), 'MMM dd')} at ${data.timeSlot.start} opened up. ` +
+        `Claim it from your waitlist before ${format(new Date(data.expiresAt), 'HH:mm')}.`);
+      break;
+    case 'notification':
+      toast.info(data.subject);
+      break;
+    default:
+      break;
+  }
+};
+
+export const RealtimeProvider = ({ children }) => {
+  const { user } = useAuth();
+  const userId = user?._id;
+  const [connected, setConnected] = useState(false);
+  const [unreadCount, setUnreadCount] = useState(0);
+  const listenersRef = useRef(new Map());
+
+  const refreshUnreadCount = useCallback(async () => {
+    try {
+      const response = await messagesAPI.getUnreadCount();
+      setUnreadCount(response.data.unreadCount);
+    } catch (error) {
+      console.error('Failed to fetch unread count:', error);
+    }
+  }, []);
+
+  // Register a handler for one event type; returns the unsubscribe function
+  const subscribe = useCallback((type, handler) => {
+    const listeners = listenersRef.current;
+    if (!listeners.has(type)) {
+      listeners.set(type, new Set());
+    }
+    listeners.get(type).add(handler);
+    return () => listeners.get(type).delete(handler);
+  }, []);
+
+  useEffect(() => {
+    if (!userId) {
+      setUnreadCount(0);
+      return undefined;
+    }
+
+    refreshUnreadCount();
+    window.addEventListener(MESSAGES_CHANGED_EVENT, refreshUnreadCount);
+    return () => window.removeEventListener(MESSAGES_CHANGED_EVENT, refreshUnreadCount);
+  }, [userId, refreshUnreadCount]);
+
+  useEffect(() => {
+    if (!userId || connected) {
+      return undefined;
+    }
+
+    const interval = setInterval(refreshUnreadCount, FALLBACK_POLL_INTERVAL_MS);
+    return () => clearInterval(interval);
+  }, [userId, connected, refreshUnreadCount]);
+
+  useEffect(() => {
+    if (!userId) {
+      return undefined;
+    }
+
+    let socket = null;
+    let reconnectTimer = null;
+    let attempts = 0;
+    let stopped = false;
+
+    const scheduleReconnect = () => {
+      const delay = Math.min(RECONNECT_BASE_DELAY_MS * 2 ** attempts, RECONNECT_MAX_DELAY_MS);
+      attempts += 1;
+      reconnectTimer = setTimeout(connect, delay);
+    };
+
+    const handleEvent = ({ type, data }) => {
+      if (type === 'ready') {
+        attempts = 0;
+        setConnected(true);
+        // Catch up on anything that happened while disconnected
+        refreshUnreadCount();
+        return;
+      }
+
+      if (type === 'message:new') {
+        refreshUnreadCount();
+      }
+
+      showEventToast(type, data);
+      listenersRef.current.get(type)?.forEach(handler => handler(data));
+    };
+
+    const connect = () => {
+      const token = localStorage.getItem('token');
+      if (!token) return;
+
+      socket = new WebSocket(buildSocketUrl());
+
+      // Browsers cannot set headers on the upgrade request, so the token is the first frame
+      socket.onopen = () => {
+        socket.send(JSON.stringify({ type: 'auth', token }));
+      };
+
+      socket.onmessage = (event) => {
+        try {
+          handleEvent(JSON.parse(event.data));
+        } catch (error) {
+          console.error('Failed to handle realtime event:', error);
+        }
+      };
+
+      socket.onclose = async (event) => {
+        socket = null;
+        setConnected(false);
+        if (stopped) return;
+
+        // Refresh unless the API client already stored a newer token since this one was sent
+        if (event.code === UNAUTHORIZED_CLOSE_CODE && localStorage.getItem('token') === token) {
+          try {
+            await refreshSession();
+          } catch (error) {
+            // The session is gone; the next API request logs the user out
+            return;
+          }
+        }
+
+        if (!stopped) {
+          scheduleReconnect();
+        }
+      };
+    };
+
+    connect();
+
+    return () => {
+      stopped = true;
+      clearTimeout(reconnectTimer);
+      if (socket) {
+        socket.close();
+      }
+      setConnected(false);
+    };
+  }, [userId, refreshUnreadCount]);
+
+  const value = {
+    connected,
+    unreadCount,
+    refreshUnreadCount,
+    subscribe
+  };
+
+  return (
+    <RealtimeContext.Provider value={value}>
+      {children}
+    </RealtimeContext.Provider>
+  );
+};
+
+export const useRealtime = () => {
+  const context = useContext(RealtimeContext);
+  if (!context) {
+    throw new Error('useRealtime must be used within a RealtimeProvider');
+  }
+  return context;
+};
+
+// Run `handler` for every pushed event of `type` while the component is mounted
+export const useRealtimeEvent = (type, handler) => {
+  const { subscribe } = useRealtime();
+  const handlerRef = useRef(handler);
+
+  useEffect(() => {
+    handlerRef.current = handler;
+  });
+
+  useEffect(() => subscribe(type, (data) => handlerRef.current(data)), [type, subscribe]);
+};
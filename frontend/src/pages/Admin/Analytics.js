@@ -11,6 +11,7 @@ const Analytics = () => {
   const [userAnalytics, setUserAnalytics] = useState(null);
   const [healthRecordAnalytics, setHealthRecordAnalytics] = useState(null);
   const [systemAnalytics, setSystemAnalytics] = useState(null);
+  const [jobStatus, setJobStatus] = useState(null);
   const [loading, setLoading] = useState(true);
   const [selectedPeriod, setSelectedPeriod] = useState('30');
   const [activeTab, setActiveTab] = useState('overview');
@@ -23,12 +24,13 @@ const Analytics = () => {
     try {
       setLoading(true);
       
-      const [dashboard, appointments, users, healthRecords, system] = await Promise.all([
+      const [dashboard, appointments, users, healthRecords, system, jobs] = await Promise.all([
         analyticsAPI.getDashboard(),
         analyticsAPI.getAppointmentAnalytics(selectedPeriod),
         analyticsAPI.getUserAnalytics(selectedPeriod),
         analyticsAPI.getHealthRecordAnalytics(selectedPeriod),
-        analyticsAPI.getSystemAnalytics(selectedPeriod)
+        analyticsAPI.getSystemAnalytics(selectedPeriod),
+        analyticsAPI.getJobStatus()
       ]);
 
       setDashboardData(dashboard.data.overview);
@@ -36,6 +38,7 @@ const Analytics = () => {
       setUserAnalytics(users.data);
       setHealthRecordAnalytics(healthRecords.data);
       setSystemAnalytics(system.data);
+      setJobStatus(jobs.data);
     } catch (error) {
       console.error('Error fetching analytics:', error);
       toast.error('Failed to fetch analytics data');
@@ -332,6 +335,170 @@ const Analytics = () => {
           </Card.Body>
         </Card>
       </Col>
+
+      <Col lg={12} className="mb-4">
+        <Card className="medical-card">
+          <Card.Header className="d-flex justify-content-between align-items-center">
+            <h5 className="mb-0">Emergency Access</h5>
+            <Badge bg={healthRecordAnalytics?.emergencyAccess?.total ? 'danger' : 'secondary'}>
+              {healthRecordAnalytics?.emergencyAccess?.total || 0} in period
+            </Badge>
+          </Card.Header>
+          <Card.Body className="p-0">
+            {healthRecordAnalytics?.emergencyAccess?.recent?.length ? (
+              <Table responsive hover className="table-medical mb-0">
+                <thead>
+                  <tr>
+                    <th>When</th>
+                    <th>Provider</th>
+                    <th>Patient</th>
+                    <th>Reason</th>
+                  </tr>
+                </thead>
+                <tbody>
+                  {healthRecordAnalytics.emergencyAccess.recent.map((access) => (
+                    <tr key={access._id}>
+                      <td>{new Date(access.createdAt).toLocaleString()}</td>
+                      <td>
+                        {access.provider?.profile?.firstName} {access.provider?.profile?.lastName}
+                        <Badge bg="warning" text="dark" className="ms-1 text-capitalize">
+                          {access.provider?.role}
+                        </Badge>
+                      </td>
+                      <td>{access.patient?.profile?.firstName} {access.patient?.profile?.lastName}</td>
+                      <td>{access.reason}</td>
+                    </tr>
+                  ))}
+                </tbody>
+              </Table>
+            ) : (
+              <p className="text-muted p-3 mb-0">No emergency access in this period</p>
+            )}
+          </Card.Body>
+        </Card>
+      </Col>
+    </Row>
+  );
+
+  const formatDuration = (ms) => {
+    if (ms === undefined || ms === null) return '-';
+    return ms < 1000 ? `${ms} ms` : `${(ms / 1000).toFixed(1)} s`;
+  };
+
+  const getRunStatusColor = (status) => {
+    const colors = {
+      running: 'info',
+      succeeded: 'success',
+      failed: 'danger'
+    };
+    return colors[status] || 'secondary';
+  };
+
+  const JobsTab = () => (
+    <Row>
+      {!jobStatus?.schedulerEnabled && (
+        <Col lg={12} className="mb-4">
+          <Alert variant="warning" className="mb-0">
+            Background jobs are disabled on this server (JOBS_ENABLED=false).
+          </Alert>
+        </Col>
+      )}
+
+      <Col lg={12} className="mb-4">
+        <Card className="medical-card">
+          <Card.Header>
+            <h5 className="mb-0">Scheduled Jobs</h5>
+          </Card.Header>
+          <Card.Body className="p-0">
+            <Table responsive hover className="table-medical mb-0">
+              <thead>
+                <tr>
+                  <th>Job</th>
+                  <th>Interval</th>
+                  <th>Last Run</th>
+                  <th>Duration</th>
+                  <th>Result</th>
+                  <th>Failures (24h)</th>
+                </tr>
+              </thead>
+              <tbody>
+                {jobStatus?.jobs?.map((job) => (
+                  <tr key={job.name}>
+                    <td>
+                      <strong>{job.name}</strong>
+                      <div className="text-muted small">{job.description}</div>
+                      {job.lock && (
+                        <Badge bg="info" className="mt-1">Running on {job.lock.owner}</Badge>
+                      )}
+                    </td>
+                    <td>{Math.round(job.intervalMs / 1000)} s</td>
+                    <td>
+                      {job.lastRun ? (
+                        <>
+                          <Badge bg={getRunStatusColor(job.lastRun.status)} className="me-2">
+                            {job.lastRun.status}
+                          </Badge>
+                          <span className="small">{new Date(job.lastRun.startedAt).toLocaleString()}</span>
+                        </>
+                      ) : (
+                        <span className="text-muted">Never</span>
+                      )}
+                    </td>
+                    <td>{formatDuration(job.lastRun?.durationMs)}</td>
+                    <td className="small">
+                      {job.lastRun?.status === 'failed'
+                        ? job.lastRun.failureReason
+                        : job.lastRun?.result && Object.entries(job.lastRun.result).map(([key, value]) => `${key}: ${value}`).join(', ')}
+                    </td>
+                    <td>
+                      <Badge bg={job.failuresLast24h > 0 ? 'danger' : 'success'}>
+                        {job.failuresLast24h} / {job.runsLast24h}
+                      </Badge>
+                    </td>
+                  </tr>
+                ))}
+              </tbody>
+            </Table>
+          </Card.Body>
+        </Card>
+      </Col>
+
+      <Col lg={12} className="mb-4">
+        <Card className="medical-card">
+          <Card.Header>
+            <h5 className="mb-0">Recent Runs</h5>
+          </Card.Header>
+          <Card.Body className="p-0">
+            <Table responsive hover className="table-medical mb-0">
+              <thead>
+                <tr>
+                  <th>Job</th>
+                  <th>Started</th>
+                  <th>Status</th>
+                  <th>Duration</th>
+                  <th>Instance</th>
+                </tr>
+              </thead>
+              <tbody>
+                {jobStatus?.recentRuns?.map((run) => (
+                  <tr key={run._id}>
+                    <td>{run.jobName}</td>
+                    <td>{new Date(run.startedAt).toLocaleString()}</td>
+                    <td>
+                      <Badge bg={getRunStatusColor(run.status)}>{run.status}</Badge>
+                      {run.failureReason && (
+                        <div className="text-danger small">{run.failureReason}</div>
+                      )}
+                    </td>
+                    <td>{formatDuration(run.durationMs)}</td>
+                    <td className="text-muted small">{run.instanceId}</td>
+                  </tr>
+                ))}
+              </tbody>
+            </Table>
+          </Card.Body>
+        </Card>
+      </Col>
     </Row>
   );
 
@@ -341,6 +508,8 @@ const Analytics = () => {
       confirmed: 'info',
       completed: 'success',
       cancelled: 'danger',
+      'checked-in': 'primary',
+      'in-progress': 'dark',
       rescheduled: 'secondary'
     };
     return colors[status] || 'secondary';
@@ -350,7 +519,8 @@ const Analytics = () => {
     { key: 'overview', label: 'Overview', component: OverviewTab },
     { key: 'appointments', label: 'Appointments', component: AppointmentsTab },
     { key: 'users', label: 'Users', component: UsersTab },
-    { key: 'health-records', label: 'Health Records', component: HealthRecordsTab }
+    { key: 'health-records', label: 'Health Records', component: HealthRecordsTab },
+    { key: 'jobs', label: 'Background Jobs', component: JobsTab }
   ];
 
   if (loading) {
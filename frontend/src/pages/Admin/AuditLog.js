@@ -0,0 +1,278 @@
+import React, { useState, useEffect } from 'react';
+import {
+  Container, Row, Col, Card, Table, Button, Form, Badge, Alert, Spinner, Pagination
+} from 'react-bootstrap';
+import { toast } from 'react-toastify';
+import { format } from 'date-fns';
+import { auditAPI } from '../../services/api';
+
+const EMPTY_FILTERS = {
+  action: '',
+  resourceType: '',
+  outcome: '',
+  actor: '',
+  patient: '',
+  startDate: '',
+  endDate: ''
+};
+
+const formatPerson = (person) => {
+  if (!person) return 'System';
+  const fullName = [person.profile?.firstName, person.profile?.lastName].filter(Boolean).join(' ');
+  return fullName || person.username;
+};
+
+// Only send filters that have a value
+const toParams = (filters) => Object.fromEntries(
+  Object.entries(filters).filter(([, value]) => value !== '')
+);
+
+const AuditLog = () => {
+  const [events, setEvents] = useState([]);
+  const [actions, setActions] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [exporting, setExporting] = useState(false);
+  const [verifying, setVerifying] = useState(false);
+  const [verification, setVerification] = useState(null);
+  const [filters, setFilters] = useState(EMPTY_FILTERS);
+  const [page, setPage] = useState(1);
+  const [pagination, setPagination] = useState({ current: 1, pages: 1, total: 0 });
+
+  useEffect(() => {
+    fetchEvents();
+  }, [filters, page]);
+
+  const fetchEvents = async () => {
+    try {
+      setLoading(true);
+      const response = await auditAPI.getEvents({ ...toParams(filters), page, limit: 50 });
+      setEvents(response.data.events);
+      setActions(response.data.actions);
+      setPagination(response.data.pagination);
+    } catch (error) {
+      const message = error.response?.data?.message || 'Failed to fetch audit events';
+      toast.error(message);
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const handleFilterChange = (e) => {
+    const { name, value } = e.target;
+    setFilters(prev => ({ ...prev, [name]: value }));
+    setPage(1);
+  };
+
+  const handleExport = async () => {
+    try {
+      setExporting(true);
+      const response = await auditAPI.exportEvents(toParams(filters));
+      const url = window.URL.createObjectURL(new Blob([response.data], { type: 'text/csv' }));
+      const link = document.createElement('a');
+      link.href = url;
+      link.download = `audit-log-${format(new Date(), 'yyyy-MM-dd')}.csv`;
+      document.body.appendChild(link);
+      link.click();
+      link.remove();
+      window.URL.revokeObjectURL(url);
+    } catch (error) {
+      toast.error('Failed to export audit log');
+    } finally {
+      setExporting(false);
+    }
+  };
+
+  const handleVerify = async () => {
+    try {
+      setVerifying(true);
+      const response = await auditAPI.verifyChain();
+      setVerification(response.data);
+    } catch (error) {
+      const message = error.response?.data?.message || 'Failed to verify audit trail';
+      toast.error(message);
+    } finally {
+      setVerifying(false);
+    }
+  };
+
+  return (
+    <Container className="py-4">
+      <Row className="mb-4">
+        <Col>
+          <h2>Audit Log</h2>
+          <p className="text-muted">
+            Append-only record of access to patient data and account changes
+          </p>
+        </Col>
+        <Col xs="auto" className="d-flex align-items-start gap-2">
+          <Button variant="outline-secondary" onClick={handleVerify} disabled={verifying}>
+            {verifying ? <Spinner animation="border" size="sm" /> : 'Verify Integrity'}
+          </Button>
+          <Button variant="primary" onClick={handleExport} disabled={exporting}>
+            {exporting ? <Spinner animation="border" size="sm" /> : 'Export CSV'}
+          </Button>
+        </Col>
+      </Row>
+
+      {verification && (
+        <Alert
+          variant={verification.valid ? 'success' : 'danger'}
+          dismissible
+          onClose={() => setVerification(null)}
+        >
+          {verification.valid
+            ? `Hash chain intact: ${verification.checked} event(s) verified.`
+            : `Hash chain broken at event #${verification.brokenAtSequence}: ${verification.reason}`}
+        </Alert>
+      )}
+
+      <Card className="mb-4">
+        <Card.Body>
+          <Row className="g-3">
+            <Col md={3}>
+              <Form.Group>
+                <Form.Label>Action</Form.Label>
+                <Form.Select name="action" value={filters.action} onChange={handleFilterChange}>
+                  <option value="">All Actions</option>
+                  <option value="health_record">All health record actions</option>
+                  <option value="user">All user actions</option>
+                  <option value="appointment">All appointment actions</option>
+                  {actions.map(action => (
+                    <option key={action} value={action}>{action}</option>
+                  ))}
+                </Form.Select>
+              </Form.Group>
+            </Col>
+            <Col md={2}>
+              <Form.Group>
+                <Form.Label>Resource</Form.Label>
+                <Form.Select name="resourceType" value={filters.resourceType} onChange={handleFilterChange}>
+                  <option value="">All</option>
+                  <option value="HealthRecord">Health Record</option>
+                  <option value="User">User</option>
+                  <option value="Appointment">Appointment</option>
+                  <option value="AppointmentSeries">Appointment Series</option>
+                  <option value="CareRelationship">Care Relationship</option>
+                  <option value="RecordShare">Record Share</option>
+                </Form.Select>
+              </Form.Group>
+            </Col>
+            <Col md={2}>
+              <Form.Group>
+                <Form.Label>Outcome</Form.Label>
+                <Form.Select name="outcome" value={filters.outcome} onChange={handleFilterChange}>
+                  <option value="">All</option>
+                  <option value="success">Success</option>
+                  <option value="denied">Denied</option>
+                </Form.Select>
+              </Form.Group>
+            </Col>
+            <Col md={2}>
+              <Form.Group>
+                <Form.Label>From</Form.Label>
+                <Form.Control type="date" name="startDate" value={filters.startDate} onChange={handleFilterChange} />
+              </Form.Group>
+            </Col>
+            <Col md={2}>
+              <Form.Group>
+                <Form.Label>To</Form.Label>
+                <Form.Control type="date" name="endDate" value={filters.endDate} onChange={handleFilterChange} />
+              </Form.Group>
+            </Col>
+            <Col md={4}>
+              <Form.Group>
+                <Form.Label>Actor ID</Form.Label>
+                <Form.Control name="actor" value={filters.actor} onChange={handleFilterChange} placeholder="User ID" />
+              </Form.Group>
+            </Col>
+            <Col md={4}>
+              <Form.Group>
+                <Form.Label>Patient ID</Form.Label>
+                <Form.Control name="patient" value={filters.patient} onChange={handleFilterChange} placeholder="Patient user ID" />
+              </Form.Group>
+            </Col>
+            <Col md={4} className="d-flex align-items-end">
+              <Button
+                variant="outline-secondary"
+                onClick={() => {
+                  setFilters(EMPTY_FILTERS);
+                  setPage(1);
+                }}
+              >
+                Clear Filters
+              </Button>
+            </Col>
+          </Row>
+        </Card.Body>
+      </Card>
+
+      <Card>
+        <Card.Body>
+          {loading ? (
+            <div className="text-center py-4">
+              <Spinner animation="border" />
+            </div>
+          ) : events.length === 0 ? (
+            <Alert variant="info" className="mb-0">No audit events match these filters.</Alert>
+          ) : (
+            <Table responsive hover size="sm">
+              <thead>
+                <tr>
+                  <th>#</th>
+                  <th>Time</th>
+                  <th>Actor</th>
+                  <th>Action</th>
+                  <th>Resource</th>
+                  <th>Patients</th>
+                  <th>Outcome</th>
+                  <th>IP Address</th>
+                </tr>
+              </thead>
+              <tbody>
+                {events.map(event => (
+                  <tr key={event._id}>
+                    <td className="text-muted">{event.sequence}</td>
+                    <td className="text-nowrap">{format(new Date(event.timestamp), 'MMM dd, yyyy HH:mm:ss')}</td>
+                    <td>
+                      {formatPerson(event.actor)}
+                      {event.actorRole && <div className="text-muted small">{event.actorRole}</div>}
+                    </td>
+                    <td><code>{event.action}</code></td>
+                    <td>
+                      {event.resourceType}
+                      {event.resourceId && <div className="text-muted small">{event.resourceId}</div>}
+                    </td>
+                    <td className="small">
+                      {event.patients.length > 3
+                        ? `${event.patients.length} patients`
+                        : event.patients.map(formatPerson).join(', ') || '-'}
+                    </td>
+                    <td>
+                      <Badge bg={event.outcome === 'denied' ? 'danger' : 'success'}>
+                        {event.outcome}
+                      </Badge>
+                    </td>
+                    <td className="small">{event.ipAddress || '-'}</td>
+                  </tr>
+                ))}
+              </tbody>
+            </Table>
+          )}
+
+          {pagination.pages > 1 && (
+            <div className="d-flex justify-content-between align-items-center mt-3">
+              <span className="text-muted small">{pagination.total} event(s)</span>
+              <Pagination className="mb-0">
+                <Pagination.Prev disabled={!pagination.hasPrev} onClick={() => setPage(page - 1)} />
+                <Pagination.Item active>{pagination.current} / {pagination.pages}</Pagination.Item>
+                <Pagination.Next disabled={!pagination.hasNext} onClick={() => setPage(page + 1)} />
+              </Pagination>
+            </div>
+          )}
+        </Card.Body>
+      </Card>
+    </Container>
+  );
+};
+
+export default AuditLog;
@@ -0,0 +1,85 @@
+import React, { useState, useEffect } from 'react';
+import { Card, Form, Button, Spinner } from 'react-bootstrap';
+import { toast } from 'react-toastify';
+import { settingsAPI } from '../../services/api';
+
+const SETTING_LABELS = {
+  patientCareTeamOnly: 'Patients only message their care team',
+  patientsCanMessageAdmins: 'Patients can message administrators',
+  staffSameDepartmentOnly: 'Staff only message within their department'
+};
+
+const MessagingSettingsCard = () => {
+  const [settings, setSettings] = useState({});
+  const [loading, setLoading] = useState(true);
+  const [saving, setSaving] = useState(false);
+
+  useEffect(() => {
+    fetchSettings();
+  }, []);
+
+  const fetchSettings = async () => {
+    try {
+      const response = await settingsAPI.getMessagingSettings();
+      setSettings(response.data.settings);
+    } catch (error) {
+      const message = error.response?.data?.message || 'Failed to load messaging settings';
+      toast.error(message);
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const toggleSetting = (key) => {
+    setSettings(prev => ({ ...prev, [key]: !prev[key] }));
+  };
+
+  const handleSave = async () => {
+    try {
+      setSaving(true);
+      const response = await settingsAPI.updateMessagingSettings(settings);
+      setSettings(response.data.settings);
+      toast.success('Messaging settings saved');
+    } catch (error) {
+      const message = error.response?.data?.message || 'Failed to save messaging settings';
+      toast.error(message);
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  return (
+    <Card>
+      <Card.Body>
+        <h6>Messaging Rules</h6>
+        {loading ? (
+          <Spinner animation="border" size="sm" />
+        ) : (
+          <>
+            {Object.entries(SETTING_LABELS).map(([key, label]) => (
+              <Form.Check
+                key={key}
+                type="switch"
+                id={`messaging-${key}`}
+                label={label}
+                checked={Boolean(settings[key])}
+                onChange={() => toggleSetting(key)}
+              />
+            ))}
+            <Button
+              variant="primary"
+              size="sm"
+              className="mt-2"
+              onClick={handleSave}
+              disabled={saving}
+            >
+              {saving ? <Spinner animation="border" size="sm" /> : 'Save'}
+            </Button>
+          </>
+        )}
+      </Card.Body>
+    </Card>
+  );
+};
+
+export default MessagingSettingsCard;
@@ -0,0 +1,206 @@
+import React, { useState, useEffect } from 'react';
+import { Container, Row, Col, Card, Table, Form, Button, Badge, Spinner, Alert } from 'react-bootstrap';
+import { toast } from 'react-toastify';
+import { settingsAPI } from '../../services/api';
+import { useAuth } from '../../contexts/AuthContext';
+import { usePermissions } from '../../contexts/PermissionsContext';
+
+const RESOURCE_LABELS = {
+  appointment: 'Appointments',
+  waitlist: 'Waitlist',
+  queue: 'Waiting Room',
+  healthRecord: 'Health Records',
+  careRelationship: 'Care Relationships',
+  message: 'Messages',
+  notification: 'Notifications',
+  user: 'Users',
+  schedule: 'Schedules',
+  analytics: 'Analytics',
+  audit: 'Audit',
+  settings: 'Settings',
+  role: 'Roles'
+};
+
+// Permissions grouped by their resource, in registry order
+const groupByResource = (permissions) => permissions.reduce((groups, permission) => {
+  const resource = permission.key.split(':')[0];
+  const group = groups.find(item => item.resource === resource);
+  if (group) {
+    group.permissions.push(permission);
+  } else {
+    groups.push({ resource, permissions: [permission] });
+  }
+  return groups;
+}, []);
+
+const toDraft = (roles) => Object.fromEntries(roles.map(({ role, permissions }) => [role, permissions]));
+
+const sameSet = (a, b) => a.length === b.length && a.every(item => b.includes(item));
+
+// Edit which permissions each role grants
+const RolePermissions = () => {
+  const { user } = useAuth();
+  const { refreshPermissions } = usePermissions();
+  const [data, setData] = useState(null);
+  const [draft, setDraft] = useState({});
+  const [savingRole, setSavingRole] = useState(null);
+
+  useEffect(() => {
+    fetchRoles();
+  }, []);
+
+  const fetchRoles = async () => {
+    try {
+      const response = await settingsAPI.getRolePermissions();
+      setData(response.data);
+      setDraft(toDraft(response.data.roles));
+    } catch (error) {
+      toast.error(error.response?.data?.message || 'Failed to load role permissions');
+    }
+  };
+
+  const applyResponse = async (response, role) => {
+    setData(response.data);
+    setDraft(prev => ({ ...prev, [role]: toDraft(response.data.roles)[role] }));
+    toast.success(response.data.message);
+    if (role === user.role) {
+      await refreshPermissions();
+    }
+  };
+
+  const togglePermission = (role, key) => {
+    setDraft(prev => ({
+      ...prev,
+      [role]: prev[role].includes(key) ? prev[role].filter(item => item !== key) : [...prev[role], key]
+    }));
+  };
+
+  const handleSave = async (role) => {
+    try {
+      setSavingRole(role);
+      await applyResponse(await settingsAPI.updateRolePermissions(role, draft[role]), role);
+    } catch (error) {
+      const message = error.response?.data?.errors?.[0]?.message ||
+        error.response?.data?.message ||
+        'Failed to save permissions';
+      toast.error(message);
+    } finally {
+      setSavingRole(null);
+    }
+  };
+
+  const handleReset = async (role) => {
+    if (!window.confirm(`Reset the ${role} role to its default permissions?`)) {
+      return;
+    }
+
+    try {
+      setSavingRole(role);
+      await applyResponse(await settingsAPI.resetRolePermissions(role), role);
+    } catch (error) {
+      toast.error(error.response?.data?.message || 'Failed to reset permissions');
+    } finally {
+      setSavingRole(null);
+    }
+  };
+
+  if (!data) {
+    return (
+      <Container className="py-4 text-center">
+        <Spinner animation="border" />
+      </Container>
+    );
+  }
+
+  const isLocked = (role, key) => role === 'admin' && data.lockedAdminPermissions.includes(key);
+
+  return (
+    <Container fluid className="py-4">
+      <Row className="mb-3">
+        <Col>
+          <h2 className="mb-0">Roles &amp; Permissions</h2>
+          <div className="text-muted">Changes apply to every user of the role within a minute</div>
+        </Col>
+      </Row>
+
+      <Alert variant="info" className="py-2">
+        Patients, doctors and the record's provider keep access to their own appointments, messages
+        and records; these permissions control everything beyond that.
+      </Alert>
+
+      <Card>
+        <Table responsive hover className="mb-0 align-middle">
+          <thead>
+            <tr>
+              <th>Permission</th>
+              {data.roles.map(({ role, isDefault }) => (
+                <th key={role} className="text-center text-capitalize">
+                  {role}
+                  {!isDefault && <Badge bg="warning" text="dark" className="ms-1">Custom</Badge>}
+                </th>
+              ))}
+            </tr>
+          </thead>
+          <tbody>
+            {groupByResource(data.permissions).map(({ resource, permissions }) => (
+              <React.Fragment key={resource}>
+                <tr className="table-light">
+                  <td colSpan={data.roles.length + 1} className="fw-semibold">
+                    {RESOURCE_LABELS[resource] || resource}
+                  </td>
+                </tr>
+                {permissions.map(({ key, description }) => (
+                  <tr key={key}>
+                    <td>
+                      <div>{description}</div>
+                      <code className="small">{key}</code>
+                    </td>
+                    {data.roles.map(({ role }) => (
+                      <td key={role} className="text-center">
+                        <Form.Check
+                          id={`permission-${role}-${key}`}
+                          aria-label={`${key} for ${role}`}
+                          checked={(draft[role] || []).includes(key)}
+                          disabled={isLocked(role, key) || savingRole === role}
+                          onChange={() => togglePermission(role, key)}
+                        />
+                      </td>
+                    ))}
+                  </tr>
+                ))}
+              </React.Fragment>
+            ))}
+          </tbody>
+          <tfoot>
+            <tr>
+              <td />
+              {data.roles.map(({ role, permissions, isDefault }) => (
+                <td key={role} className="text-center">
+                  <Button
+                    size="sm"
+                    className="me-1 mb-1"
+                    disabled={savingRole === role || sameSet(draft[role] || [], permissions)}
+                    onClick={() => handleSave(role)}
+                  >
+                    {savingRole === role ? <Spinner animation="border" size="sm" /> : 'Save'}
+                  </Button>
+                  <Button
+                    size="sm"
+                    variant="outline-secondary"
+                    className="mb-1"
+                    disabled={savingRole === role || isDefault}
+                    onClick={() => handleReset(role)}
+                  >
+                    Reset
+                  </Button>
+                </td>
+              ))}
+            </tr>
+          </tfoot>
+        </Table>
+      </Card>
+    </Container>
+  );
+};
+
+export default RolePermissions;
@@ -0,0 +1,93 @@
+import React, { useState, useEffect } from 'react';
+import { Card, Form, Button, Spinner } from 'react-bootstrap';
+import { toast } from 'react-toastify';
+import { settingsAPI } from '../../services/api';
+
+const ROLE_LABELS = {
+  doctor: 'Doctors',
+  nurse: 'Nurses',
+  admin: 'Administrators'
+};
+
+const SecuritySettingsCard = () => {
+  const [requiredRoles, setRequiredRoles] = useState([]);
+  const [enforceableRoles, setEnforceableRoles] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [saving, setSaving] = useState(false);
+
+  useEffect(() => {
+    fetchSettings();
+  }, []);
+
+  const fetchSettings = async () => {
+    try {
+      const response = await settingsAPI.getSecuritySettings();
+      setRequiredRoles(response.data.settings.twoFactorRequiredRoles);
+      setEnforceableRoles(response.data.enforceableRoles);
+    } catch (error) {
+      const message = error.response?.data?.message || 'Failed to load security settings';
+      toast.error(message);
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const toggleRole = (role) => {
+    setRequiredRoles(prev =>
+      prev.includes(role) ? prev.filter(r => r !== role) : [...prev, role]
+    );
+  };
+
+  const handleSave = async () => {
+    try {
+      setSaving(true);
+      const response = await settingsAPI.updateSecuritySettings({ twoFactorRequiredRoles: requiredRoles });
+      setRequiredRoles(response.data.settings.twoFactorRequiredRoles);
+      toast.success(
+        response.data.revokedSessions > 0
+          ? `Security settings saved. ${response.data.revokedSessions} session(s) signed out for enrollment.`
+          : 'Security settings saved'
+      );
+    } catch (error) {
+      const message = error.response?.data?.message || 'Failed to save security settings';
+      toast.error(message);
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  return (
+    <Card>
+      <Card.Body>
+        <h6>Require Two-Factor Authentication</h6>
+        {loading ? (
+          <Spinner animation="border" size="sm" />
+        ) : (
+          <>
+            {enforceableRoles.map(role => (
+              <Form.Check
+                key={role}
+                type="switch"
+                id={`require-2fa-${role}`}
+                label={ROLE_LABELS[role] || role}
+                checked={requiredRoles.includes(role)}
+                onChange={() => toggleRole(role)}
+              />
+            ))}
+            <Button
+              variant="primary"
+              size="sm"
+              className="mt-2"
+              onClick={handleSave}
+              disabled={saving}
+            >
+              {saving ? <Spinner animation="border" size="sm" /> : 'Save'}
+            </Button>
+          </>
+        )}
+      </Card.Body>
+    </Card>
+  );
+};
+
+export default SecuritySettingsCard;
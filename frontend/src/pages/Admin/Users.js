@@ -5,12 +5,16 @@ import {
 } from 'react-bootstrap';
 import { useNavigate } from 'react-router-dom';
 import { useAuth } from '../../contexts/AuthContext';
+import { usePermissions } from '../../contexts/PermissionsContext';
 import { usersAPI } from '../../services/api';
 import { toast } from 'react-toastify';
 import { format } from 'date-fns';
+import SecuritySettingsCard from './SecuritySettingsCard';
+import MessagingSettingsCard from './MessagingSettingsCard';
 
 const Users = () => {
   const { user } = useAuth();
+  const { can } = usePermissions();
   const navigate = useNavigate();
   const [users, setUsers] = useState([]);
   const [loading, setLoading] = useState(true);
@@ -29,13 +33,13 @@ const Users = () => {
   const [modalAction, setModalAction] = useState('');
 
   useEffect(() => {
-    if (!user || !['admin', 'nurse'].includes(user.role)) {
+    if (!user || !can('user:list')) {
       navigate('/dashboard');
       toast.error('Access denied. Admin privileges required.');
       return;
     }
     fetchUsers();
-  }, [user, navigate, filters, pagination.current]);
+  }, [user, can, navigate, filters, pagination.current]);
 
   const fetchUsers = async () => {
     try {
@@ -84,6 +88,21 @@ const Users = () => {
     }
   };
 
+  const handleRevokeSessions = async (userId) => {
+    try {
+      setActionLoading(true);
+      const response = await usersAPI.revokeUserSessions(userId);
+      toast.success(`Signed out of ${response.data.revokedSessions} session(s)`);
+      setShowModal(false);
+      setSelectedUser(null);
+    } catch (error) {
+      const message = error.response?.data?.message || 'Failed to sign out user';
+      toast.error(message);
+    } finally {
+      setActionLoading(false);
+    }
+  };
+
   const handleDeleteUser = async (userId) => {
     try {
       setActionLoading(true);
@@ -120,7 +139,7 @@ const Users = () => {
     return isActive ? 'success' : 'secondary';
   };
 
-  if (!user || !['admin', 'nurse'].includes(user.role)) {
+  if (!user || !can('user:list')) {
     return (
       <Container className="py-4">
         <Alert variant="danger">
@@ -192,6 +211,16 @@ const Users = () => {
               </div>
             </Card.Body>
           </Card>
+          {can('settings:manage') && (
+            <>
+              <div className="mt-3">
+                <SecuritySettingsCard />
+              </div>
+              <div className="mt-3">
+                <MessagingSettingsCard />
+              </div>
+            </>
+          )}
         </Col>
       </Row>
 
@@ -255,6 +284,9 @@ const Users = () => {
                         <Badge bg={getStatusBadgeVariant(userItem.isActive)}>
                           {userItem.isActive ? 'Active' : 'Inactive'}
                         </Badge>
+                        {userItem.twoFactor?.enabled && (
+                          <Badge bg="dark" className="ms-1">2FA</Badge>
+                        )}
                       </td>
                       <td>
                         <div className="text-muted small">
@@ -263,7 +295,7 @@ const Users = () => {
                       </td>
                       <td>
                         <div className="d-flex gap-1">
-                          {user.role === 'admin' && userItem._id !== user._id && (
+                          {can('user:manage') && userItem._id !== user._id && (
                             <>
                               <Button
                                 variant={userItem.isActive ? "outline-warning" : "outline-success"}
@@ -273,6 +305,16 @@ const Users = () => {
                               >
                                 {userItem.isActive ? 'Deactivate' : 'Activate'}
                               </Button>
+                              {userItem.isActive && (
+                                <Button
+                                  variant="outline-secondary"
+                                  size="sm"
+                                  onClick={() => openModal(userItem, 'sign out')}
+                                  disabled={actionLoading}
+                                >
+                                  Sign Out
+                                </Button>
+                              )}
                               <Button
                                 variant="outline-danger"
                                 size="sm"
@@ -337,6 +379,7 @@ const Users = () => {
         <Modal.Header closeButton>
           <Modal.Title>
             {modalAction === 'delete' ? 'Delete User' : 
+             modalAction === 'sign out' ? 'Sign Out User' :
              modalAction === 'activate' ? 'Activate User' : 'Deactivate User'}
           </Modal.Title>
         </Modal.Header>
@@ -354,6 +397,11 @@ const Users = () => {
                   {selectedUser.email} (@{selectedUser.username})
                 </span>
               </div>
+              {['deactivate', 'sign out'].includes(modalAction) && (
+                <p className="text-muted small mt-3 mb-0">
+                  The user will be signed out of all devices immediately.
+                </p>
+              )}
               {modalAction === 'delete' && (
                 <div className="mt-3">
                   <Alert variant="danger" className="small">
@@ -378,6 +426,8 @@ const Users = () => {
             onClick={() => {
               if (modalAction === 'delete') {
                 handleDeleteUser(selectedUser._id);
+              } else if (modalAction === 'sign out') {
+                handleRevokeSessions(selectedUser._id);
               } else {
                 handleStatusUpdate(selectedUser._id, modalAction === 'activate');
               }
@@ -386,6 +436,7 @@ const Users = () => {
           >
             {actionLoading ? <Spinner animation="border" size="sm" /> : 
              modalAction === 'delete' ? 'Delete User' :
+             modalAction === 'sign out' ? 'Sign Out User' :
              modalAction === 'activate' ? 'Activate User' : 'Deactivate User'}
           </Button>
         </Modal.Footer>
@@ -0,0 +1,196 @@
+import React, { useState, useEffect } from 'react';
+import {
+  Container, Row, Col, Card, Table, Button, Form, Badge, Spinner, Pagination
+} from 'react-bootstrap';
+import { toast } from 'react-toastify';
+import { format } from 'date-fns';
+import { waitlistAPI, usersAPI } from '../../services/api';
+
+const STATUS_VARIANTS = {
+  waiting: 'info',
+  booked: 'success',
+  cancelled: 'secondary',
+  expired: 'secondary'
+};
+
+const formatPerson = (person) => {
+  const fullName = [person?.profile?.firstName, person?.profile?.lastName].filter(Boolean).join(' ');
+  return fullName || person?.username || '-';
+};
+
+// Every patient's waitlist entries with the offers made for them
+const Waitlist = () => {
+  const [entries, setEntries] = useState([]);
+  const [doctors, setDoctors] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [filters, setFilters] = useState({ status: 'waiting', doctor: '' });
+  const [page, setPage] = useState(1);
+  const [pagination, setPagination] = useState({ current: 1, pages: 1, total: 0 });
+
+  useEffect(() => {
+    fetchDoctors();
+  }, []);
+
+  useEffect(() => {
+    fetchEntries();
+  }, [filters, page]);
+
+  const fetchDoctors = async () => {
+    try {
+      const response = await usersAPI.getDoctors({ limit: 100 });
+      setDoctors(response.data.doctors);
+    } catch (error) {
+      toast.error(error.response?.data?.message || 'Failed to fetch doctors');
+    }
+  };
+
+  const fetchEntries = async () => {
+    try {
+      setLoading(true);
+      const params = Object.fromEntries(Object.entries(filters).filter(([, value]) => value !== ''));
+      const response = await waitlistAPI.getEntries({ ...params, page, limit: 25 });
+      setEntries(response.data.entries);
+      setPagination(response.data.pagination);
+    } catch (error) {
+      toast.error(error.response?.data?.message || 'Failed to fetch the waitlist');
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const handleFilterChange = (e) => {
+    const { name, value } = e.target;
+    setFilters(prev => ({ ...prev, [name]: value }));
+    setPage(1);
+  };
+
+  const handleRemove = async (entry) => {
+    if (!window.confirm(`Remove ${formatPerson(entry.patient)} from the waitlist?`)) return;
+
+    try {
+      await waitlistAPI.leaveWaitlist(entry._id);
+      toast.success('Removed from the waitlist');
+      fetchEntries();
+    } catch (error) {
+      toast.error(error.response?.data?.message || 'Failed to remove the waitlist entry');
+    }
+  };
+
+  return (
+    <Container className="py-4">
+      <Row className="mb-4">
+        <Col>
+          <h2>Waitlist</h2>
+          <p className="text-muted">
+            Patients waiting for an earlier slot. Freed slots are offered to them automatically.
+          </p>
+        </Col>
+      </Row>
+
+      <Card className="mb-4">
+        <Card.Body>
+          <Row className="g-3">
+            <Col md={3}>
+              <Form.Group>
+                <Form.Label>Status</Form.Label>
+                <Form.Select name="status" value={filters.status} onChange={handleFilterChange}>
+                  <option value="">All Statuses</option>
+                  <option value="waiting">Waiting</option>
+                  <option value="booked">Booked</option>
+                  <option value="cancelled">Cancelled</option>
+                  <option value="expired">Expired</option>
+                </Form.Select>
+              </Form.Group>
+            </Col>
+            <Col md={4}>
+              <Form.Group>
+                <Form.Label>Doctor</Form.Label>
+                <Form.Select name="doctor" value={filters.doctor} onChange={handleFilterChange}>
+                  <option value="">All Doctors</option>
+                  {doctors.map(doctor => (
+                    <option key={doctor._id} value={doctor._id}>
+                      Dr. {formatPerson(doctor)}
+                    </option>
+                  ))}
+                </Form.Select>
+              </Form.Group>
+            </Col>
+          </Row>
+        </Card.Body>
+      </Card>
+
+      <Card>
+        <Card.Body>
+          {loading ? (
+            <div className="text-center py-4">
+              <Spinner animation="border" />
+            </div>
+          ) : entries.length === 0 ? (
+            <p className="text-muted text-center mb-0">No waitlist entries match these filters</p>
+          ) : (
+            <Table responsive hover size="sm">
+              <thead>
+                <tr>
+                  <th>Patient</th>
+                  <th>Waiting for</th>
+                  <th>Dates</th>
+                  <th>Times</th>
+                  <th>Joined</th>
+                  <th>Status</th>
+                  <th>Offers</th>
+                  <th />
+                </tr>
+              </thead>
+              <tbody>
+                {entries.map(entry => (
+                  <tr key={entry._id}>
+                    <td>{formatPerson(entry.patient)}</td>
+                    <td>{entry.doctor ? `Dr. ${formatPerson(entry.doctor)}` : `Any ${entry.specialization}`}</td>
+                    <td className="small">
+                      {format(new Date(entry.dateFrom), 'MMM dd')} - {format(new Date(entry.dateTo), 'MMM dd, yyyy')}
+                    </td>
+                    <td className="small">
+                      {entry.timeFrom || entry.timeTo
+                        ? `${entry.timeFrom || 'any'} - ${entry.timeTo || 'any'}`
+                        : 'Any time'}
+                    </td>
+                    <td className="small">{format(new Date(entry.createdAt), 'MMM dd, HH:mm')}</td>
+                    <td>
+                      <Badge bg={STATUS_VARIANTS[entry.status] || 'secondary'}>{entry.status}</Badge>
+                    </td>
+                    <td className="small">
+                      {entry.offers.length}
+                      {entry.offers.some(offer => offer.open) && (
+                        <Badge bg="warning" text="dark" className="ms-1">Open offer</Badge>
+                      )}
+                    </td>
+                    <td>
+                      {entry.status === 'waiting' && (
+                        <Button variant="outline-danger" size="sm" onClick={() => handleRemove(entry)}>
+                          Remove
+                        </Button>
+                      )}
+                    </td>
+                  </tr>
+                ))}
+              </tbody>
+            </Table>
+          )}
+
+          {pagination.pages > 1 && (
+            <div className="d-flex justify-content-between align-items-center mt-3">
+              <span className="text-muted small">{pagination.total} entry(ies)</span>
+              <Pagination className="mb-0">
+                <Pagination.Prev disabled={!pagination.hasPrev} onClick={() => setPage(page - 1)} />
+                <Pagination.Item active>{pagination.current} / {pagination.pages}</Pagination.Item>
+                <Pagination.Next disabled={!pagination.hasNext} onClick={() => setPage(page + 1)} />
+              </Pagination>
+            </div>
+          )}
+        </Card.Body>
+      </Card>
+    </Container>
+  );
+};
+
+export default Waitlist;
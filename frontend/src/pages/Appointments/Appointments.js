@@ -1,16 +1,53 @@
 import React, { useState, useEffect } from 'react';
 import { 
   Container, Row, Col, Card, Table, Button, Badge, 
-  Form, InputGroup, Spinner, Alert, Modal 
+  Form, InputGroup, Spinner, Alert, Modal, OverlayTrigger, Popover 
 } from 'react-bootstrap';
 import { LinkContainer } from 'react-router-bootstrap';
 import { useAuth } from '../../contexts/AuthContext';
-import { appointmentsAPI } from '../../services/api';
+import { useRealtimeEvent } from '../../contexts/RealtimeContext';
+import { usePermissions } from '../../contexts/PermissionsContext';
+import { appointmentsAPI, appointmentSeriesAPI } from '../../services/api';
+import ChartSummaryModal from '../HealthRecords/ChartSummaryModal';
+import SeriesModal from './SeriesModal';
 import { toast } from 'react-toastify';
 import { format, parseISO } from 'date-fns';
 
+const FREQUENCY_LABELS = {
+  weekly: 'Weekly',
+  biweekly: 'Every 2 weeks',
+  monthly: 'Monthly'
+};
+
+const CANCEL_SCOPE_LABELS = {
+  this: 'Only this appointment',
+  following: 'This and following appointments in the series',
+  all: 'All upcoming appointments in the series'
+};
+
+const STATUS_LABELS = {
+  pending: 'Pending',
+  confirmed: 'Confirmed',
+  'checked-in': 'Checked In',
+  'in-progress': 'In Progress',
+  completed: 'Completed',
+  cancelled: 'Cancelled',
+  'no-show': 'No Show'
+};
+
+// Buttons for the status changes the API allows, in display order
+const STATUS_ACTIONS = [
+  { status: 'confirmed', label: 'Confirm', variant: 'outline-success' },
+  { status: 'checked-in', label: 'Check In', variant: 'outline-primary' },
+  { status: 'in-progress', label: 'Start Visit', variant: 'outline-primary' },
+  { status: 'completed', label: 'Complete', variant: 'outline-primary' },
+  { status: 'no-show', label: 'No Show', variant: 'outline-secondary' },
+  { status: 'cancelled', label: 'Cancel', variant: 'outline-danger' }
+];
+
 const Appointments = () => {
   const { user } = useAuth();
+  const { can } = usePermissions();
   const [appointments, setAppointments] = useState([]);
   const [loading, setLoading] = useState(true);
   const [filters, setFilters] = useState({
@@ -25,11 +62,24 @@ const Appointments = () => {
   const [showModal, setShowModal] = useState(false);
   const [selectedAppointment, setSelectedAppointment] = useState(null);
   const [actionLoading, setActionLoading] = useState(false);
+  const [chartPatientId, setChartPatientId] = useState(null);
+  const [seriesList, setSeriesList] = useState([]);
+  const [openSeriesId, setOpenSeriesId] = useState(null);
+  const [cancelScope, setCancelScope] = useState('this');
 
   useEffect(() => {
     fetchAppointments();
   }, [filters, pagination.current]);
 
+  useEffect(() => {
+    fetchSeriesList();
+  }, []);
+
+  useRealtimeEvent('appointment:status', () => fetchAppointments());
+  useRealtimeEvent('appointment:booked', () => fetchAppointments());
+  useRealtimeEvent('appointment:rescheduled', () => fetchAppointments());
+  useRealtimeEvent('appointment:series', () => refreshAll());
+
   const fetchAppointments = async () => {
     try {
       setLoading(true);
@@ -50,6 +100,40 @@ const Appointments = () => {
     }
   };
 
+  const fetchSeriesList = async () => {
+    try {
+      const response = await appointmentSeriesAPI.getSeriesList({ status: 'active', limit: 20 });
+      setSeriesList(response.data.series);
+    } catch (error) {
+      console.error('Error fetching appointment series:', error);
+    }
+  };
+
+  const refreshAll = () => {
+    fetchAppointments();
+    fetchSeriesList();
+  };
+
+  const handleSeriesCancel = async (appointment, scope) => {
+    try {
+      setActionLoading(true);
+      const response = await appointmentSeriesAPI.cancelOccurrences(appointment.series, {
+        scope,
+        appointmentId: appointment._id
+      });
+
+      toast.success(response.data.message);
+      refreshAll();
+      setShowModal(false);
+      setSelectedAppointment(null);
+    } catch (error) {
+      const message = error.response?.data?.message || 'Failed to cancel appointments';
+      toast.error(message);
+    } finally {
+      setActionLoading(false);
+    }
+  };
+
   const handleStatusUpdate = async (appointmentId, newStatus, notes = '') => {
     try {
       setActionLoading(true);
@@ -58,7 +142,7 @@ const Appointments = () => {
         notes
       });
       
-      toast.success(`Appointment ${newStatus} successfully`);
+      toast.success(`Appointment is now ${STATUS_LABELS[newStatus].toLowerCase()}`);
       fetchAppointments();
       setShowModal(false);
       setSelectedAppointment(null);
@@ -90,85 +174,80 @@ const Appointments = () => {
       confirmed: 'success',
       cancelled: 'danger',
       completed: 'primary',
-      'no-show': 'secondary'
+      'no-show': 'secondary',
+      'checked-in': 'info',
+      'in-progress': 'dark'
     };
     return variants[status] || 'secondary';
   };
 
-  const canUpdateStatus = (appointment) => {
-    return user.role === 'admin' || 
-           user.role === 'nurse' ||
-           (user.role === 'doctor' && appointment.doctor._id === user._id) ||
-           (user.role === 'patient' && appointment.patient._id === user._id && 
-            appointment.status === 'pending');
-  };
+  const renderStatusHistory = (appointment) => (
+    <Popover id={`status-history-${appointment._id}`}>
+      <Popover.Header as="h6">Status History</Popover.Header>
+      <Popover.Body className="py-2">
+        {appointment.statusHistory.map((change, index) => (
+          <div key={index} className="small mb-1">
+            <strong>{STATUS_LABELS[change.from] || 'Booked'} → {STATUS_LABELS[change.to]}</strong>
+            <div className="text-muted">
+              {format(parseISO(change.changedAt), 'MMM dd, HH:mm')}
+              {change.changedBy && ` by ${change.changedBy.profile?.firstName || change.changedBy.username}`}
+            </div>
+            {change.note && <div>{change.note}</div>}
+          </div>
+        ))}
+      </Popover.Body>
+    </Popover>
+  );
 
-  const renderActionButtons = (appointment) => {
-    if (!canUpdateStatus(appointment)) return null;
+  const canViewChart = user.role !== 'patient' && can('healthRecord:read:patient', 'healthRecord:read:any');
+  const canBook = can('appointment:create', 'appointment:create:patient', 'appointment:create:any');
 
+  const renderActionButtons = (appointment) => {
     const buttons = [];
 
-    if (user.role === 'patient' && appointment.status === 'pending') {
+    if (canViewChart) {
       buttons.push(
         <Button
-          key="cancel"
-          variant="outline-danger"
+          key="chart"
+          variant="outline-info"
           size="sm"
-          onClick={() => handleStatusUpdate(appointment._id, 'cancelled')}
-          disabled={actionLoading}
+          className="me-1"
+          onClick={() => setChartPatientId(appointment.patient._id)}
         >
-          Cancel
+          Chart
         </Button>
       );
     }
 
-    if (['doctor', 'nurse', 'admin'].includes(user.role)) {
-      if (appointment.status === 'pending') {
-        buttons.push(
-          <Button
-            key="confirm"
-            variant="outline-success"
-            size="sm"
-            className="me-1"
-            onClick={() => handleStatusUpdate(appointment._id, 'confirmed')}
-            disabled={actionLoading}
-          >
-            Confirm
-          </Button>
-        );
-      }
-      
-      if (['pending', 'confirmed'].includes(appointment.status)) {
+    STATUS_ACTIONS
+      .filter(action => appointment.allowedStatuses?.includes(action.status))
+      .forEach(action => {
+        // Patients cancel straight away; staff give a reason and, for a series, a scope
+        const openCancelModal = action.status === 'cancelled' && user.role !== 'patient';
         buttons.push(
           <Button
-            key="cancel-admin"
-            variant="outline-danger"
+            key={action.status}
+            variant={action.variant}
             size="sm"
             className="me-1"
             onClick={() => {
-              setSelectedAppointment(appointment);
-              setShowModal(true);
+              if (openCancelModal) {
+                setSelectedAppointment(appointment);
+                setCancelScope('this');
+                setShowModal(true);
+              } else {
+                handleStatusUpdate(appointment._id, action.status);
+              }
             }}
             disabled={actionLoading}
           >
-            Cancel
+            {action.label}
           </Button>
         );
-      }
+      });
 
-      if (appointment.status === 'confirmed' && user.role === 'doctor') {
-        buttons.push(
-          <Button
-            key="complete"
-            variant="outline-primary"
-            size="sm"
-            onClick={() => handleStatusUpdate(appointment._id, 'completed')}
-            disabled={actionLoading}
-          >
-            Complete
-          </Button>
-        );
-      }
+    if (buttons.length === 0) {
+      return null;
     }
 
     return <div className="d-flex gap-1">{buttons}</div>;
@@ -190,7 +269,7 @@ const Appointments = () => {
         <Col>
           <div className="d-flex justify-content-between align-items-center">
             <h2>My Appointments</h2>
-            {user.role === 'patient' && (
+            {canBook && (
               <LinkContainer to="/appointments/book">
                 <Button variant="primary">Book New Appointment</Button>
               </LinkContainer>
@@ -213,11 +292,9 @@ const Appointments = () => {
                       onChange={handleFilterChange}
                     >
                       <option value="">All Statuses</option>
-                      <option value="pending">Pending</option>
-                      <option value="confirmed">Confirmed</option>
-                      <option value="completed">Completed</option>
-                      <option value="cancelled">Cancelled</option>
-                      <option value="no-show">No Show</option>
+                      {Object.entries(STATUS_LABELS).map(([status, label]) => (
+                        <option key={status} value={status}>{label}</option>
+                      ))}
                     </Form.Select>
                   </Form.Group>
                 </Col>
@@ -253,6 +330,52 @@ const Appointments = () => {
         </Col>
       </Row>
 
+      {seriesList.length > 0 && (
+        <Card className="mb-3">
+          <Card.Header>
+            <h6 className="mb-0">Recurring Series</h6>
+          </Card.Header>
+          <Card.Body className="py-2">
+            <Table responsive size="sm" className="mb-0">
+              <thead>
+                <tr>
+                  <th>{user.role === 'patient' ? 'Doctor' : 'Patient'}</th>
+                  <th>Repeats</th>
+                  <th>Next</th>
+                  <th>Upcoming</th>
+                  <th />
+                </tr>
+              </thead>
+              <tbody>
+                {seriesList.map(series => {
+                  const other = user.role === 'patient' ? series.doctor : series.patient;
+                  return (
+                    <tr key={series._id}>
+                      <td>
+                        {user.role === 'patient' && 'Dr. '}
+                        {other?.profile?.firstName} {other?.profile?.lastName}
+                      </td>
+                      <td>{FREQUENCY_LABELS[series.frequency]} at {series.timeSlot.start}</td>
+                      <td>
+                        {series.nextAppointmentDate
+                          ? format(parseISO(series.nextAppointmentDate), 'MMM dd, yyyy')
+                          : '-'}
+                      </td>
+                      <td>{series.upcoming} of {series.appointmentCount}</td>
+                      <td className="text-end">
+                        <Button variant="outline-primary" size="sm" onClick={() => setOpenSeriesId(series._id)}>
+                          View Series
+                        </Button>
+                      </td>
+                    </tr>
+                  );
+                })}
+              </tbody>
+            </Table>
+          </Card.Body>
+        </Card>
+      )}
+
       <Card>
         <Card.Body>
           {loading ? (
@@ -300,6 +423,17 @@ const Appointments = () => {
                         <div className="text-muted small">
                           {appointment.timeSlot.start} - {appointment.timeSlot.end}
                         </div>
+                        {appointment.series && (
+                          <Badge
+                            bg="light"
+                            text="dark"
+                            role="button"
+                            className="border"
+                            onClick={() => setOpenSeriesId(appointment.series)}
+                          >
+                            Repeats · #{appointment.seriesIndex}
+                          </Badge>
+                        )}
                       </td>
                       <td>
                         {user.role === 'patient' ? (
@@ -326,11 +460,28 @@ const Appointments = () => {
                         <Badge bg="info">
                           {appointment.type.charAt(0).toUpperCase() + appointment.type.slice(1)}
                         </Badge>
+                        {appointment.bookedBy && appointment.bookedBy._id !== appointment.patient._id && (
+                          <div className="text-muted small">
+                            Booked by {appointment.bookedBy.profile?.firstName || appointment.bookedBy.username}
+                          </div>
+                        )}
                       </td>
                       <td>
-                        <Badge bg={getStatusVariant(appointment.status)}>
-                          {appointment.status.charAt(0).toUpperCase() + appointment.status.slice(1)}
-                        </Badge>
+                        {appointment.statusHistory?.length > 0 ? (
+                          <OverlayTrigger
+                            trigger={['hover', 'focus']}
+                            placement="left"
+                            overlay={renderStatusHistory(appointment)}
+                          >
+                            <Badge bg={getStatusVariant(appointment.status)} tabIndex={0}>
+                              {STATUS_LABELS[appointment.status]}
+                            </Badge>
+                          </OverlayTrigger>
+                        ) : (
+                          <Badge bg={getStatusVariant(appointment.status)}>
+                            {STATUS_LABELS[appointment.status]}
+                          </Badge>
+                        )}
                       </td>
                       <td>
                         <div className="text-truncate" style={{ maxWidth: '200px' }}>
@@ -395,6 +546,20 @@ const Appointments = () => {
               Patient: {selectedAppointment.patient.profile?.firstName} {selectedAppointment.patient.profile?.lastName}
             </div>
           )}
+          {selectedAppointment?.series && (
+            <Form.Group className="mt-3">
+              {Object.entries(CANCEL_SCOPE_LABELS).map(([scope, label]) => (
+                <Form.Check
+                  key={scope}
+                  type="radio"
+                  id={`cancel-scope-${scope}`}
+                  label={label}
+                  checked={cancelScope === scope}
+                  onChange={() => setCancelScope(scope)}
+                />
+              ))}
+            </Form.Group>
+          )}
         </Modal.Body>
         <Modal.Footer>
           <Button 
@@ -406,13 +571,28 @@ const Appointments = () => {
           </Button>
           <Button 
             variant="danger" 
-            onClick={() => handleStatusUpdate(selectedAppointment._id, 'cancelled')}
+            onClick={() => (selectedAppointment.series && cancelScope !== 'this'
+              ? handleSeriesCancel(selectedAppointment, cancelScope)
+              : handleStatusUpdate(selectedAppointment._id, 'cancelled'))}
             disabled={actionLoading}
           >
             {actionLoading ? <Spinner animation="border" size="sm" /> : 'Cancel Appointment'}
           </Button>
         </Modal.Footer>
       </Modal>
+
+      <SeriesModal
+        show={Boolean(openSeriesId)}
+        seriesId={openSeriesId}
+        onHide={() => setOpenSeriesId(null)}
+        onChanged={refreshAll}
+      />
+
+      <ChartSummaryModal
+        show={Boolean(chartPatientId)}
+        patientId={chartPatientId}
+        onHide={() => setChartPatientId(null)}
+      />
     </Container>
   );
 };
@@ -6,13 +6,34 @@ import {
 import Calendar from 'react-calendar';
 import { useNavigate } from 'react-router-dom';
 import { useAuth } from '../../contexts/AuthContext';
-import { usersAPI, appointmentsAPI } from '../../services/api';
+import { usePermissions } from '../../contexts/PermissionsContext';
+import { usersAPI, appointmentsAPI, appointmentSeriesAPI } from '../../services/api';
 import { toast } from 'react-toastify';
-import { format, addDays, isWeekend, isBefore, startOfDay } from 'date-fns';
+import WaitlistPanel from './WaitlistPanel';
+import PatientPicker, { formatName } from './PatientPicker';
+import { format, addDays, isBefore, startOfDay } from 'date-fns';
+
+const FREQUENCY_LABELS = {
+  weekly: 'Every week',
+  biweekly: 'Every 2 weeks',
+  monthly: 'Every month'
+};
+
+const emptyRecurrence = () => ({
+  frequency: '',
+  endType: 'count',
+  count: 6,
+  until: ''
+});
 
 const BookAppointment = () => {
   const { user } = useAuth();
+  const { can } = usePermissions();
   const navigate = useNavigate();
+  // Staff book for any patient; doctors book follow-ups with themselves for their own patients
+  const canBookAny = can('appointment:create:any');
+  const canBookOwnPatients = can('appointment:create:patient');
+  const booksForPatients = canBookAny || canBookOwnPatients;
   const [step, setStep] = useState(1);
   const [loading, setLoading] = useState(false);
   const [doctors, setDoctors] = useState([]);
@@ -25,14 +46,14 @@ const BookAppointment = () => {
     type: 'consultation',
     priority: 'medium'
   });
+  const [recurrence, setRecurrence] = useState(emptyRecurrence());
+  const [seriesPreview, setSeriesPreview] = useState(null);
+  const [waitlistRequest, setWaitlistRequest] = useState(null);
+  const [patient, setPatient] = useState(null);
 
   useEffect(() => {
-    if (user?.role !== 'patient') {
-      navigate('/dashboard');
-      return;
-    }
     fetchDoctors();
-  }, [user, navigate]);
+  }, [canBookAny, canBookOwnPatients]);
 
   useEffect(() => {
     if (formData.doctor && formData.appointmentDate) {
@@ -40,7 +61,17 @@ const BookAppointment = () => {
     }
   }, [formData.doctor, formData.appointmentDate]);
 
+  // A preview only holds for the slot and rule it was made for
+  useEffect(() => {
+    setSeriesPreview(null);
+  }, [recurrence, formData.doctor, formData.appointmentDate, formData.timeSlot]);
+
   const fetchDoctors = async () => {
+    if (booksForPatients && !canBookAny) {
+      setDoctors([user]);
+      return;
+    }
+
     try {
       setLoading(true);
       const response = await usersAPI.getDoctors({ limit: 50 });
@@ -58,7 +89,7 @@ const BookAppointment = () => {
       setLoading(true);
       const dateString = format(formData.appointmentDate, 'yyyy-MM-dd');
       const response = await appointmentsAPI.getDoctorAvailability(formData.doctor, dateString);
-      setAvailableSlots(response.data.availableSlots);
+      setAvailableSlots(response.data.slots);
     } catch (error) {
       const message = error.response?.data?.message || 'Failed to fetch availability';
       toast.error(message);
@@ -87,31 +118,60 @@ const BookAppointment = () => {
     setStep(3);
   };
 
-  const handleTimeSlotSelect = (startTime) => {
-    const endTime = getEndTime(startTime);
+  const handleTimeSlotSelect = (slot) => {
     setFormData(prev => ({ 
       ...prev, 
-      timeSlot: { start: startTime, end: endTime }
+      timeSlot: { start: slot.start, end: slot.end }
     }));
     setStep(4);
   };
 
-  const getEndTime = (startTime) => {
-    const [hours, minutes] = startTime.split(':').map(Number);
-    const endMinutes = minutes + 30;
-    const endHours = hours + Math.floor(endMinutes / 60);
-    const finalMinutes = endMinutes % 60;
-    return `${endHours.toString().padStart(2, '0')}:${finalMinutes.toString().padStart(2, '0')}`;
-  };
-
   const handleInputChange = (e) => {
     const { name, value } = e.target;
     setFormData(prev => ({ ...prev, [name]: value }));
   };
 
+  const handleRecurrenceChange = (e) => {
+    const { name, value } = e.target;
+    setRecurrence(prev => ({ ...prev, [name]: value }));
+  };
+
+  const buildSeriesData = () => ({
+    doctor: formData.doctor,
+    patient: patient?._id,
+    appointmentDate: formData.appointmentDate.toISOString(),
+    timeSlot: formData.timeSlot,
+    reason: formData.reason.trim(),
+    type: formData.type,
+    priority: formData.priority,
+    recurrence: {
+      frequency: recurrence.frequency,
+      count: recurrence.endType === 'count' ? parseInt(recurrence.count) : undefined,
+      until: recurrence.endType === 'until' ? new Date(`${recurrence.until}T23:59:59`).toISOString() : undefined
+    }
+  });
+
+  // Repeating bookings are checked first so the patient sees which dates conflict
+  const submitSeries = async () => {
+    if (!seriesPreview) {
+      const response = await appointmentSeriesAPI.previewSeries(buildSeriesData());
+      setSeriesPreview(response.data);
+      return;
+    }
+
+    const response = await appointmentSeriesAPI.createSeries({ ...buildSeriesData(), skipConflicts: true });
+    toast.success(response.data.message);
+    navigate('/appointments');
+  };
+
   const handleSubmit = async (e) => {
     e.preventDefault();
     
+    if (booksForPatients && !patient) {
+      toast.error('Please choose the patient you are booking for');
+      return;
+    }
+
     if (!formData.reason.trim()) {
       toast.error('Please provide a reason for your appointment');
       return;
@@ -119,8 +179,14 @@ const BookAppointment = () => {
 
     try {
       setLoading(true);
+      if (recurrence.frequency) {
+        await submitSeries();
+        return;
+      }
+
       await appointmentsAPI.createAppointment({
         doctor: formData.doctor,
+        patient: patient?._id,
         appointmentDate: formData.appointmentDate.toISOString(),
         timeSlot: formData.timeSlot,
         reason: formData.reason.trim(),
@@ -128,19 +194,33 @@ const BookAppointment = () => {
         priority: formData.priority
       });
 
-      toast.success('Appointment booked successfully!');
+      toast.success(patient ? `Appointment booked for ${formatName(patient)}` : 'Appointment booked successfully!');
       navigate('/appointments');
     } catch (error) {
-      const message = error.response?.data?.message || 'Failed to book appointment';
+      const message = error.response?.data?.errors?.[0]?.message ||
+        error.response?.data?.message ||
+        'Failed to book appointment';
       toast.error(message);
+      if (error.response?.data?.occurrences) {
+        setSeriesPreview({
+          occurrences: error.response.data.occurrences,
+          available: error.response.data.occurrences.filter(occurrence => !occurrence.conflict).length
+        });
+      }
     } finally {
       setLoading(false);
     }
   };
 
+  const getSubmitLabel = () => {
+    if (!recurrence.frequency) return 'Book Appointment';
+    if (!seriesPreview) return 'Check Dates';
+    return `Book ${seriesPreview.available} Appointments`;
+  };
+
   const isDateDisabled = (date) => {
     const today = startOfDay(new Date());
-    return isBefore(date, today) || isWeekend(date);
+    return isBefore(date, today);
   };
 
   const getSelectedDoctor = () => {
@@ -156,24 +236,23 @@ const BookAppointment = () => {
       type: 'consultation',
       priority: 'medium'
     });
+    setRecurrence(emptyRecurrence());
     setStep(1);
     setAvailableSlots([]);
   };
 
-  if (!user || user.role !== 'patient') {
-    return (
-      <Container className="py-4">
-        <Alert variant="warning">
-          Only patients can book appointments.
-        </Alert>
-      </Container>
-    );
-  }
-
   return (
     <Container className="py-4">
       <Row className="justify-content-center">
         <Col lg={8}>
+          {booksForPatients && (
+            <PatientPicker
+              patient={patient}
+              onChange={setPatient}
+              hint={canBookAny ? null : 'You can book patients under your care in with yourself.'}
+            />
+          )}
+
           <Card>
             <Card.Header>
               <h3 className="mb-0">Book New Appointment</h3>
@@ -266,7 +345,7 @@ const BookAppointment = () => {
                     />
                   </div>
                   <div className="text-muted small mt-2 text-center">
-                    Weekends are not available for appointments
+                    Available times depend on the doctor's clinic schedule
                   </div>
                 </div>
               )}
@@ -289,19 +368,28 @@ const BookAppointment = () => {
                       <Spinner animation="border" />
                     </div>
                   ) : availableSlots.length === 0 ? (
-                    <Alert variant="warning">
-                      No available time slots for this date. Please select another date.
+                    <Alert variant="warning" className="d-flex justify-content-between align-items-center">
+                      <span>No available time slots for this date. Please select another date.</span>
+                      {!booksForPatients && (
+                        <Button
+                          variant="outline-primary"
+                          size="sm"
+                          onClick={() => setWaitlistRequest({ doctor: formData.doctor, date: formData.appointmentDate })}
+                        >
+                          Join Waitlist
+                        </Button>
+                      )}
                     </Alert>
                   ) : (
                     <Row>
                       {availableSlots.map((slot) => (
-                        <Col md={4} key={slot} className="mb-2">
+                        <Col md={4} key={slot.start} className="mb-2">
                           <Button
                             variant="outline-primary"
                             className="w-100"
                             onClick={() => handleTimeSlotSelect(slot)}
                           >
-                            {slot} - {getEndTime(slot)}
+                            {slot.start} - {slot.end}
                           </Button>
                         </Col>
                       ))}
@@ -320,6 +408,7 @@ const BookAppointment = () => {
                   </div>
 
                   <div className="mb-4 p-3 bg-light rounded">
+                    {patient && <div><strong>Patient:</strong> {formatName(patient)}</div>}
                     <div><strong>Doctor:</strong> Dr. {getSelectedDoctor()?.profile?.firstName} {getSelectedDoctor()?.profile?.lastName}</div>
                     <div><strong>Date:</strong> {format(formData.appointmentDate, 'EEEE, MMMM dd, yyyy')}</div>
                     <div><strong>Time:</strong> {formData.timeSlot.start} - {formData.timeSlot.end}</div>
@@ -378,6 +467,98 @@ const BookAppointment = () => {
                       </Form.Text>
                     </Form.Group>
 
+                    <Row className="mb-3">
+                      <Col md={4}>
+                        <Form.Group>
+                          <Form.Label>Repeat</Form.Label>
+                          <Form.Select
+                            name="frequency"
+                            value={recurrence.frequency}
+                            onChange={handleRecurrenceChange}
+                          >
+                            <option value="">Does not repeat</option>
+                            {Object.entries(FREQUENCY_LABELS).map(([value, label]) => (
+                              <option key={value} value={value}>{label}</option>
+                            ))}
+                          </Form.Select>
+                        </Form.Group>
+                      </Col>
+                      {recurrence.frequency && (
+                        <>
+                          <Col md={4}>
+                            <Form.Group>
+                              <Form.Label>Ends</Form.Label>
+                              <Form.Select
+                                name="endType"
+                                value={recurrence.endType}
+                                onChange={handleRecurrenceChange}
+                              >
+                                <option value="count">After a number of visits</option>
+                                <option value="until">On a date</option>
+                              </Form.Select>
+                            </Form.Group>
+                          </Col>
+                          <Col md={4}>
+                            {recurrence.endType === 'count' ? (
+                              <Form.Group>
+                                <Form.Label>Visits</Form.Label>
+                                <Form.Control
+                                  type="number"
+                                  name="count"
+                                  min={2}
+                                  max={52}
+                                  value={recurrence.count}
+                                  onChange={handleRecurrenceChange}
+                                  required
+                                />
+                              </Form.Group>
+                            ) : (
+                              <Form.Group>
+                                <Form.Label>Last visit by</Form.Label>
+                                <Form.Control
+                                  type="date"
+                                  name="until"
+                                  min={format(addDays(formData.appointmentDate, 1), 'yyyy-MM-dd')}
+                                  max={format(addDays(formData.appointmentDate, 365), 'yyyy-MM-dd')}
+                                  value={recurrence.until}
+                                  onChange={handleRecurrenceChange}
+                                  required
+                                />
+                              </Form.Group>
+                            )}
+                          </Col>
+                        </>
+                      )}
+                    </Row>
+
+                    {seriesPreview && (
+                      <div className="mb-3">
+                        {seriesPreview.available < seriesPreview.occurrences.length && (
+                          <Alert variant="warning" className="py-2">
+                            {seriesPreview.occurrences.length - seriesPreview.available} of {seriesPreview.occurrences.length} dates
+                            are not available and will be skipped.
+                          </Alert>
+                        )}
+                        <ListGroup style={{ maxHeight: 240, overflowY: 'auto' }}>
+                          {seriesPreview.occurrences.map(occurrence => (
+                            <ListGroup.Item
+                              key={occurrence.index}
+                              className="d-flex justify-content-between align-items-center py-1"
+                            >
+                              <span>
+                                {format(new Date(occurrence.appointmentDate), 'EEE, MMM dd, yyyy')} at {occurrence.timeSlot.start}
+                              </span>
+                              {occurrence.conflict ? (
+                                <Badge bg="danger">{occurrence.conflict.message}</Badge>
+                              ) : (
+                                <Badge bg="success">Available</Badge>
+                              )}
+                            </ListGroup.Item>
+                          ))}
+                        </ListGroup>
+                      </div>
+                    )}
+
                     <div className="d-flex justify-content-between">
                       <Button variant="outline-secondary" onClick={resetForm}>
                         Start Over
@@ -385,9 +566,9 @@ const BookAppointment = () => {
                       <Button 
                         type="submit" 
                         variant="primary"
-                        disabled={loading || !formData.reason.trim()}
+                        disabled={loading || !formData.reason.trim() || seriesPreview?.available === 0 || (booksForPatients && !patient)}
                       >
-                        {loading ? <Spinner animation="border" size="sm" /> : 'Book Appointment'}
+                        {loading ? <Spinner animation="border" size="sm" /> : getSubmitLabel()}
                       </Button>
                     </div>
                   </Form>
@@ -395,6 +576,8 @@ const BookAppointment = () => {
               )}
             </Card.Body>
           </Card>
+
+          {!booksForPatients && <WaitlistPanel doctors={doctors} joinRequest={waitlistRequest} />}
         </Col>
       </Row>
     </Container>
@@ -0,0 +1,80 @@
+import React, { useState, useEffect } from 'react';
+import { Card, Form, Button, ListGroup } from 'react-bootstrap';
+import { usersAPI } from '../../services/api';
+
+const formatName = (user) => {
+  const fullName = [user?.profile?.firstName, user?.profile?.lastName].filter(Boolean).join(' ');
+  return fullName || user?.username || 'Unknown patient';
+};
+
+// Search for and pick the patient staff are booking for
+const PatientPicker = ({ patient, onChange, hint }) => {
+  const [search, setSearch] = useState('');
+  const [matches, setMatches] = useState([]);
+
+  useEffect(() => {
+    if (patient || search.trim().length < 2) {
+      setMatches([]);
+      return undefined;
+    }
+
+    const timer = setTimeout(async () => {
+      try {
+        const response = await usersAPI.searchUsers(search.trim(), { role: 'patient' });
+        setMatches(response.data.users);
+      } catch (error) {
+        console.error('Error searching patients:', error);
+      }
+    }, 300);
+
+    return () => clearTimeout(timer);
+  }, [search, patient]);
+
+  const handleSelect = (match) => {
+    setSearch('');
+    onChange(match);
+  };
+
+  return (
+    <Card className="mb-3">
+      <Card.Body>
+        <Form.Group>
+          <Form.Label>Booking for</Form.Label>
+          {patient ? (
+            <div className="d-flex justify-content-between align-items-center">
+              <span>
+                <strong>{formatName(patient)}</strong> <span className="text-muted">@{patient.username}</span>
+              </span>
+              <Button variant="link" size="sm" onClick={() => onChange(null)}>
+                Change
+              </Button>
+            </div>
+          ) : (
+            <>
+              <Form.Control
+                type="text"
+                placeholder="Search patients by name or username"
+                value={search}
+                onChange={(e) => setSearch(e.target.value)}
+                autoFocus
+              />
+              {matches.length > 0 && (
+                <ListGroup className="mt-1">
+                  {matches.map(match => (
+                    <ListGroup.Item key={match._id} action onClick={() => handleSelect(match)}>
+                      {formatName(match)} <span className="text-muted">@{match.username}</span>
+                    </ListGroup.Item>
+                  ))}
+                </ListGroup>
+              )}
+              {hint && <Form.Text muted>{hint}</Form.Text>}
+            </>
+          )}
+        </Form.Group>
+      </Card.Body>
+    </Card>
+  );
+};
+
+export { formatName };
+export default PatientPicker;
@@ -0,0 +1,319 @@
+import React, { useState, useEffect } from 'react';
+import { Modal, Table, Badge, Button, Form, Row, Col, Alert, Spinner, ListGroup } from 'react-bootstrap';
+import { toast } from 'react-toastify';
+import { format } from 'date-fns';
+import { useAuth } from '../../contexts/AuthContext';
+import { usePermissions } from '../../contexts/PermissionsContext';
+import { appointmentSeriesAPI } from '../../services/api';
+
+const FREQUENCY_LABELS = {
+  weekly: 'Every week',
+  biweekly: 'Every 2 weeks',
+  monthly: 'Every month'
+};
+
+const STATUS_VARIANTS = {
+  pending: 'warning',
+  confirmed: 'success',
+  cancelled: 'danger',
+  completed: 'primary',
+  'no-show': 'secondary',
+  'checked-in': 'info',
+  'in-progress': 'dark'
+};
+
+const SCOPE_LABELS = {
+  this: 'This appointment',
+  following: 'This and following',
+  all: 'All upcoming'
+};
+
+const DATE_INPUT_FORMAT = 'yyyy-MM-dd';
+
+const isUpcoming = (appointment) =>
+  ['pending', 'confirmed'].includes(appointment.status) && new Date(appointment.appointmentDate) > new Date();
+
+// Every occurrence of a recurring series, with reschedule and cancel applying to
+// one occurrence, it and the ones after it, or all upcoming ones
+const SeriesModal = ({ show, seriesId, onHide, onChanged }) => {
+  const { user } = useAuth();
+  const { can } = usePermissions();
+  const [series, setSeries] = useState(null);
+  const [appointments, setAppointments] = useState([]);
+  const [action, setAction] = useState(null);
+  const [form, setForm] = useState({});
+  const [conflicts, setConflicts] = useState([]);
+  const [submitting, setSubmitting] = useState(false);
+
+  useEffect(() => {
+    if (show && seriesId) {
+      setSeries(null);
+      setAction(null);
+      fetchSeries();
+    }
+  }, [show, seriesId]);
+
+  const fetchSeries = async () => {
+    try {
+      const response = await appointmentSeriesAPI.getSeries(seriesId);
+      setSeries(response.data.series);
+      setAppointments(response.data.appointments);
+    } catch (error) {
+      toast.error(error.response?.data?.message || 'Failed to load the appointment series');
+      onHide();
+    }
+  };
+
+  const isPatient = user.role === 'patient';
+  const canCancel = isPatient
+    ? can('appointment:cancel:own')
+    : can('appointment:status:update', 'appointment:status:update:own');
+  const canReschedule = (appointment) => can('appointment:update:any') ||
+    (isPatient && appointment.status === 'pending');
+
+  const startAction = (type, appointment) => {
+    setConflicts([]);
+    setAction({ type, appointment });
+    setForm({
+      scope: 'this',
+      appointmentDate: format(new Date(appointment.appointmentDate), DATE_INPUT_FORMAT),
+      start: appointment.timeSlot.start,
+      end: appointment.timeSlot.end,
+      reason: ''
+    });
+  };
+
+  const updateForm = (changes) => setForm(prev => ({ ...prev, ...changes }));
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+
+    try {
+      setSubmitting(true);
+      setConflicts([]);
+      const response = action.type === 'reschedule'
+        ? await appointmentSeriesAPI.rescheduleOccurrences(seriesId, action.appointment._id, {
+          scope: form.scope,
+          appointmentDate: new Date(`${form.appointmentDate}T00:00:00`).toISOString(),
+          timeSlot: { start: form.start, end: form.end }
+        })
+        : await appointmentSeriesAPI.cancelOccurrences(seriesId, {
+          scope: form.scope,
+          appointmentId: action.appointment._id,
+          reason: form.reason || undefined
+        });
+
+      toast.success(response.data.message);
+      setAction(null);
+      fetchSeries();
+      onChanged?.();
+    } catch (error) {
+      const data = error.response?.data;
+      toast.error(data?.errors?.[0]?.message || data?.message || 'Failed to update the series');
+      setConflicts((data?.occurrences || []).filter(occurrence => occurrence.conflict));
+    } finally {
+      setSubmitting(false);
+    }
+  };
+
+  const other = isPatient ? series?.doctor : series?.patient;
+
+  return (
+    <Modal show={show} onHide={onHide} size="lg">
+      <Modal.Header closeButton className="medical-card">
+        <Modal.Title>Recurring Appointments</Modal.Title>
+      </Modal.Header>
+      <Modal.Body className="medical-card">
+        {!series ? (
+          <div className="text-center py-4">
+            <Spinner animation="border" />
+          </div>
+        ) : (
+          <>
+            <div className="mb-3">
+              <div>
+                <strong>{isPatient ? 'Dr. ' : ''}{other?.profile?.firstName} {other?.profile?.lastName}</strong>
+                {series.status === 'cancelled' && <Badge bg="secondary" className="ms-2">Cancelled</Badge>}
+              </div>
+              <div className="text-muted small">
+                {FREQUENCY_LABELS[series.frequency]} at {series.timeSlot.start} - {series.timeSlot.end}
+                {' · '}
+                {series.count
+                  ? `${series.count} visits`
+                  : `until ${format(new Date(series.until), 'MMM dd, yyyy')}`}
+                {' · '}
+                {series.reason}
+              </div>
+            </div>
+
+            <Table responsive size="sm">
+              <thead>
+                <tr>
+                  <th>#</th>
+                  <th>Date</th>
+                  <th>Time</th>
+                  <th>Status</th>
+                  <th />
+                </tr>
+              </thead>
+              <tbody>
+                {appointments.map(appointment => (
+                  <tr
+                    key={appointment._id}
+                    className={action?.appointment._id === appointment._id ? 'table-active' : undefined}
+                  >
+                    <td>{appointment.seriesIndex}</td>
+                    <td>{format(new Date(appointment.appointmentDate), 'EEE, MMM dd, yyyy')}</td>
+                    <td>{appointment.timeSlot.start} - {appointment.timeSlot.end}</td>
+                    <td>
+                      <Badge bg={STATUS_VARIANTS[appointment.status] || 'secondary'}>
+                        {appointment.status.charAt(0).toUpperCase() + appointment.status.slice(1)}
+                      </Badge>
+                    </td>
+                    <td>
+                      {isUpcoming(appointment) && (
+                        <div className="d-flex gap-1 justify-content-end">
+                          {canReschedule(appointment) && (
+                            <Button
+                              variant="outline-primary"
+                              size="sm"
+                              onClick={() => startAction('reschedule', appointment)}
+                            >
+                              Reschedule
+                            </Button>
+                          )}
+                          {canCancel && (
+                            <Button
+                              variant="outline-danger"
+                              size="sm"
+                              onClick={() => startAction('cancel', appointment)}
+                            >
+                              Cancel
+                            </Button>
+                          )}
+                        </div>
+                      )}
+                    </td>
+                  </tr>
+                ))}
+              </tbody>
+            </Table>
+
+            {action && (
+              <Form onSubmit={handleSubmit} className="border rounded p-3">
+                <h6>
+                  {action.type === 'reschedule' ? 'Reschedule' : 'Cancel'} from{' '}
+                  {format(new Date(action.appointment.appointmentDate), 'MMM dd, yyyy')}
+                </h6>
+
+                <Form.Group className="mb-3">
+                  {Object.entries(SCOPE_LABELS).map(([scope, label]) => (
+                    <Form.Check
+                      inline
+                      key={scope}
+                      type="radio"
+                      id={`series-scope-${scope}`}
+                      label={label}
+                      checked={form.scope === scope}
+                      onChange={() => updateForm({ scope })}
+                    />
+                  ))}
+                  {action.type === 'reschedule' && form.scope !== 'this' && (
+                    <Form.Text className="d-block text-muted">
+                      The other appointments move by the same number of days and take the new time
+                    </Form.Text>
+                  )}
+                </Form.Group>
+
+                {action.type === 'reschedule' ? (
+                  <Row>
+                    <Col md={4}>
+                      <Form.Group className="mb-3">
+                        <Form.Label className="form-label-medical">New date</Form.Label>
+                        <Form.Control
+                          className="form-control-medical"
+                          type="date"
+                          min={format(new Date(), DATE_INPUT_FORMAT)}
+                          value={form.appointmentDate}
+                          onChange={(e) => updateForm({ appointmentDate: e.target.value })}
+                          required
+                        />
+                      </Form.Group>
+                    </Col>
+                    <Col md={4}>
+                      <Form.Group className="mb-3">
+                        <Form.Label className="form-label-medical">Start</Form.Label>
+                        <Form.Control
+                          className="form-control-medical"
+                          type="time"
+                          value={form.start}
+                          onChange={(e) => updateForm({ start: e.target.value })}
+                          required
+                        />
+                      </Form.Group>
+                    </Col>
+                    <Col md={4}>
+                      <Form.Group className="mb-3">
+                        <Form.Label className="form-label-medical">End</Form.Label>
+                        <Form.Control
+                          className="form-control-medical"
+                          type="time"
+                          value={form.end}
+                          onChange={(e) => updateForm({ end: e.target.value })}
+                          required
+                        />
+                      </Form.Group>
+                    </Col>
+                  </Row>
+                ) : (
+                  <Form.Group className="mb-3">
+                    <Form.Label className="form-label-medical">Reason (optional)</Form.Label>
+                    <Form.Control
+                      className="form-control-medical"
+                      maxLength={500}
+                      value={form.reason}
+                      onChange={(e) => updateForm({ reason: e.target.value })}
+                    />
+                  </Form.Group>
+                )}
+
+                {conflicts.length > 0 && (
+                  <Alert variant="warning" className="py-2">
+                    <div className="mb-1">Nothing was changed. These dates conflict:</div>
+                    <ListGroup variant="flush">
+                      {conflicts.map(occurrence => (
+                        <ListGroup.Item key={occurrence.index} className="py-1 bg-transparent">
+                          {format(new Date(occurrence.appointmentDate), 'EEE, MMM dd, yyyy')}: {occurrence.conflict.message}
+                        </ListGroup.Item>
+                      ))}
+                    </ListGroup>
+                  </Alert>
+                )}
+
+                <div className="d-flex gap-2">
+                  <Button
+                    type="submit"
+                    variant={action.type === 'reschedule' ? 'primary' : 'danger'}
+                    disabled={submitting}
+                  >
+                    {submitting ? <Spinner animation="border" size="sm" /> : action.type === 'reschedule' ? 'Reschedule' : 'Cancel Appointments'}
+                  </Button>
+                  <Button variant="outline-secondary" onClick={() => setAction(null)} disabled={submitting}>
+                    Back
+                  </Button>
+                </div>
+              </Form>
+            )}
+          </>
+        )}
+      </Modal.Body>
+      <Modal.Footer className="medical-card">
+        <Button variant="secondary" onClick={onHide}>
+          Close
+        </Button>
+      </Modal.Footer>
+    </Modal>
+  );
+};
+
+export default SeriesModal;
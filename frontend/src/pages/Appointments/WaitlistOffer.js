@@ -0,0 +1,135 @@
+import React, { useState, useEffect } from 'react';
+import { Container, Row, Col, Card, Button, Alert, Spinner } from 'react-bootstrap';
+import { useParams, useNavigate, Link } from 'react-router-dom';
+import { toast } from 'react-toastify';
+import { format } from 'date-fns';
+import { waitlistAPI } from '../../services/api';
+
+const CLOSED_MESSAGES = {
+  claimed: 'You already claimed this slot.',
+  declined: 'You declined this offer.',
+  expired: 'This offer has expired.',
+  taken: 'Another patient claimed this slot first.',
+  withdrawn: 'This offer was withdrawn.'
+};
+
+// Claim page behind the link in a waitlist offer email
+const WaitlistOffer = () => {
+  const { offerId } = useParams();
+  const navigate = useNavigate();
+  const [offer, setOffer] = useState(null);
+  const [error, setError] = useState('');
+  const [submitting, setSubmitting] = useState(false);
+
+  useEffect(() => {
+    fetchOffer();
+  }, [offerId]);
+
+  const fetchOffer = async () => {
+    try {
+      const response = await waitlistAPI.getOffer(offerId);
+      setOffer(response.data.offer);
+    } catch (err) {
+      setError(err.response?.data?.message || 'Failed to load the waitlist offer');
+    }
+  };
+
+  const handleClaim = async () => {
+    try {
+      setSubmitting(true);
+      await waitlistAPI.claimOffer(offerId);
+      toast.success('Appointment booked successfully!');
+      navigate('/appointments');
+    } catch (err) {
+      toast.error(err.response?.data?.message || 'Failed to claim the slot');
+      fetchOffer();
+    } finally {
+      setSubmitting(false);
+    }
+  };
+
+  const handleDecline = async () => {
+    try {
+      setSubmitting(true);
+      const response = await waitlistAPI.declineOffer(offerId);
+      toast.info(response.data.message);
+      fetchOffer();
+    } catch (err) {
+      toast.error(err.response?.data?.message || 'Failed to decline the offer');
+    } finally {
+      setSubmitting(false);
+    }
+  };
+
+  if (error) {
+    return (
+      <Container className="py-5">
+        <Alert variant="warning" className="text-center">{error}</Alert>
+      </Container>
+    );
+  }
+
+  if (!offer) {
+    return (
+      <Container className="py-5 text-center">
+        <Spinner animation="border" />
+      </Container>
+    );
+  }
+
+  const closedMessage = offer.open ? null : CLOSED_MESSAGES[offer.status] || CLOSED_MESSAGES.expired;
+
+  return (
+    <Container className="py-4">
+      <Row className="justify-content-center">
+        <Col lg={6}>
+          <Card className="medical-card">
+            <Card.Header>
+              <h4 className="mb-0">A slot opened up</h4>
+            </Card.Header>
+            <Card.Body>
+              <p className="mb-1">
+                <strong>Dr. {offer.doctor?.profile?.firstName} {offer.doctor?.profile?.lastName}</strong>
+                {offer.doctor?.profile?.specialization && (
+                  <span className="text-muted"> · {offer.doctor.profile.specialization}</span>
+                )}
+              </p>
+              <p className="mb-1">
+                {format(new Date(offer.appointmentDate), 'EEEE, MMMM dd, yyyy')}, {offer.timeSlot.start} - {offer.timeSlot.end}
+              </p>
+              <p className="text-muted small">{offer.entry?.reason}</p>
+
+              {closedMessage ? (
+                <Alert variant="secondary" className="mb-0">
+                  {closedMessage}{' '}
+                  {offer.status === 'claimed' ? (
+                    <Link to="/appointments">View your appointments</Link>
+                  ) : (
+                    <Link to="/appointments/book">Back to booking</Link>
+                  )}
+                </Alert>
+              ) : (
+                <>
+                  <Alert variant="info">
+                    Claim before {format(new Date(offer.expiresAt), 'MMM dd, HH:mm')}. The slot goes to the
+                    first patient who claims it.
+                  </Alert>
+                  <div className="d-flex gap-2">
+                    <Button variant="success" onClick={handleClaim} disabled={submitting}>
+                      {submitting ? <Spinner animation="border" size="sm" /> : 'Claim Slot'}
+                    </Button>
+                    <Button variant="outline-secondary" onClick={handleDecline} disabled={submitting}>
+                      Decline
+                    </Button>
+                  </div>
+                </>
+              )}
+            </Card.Body>
+          </Card>
+        </Col>
+      </Row>
+    </Container>
+  );
+};
+
+export default WaitlistOffer;
@@ -0,0 +1,353 @@
+import React, { useState, useEffect } from 'react';
+import { Card, ListGroup, Badge, Button, Modal, Form, Row, Col, Spinner } from 'react-bootstrap';
+import { toast } from 'react-toastify';
+import { format, addDays } from 'date-fns';
+import { useNavigate } from 'react-router-dom';
+import { useRealtimeEvent } from '../../contexts/RealtimeContext';
+import { waitlistAPI } from '../../services/api';
+
+const DATE_INPUT_FORMAT = 'yyyy-MM-dd';
+
+const STATUS_VARIANTS = {
+  waiting: 'info',
+  booked: 'success',
+  cancelled: 'secondary',
+  expired: 'secondary'
+};
+
+const emptyEntry = (doctor = '', date = new Date()) => ({
+  target: doctor ? 'doctor' : 'specialization',
+  doctor,
+  specialization: '',
+  dateFrom: format(date, DATE_INPUT_FORMAT),
+  dateTo: format(addDays(date, 14), DATE_INPUT_FORMAT),
+  timeFrom: '',
+  timeTo: '',
+  reason: '',
+  type: 'consultation'
+});
+
+const describeEntry = (entry) => (entry.doctor
+  ? `Dr. ${entry.doctor.profile?.firstName} ${entry.doctor.profile?.lastName}`
+  : `Any ${entry.specialization} doctor`);
+
+// The patient's waitlist entries with their open offers, and the form to join.
+// Setting joinRequest ({ doctor, date }) opens the form prefilled.
+const WaitlistPanel = ({ doctors, joinRequest }) => {
+  const navigate = useNavigate();
+  const [entries, setEntries] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [showJoin, setShowJoin] = useState(false);
+  const [form, setForm] = useState(emptyEntry());
+  const [submitting, setSubmitting] = useState(false);
+
+  useEffect(() => {
+    fetchEntries();
+  }, []);
+
+  useEffect(() => {
+    if (joinRequest) {
+      setForm(emptyEntry(joinRequest.doctor, joinRequest.date));
+      setShowJoin(true);
+    }
+  }, [joinRequest]);
+
+  useRealtimeEvent('waitlist:offer', () => fetchEntries());
+
+  const fetchEntries = async () => {
+    try {
+      const response = await waitlistAPI.getEntries({ limit: 20 });
+      setEntries(response.data.entries.filter(entry => entry.status === 'waiting' || entry.offers.some(offer => offer.open)));
+    } catch (error) {
+      toast.error(error.response?.data?.message || 'Failed to load your waitlist');
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const specializations = [...new Set(doctors.map(doctor => doctor.profile?.specialization).filter(Boolean))];
+
+  const updateForm = (changes) => setForm(prev => ({ ...prev, ...changes }));
+
+  const handleJoin = async (e) => {
+    e.preventDefault();
+
+    try {
+      setSubmitting(true);
+      const response = await waitlistAPI.joinWaitlist({
+        doctor: form.target === 'doctor' ? form.doctor : undefined,
+        specialization: form.target === 'specialization' ? form.specialization : undefined,
+        dateFrom: new Date(`${form.dateFrom}T00:00:00`).toISOString(),
+        dateTo: new Date(`${form.dateTo}T00:00:00`).toISOString(),
+        timeFrom: form.timeFrom || undefined,
+        timeTo: form.timeTo || undefined,
+        reason: form.reason,
+        type: form.type
+      });
+      toast.success(response.data.message);
+      setShowJoin(false);
+      fetchEntries();
+    } catch (error) {
+      const data = error.response?.data;
+      toast.error(data?.errors?.[0]?.message || data?.message || 'Failed to join the waitlist');
+    } finally {
+      setSubmitting(false);
+    }
+  };
+
+  const handleLeave = async (entry) => {
+    if (!window.confirm('Leave this waitlist?')) return;
+
+    try {
+      await waitlistAPI.leaveWaitlist(entry._id);
+      toast.success('Removed from the waitlist');
+      fetchEntries();
+    } catch (error) {
+      toast.error(error.response?.data?.message || 'Failed to leave the waitlist');
+    }
+  };
+
+  const handleClaim = async (offer) => {
+    try {
+      await waitlistAPI.claimOffer(offer._id);
+      toast.success('Appointment booked successfully!');
+      navigate('/appointments');
+    } catch (error) {
+      toast.error(error.response?.data?.message || 'Failed to claim the slot');
+      fetchEntries();
+    }
+  };
+
+  const handleDecline = async (offer) => {
+    try {
+      const response = await waitlistAPI.declineOffer(offer._id);
+      toast.info(response.data.message);
+    } catch (error) {
+      toast.error(error.response?.data?.message || 'Failed to decline the offer');
+    }
+    fetchEntries();
+  };
+
+  return (
+    <Card className="mt-4">
+      <Card.Header className="d-flex justify-content-between align-items-center">
+        <h5 className="mb-0">My Waitlist</h5>
+        <Button variant="outline-primary" size="sm" onClick={() => { setForm(emptyEntry()); setShowJoin(true); }}>
+          Join Waitlist
+        </Button>
+      </Card.Header>
+      <Card.Body>
+        {loading ? (
+          <div className="text-center py-3">
+            <Spinner animation="border" size="sm" />
+          </div>
+        ) : entries.length === 0 ? (
+          <p className="text-muted mb-0">
+            No date suits you? Join the waitlist and we will offer you the first matching slot that frees up.
+          </p>
+        ) : (
+          <ListGroup variant="flush">
+            {entries.map(entry => (
+              <ListGroup.Item key={entry._id}>
+                <div className="d-flex justify-content-between align-items-start">
+                  <div>
+                    <strong>{describeEntry(entry)}</strong>
+                    <Badge bg={STATUS_VARIANTS[entry.status] || 'secondary'} className="ms-2">
+                      {entry.status.charAt(0).toUpperCase() + entry.status.slice(1)}
+                    </Badge>
+                    <div className="text-muted small">
+                      {format(new Date(entry.dateFrom), 'MMM dd')} - {format(new Date(entry.dateTo), 'MMM dd, yyyy')}
+                      {(entry.timeFrom || entry.timeTo) && ` · ${entry.timeFrom || 'any time'} - ${entry.timeTo || 'any time'}`}
+                      {' · '}
+                      {entry.reason}
+                    </div>
+                  </div>
+                  {entry.status === 'waiting' && (
+                    <Button variant="outline-danger" size="sm" onClick={() => handleLeave(entry)}>
+                      Leave
+                    </Button>
+                  )}
+                </div>
+                {entry.offers.filter(offer => offer.open).map(offer => (
+                  <div key={offer._id} className="d-flex justify-content-between align-items-center border rounded p-2 mt-2">
+                    <span>
+                      <Badge bg="warning" text="dark" className="me-2">Offer</Badge>
+                      {format(new Date(offer.appointmentDate), 'EEE, MMM dd')} at {offer.timeSlot.start}
+                      {!entry.doctor && ` with Dr. ${offer.doctor?.profile?.firstName} ${offer.doctor?.profile?.lastName}`}
+                      <span className="text-muted small ms-2">
+                        until {format(new Date(offer.expiresAt), 'HH:mm')}
+                      </span>
+                    </span>
+                    <span className="d-flex gap-1">
+                      <Button variant="success" size="sm" onClick={() => handleClaim(offer)}>
+                        Claim
+                      </Button>
+                      <Button variant="outline-secondary" size="sm" onClick={() => handleDecline(offer)}>
+                        Decline
+                      </Button>
+                    </span>
+                  </div>
+                ))}
+              </ListGroup.Item>
+            ))}
+          </ListGroup>
+        )}
+      </Card.Body>
+
+      <Modal show={showJoin} onHide={() => setShowJoin(false)}>
+        <Form onSubmit={handleJoin}>
+          <Modal.Header closeButton className="medical-card">
+            <Modal.Title>Join Waitlist</Modal.Title>
+          </Modal.Header>
+          <Modal.Body className="medical-card">
+            <Form.Group className="mb-3">
+              <Form.Check
+                inline
+                type="radio"
+                id="waitlist-target-doctor"
+                label="A specific doctor"
+                checked={form.target === 'doctor'}
+                onChange={() => updateForm({ target: 'doctor' })}
+              />
+              <Form.Check
+                inline
+                type="radio"
+                id="waitlist-target-specialization"
+                label="Any doctor of a specialization"
+                checked={form.target === 'specialization'}
+                onChange={() => updateForm({ target: 'specialization' })}
+              />
+            </Form.Group>
+
+            {form.target === 'doctor' ? (
+              <Form.Group className="mb-3">
+                <Form.Label className="form-label-medical">Doctor</Form.Label>
+                <Form.Select
+                  className="form-control-medical"
+                  value={form.doctor}
+                  onChange={(e) => updateForm({ doctor: e.target.value })}
+                  required
+                >
+                  <option value="">Select a doctor</option>
+                  {doctors.map(doctor => (
+                    <option key={doctor._id} value={doctor._id}>
+                      Dr. {doctor.profile?.firstName} {doctor.profile?.lastName}
+                      {doctor.profile?.specialization && ` (${doctor.profile.specialization})`}
+                    </option>
+                  ))}
+                </Form.Select>
+              </Form.Group>
+            ) : (
+              <Form.Group className="mb-3">
+                <Form.Label className="form-label-medical">Specialization</Form.Label>
+                <Form.Select
+                  className="form-control-medical"
+                  value={form.specialization}
+                  onChange={(e) => updateForm({ specialization: e.target.value })}
+                  required
+                >
+                  <option value="">Select a specialization</option>
+                  {specializations.map(specialization => (
+                    <option key={specialization} value={specialization}>{specialization}</option>
+                  ))}
+                </Form.Select>
+              </Form.Group>
+            )}
+
+            <Row>
+              <Col>
+                <Form.Group className="mb-3">
+                  <Form.Label className="form-label-medical">Earliest date</Form.Label>
+                  <Form.Control
+                    className="form-control-medical"
+                    type="date"
+                    min={format(new Date(), DATE_INPUT_FORMAT)}
+                    value={form.dateFrom}
+                    onChange={(e) => updateForm({ dateFrom: e.target.value })}
+                    required
+                  />
+                </Form.Group>
+              </Col>
+              <Col>
+                <Form.Group className="mb-3">
+                  <Form.Label className="form-label-medical">Latest date</Form.Label>
+                  <Form.Control
+                    className="form-control-medical"
+                    type="date"
+                    min={form.dateFrom}
+                    value={form.dateTo}
+                    onChange={(e) => updateForm({ dateTo: e.target.value })}
+                    required
+                  />
+                </Form.Group>
+              </Col>
+            </Row>
+
+            <Row>
+              <Col>
+                <Form.Group className="mb-3">
+                  <Form.Label className="form-label-medical">From (optional)</Form.Label>
+                  <Form.Control
+                    className="form-control-medical"
+                    type="time"
+                    value={form.timeFrom}
+                    onChange={(e) => updateForm({ timeFrom: e.target.value })}
+                  />
+                </Form.Group>
+              </Col>
+              <Col>
+                <Form.Group className="mb-3">
+                  <Form.Label className="form-label-medical">To (optional)</Form.Label>
+                  <Form.Control
+                    className="form-control-medical"
+                    type="time"
+                    value={form.timeTo}
+                    onChange={(e) => updateForm({ timeTo: e.target.value })}
+                  />
+                </Form.Group>
+              </Col>
+            </Row>
+
+            <Form.Group className="mb-3">
+              <Form.Label className="form-label-medical">Appointment Type</Form.Label>
+              <Form.Select
+                className="form-control-medical"
+                value={form.type}
+                onChange={(e) => updateForm({ type: e.target.value })}
+              >
+                <option value="consultation">Consultation</option>
+                <option value="follow-up">Follow-up</option>
+                <option value="check-up">Check-up</option>
+                <option value="emergency">Emergency</option>
+              </Form.Select>
+            </Form.Group>
+
+            <Form.Group>
+              <Form.Label className="form-label-medical">Reason for Visit</Form.Label>
+              <Form.Control
+                className="form-control-medical"
+                as="textarea"
+                rows={3}
+                minLength={10}
+                maxLength={500}
+                value={form.reason}
+                onChange={(e) => updateForm({ reason: e.target.value })}
+                required
+              />
+            </Form.Group>
+          </Modal.Body>
+          <Modal.Footer className="medical-card">
+            <Button variant="secondary" onClick={() => setShowJoin(false)}>
+              Cancel
+            </Button>
+            <Button type="submit" variant="primary" disabled={submitting}>
+              {submitting ? <Spinner animation="border" size="sm" /> : 'Join Waitlist'}
+            </Button>
+          </Modal.Footer>
+        </Form>
+      </Modal>
+    </Card>
+  );
+};
+
+export default WaitlistPanel;
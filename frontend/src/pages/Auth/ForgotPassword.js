@@ -0,0 +1,104 @@
+import React, { useState } from 'react';
+import { Container, Row, Col, Card, Form, Button, Alert } from 'react-bootstrap';
+import { Link } from 'react-router-dom';
+import { authAPI } from '../../services/api';
+
+const ForgotPassword = () => {
+  const [email, setEmail] = useState('');
+  const [loading, setLoading] = useState(false);
+  const [error, setError] = useState('');
+  const [submitted, setSubmitted] = useState(false);
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    setLoading(true);
+    setError('');
+
+    if (!email.trim()) {
+      setError('Please enter your email address');
+      setLoading(false);
+      return;
+    }
+
+    try {
+      await authAPI.forgotPassword({ email: email.trim() });
+      setSubmitted(true);
+    } catch (err) {
+      const message = err.response?.data?.errors?.[0]?.message ||
+        err.response?.data?.message ||
+        err.response?.data?.error ||
+        'Failed to send reset link. Please try again.';
+      setError(message);
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  return (
+    <Container className="py-5">
+      <Row className="justify-content-center">
+        <Col md={6} lg={4}>
+          <Card className="shadow">
+            <Card.Body className="p-4">
+              <div className="text-center mb-4">
+                <h2 className="text-primary">Forgot Password</h2>
+                <p className="text-muted">We'll email you a link to reset it</p>
+              </div>
+
+              {error && (
+                <Alert variant="danger" className="mb-3">
+                  {error}
+                </Alert>
+              )}
+
+              {submitted ? (
+                <Alert variant="success" className="mb-3">
+                  If an account exists for <strong>{email}</strong>, a password reset link
+                  is on its way. The link expires in one hour.
+                </Alert>
+              ) : (
+                <Form onSubmit={handleSubmit}>
+                  <Form.Group className="mb-3">
+                    <Form.Label>Email</Form.Label>
+                    <Form.Control
+                      type="email"
+                      name="email"
+                      value={email}
+                      onChange={(e) => {
+                        setEmail(e.target.value);
+                        if (error) setError('');
+                      }}
+                      placeholder="Enter your account email"
+                      required
+                    />
+                  </Form.Group>
+
+                  <Button
+                    type="submit"
+                    variant="primary"
+                    size="lg"
+                    className="w-100 mb-3"
+                    disabled={loading}
+                  >
+                    {loading ? 'Sending...' : 'Send Reset Link'}
+                  </Button>
+                </Form>
+              )}
+
+              <div className="text-center">
+                <p className="mb-0">
+                  Remembered it?{' '}
+                  <Link to="/login" className="text-primary">
+                    Back to sign in
+                  </Link>
+                </p>
+              </div>
+            </Card.Body>
+          </Card>
+        </Col>
+      </Row>
+    </Container>
+  );
+};
+
+export default ForgotPassword;
@@ -2,6 +2,7 @@ import React, { useState } from 'react';
 import { Container, Row, Col, Card, Form, Button, Alert } from 'react-bootstrap';
 import { Link, useNavigate } from 'react-router-dom';
 import { useAuth } from '../../contexts/AuthContext';
+import TwoFactorSetup from '../../components/Auth/TwoFactorSetup';
 
 const Login = () => {
   const [formData, setFormData] = useState({
@@ -10,8 +11,16 @@ const Login = () => {
   });
   const [loading, setLoading] = useState(false);
   const [error, setError] = useState('');
+  const [code, setCode] = useState('');
+  const [useRecoveryCode, setUseRecoveryCode] = useState(false);
 
-  const { login } = useAuth();
+  const {
+    login,
+    twoFactorChallenge,
+    verifyTwoFactor,
+    completeTwoFactorSetup,
+    cancelTwoFactor
+  } = useAuth();
   const navigate = useNavigate();
 
   const handleChange = (e) => {
@@ -37,7 +46,7 @@ const Login = () => {
       const result = await login(formData);
       if (result.success) {
         navigate('/dashboard');
-      } else {
+      } else if (!result.twoFactorChallenge) {
         setError(result.error);
       }
     } catch (err) {
@@ -47,6 +56,116 @@ const Login = () => {
     }
   };
 
+  const handleVerify = async (e) => {
+    e.preventDefault();
+    setLoading(true);
+    setError('');
+
+    const result = await verifyTwoFactor(
+      useRecoveryCode ? { recoveryCode: code.trim() } : { code: code.trim() }
+    );
+
+    if (result.success) {
+      navigate('/dashboard');
+    } else {
+      setError(result.error);
+      setLoading(false);
+    }
+  };
+
+  const handleCancelTwoFactor = () => {
+    setCode('');
+    setError('');
+    cancelTwoFactor();
+  };
+
+  if (twoFactorChallenge) {
+    return (
+      <Container className="py-5">
+        <Row className="justify-content-center">
+          <Col md={8} lg={6}>
+            <Card className="shadow">
+              <Card.Body className="p-4">
+                <div className="text-center mb-4">
+                  <h2 className="text-primary">Two-Factor Authentication</h2>
+                  <p className="text-muted">
+                    {twoFactorChallenge.type === 'setup'
+                      ? 'Your account requires two-factor authentication. Set it up to continue.'
+                      : useRecoveryCode
+                        ? 'Enter one of your recovery codes'
+                        : 'Enter the code from your authenticator app'}
+                  </p>
+                </div>
+
+                {twoFactorChallenge.type === 'setup' ? (
+                  <TwoFactorSetup
+                    challengeToken={twoFactorChallenge.challengeToken}
+                    onComplete={completeTwoFactorSetup}
+                    onCancel={handleCancelTwoFactor}
+                  />
+                ) : (
+                  <>
+                    {error && (
+                      <Alert variant="danger" className="mb-3">
+                        {error}
+                      </Alert>
+                    )}
+
+                    <Form onSubmit={handleVerify}>
+                      <Form.Group className="mb-3">
+                        <Form.Label>{useRecoveryCode ? 'Recovery Code' : 'Authentication Code'}</Form.Label>
+                        <Form.Control
+                          type="text"
+                          inputMode={useRecoveryCode ? 'text' : 'numeric'}
+                          autoComplete="one-time-code"
+                          value={code}
+                          onChange={(e) => {
+                            setCode(e.target.value);
+                            if (error) setError('');
+                          }}
+                          placeholder={useRecoveryCode ? 'xxxxx-xxxxx' : '123456'}
+                          autoFocus
+                          required
+                        />
+                      </Form.Group>
+
+                      <Button
+                        type="submit"
+                        variant="primary"
+                        size="lg"
+                        className="w-100 mb-3"
+                        disabled={loading}
+                      >
+                        {loading ? 'Verifying...' : 'Verify'}
+                      </Button>
+                    </Form>
+
+                    <div className="d-flex justify-content-between">
+                      <Button
+                        variant="link"
+                        className="p-0"
+                        onClick={() => {
+                          setUseRecoveryCode(!useRecoveryCode);
+                          setCode('');
+                          setError('');
+                        }}
+                      >
+                        {useRecoveryCode ? 'Use authenticator app' : 'Use a recovery code'}
+                      </Button>
+                      <Button variant="link" className="p-0 text-muted" onClick={handleCancelTwoFactor}>
+                        Back to sign in
+                      </Button>
+                    </div>
+                  </>
+                )}
+              </Card.Body>
+            </Card>
+          </Col>
+        </Row>
+      </Container>
+    );
+  }
+
   return (
     <Container className="py-5">
       <Row className="justify-content-center">
@@ -87,6 +206,11 @@ const Login = () => {
                     placeholder="Enter your password"
                     required
                   />
+                  <div className="text-end mt-1">
+                    <Link to="/forgot-password" className="small text-primary">
+                      Forgot password?
+                    </Link>
+                  </div>
                 </Form.Group>
 
                 <Button
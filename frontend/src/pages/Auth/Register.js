@@ -1,6 +1,6 @@
 import React, { useState } from 'react';
 import { Container, Row, Col, Card, Form, Button, Alert } from 'react-bootstrap';
-import { Link, useNavigate } from 'react-router-dom';
+import { Link, Navigate, useNavigate } from 'react-router-dom';
 import { useAuth } from '../../contexts/AuthContext';
 
 const Register = () => {
@@ -23,7 +23,7 @@ const Register = () => {
   const [loading, setLoading] = useState(false);
   const [errors, setErrors] = useState({});
 
-  const { register } = useAuth();
+  const { register, twoFactorChallenge } = useAuth();
   const navigate = useNavigate();
 
   const handleChange = (e) => {
@@ -117,7 +117,7 @@ const Register = () => {
       const result = await register(submitData);
       if (result.success) {
         navigate('/dashboard');
-      } else {
+      } else if (!result.twoFactorChallenge) {
         setErrors({ general: result.error });
       }
     } catch (err) {
@@ -129,6 +129,11 @@ const Register = () => {
 
   const showMedicalFields = ['doctor', 'nurse'].includes(formData.role);
 
+  // Roles that require two-factor authentication finish enrollment on the login page
+  if (twoFactorChallenge) {
+    return <Navigate to="/login" replace />;
+  }
+
   return (
     <Container className="py-5">
       <Row className="justify-content-center">
@@ -0,0 +1,135 @@
+import React, { useState } from 'react';
+import { Container, Row, Col, Card, Form, Button, Alert } from 'react-bootstrap';
+import { Link, useNavigate, useSearchParams } from 'react-router-dom';
+import { toast } from 'react-toastify';
+import { authAPI } from '../../services/api';
+
+const ResetPassword = () => {
+  const [searchParams] = useSearchParams();
+  const token = searchParams.get('token') || '';
+  const [formData, setFormData] = useState({
+    password: '',
+    confirmPassword: ''
+  });
+  const [loading, setLoading] = useState(false);
+  const [error, setError] = useState('');
+
+  const navigate = useNavigate();
+
+  const handleChange = (e) => {
+    setFormData({
+      ...formData,
+      [e.target.name]: e.target.value
+    });
+    if (error) setError('');
+  };
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    setLoading(true);
+    setError('');
+
+    if (formData.password !== formData.confirmPassword) {
+      setError('Passwords do not match');
+      setLoading(false);
+      return;
+    }
+
+    try {
+      const response = await authAPI.resetPassword({
+        token,
+        password: formData.password
+      });
+      toast.success(response.data.message);
+      navigate('/login');
+    } catch (err) {
+      const message = err.response?.data?.errors?.[0]?.message ||
+        err.response?.data?.message ||
+        err.response?.data?.error ||
+        'Failed to reset password. Please try again.';
+      setError(message);
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  return (
+    <Container className="py-5">
+      <Row className="justify-content-center">
+        <Col md={6} lg={4}>
+          <Card className="shadow">
+            <Card.Body className="p-4">
+              <div className="text-center mb-4">
+                <h2 className="text-primary">Reset Password</h2>
+                <p className="text-muted">Choose a new password for your account</p>
+              </div>
+
+              {!token ? (
+                <Alert variant="danger" className="mb-3">
+                  This reset link is missing its token. Please request a new one.
+                </Alert>
+              ) : (
+                <>
+                  {error && (
+                    <Alert variant="danger" className="mb-3">
+                      {error}
+                    </Alert>
+                  )}
+
+                  <Form onSubmit={handleSubmit}>
+                    <Form.Group className="mb-3">
+                      <Form.Label>New Password</Form.Label>
+                      <Form.Control
+                        type="password"
+                        name="password"
+                        value={formData.password}
+                        onChange={handleChange}
+                        placeholder="Enter a new password"
+                        required
+                      />
+                      <Form.Text className="text-muted">
+                        At least 6 characters with an uppercase letter, a lowercase letter and a number.
+                      </Form.Text>
+                    </Form.Group>
+
+                    <Form.Group className="mb-3">
+                      <Form.Label>Confirm Password</Form.Label>
+                      <Form.Control
+                        type="password"
+                        name="confirmPassword"
+                        value={formData.confirmPassword}
+                        onChange={handleChange}
+                        placeholder="Re-enter the new password"
+                        required
+                      />
+                    </Form.Group>
+
+                    <Button
+                      type="submit"
+                      variant="primary"
+                      size="lg"
+                      className="w-100 mb-3"
+                      disabled={loading}
+                    >
+                      {loading ? 'Resetting...' : 'Reset Password'}
+                    </Button>
+                  </Form>
+                </>
+              )}
+
+              <div className="text-center">
+                <p className="mb-0">
+                  <Link to="/forgot-password" className="text-primary">
+                    Request a new link
+                  </Link>
+                </p>
+              </div>
+            </Card.Body>
+          </Card>
+        </Col>
+      </Row>
+    </Container>
+  );
+};
+
+export default ResetPassword;
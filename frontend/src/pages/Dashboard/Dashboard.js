@@ -2,16 +2,17 @@ import React, { useState, useEffect } from 'react';
 import { Container, Row, Col, Card, Button, Alert, Badge } from 'react-bootstrap';
 import { Link } from 'react-router-dom';
 import { useAuth } from '../../contexts/AuthContext';
+import { useRealtime, useRealtimeEvent } from '../../contexts/RealtimeContext';
 import { appointmentsAPI, messagesAPI } from '../../services/api';
 import { format, isToday, isTomorrow } from 'date-fns';
 
 const Dashboard = () => {
   const { user } = useAuth();
+  const { unreadCount } = useRealtime();
   const [stats, setStats] = useState({
     upcomingAppointments: [],
     recentMessages: [],
-    totalAppointments: 0,
-    unreadMessages: 0
+    totalAppointments: 0
   });
   const [loading, setLoading] = useState(true);
   const [error, setError] = useState('');
@@ -20,28 +21,32 @@ const Dashboard = () => {
     fetchDashboardData();
   }, []);
 
-  const fetchDashboardData = async () => {
+  // Live updates refresh the cards in place rather than showing the page spinner again
+  useRealtimeEvent('message:new', () => fetchDashboardData({ background: true }));
+  useRealtimeEvent('appointment:status', () => fetchDashboardData({ background: true }));
+  useRealtimeEvent('appointment:booked', () => fetchDashboardData({ background: true }));
+  useRealtimeEvent('appointment:rescheduled', () => fetchDashboardData({ background: true }));
+
+  const fetchDashboardData = async ({ background = false } = {}) => {
     try {
-      setLoading(true);
+      if (!background) setLoading(true);
       
       const today = new Date();
       const nextWeek = new Date();
       nextWeek.setDate(today.getDate() + 7);
 
-      const [appointmentsResponse, messagesResponse, unreadResponse] = await Promise.all([
+      const [appointmentsResponse, messagesResponse] = await Promise.all([
         appointmentsAPI.getAppointments({
           limit: 5,
           status: user.role === 'patient' ? undefined : 'pending'
         }),
-        messagesAPI.getInbox({ limit: 3 }),
-        messagesAPI.getUnreadCount()
+        messagesAPI.getInbox({ limit: 3 })
       ]);
 
       setStats({
         upcomingAppointments: appointmentsResponse.data.appointments || [],
         recentMessages: messagesResponse.data.messages || [],
-        totalAppointments: appointmentsResponse.data.pagination?.total || 0,
-        unreadMessages: unreadResponse.data.unreadCount || 0
+        totalAppointments: appointmentsResponse.data.pagination?.total || 0
       });
 
     } catch (err) {
@@ -64,7 +69,9 @@ const Dashboard = () => {
       pending: 'warning',
       confirmed: 'success',
       cancelled: 'danger',
-      completed: 'info'
+      completed: 'info',
+      'checked-in': 'primary',
+      'in-progress': 'dark'
     };
     return variants[status] || 'secondary';
   };
@@ -131,7 +138,7 @@ const Dashboard = () => {
           <Card className="border-0 shadow-sm h-100">
             <Card.Body className="text-center">
               <div className="text-info mb-2">
-                <h2 className="mb-0">{stats.unreadMessages}</h2>
+                <h2 className="mb-0">{unreadCount}</h2>
               </div>
               <h6 className="text-muted mb-0">Unread Messages</h6>
             </Card.Body>
@@ -0,0 +1,141 @@
+import React, { useState, useEffect } from 'react';
+import { Modal, Table, Badge, Button, Alert, Spinner } from 'react-bootstrap';
+import { toast } from 'react-toastify';
+import { format } from 'date-fns';
+import { auditAPI } from '../../services/api';
+
+const ACTION_LABELS = {
+  'health_record.create': 'Created a health record',
+  'health_record.list': 'Viewed your health records',
+  'health_record.view': 'Opened a health record',
+  'health_record.history': 'Viewed a health record\'s history',
+  'health_record.update': 'Amended a health record',
+  'health_record.sign': 'Signed a health record',
+  'health_record.delete': 'Deleted a health record',
+  'health_record.emergency_access': 'Used emergency access to your records',
+  'health_record.share': 'Shared your records',
+  'health_record.share_revoke': 'Revoked a record share',
+  'health_record.share_view': 'Opened a record share link',
+  'user.list': 'Viewed your account in a user list',
+  'user.view': 'Viewed your account',
+  'user.update': 'Updated your account',
+  'user.status_change': 'Changed your account status',
+  'user.delete': 'Deleted your account',
+  'user.sessions_view': 'Viewed your active sessions',
+  'user.sessions_revoke': 'Signed you out',
+  'appointment.create': 'Booked an appointment',
+  'appointment.list': 'Viewed your appointments',
+  'appointment.view': 'Opened an appointment',
+  'appointment.update': 'Rescheduled an appointment',
+  'appointment.status_change': 'Changed an appointment status',
+  'appointment.delete': 'Deleted an appointment',
+  'appointment.series_create': 'Booked a recurring appointment series',
+  'appointment.series_update': 'Rescheduled appointments in a series',
+  'appointment.series_cancel': 'Cancelled appointments in a series',
+  'care_relationship.create': 'Added someone to your care team',
+  'care_relationship.end': 'Removed someone from your care team'
+};
+
+const AccessLogModal = ({ show, onHide }) => {
+  const [events, setEvents] = useState([]);
+  const [loading, setLoading] = useState(false);
+  const [page, setPage] = useState(1);
+  const [pagination, setPagination] = useState({});
+
+  useEffect(() => {
+    if (show) {
+      fetchAccessLog();
+    }
+  }, [show, page]);
+
+  const fetchAccessLog = async () => {
+    try {
+      setLoading(true);
+      const response = await auditAPI.getMyAccessLog({ page, limit: 20 });
+      setEvents(response.data.events);
+      setPagination(response.data.pagination);
+    } catch (error) {
+      toast.error('Failed to load access history');
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  return (
+    <Modal show={show} onHide={onHide} size="lg">
+      <Modal.Header closeButton className="medical-card">
+        <Modal.Title>Who Accessed My Records</Modal.Title>
+      </Modal.Header>
+      <Modal.Body className="medical-card">
+        {loading ? (
+          <div className="text-center py-4">
+            <Spinner animation="border" />
+          </div>
+        ) : events.length === 0 ? (
+          <Alert variant="info" className="mb-0">
+            No one else has accessed your records yet.
+          </Alert>
+        ) : (
+          <Table responsive size="sm">
+            <thead>
+              <tr>
+                <th>Date</th>
+                <th>Who</th>
+                <th>What</th>
+                <th>Outcome</th>
+              </tr>
+            </thead>
+            <tbody>
+              {events.map(event => (
+                <tr key={event._id}>
+                  <td className="text-nowrap">{format(new Date(event.timestamp), 'MMM dd, yyyy HH:mm')}</td>
+                  <td>
+                    {event.actorName}
+                    {event.actorRole && <div className="text-muted small text-capitalize">{event.actorRole}</div>}
+                  </td>
+                  <td>
+                    {ACTION_LABELS[event.action] || event.action}
+                    {event.emergencyAccess && <Badge bg="danger" className="ms-1">Emergency access</Badge>}
+                  </td>
+                  <td>
+                    <Badge bg={event.outcome === 'denied' ? 'danger' : 'success'}>
+                      {event.outcome === 'denied' ? 'Blocked' : 'Allowed'}
+                    </Badge>
+                  </td>
+                </tr>
+              ))}
+            </tbody>
+          </Table>
+        )}
+      </Modal.Body>
+      <Modal.Footer className="medical-card">
+        {pagination.pages > 1 && (
+          <div className="me-auto">
+            <Button
+              variant="outline-secondary"
+              size="sm"
+              className="me-2"
+              disabled={!pagination.hasPrev}
+              onClick={() => setPage(page - 1)}
+            >
+              Previous
+            </Button>
+            <Button
+              variant="outline-secondary"
+              size="sm"
+              disabled={!pagination.hasNext}
+              onClick={() => setPage(page + 1)}
+            >
+              Next
+            </Button>
+          </div>
+        )}
+        <Button variant="secondary" onClick={onHide}>
+          Close
+        </Button>
+      </Modal.Footer>
+    </Modal>
+  );
+};
+
+export default AccessLogModal;
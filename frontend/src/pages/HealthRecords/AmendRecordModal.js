@@ -0,0 +1,130 @@
+import React, { useState, useEffect } from 'react';
+import { Modal, Form, Button, Alert, Spinner } from 'react-bootstrap';
+import { toast } from 'react-toastify';
+import { healthRecordsAPI } from '../../services/api';
+
+const AmendRecordModal = ({ show, record, onHide, onAmended }) => {
+  const [formData, setFormData] = useState({
+    title: '',
+    description: '',
+    priority: 'normal',
+    amendmentReason: ''
+  });
+  const [submitting, setSubmitting] = useState(false);
+
+  useEffect(() => {
+    if (show && record) {
+      setFormData({
+        title: record.title,
+        description: record.description,
+        priority: record.priority || 'normal',
+        amendmentReason: ''
+      });
+    }
+  }, [show, record]);
+
+  const handleChange = (e) => {
+    const { name, value } = e.target;
+    setFormData(prev => ({ ...prev, [name]: value }));
+  };
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+
+    try {
+      setSubmitting(true);
+      const response = await healthRecordsAPI.amendRecord(record._id, formData);
+      toast.success('Health record amended');
+      onAmended(response.data.record);
+    } catch (error) {
+      const message = error.response?.data?.errors?.[0]?.message ||
+        error.response?.data?.message ||
+        'Failed to amend health record';
+      toast.error(message);
+    } finally {
+      setSubmitting(false);
+    }
+  };
+
+  return (
+    <Modal show={show} onHide={onHide} size="lg">
+      <Form onSubmit={handleSubmit}>
+        <Modal.Header closeButton className="medical-card">
+          <Modal.Title>Amend Record</Modal.Title>
+        </Modal.Header>
+        <Modal.Body className="medical-card">
+          <Alert variant="info">
+            Clinical records are never overwritten. Saving creates a new version and keeps
+            the current one in the record's history.
+          </Alert>
+
+          <Form.Group className="mb-3">
+            <Form.Label className="form-label-medical">Title</Form.Label>
+            <Form.Control
+              className="form-control-medical"
+              name="title"
+              value={formData.title}
+              onChange={handleChange}
+              maxLength={200}
+              required
+            />
+          </Form.Group>
+
+          <Form.Group className="mb-3">
+            <Form.Label className="form-label-medical">Description</Form.Label>
+            <Form.Control
+              className="form-control-medical"
+              as="textarea"
+              rows={5}
+              name="description"
+              value={formData.description}
+              onChange={handleChange}
+              maxLength={2000}
+              required
+            />
+          </Form.Group>
+
+          <Form.Group className="mb-3">
+            <Form.Label className="form-label-medical">Priority</Form.Label>
+            <Form.Select
+              className="form-control-medical"
+              name="priority"
+              value={formData.priority}
+              onChange={handleChange}
+            >
+              <option value="low">Low</option>
+              <option value="normal">Normal</option>
+              <option value="high">High</option>
+              <option value="urgent">Urgent</option>
+            </Form.Select>
+          </Form.Group>
+
+          <Form.Group>
+            <Form.Label className="form-label-medical">Reason for Amendment</Form.Label>
+            <Form.Control
+              className="form-control-medical"
+              as="textarea"
+              rows={2}
+              name="amendmentReason"
+              value={formData.amendmentReason}
+              onChange={handleChange}
+              maxLength={500}
+              placeholder="e.g. Corrected dosage transcription error"
+              required
+            />
+          </Form.Group>
+        </Modal.Body>
+        <Modal.Footer className="medical-card">
+          <Button variant="secondary" onClick={onHide} disabled={submitting}>
+            Cancel
+          </Button>
+          <Button type="submit" variant="primary" disabled={submitting || !formData.amendmentReason.trim()}>
+            {submitting ? <Spinner animation="border" size="sm" /> : 'Save Amendment'}
+          </Button>
+        </Modal.Footer>
+      </Form>
+    </Modal>
+  );
+};
+
+export default AmendRecordModal;
@@ -0,0 +1,194 @@
+import React, { useState, useEffect } from 'react';
+import { Modal, Row, Col, Card, Table, Badge, Button, Alert, Spinner } from 'react-bootstrap';
+import { useNavigate } from 'react-router-dom';
+import { format } from 'date-fns';
+import { healthRecordsAPI } from '../../services/api';
+
+const SEVERITY_COLORS = {
+  mild: 'success',
+  moderate: 'warning',
+  severe: 'danger',
+  critical: 'danger'
+};
+
+const LAB_STATUS_COLORS = {
+  normal: 'success',
+  abnormal: 'warning',
+  critical: 'danger'
+};
+
+const VITAL_LABELS = [
+  ['heartRate', 'Heart rate', 'bpm'],
+  ['temperature', 'Temperature', '°C'],
+  ['respiratoryRate', 'Respiratory rate', '/min'],
+  ['oxygenSaturation', 'SpO₂', '%'],
+  ['weight', 'Weight', 'kg'],
+  ['height', 'Height', 'cm']
+];
+
+const formatDate = (date) => (date ? format(new Date(date), 'MMM dd, yyyy') : '-');
+
+const Section = ({ title, empty, children }) => (
+  <Card className="medical-card mb-3">
+    <Card.Header className="py-2"><strong>{title}</strong></Card.Header>
+    <Card.Body className="py-2">
+      {empty ? <div className="text-muted small">None recorded</div> : children}
+    </Card.Body>
+  </Card>
+);
+
+// A patient's chart at a glance: problems, medications, vitals, labs and upcoming visits
+const ChartSummaryModal = ({ show, patientId, onHide }) => {
+  const navigate = useNavigate();
+  const [summary, setSummary] = useState(null);
+  const [error, setError] = useState('');
+
+  useEffect(() => {
+    if (show && patientId) {
+      fetchSummary();
+    }
+  }, [show, patientId]);
+
+  const fetchSummary = async () => {
+    try {
+      setSummary(null);
+      setError('');
+      const response = await healthRecordsAPI.getPatientSummary(patientId);
+      setSummary(response.data);
+    } catch (err) {
+      setError(err.response?.data?.message || 'Failed to load the chart summary');
+    }
+  };
+
+  const vitals = summary?.latestVitals;
+
+  return (
+    <Modal show={show} onHide={onHide} size="xl">
+      <Modal.Header closeButton className="medical-card">
+        <Modal.Title>
+          Chart Summary
+          {summary && (
+            <span className="text-muted fs-6 ms-2">
+              {summary.patient.profile?.firstName} {summary.patient.profile?.lastName}
+              {summary.patient.profile?.dateOfBirth && ` · born ${formatDate(summary.patient.profile.dateOfBirth)}`}
+            </span>
+          )}
+        </Modal.Title>
+      </Modal.Header>
+      <Modal.Body className="medical-card">
+        {error && <Alert variant="warning" className="mb-0">{error}</Alert>}
+
+        {!error && !summary && (
+          <div className="text-center py-4">
+            <Spinner animation="border" />
+          </div>
+        )}
+
+        {summary && (
+          <Row>
+            <Col lg={6}>
+              <Section title="Active Problems" empty={summary.activeProblems.length === 0}>
+                {summary.activeProblems.map(problem => (
+                  <div key={problem.recordId + (problem.icdCode || problem.description)} className="mb-2">
+                    {problem.icdCode && <Badge bg="secondary" className="me-2">{problem.icdCode}</Badge>}
+                    {problem.description || problem.title}
+                    {problem.severity && (
+                      <Badge bg={SEVERITY_COLORS[problem.severity]} className="ms-2 text-capitalize">
+                        {problem.severity}
+                      </Badge>
+                    )}
+                    <div className="text-muted small">{formatDate(problem.recordDate)} · {problem.provider}</div>
+                  </div>
+                ))}
+              </Section>
+
+              <Section title="Current Medications" empty={summary.currentMedications.length === 0}>
+                <Table size="sm" className="mb-0">
+                  <tbody>
+                    {summary.currentMedications.map(medication => (
+                      <tr key={`${medication.recordId}-${medication.name}`}>
+                        <td><strong>{medication.name}</strong></td>
+                        <td>{[medication.dosage, medication.frequency].filter(Boolean).join(', ')}</td>
+                        <td className="text-muted small text-nowrap">{formatDate(medication.prescribedDate)}</td>
+                      </tr>
+                    ))}
+                  </tbody>
+                </Table>
+              </Section>
+            </Col>
+
+            <Col lg={6}>
+              <Section title="Latest Vitals" empty={!vitals}>
+                {vitals && (
+                  <>
+                    <div className="text-muted small mb-2">{formatDate(vitals.recordDate)} · {vitals.provider}</div>
+                    <Row className="small">
+                      {vitals.bloodPressure?.systolic && (
+                        <Col xs={6} className="mb-1">
+                          Blood pressure: <strong>{vitals.bloodPressure.systolic}/{vitals.bloodPressure.diastolic}</strong> mmHg
+                        </Col>
+                      )}
+                      {VITAL_LABELS.filter(([key]) => vitals[key] !== undefined && vitals[key] !== null).map(([key, label, unit]) => (
+                        <Col xs={6} key={key} className="mb-1">
+                          {label}: <strong>{vitals[key]}</strong> {unit}
+                        </Col>
+                      ))}
+                    </Row>
+                  </>
+                )}
+              </Section>
+
+              <Section title="Recent Labs" empty={summary.recentLabs.length === 0}>
+                <Table size="sm" className="mb-0">
+                  <tbody>
+                    {summary.recentLabs.map(lab => (
+                      <tr key={lab.recordId}>
+                        <td>{lab.testName || lab.title}</td>
+                        <td>
+                          {lab.value} {lab.unit}
+                          {lab.referenceRange && <span className="text-muted small"> ({lab.referenceRange})</span>}
+                        </td>
+                        <td>
+                          {lab.status && (
+                            <Badge bg={LAB_STATUS_COLORS[lab.status]} className="text-capitalize">{lab.status}</Badge>
+                          )}
+                        </td>
+                        <td className="text-muted small text-nowrap">{formatDate(lab.recordDate)}</td>
+                      </tr>
+                    ))}
+                  </tbody>
+                </Table>
+              </Section>
+
+              <Section title="Upcoming Appointments" empty={summary.upcomingAppointments.length === 0}>
+                {summary.upcomingAppointments.map(appointment => (
+                  <div key={appointment._id} className="mb-1 small">
+                    <strong>{formatDate(appointment.appointmentDate)}</strong> {appointment.timeSlot?.start} ·
+                    Dr. {appointment.doctor?.profile?.firstName} {appointment.doctor?.profile?.lastName}
+                    <Badge bg="info" className="ms-2 text-capitalize">{appointment.type}</Badge>
+                  </div>
+                ))}
+              </Section>
+            </Col>
+          </Row>
+        )}
+      </Modal.Body>
+      <Modal.Footer className="medical-card">
+        {summary && (
+          <Button
+            variant="outline-primary"
+            className="me-auto"
+            onClick={() => navigate(`/health-records?patient=${patientId}`)}
+          >
+            All Records
+          </Button>
+        )}
+        <Button variant="secondary" onClick={onHide}>
+          Close
+        </Button>
+      </Modal.Footer>
+    </Modal>
+  );
+};
+
+export default ChartSummaryModal;
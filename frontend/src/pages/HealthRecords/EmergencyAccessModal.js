@@ -0,0 +1,143 @@
+import React, { useState, useEffect } from 'react';
+import { Modal, Form, Button, Alert, ListGroup, Spinner } from 'react-bootstrap';
+import { toast } from 'react-toastify';
+import { careRelationshipsAPI, usersAPI } from '../../services/api';
+
+const MIN_REASON_LENGTH = 10;
+
+const formatName = (user) => {
+  const fullName = [user.profile?.firstName, user.profile?.lastName].filter(Boolean).join(' ');
+  return fullName || user.username;
+};
+
+// Break-the-glass access to a patient outside the user's care team. The reason is
+// recorded and reviewed, and access lapses after a few hours.
+const EmergencyAccessModal = ({ show, onHide, onGranted }) => {
+  const [search, setSearch] = useState('');
+  const [matches, setMatches] = useState([]);
+  const [patient, setPatient] = useState(null);
+  const [reason, setReason] = useState('');
+  const [submitting, setSubmitting] = useState(false);
+
+  useEffect(() => {
+    if (show) {
+      setSearch('');
+      setMatches([]);
+      setPatient(null);
+      setReason('');
+    }
+  }, [show]);
+
+  useEffect(() => {
+    if (patient || search.trim().length < 2) {
+      setMatches([]);
+      return undefined;
+    }
+
+    const timer = setTimeout(async () => {
+      try {
+        const response = await usersAPI.searchUsers(search.trim());
+        setMatches(response.data.users.filter(user => user.role === 'patient'));
+      } catch (error) {
+        console.error('Error searching patients:', error);
+      }
+    }, 300);
+
+    return () => clearTimeout(timer);
+  }, [search, patient]);
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+
+    try {
+      setSubmitting(true);
+      const response = await careRelationshipsAPI.requestEmergencyAccess(patient._id, reason.trim());
+      toast.warning(response.data.message);
+      onGranted(patient, response.data.relationship);
+    } catch (error) {
+      const message = error.response?.data?.errors?.[0]?.message ||
+        error.response?.data?.message ||
+        'Failed to grant emergency access';
+      toast.error(message);
+    } finally {
+      setSubmitting(false);
+    }
+  };
+
+  return (
+    <Modal show={show} onHide={onHide}>
+      <Form onSubmit={handleSubmit}>
+        <Modal.Header closeButton className="medical-card">
+          <Modal.Title>Emergency Access</Modal.Title>
+        </Modal.Header>
+        <Modal.Body className="medical-card">
+          <Alert variant="danger">
+            Use only when a patient outside your care team needs urgent treatment. Access is logged
+            in the patient's access history and your reason is reviewed by administrators.
+          </Alert>
+
+          <Form.Group className="mb-3">
+            <Form.Label className="form-label-medical">Patient</Form.Label>
+            {patient ? (
+              <div className="d-flex justify-content-between align-items-center">
+                <strong>{formatName(patient)}</strong>
+                <Button variant="link" size="sm" onClick={() => setPatient(null)}>
+                  Change
+                </Button>
+              </div>
+            ) : (
+              <>
+                <Form.Control
+                  className="form-control-medical"
+                  type="text"
+                  placeholder="Search patients by name"
+                  value={search}
+                  onChange={(e) => setSearch(e.target.value)}
+                  autoFocus
+                />
+                {matches.length > 0 && (
+                  <ListGroup className="mt-1">
+                    {matches.map(match => (
+                      <ListGroup.Item key={match._id} action onClick={() => setPatient(match)}>
+                        {formatName(match)} <span className="text-muted">@{match.username}</span>
+                      </ListGroup.Item>
+                    ))}
+                  </ListGroup>
+                )}
+              </>
+            )}
+          </Form.Group>
+
+          <Form.Group>
+            <Form.Label className="form-label-medical">Reason</Form.Label>
+            <Form.Control
+              className="form-control-medical"
+              as="textarea"
+              rows={3}
+              maxLength={500}
+              placeholder="Describe the emergency"
+              value={reason}
+              onChange={(e) => setReason(e.target.value)}
+              required
+            />
+            <Form.Text className="text-muted">At least {MIN_REASON_LENGTH} characters</Form.Text>
+          </Form.Group>
+        </Modal.Body>
+        <Modal.Footer className="medical-card">
+          <Button variant="secondary" onClick={onHide} disabled={submitting}>
+            Cancel
+          </Button>
+          <Button
+            type="submit"
+            variant="danger"
+            disabled={submitting || !patient || reason.trim().length < MIN_REASON_LENGTH}
+          >
+            {submitting ? <Spinner animation="border" size="sm" /> : 'Break the Glass'}
+          </Button>
+        </Modal.Footer>
+      </Form>
+    </Modal>
+  );
+};
+
+export default EmergencyAccessModal;
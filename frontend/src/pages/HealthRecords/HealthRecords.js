@@ -1,22 +1,46 @@
 import React, { useState, useEffect } from 'react';
-import { Container, Row, Col, Card, Button, Table, Badge, Modal, Form, Alert, Pagination } from 'react-bootstrap';
+import { Container, Row, Col, Card, Button, Table, Badge, Modal, Form, Alert, Pagination, Nav } from 'react-bootstrap';
+import { useSearchParams } from 'react-router-dom';
 import { toast } from 'react-toastify';
-import { healthRecordsAPI } from '../../services/api';
+import { healthRecordsAPI, careRelationshipsAPI, recordSharesAPI } from '../../services/api';
 import { useAuth } from '../../contexts/AuthContext';
+import { usePermissions } from '../../contexts/PermissionsContext';
 import { useTheme } from '../../contexts/ThemeContext';
+import AccessLogModal from './AccessLogModal';
+import AmendRecordModal from './AmendRecordModal';
+import EmergencyAccessModal from './EmergencyAccessModal';
+import RecordSharingModal from './RecordSharingModal';
+import RecordHistory from './RecordHistory';
+import SignRecordModal from './SignRecordModal';
+import RecordAttachments from './RecordAttachments';
+
+const CONFIDENTIALITY_LABELS = {
+  restricted: 'Restricted',
+  very_restricted: 'Very Restricted'
+};
 
 const HealthRecords = () => {
   const { user } = useAuth();
+  const { can } = usePermissions();
   const { isDarkMode } = useTheme();
+  const [searchParams, setSearchParams] = useSearchParams();
   const [records, setRecords] = useState([]);
   const [loading, setLoading] = useState(true);
   const [showModal, setShowModal] = useState(false);
   const [selectedRecord, setSelectedRecord] = useState(null);
   const [showCreateModal, setShowCreateModal] = useState(false);
+  const [showAccessLog, setShowAccessLog] = useState(false);
+  const [showAmendModal, setShowAmendModal] = useState(false);
+  const [detailView, setDetailView] = useState('details');
+  const [signatureStatus, setSignatureStatus] = useState(null);
+  const [signMode, setSignMode] = useState(null);
   const [pagination, setPagination] = useState({});
+  const [careTeamPatients, setCareTeamPatients] = useState([]);
+  const [showEmergencyAccess, setShowEmergencyAccess] = useState(false);
+  const [showSharing, setShowSharing] = useState(false);
   const [filters, setFilters] = useState({
     recordType: '',
-    patientId: '',
+    patient: '',
     page: 1,
     limit: 10
   });
@@ -52,6 +76,28 @@ const HealthRecords = () => {
     fetchRecords();
   }, [filters]);
 
+  useEffect(() => {
+    if (user.role !== 'patient') {
+      fetchCareTeamPatients();
+    }
+  }, [user.role]);
+
+  // Search results link straight to a record with ?record=<id>, and the chart
+  // summary to a patient's records with ?patient=<id>
+  useEffect(() => {
+    const recordId = searchParams.get('record');
+    const patientId = searchParams.get('patient');
+    if (recordId) {
+      handleViewRecord(recordId);
+    }
+    if (patientId) {
+      setFilters(prev => ({ ...prev, patient: patientId, page: 1 }));
+    }
+    if (recordId || patientId) {
+      setSearchParams({}, { replace: true });
+    }
+  }, [searchParams, setSearchParams]);
+
   const fetchRecords = async () => {
     try {
       setLoading(true);
@@ -73,10 +119,51 @@ const HealthRecords = () => {
     }
   };
 
+  // Patients the user currently cares for or who shared records with them, once each;
+  // emergency access and shares are labelled
+  const fetchCareTeamPatients = async () => {
+    try {
+      const [relationshipsResponse, sharesResponse] = await Promise.all([
+        careRelationshipsAPI.getRelationships({ active: true, limit: 100 }),
+        recordSharesAPI.getShares({ active: true, limit: 100 })
+      ]);
+      const patients = new Map();
+      relationshipsResponse.data.relationships.forEach(({ patient, type }) => {
+        const existing = patients.get(patient._id);
+        if (!existing || existing.type === 'emergency') {
+          patients.set(patient._id, { ...patient, type });
+        }
+      });
+      sharesResponse.data.shares.forEach(({ patient }) => {
+        if (!patients.has(patient._id)) {
+          patients.set(patient._id, { ...patient, type: 'share' });
+        }
+      });
+      setCareTeamPatients([...patients.values()].sort((a, b) =>
+        formatPatientName(a).localeCompare(formatPatientName(b))
+      ));
+    } catch (error) {
+      console.error('Error fetching care team patients:', error);
+    }
+  };
+
+  const formatPatientName = (patient) => {
+    const fullName = [patient.profile?.firstName, patient.profile?.lastName].filter(Boolean).join(' ');
+    return fullName || patient.username;
+  };
+
+  const handleEmergencyAccessGranted = async (patient) => {
+    setShowEmergencyAccess(false);
+    await fetchCareTeamPatients();
+    handleFilterChange('patient', patient._id);
+  };
+
   const handleViewRecord = async (recordId) => {
     try {
       const response = await healthRecordsAPI.getRecord(recordId);
       setSelectedRecord(response.data.record);
+      setSignatureStatus(response.data.signature);
+      setDetailView('details');
       setShowModal(true);
     } catch (error) {
       console.error('Error fetching record details:', error);
@@ -84,6 +171,27 @@ const HealthRecords = () => {
     }
   };
 
+  const handleStartAmend = () => {
+    setShowModal(false);
+    setShowAmendModal(true);
+  };
+
+  const handleAmended = (amendedRecord) => {
+    setShowAmendModal(false);
+    fetchRecords();
+    handleViewRecord(amendedRecord._id);
+  };
+
+  const handleStartSign = (mode) => {
+    setShowModal(false);
+    setSignMode(mode);
+  };
+
+  const handleSigned = () => {
+    setSignMode(null);
+    handleViewRecord(selectedRecord._id);
+  };
+
   const handleFilterChange = (key, value) => {
     setFilters(prev => ({
       ...prev,
@@ -151,12 +259,47 @@ const HealthRecords = () => {
           <Badge bg={recordTypeColors[selectedRecord?.recordType] || 'secondary'} className="me-2">
             {recordTypeLabels[selectedRecord?.recordType] || selectedRecord?.recordType}
           </Badge>
+          {CONFIDENTIALITY_LABELS[selectedRecord?.confidentiality] && (
+            <Badge bg="danger" className="me-2">
+              {CONFIDENTIALITY_LABELS[selectedRecord.confidentiality]}
+            </Badge>
+          )}
           {selectedRecord?.title}
         </Modal.Title>
       </Modal.Header>
       <Modal.Body className="medical-card">
-        {selectedRecord && (
+        <Nav variant="tabs" activeKey={detailView} onSelect={setDetailView} className="mb-3">
+          <Nav.Item>
+            <Nav.Link eventKey="details">Details</Nav.Link>
+          </Nav.Item>
+          <Nav.Item>
+            <Nav.Link eventKey="history">History</Nav.Link>
+          </Nav.Item>
+        </Nav>
+
+        {selectedRecord && detailView === 'history' && (
+          <RecordHistory recordId={selectedRecord._id} onSelectVersion={handleViewRecord} />
+        )}
+
+        {selectedRecord && detailView === 'details' && (
           <>
+            {selectedRecord.status === 'amended' && (
+              <Alert variant="warning">
+                This version has been superseded by an amendment. See the History tab for the current version.
+              </Alert>
+            )}
+
+            {selectedRecord.isAmendment && (
+              <Alert variant="info">
+                <strong>Amendment (version {selectedRecord.version}):</strong> {selectedRecord.amendmentReason}
+                {selectedRecord.amendedBy && (
+                  <div className="small">
+                    Amended by {selectedRecord.amendedBy.profile?.firstName} {selectedRecord.amendedBy.profile?.lastName}
+                  </div>
+                )}
+              </Alert>
+            )}
+
             <Row className="mb-3">
               <Col md={6}>
                 <strong>Patient:</strong> {selectedRecord.patient?.profile?.firstName} {selectedRecord.patient?.profile?.lastName}
@@ -190,16 +333,14 @@ const HealthRecords = () => {
               </div>
             )}
 
-            {selectedRecord.attachments && selectedRecord.attachments.length > 0 && (
-              <div className="mb-3">
-                <strong>Attachments:</strong>
-                <ul className="mt-2">
-                  {selectedRecord.attachments.map((attachment, index) => (
-                    <li key={index}>{attachment.filename} ({attachment.fileType})</li>
-                  ))}
-                </ul>
-              </div>
-            )}
+            <RecordAttachments
+              record={selectedRecord}
+              canUpload={
+                (user.role === 'admin' || user._id === selectedRecord.provider?._id) &&
+                selectedRecord.status !== 'amended' && !signatureStatus?.provider.signed
+              }
+              onUploaded={() => handleViewRecord(selectedRecord._id)}
+            />
 
             {selectedRecord.tags && selectedRecord.tags.length > 0 && (
               <div className="mb-3">
@@ -212,6 +353,25 @@ const HealthRecords = () => {
               </div>
             )}
 
+            {signatureStatus?.provider.signed && (
+              <Alert variant={signatureStatus.provider.valid ? 'success' : 'danger'}>
+                {signatureStatus.provider.valid ? (
+                  <>
+                    <strong>Electronically signed</strong> by {selectedRecord.signedBy?.profile?.firstName} {selectedRecord.signedBy?.profile?.lastName} on {formatDate(signatureStatus.provider.signedDate)}. Signature verified.
+                  </>
+                ) : (
+                  <>
+                    <strong>Signature verification failed.</strong> This record has changed since it was signed.
+                  </>
+                )}
+                <div className="small mt-1">
+                  {signatureStatus.patient.signed
+                    ? `Acknowledged by patient on ${formatDate(signatureStatus.patient.acknowledgedDate)}${signatureStatus.patient.valid ? '' : ' (acknowledgment could not be verified)'}`
+                    : 'Not yet acknowledged by patient'}
+                </div>
+              </Alert>
+            )}
+
             <div className="text-muted small">
               Created: {formatDate(selectedRecord.createdAt)}
               {selectedRecord.updatedAt !== selectedRecord.createdAt && (
@@ -225,9 +385,21 @@ const HealthRecords = () => {
         <Button variant="secondary" onClick={() => setShowModal(false)}>
           Close
         </Button>
-        {(user.role === 'admin' || user._id === selectedRecord?.provider?._id) && (
-          <Button variant="primary">
-            Edit Record
+        {user._id === selectedRecord?.provider?._id &&
+          selectedRecord?.status !== 'amended' && !signatureStatus?.provider.signed && (
+          <Button variant="success" onClick={() => handleStartSign('sign')}>
+            Sign Record
+          </Button>
+        )}
+        {user.role === 'patient' && signatureStatus?.provider.signed && !signatureStatus?.patient.signed && (
+          <Button variant="success" onClick={() => handleStartSign('acknowledge')}>
+            Acknowledge
+          </Button>
+        )}
+        {(user.role === 'admin' || user._id === selectedRecord?.provider?._id) &&
+          selectedRecord?.status !== 'amended' && !signatureStatus?.provider.signed && (
+          <Button variant="primary" onClick={handleStartAmend}>
+            Amend Record
           </Button>
         )}
       </Modal.Footer>
@@ -241,13 +413,43 @@ const HealthRecords = () => {
           <div className="d-flex justify-content-between align-items-center mb-4">
             <h2 className="mb-0">Health Records</h2>
             {user.role !== 'patient' && (
-              <Button 
-                variant="primary" 
-                className="btn-medical btn-medical-primary"
-                onClick={() => setShowCreateModal(true)}
-              >
-                Add New Record
-              </Button>
+              <div>
+                {can('healthRecord:emergency_access') && (
+                  <Button
+                    variant="outline-danger"
+                    className="me-2"
+                    onClick={() => setShowEmergencyAccess(true)}
+                  >
+                    Emergency Access
+                  </Button>
+                )}
+                <Button 
+                  variant="primary" 
+                  className="btn-medical btn-medical-primary"
+                  onClick={() => setShowCreateModal(true)}
+                >
+                  Add New Record
+                </Button>
+              </div>
+            )}
+            {user.role === 'patient' && (
+              <div>
+                {can('healthRecord:share') && (
+                  <Button
+                    variant="outline-primary"
+                    className="me-2"
+                    onClick={() => setShowSharing(true)}
+                  >
+                    Sharing
+                  </Button>
+                )}
+                <Button 
+                  variant="outline-primary" 
+                  onClick={() => setShowAccessLog(true)}
+                >
+                  Who Accessed My Records
+                </Button>
+              </div>
             )}
           </div>
 
@@ -273,14 +475,21 @@ const HealthRecords = () => {
                 {user.role !== 'patient' && (
                   <Col md={4}>
                     <Form.Group>
-                      <Form.Label className="form-label-medical">Patient ID</Form.Label>
-                      <Form.Control
+                      <Form.Label className="form-label-medical">Patient</Form.Label>
+                      <Form.Select
                         className="form-control-medical"
-                        type="text"
-                        placeholder="Enter patient ID"
-                        value={filters.patientId}
-                        onChange={(e) => handleFilterChange('patientId', e.target.value)}
-                      />
+                        value={filters.patient}
+                        onChange={(e) => handleFilterChange('patient', e.target.value)}
+                      >
+                        <option value="">All records I can see</option>
+                        {careTeamPatients.map(patient => (
+                          <option key={patient._id} value={patient._id}>
+                            {formatPatientName(patient)}
+                            {patient.type === 'emergency' ? ' (emergency access)' : ''}
+                            {patient.type === 'share' ? ' (shared records)' : ''}
+                          </option>
+                        ))}
+                      </Form.Select>
                     </Form.Group>
                   </Col>
                 )}
@@ -375,6 +584,26 @@ const HealthRecords = () => {
       </Row>
 
       <RecordDetailsModal />
+      <AmendRecordModal
+        show={showAmendModal}
+        record={selectedRecord}
+        onHide={() => setShowAmendModal(false)}
+        onAmended={handleAmended}
+      />
+      <SignRecordModal
+        show={Boolean(signMode)}
+        mode={signMode}
+        record={selectedRecord}
+        onHide={() => setSignMode(null)}
+        onSigned={handleSigned}
+      />
+      <AccessLogModal show={showAccessLog} onHide={() => setShowAccessLog(false)} />
+      <RecordSharingModal show={showSharing} onHide={() => setShowSharing(false)} />
+      <EmergencyAccessModal
+        show={showEmergencyAccess}
+        onHide={() => setShowEmergencyAccess(false)}
+        onGranted={handleEmergencyAccessGranted}
+      />
     </Container>
   );
 };
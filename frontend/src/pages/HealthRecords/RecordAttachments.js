@@ -0,0 +1,53 @@
+import React, { useState } from 'react';
+import { Button, Spinner } from 'react-bootstrap';
+import { toast } from 'react-toastify';
+import { healthRecordsAPI } from '../../services/api';
+import AttachmentList from '../../components/Attachments/AttachmentList';
+import AttachmentPicker from '../../components/Attachments/AttachmentPicker';
+
+const RecordAttachments = ({ record, canUpload, onUploaded }) => {
+  const [files, setFiles] = useState([]);
+  const [uploading, setUploading] = useState(false);
+
+  const handleUpload = async () => {
+    try {
+      setUploading(true);
+      await healthRecordsAPI.uploadAttachments(record._id, files);
+      toast.success('Attachments uploaded');
+      setFiles([]);
+      onUploaded();
+    } catch (error) {
+      const message = error.response?.data?.message || 'Failed to upload attachments';
+      toast.error(message);
+    } finally {
+      setUploading(false);
+    }
+  };
+
+  if (!canUpload && record.attachments.length === 0) return null;
+
+  return (
+    <div className="mb-3">
+      <strong>Attachments:</strong>
+      <div className="mt-2">
+        <AttachmentList
+          attachments={record.attachments}
+          onDownload={(attachmentId) => healthRecordsAPI.downloadAttachment(record._id, attachmentId)}
+        />
+      </div>
+
+      {canUpload && (
+        <div className="mt-3">
+          <AttachmentPicker files={files} onChange={setFiles} disabled={uploading} />
+          {files.length > 0 && (
+            <Button variant="primary" size="sm" className="mt-2" onClick={handleUpload} disabled={uploading}>
+              {uploading ? <Spinner animation="border" size="sm" /> : `Upload ${files.length} file(s)`}
+            </Button>
+          )}
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default RecordAttachments;
@@ -0,0 +1,108 @@
+import React, { useState, useEffect } from 'react';
+import { Table, Badge, Alert, Spinner } from 'react-bootstrap';
+import { toast } from 'react-toastify';
+import { healthRecordsAPI } from '../../services/api';
+
+const formatName = (person) => {
+  if (!person) return 'Unknown';
+  const fullName = [person.profile?.firstName, person.profile?.lastName].filter(Boolean).join(' ');
+  return fullName || person.username;
+};
+
+const formatValue = (value) => {
+  if (value === null || value === undefined) return <span className="text-muted">(empty)</span>;
+  return String(value);
+};
+
+// Version list for a health record, showing what each amendment changed
+const RecordHistory = ({ recordId, onSelectVersion }) => {
+  const [versions, setVersions] = useState([]);
+  const [currentVersion, setCurrentVersion] = useState(null);
+  const [loading, setLoading] = useState(true);
+
+  useEffect(() => {
+    fetchHistory();
+  }, [recordId]);
+
+  const fetchHistory = async () => {
+    try {
+      setLoading(true);
+      const response = await healthRecordsAPI.getRecordHistory(recordId);
+      setVersions(response.data.versions);
+      setCurrentVersion(response.data.currentVersion);
+    } catch (error) {
+      toast.error('Failed to load record history');
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  if (loading) {
+    return (
+      <div className="text-center py-4">
+        <Spinner animation="border" />
+      </div>
+    );
+  }
+
+  if (versions.length <= 1) {
+    return <Alert variant="info" className="mb-0">This record has not been amended.</Alert>;
+  }
+
+  return (
+    <div>
+      {[...versions].reverse().map(({ record, changes }) => (
+        <div key={record._id} className="border rounded p-3 mb-3">
+          <div className="d-flex justify-content-between align-items-start mb-2">
+            <div>
+              <strong>Version {record.version || 1}</strong>
+              {record._id === currentVersion && <Badge bg="success" className="ms-2">Current</Badge>}
+              {record._id === recordId && record._id !== currentVersion && (
+                <Badge bg="secondary" className="ms-2">Viewing</Badge>
+              )}
+              <div className="text-muted small">
+                {new Date(record.recordDate).toLocaleString()} by{' '}
+                {formatName(record.amendedBy || record.provider)}
+              </div>
+            </div>
+            {record._id !== recordId && onSelectVersion && (
+              <button type="button" className="btn btn-link btn-sm p-0" onClick={() => onSelectVersion(record._id)}>
+                Open
+              </button>
+            )}
+          </div>
+
+          {record.isAmendment ? (
+            <>
+              <p className="mb-2"><strong>Reason:</strong> {record.amendmentReason}</p>
+              {changes.length > 0 && (
+                <Table size="sm" bordered className="mb-0">
+                  <thead>
+                    <tr>
+                      <th>Field</th>
+                      <th>Before</th>
+                      <th>After</th>
+                    </tr>
+                  </thead>
+                  <tbody>
+                    {changes.map(change => (
+                      <tr key={change.field}>
+                        <td><code>{change.field}</code></td>
+                        <td className="text-danger"><del>{formatValue(change.from)}</del></td>
+                        <td className="text-success">{formatValue(change.to)}</td>
+                      </tr>
+                    ))}
+                  </tbody>
+                </Table>
+              )}
+            </>
+          ) : (
+            <p className="mb-0 text-muted">Original record</p>
+          )}
+        </div>
+      ))}
+    </div>
+  );
+};
+
+export default RecordHistory;
@@ -0,0 +1,364 @@
+import React, { useState, useEffect } from 'react';
+import { Modal, Form, Button, Alert, Table, Badge, ListGroup, Row, Col, Spinner } from 'react-bootstrap';
+import { toast } from 'react-toastify';
+import { format, addDays } from 'date-fns';
+import { healthRecordsAPI, recordSharesAPI, usersAPI } from '../../services/api';
+
+const RECORD_TYPES = {
+  diagnosis: 'Diagnosis',
+  treatment: 'Treatment',
+  lab_result: 'Lab Result',
+  vital_signs: 'Vital Signs',
+  prescription: 'Prescription',
+  procedure: 'Procedure',
+  imaging: 'Imaging',
+  consultation: 'Consultation'
+};
+
+const MAX_SHARE_DAYS = 365;
+const DATE_INPUT_FORMAT = 'yyyy-MM-dd';
+
+const emptyForm = () => ({
+  recipientType: 'provider',
+  provider: null,
+  email: '',
+  records: [],
+  recordTypes: [],
+  expiresAt: format(addDays(new Date(), 30), DATE_INPUT_FORMAT),
+  note: ''
+});
+
+const formatName = (user) => {
+  const fullName = [user.profile?.firstName, user.profile?.lastName].filter(Boolean).join(' ');
+  return fullName || user.username;
+};
+
+const toggle = (list, value) => (list.includes(value) ? list.filter(item => item !== value) : [...list, value]);
+
+const shareStatus = (share) => {
+  if (share.revokedAt) return { label: 'Revoked', variant: 'secondary' };
+  if (!share.active) return { label: 'Expired', variant: 'secondary' };
+  return { label: 'Active', variant: 'success' };
+};
+
+const describeScope = (share) => [
+  ...share.records.map(record => record.title),
+  ...share.recordTypes.map(type => `All ${RECORD_TYPES[type] || type}`)
+].join(', ');
+
+// A patient's shares of their records with providers and by link, with a form for new ones
+const RecordSharingModal = ({ show, onHide }) => {
+  const [shares, setShares] = useState([]);
+  const [myRecords, setMyRecords] = useState([]);
+  const [loading, setLoading] = useState(false);
+  const [form, setForm] = useState(emptyForm());
+  const [providerSearch, setProviderSearch] = useState('');
+  const [providerMatches, setProviderMatches] = useState([]);
+  const [submitting, setSubmitting] = useState(false);
+  const [createdLink, setCreatedLink] = useState(null);
+
+  useEffect(() => {
+    if (show) {
+      setForm(emptyForm());
+      setProviderSearch('');
+      setCreatedLink(null);
+      fetchSharing();
+    }
+  }, [show]);
+
+  useEffect(() => {
+    if (form.provider || providerSearch.trim().length < 2) {
+      setProviderMatches([]);
+      return undefined;
+    }
+
+    const timer = setTimeout(async () => {
+      try {
+        const response = await usersAPI.searchUsers(providerSearch.trim());
+        setProviderMatches(response.data.users.filter(user => ['doctor', 'nurse'].includes(user.role)));
+      } catch (error) {
+        console.error('Error searching providers:', error);
+      }
+    }, 300);
+
+    return () => clearTimeout(timer);
+  }, [providerSearch, form.provider]);
+
+  const fetchSharing = async () => {
+    try {
+      setLoading(true);
+      const [sharesResponse, recordsResponse] = await Promise.all([
+        recordSharesAPI.getShares({ limit: 50 }),
+        healthRecordsAPI.getMyRecords({ limit: 100 })
+      ]);
+      setShares(sharesResponse.data.shares);
+      setMyRecords(recordsResponse.data.records);
+    } catch (error) {
+      toast.error('Failed to load record sharing');
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const updateForm = (changes) => setForm(prev => ({ ...prev, ...changes }));
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+
+    try {
+      setSubmitting(true);
+      const response = await recordSharesAPI.createShare({
+        provider: form.recipientType === 'provider' ? form.provider?._id : undefined,
+        email: form.recipientType === 'email' ? form.email : undefined,
+        records: form.records,
+        recordTypes: form.recordTypes,
+        expiresAt: new Date(`${form.expiresAt}T23:59:59`).toISOString(),
+        note: form.note || undefined
+      });
+      toast.success(response.data.message);
+      if (response.data.linkToken) {
+        setCreatedLink(`${window.location.origin}/shared/${response.data.linkToken}`);
+      }
+      setForm(emptyForm());
+      setProviderSearch('');
+      setShares(prev => [response.data.share, ...prev]);
+    } catch (error) {
+      const message = error.response?.data?.errors?.[0]?.message ||
+        error.response?.data?.message ||
+        'Failed to share records';
+      toast.error(message);
+    } finally {
+      setSubmitting(false);
+    }
+  };
+
+  const handleRevoke = async (share) => {
+    if (!window.confirm('Revoke this share? The recipient will lose access immediately.')) {
+      return;
+    }
+
+    try {
+      const response = await recordSharesAPI.revokeShare(share._id);
+      toast.success(response.data.message);
+      setShares(prev => prev.map(item => (
+        item._id === share._id ? { ...item, revokedAt: response.data.share.revokedAt, active: false } : item
+      )));
+    } catch (error) {
+      toast.error(error.response?.data?.message || 'Failed to revoke share');
+    }
+  };
+
+  const hasRecipient = form.recipientType === 'provider' ? Boolean(form.provider) : Boolean(form.email.trim());
+  const hasScope = form.records.length > 0 || form.recordTypes.length > 0;
+
+  return (
+    <Modal show={show} onHide={onHide} size="lg">
+      <Modal.Header closeButton className="medical-card">
+        <Modal.Title>Record Sharing</Modal.Title>
+      </Modal.Header>
+      <Modal.Body className="medical-card">
+        {loading ? (
+          <div className="text-center py-4">
+            <Spinner animation="border" />
+          </div>
+        ) : (
+          <>
+            <h6>Your shares</h6>
+            {shares.length === 0 ? (
+              <p className="text-muted">You have not shared any records.</p>
+            ) : (
+              <Table responsive size="sm" className="mb-4">
+                <thead>
+                  <tr>
+                    <th>With</th>
+                    <th>Records</th>
+                    <th>Until</th>
+                    <th>Status</th>
+                    <th />
+                  </tr>
+                </thead>
+                <tbody>
+                  {shares.map(share => {
+                    const status = shareStatus(share);
+                    return (
+                      <tr key={share._id}>
+                        <td>
+                          {share.provider ? formatName(share.provider) : share.email}
+                          {!share.provider && (
+                            <div className="text-muted small">Link, opened {share.accessCount} times</div>
+                          )}
+                        </td>
+                        <td className="small">{describeScope(share)}</td>
+                        <td className="text-nowrap">{format(new Date(share.expiresAt), 'MMM dd, yyyy')}</td>
+                        <td><Badge bg={status.variant}>{status.label}</Badge></td>
+                        <td>
+                          {share.active && (
+                            <Button variant="outline-danger" size="sm" onClick={() => handleRevoke(share)}>
+                              Revoke
+                            </Button>
+                          )}
+                        </td>
+                      </tr>
+                    );
+                  })}
+                </tbody>
+              </Table>
+            )}
+
+            {createdLink && (
+              <Alert variant="info">
+                <div className="mb-1">
+                  The link has been emailed. Anyone with it can view the shared records until it expires:
+                </div>
+                <Form.Control readOnly value={createdLink} onFocus={(e) => e.target.select()} />
+              </Alert>
+            )}
+
+            <h6>Share records</h6>
+            <Form onSubmit={handleSubmit}>
+              <Form.Group className="mb-3">
+                <Form.Check
+                  inline
+                  type="radio"
+                  id="share-with-provider"
+                  label="With a doctor or nurse"
+                  checked={form.recipientType === 'provider'}
+                  onChange={() => updateForm({ recipientType: 'provider' })}
+                />
+                <Form.Check
+                  inline
+                  type="radio"
+                  id="share-by-link"
+                  label="By email link"
+                  checked={form.recipientType === 'email'}
+                  onChange={() => updateForm({ recipientType: 'email' })}
+                />
+              </Form.Group>
+
+              {form.recipientType === 'provider' ? (
+                <Form.Group className="mb-3">
+                  <Form.Label className="form-label-medical">Provider</Form.Label>
+                  {form.provider ? (
+                    <div className="d-flex justify-content-between align-items-center">
+                      <strong>{formatName(form.provider)}</strong>
+                      <Button variant="link" size="sm" onClick={() => updateForm({ provider: null })}>
+                        Change
+                      </Button>
+                    </div>
+                  ) : (
+                    <>
+                      <Form.Control
+                        className="form-control-medical"
+                        placeholder="Search doctors and nurses by name"
+                        value={providerSearch}
+                        onChange={(e) => setProviderSearch(e.target.value)}
+                      />
+                      {providerMatches.length > 0 && (
+                        <ListGroup className="mt-1">
+                          {providerMatches.map(match => (
+                            <ListGroup.Item key={match._id} action onClick={() => updateForm({ provider: match })}>
+                              {formatName(match)} <span className="text-muted text-capitalize">{match.role}</span>
+                            </ListGroup.Item>
+                          ))}
+                        </ListGroup>
+                      )}
+                    </>
+                  )}
+                </Form.Group>
+              ) : (
+                <Form.Group className="mb-3">
+                  <Form.Label className="form-label-medical">Email address</Form.Label>
+                  <Form.Control
+                    className="form-control-medical"
+                    type="email"
+                    value={form.email}
+                    onChange={(e) => updateForm({ email: e.target.value })}
+                  />
+                  <Form.Text className="text-muted">They get a view-only link; no account needed</Form.Text>
+                </Form.Group>
+              )}
+
+              <Row>
+                <Col md={6}>
+                  <Form.Group className="mb-3">
+                    <Form.Label className="form-label-medical">Records</Form.Label>
+                    <div className="border rounded p-2" style={{ maxHeight: 180, overflowY: 'auto' }}>
+                      {myRecords.length === 0 && <div className="text-muted small">No records</div>}
+                      {myRecords.map(record => (
+                        <Form.Check
+                          key={record._id}
+                          id={`share-record-${record._id}`}
+                          label={`${record.title} (${format(new Date(record.recordDate), 'MMM dd, yyyy')})`}
+                          checked={form.records.includes(record._id)}
+                          onChange={() => updateForm({ records: toggle(form.records, record._id) })}
+                        />
+                      ))}
+                    </div>
+                  </Form.Group>
+                </Col>
+                <Col md={6}>
+                  <Form.Group className="mb-3">
+                    <Form.Label className="form-label-medical">Or every record of a type</Form.Label>
+                    <div className="border rounded p-2">
+                      {Object.entries(RECORD_TYPES).map(([type, label]) => (
+                        <Form.Check
+                          key={type}
+                          id={`share-type-${type}`}
+                          label={label}
+                          checked={form.recordTypes.includes(type)}
+                          onChange={() => updateForm({ recordTypes: toggle(form.recordTypes, type) })}
+                        />
+                      ))}
+                    </div>
+                    <Form.Text className="text-muted">
+                      Very restricted records are only shared when picked one by one
+                    </Form.Text>
+                  </Form.Group>
+                </Col>
+              </Row>
+
+              <Row>
+                <Col md={4}>
+                  <Form.Group className="mb-3">
+                    <Form.Label className="form-label-medical">Share until</Form.Label>
+                    <Form.Control
+                      className="form-control-medical"
+                      type="date"
+                      value={form.expiresAt}
+                      min={format(new Date(), DATE_INPUT_FORMAT)}
+                      max={format(addDays(new Date(), MAX_SHARE_DAYS), DATE_INPUT_FORMAT)}
+                      onChange={(e) => updateForm({ expiresAt: e.target.value })}
+                      required
+                    />
+                  </Form.Group>
+                </Col>
+                <Col md={8}>
+                  <Form.Group className="mb-3">
+                    <Form.Label className="form-label-medical">Note (optional)</Form.Label>
+                    <Form.Control
+                      className="form-control-medical"
+                      maxLength={500}
+                      value={form.note}
+                      onChange={(e) => updateForm({ note: e.target.value })}
+                    />
+                  </Form.Group>
+                </Col>
+              </Row>
+
+              <Button type="submit" variant="primary" disabled={submitting || !hasRecipient || !hasScope}>
+                {submitting ? <Spinner animation="border" size="sm" /> : 'Share'}
+              </Button>
+            </Form>
+          </>
+        )}
+      </Modal.Body>
+      <Modal.Footer className="medical-card">
+        <Button variant="secondary" onClick={onHide}>
+          Close
+        </Button>
+      </Modal.Footer>
+    </Modal>
+  );
+};
+
+export default RecordSharingModal;
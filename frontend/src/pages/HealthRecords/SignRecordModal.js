@@ -0,0 +1,86 @@
+import React, { useState, useEffect } from 'react';
+import { Modal, Form, Button, Alert, Spinner } from 'react-bootstrap';
+import { toast } from 'react-toastify';
+import { healthRecordsAPI } from '../../services/api';
+
+const COPY = {
+  sign: {
+    title: 'Sign Record',
+    notice: 'Signing attests that this record is complete and accurate. Signed records are locked and can no longer be amended.',
+    action: 'Sign Record',
+    success: 'Health record signed'
+  },
+  acknowledge: {
+    title: 'Acknowledge Record',
+    notice: 'Acknowledging confirms that you have received and reviewed this record.',
+    action: 'Acknowledge',
+    success: 'Health record acknowledged'
+  }
+};
+
+// Password re-authentication before a provider signs or a patient acknowledges a record
+const SignRecordModal = ({ show, mode, record, onHide, onSigned }) => {
+  const [password, setPassword] = useState('');
+  const [submitting, setSubmitting] = useState(false);
+  const copy = COPY[mode] || COPY.sign;
+
+  useEffect(() => {
+    if (show) {
+      setPassword('');
+    }
+  }, [show]);
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+
+    try {
+      setSubmitting(true);
+      const response = mode === 'acknowledge'
+        ? await healthRecordsAPI.acknowledgeRecord(record._id, password)
+        : await healthRecordsAPI.signRecord(record._id, password);
+      toast.success(copy.success);
+      onSigned(response.data);
+    } catch (error) {
+      const message = error.response?.data?.message || `Failed to ${mode} health record`;
+      toast.error(message);
+    } finally {
+      setSubmitting(false);
+    }
+  };
+
+  return (
+    <Modal show={show} onHide={onHide}>
+      <Form onSubmit={handleSubmit}>
+        <Modal.Header closeButton className="medical-card">
+          <Modal.Title>{copy.title}</Modal.Title>
+        </Modal.Header>
+        <Modal.Body className="medical-card">
+          <Alert variant="info">{copy.notice}</Alert>
+          <p className="mb-2"><strong>{record?.title}</strong></p>
+          <Form.Group>
+            <Form.Label className="form-label-medical">Confirm your password</Form.Label>
+            <Form.Control
+              className="form-control-medical"
+              type="password"
+              value={password}
+              onChange={(e) => setPassword(e.target.value)}
+              autoComplete="current-password"
+              autoFocus
+              required
+            />
+          </Form.Group>
+        </Modal.Body>
+        <Modal.Footer className="medical-card">
+          <Button variant="secondary" onClick={onHide} disabled={submitting}>
+            Cancel
+          </Button>
+          <Button type="submit" variant="primary" disabled={submitting || !password}>
+            {submitting ? <Spinner animation="border" size="sm" /> : copy.action}
+          </Button>
+        </Modal.Footer>
+      </Form>
+    </Modal>
+  );
+};
+
+export default SignRecordModal;
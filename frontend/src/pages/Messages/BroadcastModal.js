@@ -0,0 +1,277 @@
+import React, { useState, useEffect } from 'react';
+import { Modal, Form, Button, Spinner, Row, Col, Badge, CloseButton, Alert } from 'react-bootstrap';
+import { toast } from 'react-toastify';
+import { messagesAPI } from '../../services/api';
+import { usePermissions } from '../../contexts/PermissionsContext';
+import RecipientSearch, { formatRecipient } from './RecipientSearch';
+
+const PREVIEW_DELAY_MS = 400;
+
+const ROLE_LABELS = {
+  patient: 'Patients',
+  doctor: 'Doctors',
+  nurse: 'Nurses',
+  admin: 'Administrators'
+};
+
+const EMPTY_BROADCAST = {
+  subject: '',
+  content: '',
+  type: 'general',
+  priority: 'normal',
+  isSystemMessage: false
+};
+
+const EMPTY_AUDIENCE = {
+  roles: [],
+  departments: [],
+  users: []
+};
+
+const toggleValue = (values, value) => (
+  values.includes(value) ? values.filter(item => item !== value) : [...values, value]
+);
+
+const toAudienceData = ({ roles, departments, users }) => ({
+  roles,
+  departments,
+  users: users.map(audienceUser => audienceUser._id)
+});
+
+// Send one message to everyone matching roles, departments and hand-picked users
+const BroadcastModal = ({ show, onHide, onSent }) => {
+  const { can } = usePermissions();
+  const [formData, setFormData] = useState(EMPTY_BROADCAST);
+  const [audience, setAudience] = useState(EMPTY_AUDIENCE);
+  const [options, setOptions] = useState({ roles: [], departments: [] });
+  const [recipientCount, setRecipientCount] = useState(null);
+  const [previewing, setPreviewing] = useState(false);
+  const [sending, setSending] = useState(false);
+
+  useEffect(() => {
+    if (!show) return;
+
+    setFormData(EMPTY_BROADCAST);
+    setAudience(EMPTY_AUDIENCE);
+    setRecipientCount(null);
+    fetchOptions();
+  }, [show]);
+
+  useEffect(() => {
+    const hasAudience = audience.roles.length > 0 || audience.departments.length > 0 || audience.users.length > 0;
+    if (!show || !hasAudience) {
+      setRecipientCount(null);
+      return undefined;
+    }
+
+    let cancelled = false;
+    const timer = setTimeout(async () => {
+      try {
+        setPreviewing(true);
+        const response = await messagesAPI.previewBroadcast(toAudienceData(audience));
+        if (!cancelled) setRecipientCount(response.data.recipientCount);
+      } catch (error) {
+        if (!cancelled) setRecipientCount(null);
+      } finally {
+        if (!cancelled) setPreviewing(false);
+      }
+    }, PREVIEW_DELAY_MS);
+
+    return () => {
+      cancelled = true;
+      clearTimeout(timer);
+    };
+  }, [show, audience]);
+
+  const fetchOptions = async () => {
+    try {
+      const response = await messagesAPI.getBroadcastAudienceOptions();
+      setOptions(response.data);
+    } catch (error) {
+      toast.error('Failed to load audience options');
+    }
+  };
+
+  const handleChange = (e) => {
+    const { name, value, type, checked } = e.target;
+    setFormData(prev => ({ ...prev, [name]: type === 'checkbox' ? checked : value }));
+  };
+
+  const addUser = (audienceUser) => {
+    if (!audienceUser) return;
+    setAudience(prev => (
+      prev.users.some(item => item._id === audienceUser._id)
+        ? prev
+        : { ...prev, users: [...prev.users, audienceUser] }
+    ));
+  };
+
+  const removeUser = (userId) => {
+    setAudience(prev => ({ ...prev, users: prev.users.filter(item => item._id !== userId) }));
+  };
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+
+    if (!recipientCount) {
+      toast.error('Choose an audience with at least one recipient');
+      return;
+    }
+
+    try {
+      setSending(true);
+      const response = await messagesAPI.sendBroadcast({
+        ...formData,
+        audience: toAudienceData(audience)
+      });
+      toast.success(response.data.message);
+      onSent(response.data.broadcast);
+    } catch (error) {
+      const message = error.response?.data?.errors?.[0]?.message ||
+        error.response?.data?.message ||
+        'Failed to send broadcast';
+      toast.error(message);
+    } finally {
+      setSending(false);
+    }
+  };
+
+  return (
+    <Modal show={show} onHide={onHide} size="lg">
+      <Form onSubmit={handleSubmit}>
+        <Modal.Header closeButton>
+          <Modal.Title>New Broadcast</Modal.Title>
+        </Modal.Header>
+        <Modal.Body>
+          <Row className="mb-3">
+            <Col md={6}>
+              <Form.Label>Roles</Form.Label>
+              {options.roles.map(role => (
+                <Form.Check
+                  key={role}
+                  id={`broadcast-role-${role}`}
+                  label={ROLE_LABELS[role] || role}
+                  checked={audience.roles.includes(role)}
+                  onChange={() => setAudience(prev => ({ ...prev, roles: toggleValue(prev.roles, role) }))}
+                  disabled={sending}
+                />
+              ))}
+            </Col>
+            <Col md={6}>
+              <Form.Label>Departments</Form.Label>
+              {options.departments.length === 0 ? (
+                <div className="text-muted small">No departments</div>
+              ) : options.departments.map(department => (
+                <Form.Check
+                  key={department}
+                  id={`broadcast-department-${department}`}
+                  label={department}
+                  checked={audience.departments.includes(department)}
+                  onChange={() => setAudience(prev => ({ ...prev, departments: toggleValue(prev.departments, department) }))}
+                  disabled={sending}
+                />
+              ))}
+              <Form.Text className="text-muted">
+                Patients belong to the departments of the staff who treat them
+              </Form.Text>
+            </Col>
+          </Row>
+
+          <Form.Group className="mb-3">
+            <Form.Label>Also send to</Form.Label>
+            <RecipientSearch value={null} onChange={addUser} disabled={sending} />
+            <div className="mt-2">
+              {audience.users.map(audienceUser => (
+                <Badge key={audienceUser._id} bg="light" text="dark" className="me-1 mb-1 border">
+                  {formatRecipient(audienceUser)}
+                  <CloseButton className="ms-1" style={{ fontSize: '0.5rem' }} onClick={() => removeUser(audienceUser._id)} />
+                </Badge>
+              ))}
+            </div>
+          </Form.Group>
+
+          {recipientCount !== null && (
+            <Alert variant={recipientCount > 0 ? 'info' : 'warning'} className="py-2">
+              {previewing ? 'Counting recipients...' : `This broadcast will reach ${recipientCount} recipient(s).`}
+            </Alert>
+          )}
+
+          <Form.Group className="mb-3">
+            <Form.Label>Subject</Form.Label>
+            <Form.Control
+              name="subject"
+              value={formData.subject}
+              onChange={handleChange}
+              maxLength={200}
+              required
+            />
+          </Form.Group>
+
+          <Form.Group className="mb-3">
+            <Form.Label>Message</Form.Label>
+            <Form.Control
+              as="textarea"
+              rows={5}
+              name="content"
+              value={formData.content}
+              onChange={handleChange}
+              maxLength={2000}
+              required
+            />
+          </Form.Group>
+
+          <Row className="mb-3">
+            <Col md={6}>
+              <Form.Group>
+                <Form.Label>Type</Form.Label>
+                <Form.Select
+                  name="type"
+                  value={formData.type}
+                  onChange={handleChange}
+                  disabled={formData.isSystemMessage}
+                >
+                  <option value="general">General</option>
+                  <option value="appointment">Appointment</option>
+                  <option value="prescription">Prescription</option>
+                  <option value="emergency">Emergency</option>
+                </Form.Select>
+              </Form.Group>
+            </Col>
+            <Col md={6}>
+              <Form.Group>
+                <Form.Label>Priority</Form.Label>
+                <Form.Select name="priority" value={formData.priority} onChange={handleChange}>
+                  <option value="low">Low</option>
+                  <option value="normal">Normal</option>
+                  <option value="high">High</option>
+                  <option value="urgent">Urgent</option>
+                </Form.Select>
+              </Form.Group>
+            </Col>
+          </Row>
+
+          {can('message:broadcast:system') && (
+            <Form.Check
+              type="switch"
+              id="broadcast-system-message"
+              name="isSystemMessage"
+              label="Send as a system message (recipients cannot reply)"
+              checked={formData.isSystemMessage}
+              onChange={handleChange}
+            />
+          )}
+        </Modal.Body>
+        <Modal.Footer>
+          <Button variant="secondary" onClick={onHide} disabled={sending}>
+            Cancel
+          </Button>
+          <Button type="submit" variant="primary" disabled={sending || previewing || !recipientCount}>
+            {sending ? <Spinner animation="border" size="sm" /> : 'Send Broadcast'}
+          </Button>
+        </Modal.Footer>
+      </Form>
+    </Modal>
+  );
+};
+
+export default BroadcastModal;
@@ -0,0 +1,136 @@
+import React, { useState, useEffect } from 'react';
+import { Card, Table, Badge, Spinner, ProgressBar, Form, Button, Row, Col } from 'react-bootstrap';
+import { toast } from 'react-toastify';
+import { format } from 'date-fns';
+import { messagesAPI } from '../../services/api';
+import { formatRecipient } from './RecipientSearch';
+
+const STATUS_COLORS = {
+  unread: 'secondary',
+  read: 'primary',
+  replied: 'success',
+  archived: 'dark'
+};
+
+// Delivery report for a broadcast: overall read rate and every recipient's status
+const BroadcastReport = ({ broadcastId }) => {
+  const [report, setReport] = useState(null);
+  const [status, setStatus] = useState('');
+  const [page, setPage] = useState(1);
+  const [loading, setLoading] = useState(true);
+
+  useEffect(() => {
+    fetchReport();
+  }, [broadcastId, status, page]);
+
+  const fetchReport = async () => {
+    try {
+      setLoading(true);
+      const response = await messagesAPI.getBroadcastReport(broadcastId, {
+        page,
+        status: status || undefined
+      });
+      setReport(response.data);
+    } catch (error) {
+      toast.error('Failed to load delivery report');
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  if (!report) {
+    return (
+      <Card>
+        <Card.Body className="text-center py-4">
+          {loading ? <Spinner animation="border" /> : 'Delivery report unavailable'}
+        </Card.Body>
+      </Card>
+    );
+  }
+
+  const { broadcast, delivery, recipients, pagination } = report;
+
+  return (
+    <Card>
+      <Card.Header>
+        <strong>{broadcast.subject}</strong>
+        {broadcast.isSystemMessage && <Badge bg="dark" className="ms-2">System</Badge>}
+        <div className="text-muted small">
+          Sent {format(new Date(broadcast.createdAt), 'MMM dd, yyyy HH:mm')} to {broadcast.recipientCount} recipient(s)
+        </div>
+      </Card.Header>
+      <Card.Body>
+        <p className="mb-3" style={{ whiteSpace: 'pre-wrap' }}>{broadcast.content}</p>
+
+        <div className="d-flex justify-content-between small mb-1">
+          <span>Read by {delivery.delivered - delivery.unread} of {delivery.delivered}</span>
+          <span>{Math.round(delivery.readRate * 100)}%</span>
+        </div>
+        <ProgressBar now={delivery.readRate * 100} className="mb-3" />
+
+        <Row className="mb-3 text-center small">
+          {Object.keys(STATUS_COLORS).map(key => (
+            <Col key={key}>
+              <Badge bg={STATUS_COLORS[key]} className="text-capitalize">{key}</Badge>
+              <div className="fw-bold">{delivery[key]}</div>
+            </Col>
+          ))}
+        </Row>
+
+        <Form.Select
+          size="sm"
+          className="mb-2"
+          value={status}
+          onChange={(e) => {
+            setStatus(e.target.value);
+            setPage(1);
+          }}
+        >
+          <option value="">All recipients</option>
+          {Object.keys(STATUS_COLORS).map(key => (
+            <option key={key} value={key} className="text-capitalize">{key}</option>
+          ))}
+        </Form.Select>
+
+        <Table size="sm" hover responsive className="mb-0">
+          <thead>
+            <tr>
+              <th>Recipient</th>
+              <th>Status</th>
+              <th>Read</th>
+            </tr>
+          </thead>
+          <tbody>
+            {recipients.map(recipient => (
+              <tr key={recipient.messageId}>
+                <td>
+                  {recipient.user ? formatRecipient(recipient.user) : 'Deleted user'}
+                  {recipient.user && <span className="text-muted small ms-1 text-capitalize">{recipient.user.role}</span>}
+                </td>
+                <td>
+                  <Badge bg={STATUS_COLORS[recipient.status]} className="text-capitalize">{recipient.status}</Badge>
+                </td>
+                <td className="small">
+                  {recipient.readAt ? format(new Date(recipient.readAt), 'MMM dd, HH:mm') : '-'}
+                </td>
+              </tr>
+            ))}
+          </tbody>
+        </Table>
+      </Card.Body>
+      {pagination.pages > 1 && (
+        <Card.Footer className="d-flex justify-content-between align-items-center">
+          <Button size="sm" variant="outline-secondary" disabled={!pagination.hasPrev || loading} onClick={() => setPage(page - 1)}>
+            Previous
+          </Button>
+          <small>{pagination.current} / {pagination.pages}</small>
+          <Button size="sm" variant="outline-secondary" disabled={!pagination.hasNext || loading} onClick={() => setPage(page + 1)}>
+            Next
+          </Button>
+        </Card.Footer>
+      )}
+    </Card>
+  );
+};
+
+export default BroadcastReport;
@@ -0,0 +1,161 @@
+import React, { useState, useEffect } from 'react';
+import { Modal, Form, Button, Spinner, Row, Col } from 'react-bootstrap';
+import { toast } from 'react-toastify';
+import { messagesAPI } from '../../services/api';
+import { useAuth } from '../../contexts/AuthContext';
+import AttachmentPicker from '../../components/Attachments/AttachmentPicker';
+import RecipientSearch from './RecipientSearch';
+
+const EMPTY_MESSAGE = {
+  subject: '',
+  content: '',
+  type: 'general',
+  priority: 'normal'
+};
+
+// Mirrors the server, which drops repeated "Re:" prefixes from reply subjects
+const toReplySubject = (subject) => `Re: ${subject.replace(/^\s*(re\s*:\s*)+/i, '')}`;
+
+// Compose a new message, optionally to a chosen `recipient`, or a reply in the thread of `replyTo`
+const ComposeMessageModal = ({ show, replyTo, recipient, onHide, onSent }) => {
+  const { user } = useAuth();
+  const [formData, setFormData] = useState(EMPTY_MESSAGE);
+  const [files, setFiles] = useState([]);
+  const [recipientUser, setRecipientUser] = useState(null);
+  const [sending, setSending] = useState(false);
+
+  useEffect(() => {
+    if (!show) return;
+
+    if (replyTo) {
+      const incoming = replyTo.to._id === user._id;
+      setFormData({
+        ...EMPTY_MESSAGE,
+        subject: toReplySubject(replyTo.subject),
+        type: replyTo.type === 'system' ? 'general' : replyTo.type
+      });
+      setRecipientUser(incoming ? replyTo.from : replyTo.to);
+    } else {
+      setFormData(EMPTY_MESSAGE);
+      setRecipientUser(recipient || null);
+    }
+    setFiles([]);
+  }, [show, replyTo, recipient, user._id]);
+
+  const handleChange = (e) => {
+    const { name, value } = e.target;
+    setFormData(prev => ({ ...prev, [name]: value }));
+  };
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+
+    if (!recipientUser) {
+      toast.error('Choose a recipient');
+      return;
+    }
+
+    try {
+      setSending(true);
+      if (replyTo) {
+        const { content, type, priority } = formData;
+        await messagesAPI.replyToMessage(replyTo._id, { content, type, priority }, files);
+      } else {
+        await messagesAPI.sendMessage({ ...formData, to: recipientUser._id }, files);
+      }
+      toast.success(replyTo ? 'Reply sent' : 'Message sent');
+      onSent(recipientUser);
+    } catch (error) {
+      const message = error.response?.data?.errors?.[0]?.message ||
+        error.response?.data?.message ||
+        'Failed to send message';
+      toast.error(message);
+    } finally {
+      setSending(false);
+    }
+  };
+
+  return (
+    <Modal show={show} onHide={onHide} size="lg">
+      <Form onSubmit={handleSubmit}>
+        <Modal.Header closeButton>
+          <Modal.Title>{replyTo ? 'Reply' : 'New Message'}</Modal.Title>
+        </Modal.Header>
+        <Modal.Body>
+          <Form.Group className="mb-3">
+            <Form.Label>To</Form.Label>
+            <RecipientSearch
+              value={recipientUser}
+              onChange={setRecipientUser}
+              disabled={Boolean(replyTo) || sending}
+              autoFocus
+            />
+          </Form.Group>
+
+          <Form.Group className="mb-3">
+            <Form.Label>Subject</Form.Label>
+            <Form.Control
+              name="subject"
+              value={formData.subject}
+              onChange={handleChange}
+              maxLength={200}
+              readOnly={Boolean(replyTo)}
+              required
+            />
+          </Form.Group>
+
+          <Form.Group className="mb-3">
+            <Form.Label>Message</Form.Label>
+            <Form.Control
+              as="textarea"
+              rows={6}
+              name="content"
+              value={formData.content}
+              onChange={handleChange}
+              maxLength={2000}
+              required
+            />
+          </Form.Group>
+
+          <Row className="mb-3">
+            <Col md={6}>
+              <Form.Group>
+                <Form.Label>Type</Form.Label>
+                <Form.Select name="type" value={formData.type} onChange={handleChange}>
+                  <option value="general">General</option>
+                  <option value="appointment">Appointment</option>
+                  <option value="prescription">Prescription</option>
+                  <option value="emergency">Emergency</option>
+                </Form.Select>
+              </Form.Group>
+            </Col>
+            <Col md={6}>
+              <Form.Group>
+                <Form.Label>Priority</Form.Label>
+                <Form.Select name="priority" value={formData.priority} onChange={handleChange}>
+                  <option value="low">Low</option>
+                  <option value="normal">Normal</option>
+                  <option value="high">High</option>
+                  <option value="urgent">Urgent</option>
+                </Form.Select>
+              </Form.Group>
+            </Col>
+          </Row>
+
+          <Form.Label>Attachments</Form.Label>
+          <AttachmentPicker files={files} onChange={setFiles} disabled={sending} />
+        </Modal.Body>
+        <Modal.Footer>
+          <Button variant="secondary" onClick={onHide} disabled={sending}>
+            Cancel
+          </Button>
+          <Button type="submit" variant="primary" disabled={sending}>
+            {sending ? <Spinner animation="border" size="sm" /> : 'Send'}
+          </Button>
+        </Modal.Footer>
+      </Form>
+    </Modal>
+  );
+};
+
+export default ComposeMessageModal;
@@ -0,0 +1,162 @@
+import React, { useState, useEffect, useRef } from 'react';
+import { Card, Button, Badge, Spinner, Alert } from 'react-bootstrap';
+import { toast } from 'react-toastify';
+import { format } from 'date-fns';
+import { messagesAPI } from '../../services/api';
+import { useAuth } from '../../contexts/AuthContext';
+import AttachmentList from '../../components/Attachments/AttachmentList';
+import MessageBadges from './MessageBadges';
+import { formatRecipient } from './RecipientSearch';
+
+// Every message exchanged with one participant, or only those in `threadId`, oldest first
+const ConversationPane = ({ participant, threadId, selectedMessageId, blocked, onReply, onToggleBlock, onChanged }) => {
+  const { user } = useAuth();
+  const [conversation, setConversation] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const selectedRef = useRef(null);
+
+  useEffect(() => {
+    fetchConversation();
+  }, [participant._id, threadId]);
+
+  useEffect(() => {
+    if (!loading && selectedRef.current) {
+      selectedRef.current.scrollIntoView({ block: 'nearest' });
+    }
+  }, [loading, selectedMessageId]);
+
+  const fetchConversation = async () => {
+    try {
+      setLoading(true);
+      if (threadId) {
+        const response = await messagesAPI.getThread(threadId);
+        setConversation(response.data.messages);
+      } else {
+        const response = await messagesAPI.getConversation(participant._id);
+        setConversation([...response.data.conversation].reverse());
+      }
+      // Opening a conversation marks the messages in it as read
+      onChanged();
+    } catch (error) {
+      toast.error('Failed to load conversation');
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const isIncoming = (message) => (message.to._id || message.to) === user._id;
+
+  const handleArchive = async (message) => {
+    const status = message.status === 'archived' ? 'read' : 'archived';
+    try {
+      await messagesAPI.updateMessageStatus(message._id, { status });
+      setConversation(prev => prev.map(item => (item._id === message._id ? { ...item, status } : item)));
+      toast.success(status === 'archived' ? 'Message archived' : 'Message moved to inbox');
+      onChanged();
+    } catch (error) {
+      toast.error('Failed to update message');
+    }
+  };
+
+  const handleDelete = async (message) => {
+    if (!window.confirm('Delete this message for both participants? This cannot be undone.')) {
+      return;
+    }
+
+    try {
+      await messagesAPI.deleteMessage(message._id);
+      setConversation(prev => prev.filter(item => item._id !== message._id));
+      toast.success('Message deleted');
+      onChanged();
+    } catch (error) {
+      toast.error('Failed to delete message');
+    }
+  };
+
+  const latestMessage = conversation[conversation.length - 1];
+
+  return (
+    <Card className="h-100">
+      <Card.Header className="d-flex justify-content-between align-items-center">
+        <div>
+          <strong>{formatRecipient(participant)}</strong>
+          {participant.role && <Badge bg="secondary" className="ms-2 text-capitalize">{participant.role}</Badge>}
+          {blocked && <Badge bg="danger" className="ms-1">Blocked</Badge>}
+        </div>
+        <div>
+          {/* The server refuses to block users who must always be able to reach everyone */}
+          <Button size="sm" variant="outline-danger" className="me-2" onClick={() => onToggleBlock(participant)}>
+            {blocked ? 'Unblock' : 'Block'}
+          </Button>
+          <Button
+            size="sm"
+            variant="primary"
+            disabled={!latestMessage || latestMessage.isSystemMessage || blocked}
+            onClick={() => onReply(latestMessage)}
+          >
+            Reply
+          </Button>
+        </div>
+      </Card.Header>
+      <Card.Body style={{ maxHeight: '70vh', overflowY: 'auto' }}>
+        {loading ? (
+          <div className="text-center py-4">
+            <Spinner animation="border" />
+          </div>
+        ) : conversation.length === 0 ? (
+          <Alert variant="info" className="mb-0">No messages in this conversation.</Alert>
+        ) : (
+          conversation.map(message => {
+            const incoming = isIncoming(message);
+            return (
+              <div
+                key={message._id}
+                ref={message._id === selectedMessageId ? selectedRef : null}
+                className={`border rounded p-3 mb-3 ${incoming ? 'me-5' : 'ms-5 bg-light'} ${message._id === selectedMessageId ? 'border-primary' : ''}`}
+              >
+                <div className="d-flex justify-content-between align-items-start">
+                  <div>
+                    <strong>{message.subject}</strong>
+                    <MessageBadges message={message} />
+                    {message.status === 'archived' && <Badge bg="light" text="dark" className="ms-1">Archived</Badge>}
+                  </div>
+                  <span className="text-muted small text-nowrap ms-2">
+                    {format(new Date(message.createdAt), 'MMM dd, HH:mm')}
+                  </span>
+                </div>
+                <div className="text-muted small mb-2">{incoming ? formatRecipient(message.from) : 'You'}</div>
+                <p className="mb-2" style={{ whiteSpace: 'pre-wrap' }}>{message.content}</p>
+                {message.attachments?.length > 0 && (
+                  <div className="mb-2">
+                    <AttachmentList
+                      attachments={message.attachments}
+                      onDownload={(attachmentId) => messagesAPI.downloadAttachment(message._id, attachmentId)}
+                    />
+                  </div>
+                )}
+                <div className="text-end">
+                  {/* System messages are one-way */}
+                  {!blocked && !message.isSystemMessage && (
+                    <Button variant="link" size="sm" onClick={() => onReply(message)}>
+                      Reply
+                    </Button>
+                  )}
+                  {incoming && (
+                    <Button variant="link" size="sm" onClick={() => handleArchive(message)}>
+                      {message.status === 'archived' ? 'Move to Inbox' : 'Archive'}
+                    </Button>
+                  )}
+                  <Button variant="link" size="sm" className="text-danger" onClick={() => handleDelete(message)}>
+                    Delete
+                  </Button>
+                </div>
+              </div>
+            );
+          })
+        )}
+      </Card.Body>
+    </Card>
+  );
+};
+
+export default ConversationPane;
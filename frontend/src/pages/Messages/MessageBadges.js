@@ -0,0 +1,43 @@
+import React from 'react';
+import { Badge } from 'react-bootstrap';
+
+const PRIORITY_COLORS = {
+  urgent: 'danger',
+  high: 'warning'
+};
+
+const TYPE_COLORS = {
+  emergency: 'danger',
+  appointment: 'primary',
+  prescription: 'success',
+  system: 'dark'
+};
+
+// Priority and type badges; normal/low priority and general messages stay unbadged
+const MessageBadges = ({ message }) => (
+  <>
+    {PRIORITY_COLORS[message.priority] && (
+      <Badge bg={PRIORITY_COLORS[message.priority]} className="ms-1 text-capitalize">
+        {message.priority}
+      </Badge>
+    )}
+    {TYPE_COLORS[message.type] && (
+      <Badge bg={TYPE_COLORS[message.type]} className="ms-1 text-capitalize">
+        {message.type}
+      </Badge>
+    )}
+    {message.broadcast && (
+      <Badge bg="info" className="ms-1">Broadcast</Badge>
+    )}
+    {message.status === 'replied' && (
+      <Badge bg="success" className="ms-1">Replied</Badge>
+    )}
+    {message.attachments?.length > 0 && (
+      <Badge bg="secondary" className="ms-1">
+        {message.attachments.length} file{message.attachments.length > 1 ? 's' : ''}
+      </Badge>
+    )}
+  </>
+);
+
+export default MessageBadges;
@@ -1,21 +1,343 @@
-import React from 'react';
-import { Container, Row, Col, Card } from 'react-bootstrap';
+import React, { useState, useEffect } from 'react';
+import { useLocation } from 'react-router-dom';
+import { Container, Row, Col, Card, Button, Badge, Nav, ListGroup, Alert, Spinner } from 'react-bootstrap';
+import { toast } from 'react-toastify';
+import { format, isToday } from 'date-fns';
+import { messagesAPI, notifyMessagesChanged } from '../../services/api';
+import { useAuth } from '../../contexts/AuthContext';
+import { useRealtime, useRealtimeEvent } from '../../contexts/RealtimeContext';
+import { usePermissions } from '../../contexts/PermissionsContext';
+import ComposeMessageModal from './ComposeMessageModal';
+import ConversationPane from './ConversationPane';
+import BroadcastModal from './BroadcastModal';
+import BroadcastReport from './BroadcastReport';
+import MessageBadges from './MessageBadges';
+import { formatRecipient } from './RecipientSearch';
+
+const FOLDERS = [
+  { key: 'inbox', label: 'Inbox' },
+  { key: 'threads', label: 'Threads' },
+  { key: 'sent', label: 'Sent' },
+  { key: 'archived', label: 'Archived' },
+  { key: 'broadcasts', label: 'Broadcasts', permission: 'message:broadcast' }
+];
+
+const formatMessageDate = (date) => {
+  const value = new Date(date);
+  return isToday(value) ? format(value, 'HH:mm') : format(value, 'MMM dd');
+};
 
 const Messages = () => {
+  const { user } = useAuth();
+  const { can } = usePermissions();
+  // Search results open a message, or start one to a user, through navigation state
+  const { state: navigationState } = useLocation();
+  const [folder, setFolder] = useState('inbox');
+  const [messages, setMessages] = useState([]);
+  const [pagination, setPagination] = useState({});
+  const [page, setPage] = useState(1);
+  const [loading, setLoading] = useState(true);
+  const { unreadCount } = useRealtime();
+  // A message, or a thread summary in the threads folder
+  const [selected, setSelected] = useState(navigationState?.openMessage || null);
+  const [compose, setCompose] = useState(
+    navigationState?.composeTo ? { recipient: navigationState.composeTo } : null
+  );
+  const [showBroadcast, setShowBroadcast] = useState(false);
+  const [conversationVersion, setConversationVersion] = useState(0);
+  const [blockedUserIds, setBlockedUserIds] = useState([]);
+
+  useEffect(() => {
+    fetchMessages();
+  }, [folder, page]);
+
+  useEffect(() => {
+    fetchBlockedUsers();
+  }, []);
+
+  useRealtimeEvent('message:new', (message) => {
+    if (folder === 'inbox' || folder === 'threads') {
+      fetchMessages();
+    }
+    // Reload the open conversation when the new message belongs to it
+    if (selected && folder !== 'broadcasts' && participantOf(selected)._id === message.from._id) {
+      setConversationVersion(version => version + 1);
+    }
+  });
+
+  const fetchMessages = async () => {
+    try {
+      setLoading(true);
+      const params = { page, limit: 20 };
+      let response;
+
+      if (folder === 'broadcasts') {
+        response = await messagesAPI.getBroadcasts(params);
+        setMessages(response.data.broadcasts);
+        setPagination(response.data.pagination);
+        return;
+      }
+
+      if (folder === 'threads') {
+        response = await messagesAPI.getThreads(params);
+        setMessages(response.data.threads);
+        setPagination(response.data.pagination);
+        return;
+      }
+
+      if (folder === 'sent') {
+        response = await messagesAPI.getSentMessages(params);
+      } else {
+        response = await messagesAPI.getInbox(folder === 'archived' ? { ...params, status: 'archived' } : params);
+      }
+
+      setMessages(response.data.messages);
+      setPagination(response.data.pagination);
+    } catch (error) {
+      toast.error('Failed to fetch messages');
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const fetchBlockedUsers = async () => {
+    try {
+      const response = await messagesAPI.getBlockedUsers();
+      setBlockedUserIds(response.data.users.map(blockedUser => blockedUser._id));
+    } catch (error) {
+      console.error('Failed to fetch blocked users:', error);
+    }
+  };
+
+  const handleToggleBlock = async (participant) => {
+    const blocked = blockedUserIds.includes(participant._id);
+
+    if (!blocked && !window.confirm(`Block ${formatRecipient(participant)}? They will no longer be able to message you.`)) {
+      return;
+    }
+
+    try {
+      if (blocked) {
+        await messagesAPI.unblockUser(participant._id);
+        setBlockedUserIds(prev => prev.filter(id => id !== participant._id));
+        toast.success(`${formatRecipient(participant)} unblocked`);
+      } else {
+        await messagesAPI.blockUser(participant._id);
+        setBlockedUserIds(prev => [...prev, participant._id]);
+        toast.success(`${formatRecipient(participant)} blocked`);
+      }
+    } catch (error) {
+      toast.error(error.response?.data?.message || 'Failed to update blocked users');
+    }
+  };
+
+  const handleFolderChange = (key) => {
+    setFolder(key);
+    setPage(1);
+    setSelected(null);
+  };
+
+  // The other side of a message or thread from the current user's point of view
+  const participantOf = (item) => {
+    const message = folder === 'threads' ? item.lastMessage : item;
+    // Inbox messages only populate the sender and sent messages only the recipient
+    return (message.from._id || message.from) === user._id ? message.to : message.from;
+  };
+
+  const handleConversationChanged = () => {
+    notifyMessagesChanged();
+    fetchMessages();
+  };
+
+  const handleReply = (message) => {
+    setCompose({ replyTo: message });
+  };
+
+  const handleBroadcastSent = (broadcast) => {
+    setShowBroadcast(false);
+    if (folder === 'broadcasts') {
+      fetchMessages();
+    } else {
+      setFolder('broadcasts');
+      setPage(1);
+    }
+    setSelected(broadcast);
+  };
+
+  const handleSent = (recipient) => {
+    setCompose(null);
+    // Reload the open conversation so the new message shows up
+    setConversationVersion(version => version + 1);
+    if (selected || folder === 'sent') {
+      // A reply also marks the message it answers as replied
+      fetchMessages();
+    } else {
+      setFolder('sent');
+      setPage(1);
+      toast.info(`Message to ${formatRecipient(recipient)} is in your Sent folder`);
+    }
+  };
+
   return (
-    <Container className="py-4">
-      <Row>
+    <Container fluid className="py-4">
+      <Row className="mb-3">
         <Col>
+          <h2 className="mb-0">Messages</h2>
+        </Col>
+        <Col xs="auto">
+          {can('message:broadcast') && (
+            <Button variant="outline-primary" className="me-2" onClick={() => setShowBroadcast(true)}>
+              New Broadcast
+            </Button>
+          )}
+          <Button variant="primary" onClick={() => setCompose({})}>
+            New Message
+          </Button>
+        </Col>
+      </Row>
+
+      <Row>
+        <Col md={2} className="mb-3">
+          <Nav variant="pills" className="flex-column" activeKey={folder} onSelect={handleFolderChange}>
+            {FOLDERS.filter(({ permission }) => !permission || can(permission)).map(({ key, label }) => (
+              <Nav.Item key={key}>
+                <Nav.Link eventKey={key} className="d-flex justify-content-between align-items-center">
+                  {label}
+                  {key === 'inbox' && unreadCount > 0 && <Badge bg="danger">{unreadCount}</Badge>}
+                </Nav.Link>
+              </Nav.Item>
+            ))}
+          </Nav>
+        </Col>
+
+        <Col md={4} className="mb-3">
           <Card>
-            <Card.Body>
-              <h2>Messages</h2>
-              <p>Messaging interface will be implemented here.</p>
-            </Card.Body>
+            {loading ? (
+              <Card.Body className="text-center py-4">
+                <Spinner animation="border" />
+              </Card.Body>
+            ) : messages.length === 0 ? (
+              <Card.Body>
+                <Alert variant="info" className="mb-0">No messages in this folder.</Alert>
+              </Card.Body>
+            ) : (
+              <ListGroup variant="flush">
+                {folder === 'broadcasts' ? messages.map(broadcast => (
+                  <ListGroup.Item
+                    key={broadcast._id}
+                    action
+                    active={selected?._id === broadcast._id}
+                    onClick={() => setSelected(broadcast)}
+                  >
+                    <div className="d-flex justify-content-between">
+                      <span className="text-truncate">{broadcast.subject}</span>
+                      <small className="text-nowrap ms-2">{formatMessageDate(broadcast.createdAt)}</small>
+                    </div>
+                    <div className="small opacity-75">
+                      Read by {broadcast.delivery.delivered - broadcast.delivery.unread} of {broadcast.recipientCount}
+                      {broadcast.isSystemMessage && <Badge bg="dark" className="ms-1">System</Badge>}
+                    </div>
+                  </ListGroup.Item>
+                )) : folder === 'threads' ? messages.map(thread => (
+                  <ListGroup.Item
+                    key={thread._id}
+                    action
+                    active={selected?._id === thread._id}
+                    onClick={() => setSelected(thread)}
+                  >
+                    <div className="d-flex justify-content-between">
+                      <span className={thread.unreadCount > 0 ? 'fw-bold' : ''}>
+                        {formatRecipient(participantOf(thread))}
+                        {thread.messageCount > 1 && <span className="text-muted ms-1">({thread.messageCount})</span>}
+                      </span>
+                      <small className="text-nowrap ms-2">{formatMessageDate(thread.lastMessage.createdAt)}</small>
+                    </div>
+                    <div className={`text-truncate ${thread.unreadCount > 0 ? 'fw-bold' : ''}`}>
+                      {thread.subject}
+                      {thread.unreadCount > 0 && <Badge bg="danger" className="ms-1">{thread.unreadCount}</Badge>}
+                    </div>
+                    <div className="small text-truncate opacity-75">
+                      {thread.lastMessage.from._id === user._id ? 'You: ' : ''}{thread.lastMessage.preview}
+                    </div>
+                  </ListGroup.Item>
+                )) : messages.map(message => {
+                  const unread = folder !== 'sent' && message.status === 'unread';
+                  return (
+                    <ListGroup.Item
+                      key={message._id}
+                      action
+                      active={selected?._id === message._id}
+                      onClick={() => setSelected(message)}
+                    >
+                      <div className="d-flex justify-content-between">
+                        <span className={unread ? 'fw-bold' : ''}>
+                          {folder === 'sent' ? 'To: ' : ''}{formatRecipient(participantOf(message))}
+                        </span>
+                        <small className="text-nowrap ms-2">{formatMessageDate(message.createdAt)}</small>
+                      </div>
+                      <div className={`text-truncate ${unread ? 'fw-bold' : ''}`}>
+                        {message.subject}
+                        <MessageBadges message={message} />
+                      </div>
+                      <div className="small text-truncate opacity-75">{message.content}</div>
+                    </ListGroup.Item>
+                  );
+                })}
+              </ListGroup>
+            )}
+            {pagination.pages > 1 && (
+              <Card.Footer className="d-flex justify-content-between align-items-center">
+                <Button size="sm" variant="outline-secondary" disabled={!pagination.hasPrev} onClick={() => setPage(page - 1)}>
+                  Previous
+                </Button>
+                <small>{pagination.current} / {pagination.pages}</small>
+                <Button size="sm" variant="outline-secondary" disabled={!pagination.hasNext} onClick={() => setPage(page + 1)}>
+                  Next
+                </Button>
+              </Card.Footer>
+            )}
           </Card>
         </Col>
+
+        <Col md={6}>
+          {selected && folder === 'broadcasts' ? (
+            <BroadcastReport key={selected._id} broadcastId={selected._id} />
+          ) : selected ? (
+            <ConversationPane
+              key={`${selected._id}-${conversationVersion}`}
+              participant={participantOf(selected)}
+              threadId={folder === 'threads' ? selected._id : undefined}
+              selectedMessageId={folder === 'threads' ? selected.lastMessage._id : selected._id}
+              blocked={blockedUserIds.includes(participantOf(selected)._id)}
+              onReply={handleReply}
+              onToggleBlock={handleToggleBlock}
+              onChanged={handleConversationChanged}
+            />
+          ) : (
+            <Card>
+              <Card.Body className="text-center text-muted py-5">
+                Select a message to view the conversation
+              </Card.Body>
+            </Card>
+          )}
+        </Col>
       </Row>
+
+      <ComposeMessageModal
+        show={Boolean(compose)}
+        replyTo={compose?.replyTo}
+        recipient={compose?.recipient}
+        onHide={() => setCompose(null)}
+        onSent={handleSent}
+      />
+
+      <BroadcastModal
+        show={showBroadcast}
+        onHide={() => setShowBroadcast(false)}
+        onSent={handleBroadcastSent}
+      />
     </Container>
   );
 };
 
-export default Messages;
\ No newline at end of file
+export default Messages;
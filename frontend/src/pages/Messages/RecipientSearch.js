@@ -0,0 +1,115 @@
+import React, { useState, useEffect } from 'react';
+import { Form, ListGroup, Badge, Button, Spinner } from 'react-bootstrap';
+import { messagesAPI } from '../../services/api';
+
+const SEARCH_DELAY_MS = 300;
+
+export const formatRecipient = (user) => {
+  const fullName = [user.profile?.firstName, user.profile?.lastName].filter(Boolean).join(' ');
+  const name = fullName || user.username;
+  return user.role === 'doctor' ? `Dr. ${name}` : name;
+};
+
+// Type-ahead recipient picker over the directory of users the messaging policy allows.
+// Focusing the empty field lists the directory, e.g. a patient's care team.
+const RecipientSearch = ({ value, onChange, disabled, autoFocus = false }) => {
+  const [search, setSearch] = useState('');
+  const [focused, setFocused] = useState(false);
+  const [results, setResults] = useState([]);
+  const [searching, setSearching] = useState(false);
+  // The query the current results belong to, so "no results" is not shown while typing
+  const [searchedFor, setSearchedFor] = useState(null);
+
+  useEffect(() => {
+    if (!focused || value) {
+      setResults([]);
+      setSearchedFor(null);
+      return undefined;
+    }
+
+    let cancelled = false;
+    const query = search.trim();
+    const timer = setTimeout(async () => {
+      try {
+        setSearching(true);
+        const response = await messagesAPI.getRecipients({ q: query });
+        if (!cancelled) setResults(response.data.users);
+      } catch (error) {
+        if (!cancelled) setResults([]);
+      } finally {
+        if (!cancelled) {
+          setSearchedFor(query);
+          setSearching(false);
+        }
+      }
+    }, SEARCH_DELAY_MS);
+
+    return () => {
+      cancelled = true;
+      clearTimeout(timer);
+    };
+  }, [search, focused, value]);
+
+  if (value) {
+    return (
+      <div className="d-flex align-items-center">
+        <span>{formatRecipient(value)}</span>
+        <Badge bg="secondary" className="ms-2 text-capitalize">{value.role}</Badge>
+        {!disabled && (
+          <Button variant="link" size="sm" className="ms-auto" onClick={() => onChange(null)}>
+            Change
+          </Button>
+        )}
+      </div>
+    );
+  }
+
+  return (
+    <div className="position-relative">
+      <Form.Control
+        type="search"
+        placeholder="Search your contacts by name or username"
+        value={search}
+        onChange={(e) => setSearch(e.target.value)}
+        disabled={disabled}
+        onFocus={() => setFocused(true)}
+        onBlur={() => setFocused(false)}
+        autoFocus={autoFocus}
+      />
+      {searching && (
+        <Spinner animation="border" size="sm" className="position-absolute" style={{ right: 12, top: 10 }} />
+      )}
+      {results.length > 0 && (
+        <ListGroup className="position-absolute w-100 shadow-sm" style={{ zIndex: 10 }}>
+          {results.map(user => (
+            <ListGroup.Item
+              key={user._id}
+              action
+              // Fires before the input's blur hides the list
+              onMouseDown={(e) => {
+                e.preventDefault();
+                onChange(user);
+                setSearch('');
+              }}
+            >
+              {formatRecipient(user)}
+              <Badge bg="secondary" className="ms-2 text-capitalize">{user.role}</Badge>
+              {(user.profile?.specialization || user.profile?.department) && (
+                <div className="text-muted small">
+                  {[user.profile.specialization, user.profile.department].filter(Boolean).join(' · ')}
+                </div>
+              )}
+            </ListGroup.Item>
+          ))}
+        </ListGroup>
+      )}
+      {focused && !searching && searchedFor === search.trim() && results.length === 0 && (
+        <Form.Text className="text-muted">
+          {search.trim() ? 'No one you can message matches this search' : 'There is no one you can message yet'}
+        </Form.Text>
+      )}
+    </div>
+  );
+};
+
+export default RecipientSearch;
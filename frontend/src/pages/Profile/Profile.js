@@ -1,13 +1,16 @@
 import React, { useState, useEffect } from 'react';
-import { Container, Row, Col, Card, Form, Button, Alert, Spinner } from 'react-bootstrap';
+import { Container, Row, Col, Card, Form, Button, Alert, Spinner, Table, Badge } from 'react-bootstrap';
 import { useAuth } from '../../contexts/AuthContext';
-import { usersAPI } from '../../services/api';
+import { usersAPI, authAPI } from '../../services/api';
 import { toast } from 'react-toastify';
+import TwoFactorCard from './TwoFactorCard';
 
 const Profile = () => {
-  const { user, updateUser } = useAuth();
+  const { user, updateUser, logoutAll } = useAuth();
   const [loading, setLoading] = useState(false);
   const [editing, setEditing] = useState(false);
+  const [sessions, setSessions] = useState([]);
+  const [sessionsLoading, setSessionsLoading] = useState(true);
   const [formData, setFormData] = useState({
     profile: {
       firstName: '',
@@ -51,6 +54,45 @@ const Profile = () => {
     }
   }, [user]);
 
+  useEffect(() => {
+    fetchSessions();
+  }, []);
+
+  const fetchSessions = async () => {
+    try {
+      const response = await authAPI.getSessions();
+      setSessions(response.data.sessions);
+    } catch (error) {
+      console.error('Failed to fetch sessions:', error);
+    } finally {
+      setSessionsLoading(false);
+    }
+  };
+
+  const handleRevokeSession = async (sessionId) => {
+    try {
+      await authAPI.revokeSession(sessionId);
+      setSessions(prev => prev.filter(session => session._id !== sessionId));
+      toast.success('Session signed out');
+    } catch (error) {
+      const message = error.response?.data?.message || 'Failed to sign out session';
+      toast.error(message);
+    }
+  };
+
+  const handleLogoutAll = async () => {
+    if (window.confirm('Sign out of all devices, including this one?')) {
+      await logoutAll();
+    }
+  };
+
+  const describeDevice = (userAgent = '') => {
+    const browser = ['Edg', 'Chrome', 'Firefox', 'Safari'].find(name => userAgent.includes(name));
+    const platform = ['Windows', 'Android', 'iPhone', 'iPad', 'Mac OS', 'Linux'].find(name => userAgent.includes(name));
+    if (!browser && !platform) return userAgent || 'Unknown device';
+    return [browser === 'Edg' ? 'Edge' : browser, platform].filter(Boolean).join(' on ');
+  };
+
   const handleInputChange = (e) => {
     const { name, value } = e.target;
     
@@ -380,6 +422,65 @@ const Profile = () => {
               </Form>
             </Card.Body>
           </Card>
+
+          <TwoFactorCard />
+
+          <Card className="mt-4">
+            <Card.Header className="d-flex justify-content-between align-items-center">
+              <h5 className="mb-0">Active Sessions</h5>
+              <Button variant="outline-danger" size="sm" onClick={handleLogoutAll}>
+                Log Out Everywhere
+              </Button>
+            </Card.Header>
+            <Card.Body>
+              {sessionsLoading ? (
+                <div className="text-center">
+                  <Spinner animation="border" size="sm" />
+                </div>
+              ) : sessions.length === 0 ? (
+                <Alert variant="info" className="mb-0">No active sessions found.</Alert>
+              ) : (
+                <Table responsive size="sm" className="mb-0">
+                  <thead>
+                    <tr>
+                      <th>Device</th>
+                      <th>IP Address</th>
+                      <th>Signed In</th>
+                      <th>Last Active</th>
+                      <th></th>
+                    </tr>
+                  </thead>
+                  <tbody>
+                    {sessions.map(session => (
+                      <tr key={session._id}>
+                        <td>
+                          {describeDevice(session.userAgent)}
+                          {session.isCurrent && (
+                            <Badge bg="success" className="ms-2">This device</Badge>
+                          )}
+                        </td>
+                        <td>{session.lastIpAddress || session.ipAddress || '-'}</td>
+                        <td>{new Date(session.createdAt).toLocaleString()}</td>
+                        <td>{new Date(session.lastUsedAt).toLocaleString()}</td>
+                        <td className="text-end">
+                          {!session.isCurrent && (
+                            <Button
+                              variant="link"
+                              size="sm"
+                              className="text-danger p-0"
+                              onClick={() => handleRevokeSession(session._id)}
+                            >
+                              Sign out
+                            </Button>
+                          )}
+                        </td>
+                      </tr>
+                    ))}
+                  </tbody>
+                </Table>
+              )}
+            </Card.Body>
+          </Card>
         </Col>
       </Row>
     </Container>
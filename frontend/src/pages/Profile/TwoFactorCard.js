@@ -0,0 +1,185 @@
+import React, { useState, useEffect } from 'react';
+import { Card, Form, Button, Alert, Spinner, Badge } from 'react-bootstrap';
+import { toast } from 'react-toastify';
+import { useAuth } from '../../contexts/AuthContext';
+import { authAPI } from '../../services/api';
+import TwoFactorSetup, { RecoveryCodes } from '../../components/Auth/TwoFactorSetup';
+
+const TwoFactorCard = () => {
+  const { updateUser } = useAuth();
+  const [status, setStatus] = useState(null);
+  // null | 'setup' | 'disable' | 'regenerate'
+  const [mode, setMode] = useState(null);
+  const [formData, setFormData] = useState({ password: '', code: '' });
+  const [recoveryCodes, setRecoveryCodes] = useState(null);
+  const [loading, setLoading] = useState(false);
+
+  useEffect(() => {
+    fetchStatus();
+  }, []);
+
+  const fetchStatus = async () => {
+    try {
+      const response = await authAPI.getTwoFactorStatus();
+      setStatus(response.data);
+    } catch (error) {
+      console.error('Failed to fetch two-factor status:', error);
+    }
+  };
+
+  const resetForm = () => {
+    setMode(null);
+    setFormData({ password: '', code: '' });
+  };
+
+  const handleSetupComplete = (result) => {
+    updateUser(result.user);
+    resetForm();
+    fetchStatus();
+    toast.success('Two-factor authentication enabled');
+  };
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    setLoading(true);
+
+    try {
+      if (mode === 'disable') {
+        const response = await authAPI.disableTwoFactor(formData);
+        updateUser(response.data.user);
+        toast.success('Two-factor authentication disabled');
+      } else {
+        const response = await authAPI.regenerateRecoveryCodes({ code: formData.code });
+        setRecoveryCodes(response.data.recoveryCodes);
+      }
+      resetForm();
+      fetchStatus();
+    } catch (error) {
+      const message = error.response?.data?.errors?.[0]?.message ||
+        error.response?.data?.message ||
+        'Request failed';
+      toast.error(message);
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const renderBody = () => {
+    if (!status) {
+      return (
+        <div className="text-center">
+          <Spinner animation="border" size="sm" />
+        </div>
+      );
+    }
+
+    if (recoveryCodes) {
+      return <RecoveryCodes codes={recoveryCodes} onDone={() => setRecoveryCodes(null)} />;
+    }
+
+    if (mode === 'setup') {
+      return <TwoFactorSetup onComplete={handleSetupComplete} onCancel={resetForm} />;
+    }
+
+    if (mode === 'disable' || mode === 'regenerate') {
+      return (
+        <Form onSubmit={handleSubmit}>
+          {mode === 'disable' && (
+            <Form.Group className="mb-3">
+              <Form.Label>Current Password</Form.Label>
+              <Form.Control
+                type="password"
+                value={formData.password}
+                onChange={(e) => setFormData({ ...formData, password: e.target.value })}
+                required
+              />
+            </Form.Group>
+          )}
+          <Form.Group className="mb-3">
+            <Form.Label>Authentication Code</Form.Label>
+            <Form.Control
+              type="text"
+              inputMode="numeric"
+              autoComplete="one-time-code"
+              maxLength={6}
+              value={formData.code}
+              onChange={(e) => setFormData({ ...formData, code: e.target.value.replace(/\D/g, '') })}
+              placeholder="123456"
+              required
+            />
+          </Form.Group>
+          <div className="d-flex gap-2">
+            <Button variant="outline-secondary" onClick={resetForm} disabled={loading}>
+              Cancel
+            </Button>
+            <Button
+              type="submit"
+              variant={mode === 'disable' ? 'danger' : 'primary'}
+              disabled={loading || formData.code.length !== 6}
+            >
+              {loading ? <Spinner animation="border" size="sm" /> :
+               mode === 'disable' ? 'Disable Two-Factor' : 'Generate New Codes'}
+            </Button>
+          </div>
+        </Form>
+      );
+    }
+
+    if (!status.enabled) {
+      return (
+        <>
+          {status.required && (
+            <Alert variant="warning">
+              Two-factor authentication is required for your role.
+            </Alert>
+          )}
+          <p className="text-muted">
+            Protect your account with a code from an authenticator app in addition to your password.
+          </p>
+          <Button variant="primary" onClick={() => setMode('setup')}>
+            Set Up Two-Factor
+          </Button>
+        </>
+      );
+    }
+
+    return (
+      <>
+        <p className="mb-2">
+          Enabled since {new Date(status.enabledAt).toLocaleDateString()}.
+        </p>
+        <p className={status.recoveryCodesRemaining <= 2 ? 'text-danger' : 'text-muted'}>
+          {status.recoveryCodesRemaining} recovery code(s) remaining.
+        </p>
+        <div className="d-flex gap-2">
+          <Button variant="outline-primary" size="sm" onClick={() => setMode('regenerate')}>
+            Regenerate Recovery Codes
+          </Button>
+          {!status.required && (
+            <Button variant="outline-danger" size="sm" onClick={() => setMode('disable')}>
+              Disable
+            </Button>
+          )}
+        </div>
+      </>
+    );
+  };
+
+  return (
+    <Card className="mt-4">
+      <Card.Header className="d-flex justify-content-between align-items-center">
+        <h5 className="mb-0">Two-Factor Authentication</h5>
+        {status && (
+          <Badge bg={status.enabled ? 'success' : 'secondary'}>
+            {status.enabled ? 'Enabled' : 'Disabled'}
+          </Badge>
+        )}
+      </Card.Header>
+      <Card.Body>
+        {renderBody()}
+      </Card.Body>
+    </Card>
+  );
+};
+
+export default TwoFactorCard;
@@ -0,0 +1,253 @@
+import React, { useState, useEffect } from 'react';
+import { Container, Row, Col, Card, Button, Badge, Form, ListGroup, Spinner, Alert } from 'react-bootstrap';
+import { toast } from 'react-toastify';
+import { format } from 'date-fns';
+import { usePermissions } from '../../contexts/PermissionsContext';
+import { useRealtimeEvent } from '../../contexts/RealtimeContext';
+import { queueAPI, usersAPI, appointmentsAPI } from '../../services/api';
+
+// Wait times tick on screen between live updates
+const REFRESH_INTERVAL_MS = 60 * 1000;
+
+const formatPatient = (patient) => {
+  const fullName = [patient?.profile?.firstName, patient?.profile?.lastName].filter(Boolean).join(' ');
+  return fullName || patient?.username || 'Unknown patient';
+};
+
+const formatWait = (minutes) => {
+  if (minutes === null || minutes === undefined) return '-';
+  if (minutes < 60) return `${minutes} min`;
+  return `${Math.floor(minutes / 60)} h ${minutes % 60} min`;
+};
+
+const waitVariant = (minutes) => {
+  if (minutes >= 30) return 'danger';
+  if (minutes >= 15) return 'warning';
+  return 'success';
+};
+
+// Today's waiting room per doctor: who is expected, who is waiting and for how
+// long, and who is being seen. Staff check patients in and call the next one.
+const QueueBoard = () => {
+  const { can } = usePermissions();
+  const canReadAll = can('queue:read');
+  const [queues, setQueues] = useState([]);
+  const [doctors, setDoctors] = useState([]);
+  const [filters, setFilters] = useState({ department: '', doctor: '' });
+  const [loading, setLoading] = useState(true);
+  const [busyId, setBusyId] = useState(null);
+
+  useEffect(() => {
+    if (canReadAll) {
+      fetchDoctors();
+    }
+  }, [canReadAll]);
+
+  useEffect(() => {
+    fetchQueue();
+    const interval = setInterval(fetchQueue, REFRESH_INTERVAL_MS);
+    return () => clearInterval(interval);
+  }, [filters]);
+
+  useRealtimeEvent('queue:update', () => fetchQueue());
+
+  const fetchDoctors = async () => {
+    try {
+      const response = await usersAPI.getDoctors({ limit: 100 });
+      setDoctors(response.data.doctors);
+    } catch (error) {
+      toast.error(error.response?.data?.message || 'Failed to fetch doctors');
+    }
+  };
+
+  const fetchQueue = async () => {
+    try {
+      const params = Object.fromEntries(Object.entries(filters).filter(([, value]) => value !== ''));
+      const response = await queueAPI.getQueue(params);
+      setQueues(response.data.queues);
+    } catch (error) {
+      toast.error(error.response?.data?.message || 'Failed to load the waiting room');
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const runAction = async (key, action) => {
+    try {
+      setBusyId(key);
+      const response = await action();
+      toast.success(response.data.message);
+      fetchQueue();
+    } catch (error) {
+      toast.error(error.response?.data?.message || 'Failed to update the queue');
+    } finally {
+      setBusyId(null);
+    }
+  };
+
+  const handleFilterChange = (e) => {
+    const { name, value } = e.target;
+    setFilters(prev => ({ ...prev, [name]: value }));
+  };
+
+  const departments = [...new Set(doctors.map(doctor => doctor.profile?.department).filter(Boolean))].sort();
+
+  return (
+    <Container fluid className="py-4 px-lg-5">
+      <Row className="mb-4 align-items-end">
+        <Col>
+          <h2>Waiting Room</h2>
+          <p className="text-muted mb-0">{format(new Date(), 'EEEE, MMMM dd, yyyy')}</p>
+        </Col>
+        {canReadAll && (
+          <>
+            <Col md={3}>
+              <Form.Group>
+                <Form.Label>Department</Form.Label>
+                <Form.Select name="department" value={filters.department} onChange={handleFilterChange}>
+                  <option value="">All Departments</option>
+                  {departments.map(department => (
+                    <option key={department} value={department}>{department}</option>
+                  ))}
+                </Form.Select>
+              </Form.Group>
+            </Col>
+            <Col md={3}>
+              <Form.Group>
+                <Form.Label>Doctor</Form.Label>
+                <Form.Select name="doctor" value={filters.doctor} onChange={handleFilterChange}>
+                  <option value="">All Doctors</option>
+                  {doctors
+                    .filter(doctor => !filters.department || doctor.profile?.department === filters.department)
+                    .map(doctor => (
+                      <option key={doctor._id} value={doctor._id}>
+                        Dr. {doctor.profile?.firstName} {doctor.profile?.lastName}
+                      </option>
+                    ))}
+                </Form.Select>
+              </Form.Group>
+            </Col>
+          </>
+        )}
+      </Row>
+
+      {loading ? (
+        <div className="text-center py-5">
+          <Spinner animation="border" />
+        </div>
+      ) : queues.length === 0 ? (
+        <Alert variant="info" className="text-center">No appointments today</Alert>
+      ) : (
+        <Row>
+          {queues.map(queue => (
+            <Col key={queue.doctor._id} lg={6} xl={4} className="mb-4">
+              <Card className="h-100">
+                <Card.Header className="d-flex justify-content-between align-items-center">
+                  <div>
+                    <h6 className="mb-0">Dr. {queue.doctor.profile?.firstName} {queue.doctor.profile?.lastName}</h6>
+                    <small className="text-muted">
+                      {[queue.doctor.profile?.specialization, queue.doctor.profile?.department].filter(Boolean).join(' · ')}
+                    </small>
+                  </div>
+                  <Button
+                    variant="primary"
+                    size="sm"
+                    disabled={queue.waiting.length === 0 || busyId === queue.doctor._id}
+                    onClick={() => runAction(queue.doctor._id, () => queueAPI.callNext(queue.doctor._id))}
+                  >
+                    {busyId === queue.doctor._id ? <Spinner animation="border" size="sm" /> : 'Call Next'}
+                  </Button>
+                </Card.Header>
+                <Card.Body>
+                  <div className="d-flex justify-content-between small text-muted mb-3">
+                    <span>Seen: {queue.completed}</span>
+                    <span>No-shows: {queue.noShows}</span>
+                    <span>Average wait: {formatWait(queue.averageWaitMinutes)}</span>
+                  </div>
+
+                  <h6>With the doctor</h6>
+                  {queue.inProgress.length === 0 ? (
+                    <p className="text-muted small">Nobody</p>
+                  ) : (
+                    <ListGroup variant="flush" className="mb-3">
+                      {queue.inProgress.map(item => (
+                        <ListGroup.Item key={item._id} className="d-flex justify-content-between align-items-center px-0">
+                          <span>
+                            {formatPatient(item.patient)}
+                            <div className="small text-muted">
+                              {item.timeSlot.start} · called in at {format(new Date(item.startedAt), 'HH:mm')}
+                            </div>
+                          </span>
+                          <Button
+                            variant="outline-primary"
+                            size="sm"
+                            disabled={busyId === item._id}
+                            onClick={() => runAction(item._id, () => appointmentsAPI.updateAppointmentStatus(item._id, { status: 'completed' }))}
+                          >
+                            Complete
+                          </Button>
+                        </ListGroup.Item>
+                      ))}
+                    </ListGroup>
+                  )}
+
+                  <h6>Waiting ({queue.waiting.length})</h6>
+                  {queue.waiting.length === 0 ? (
+                    <p className="text-muted small">Nobody is waiting</p>
+                  ) : (
+                    <ListGroup variant="flush" className="mb-3">
+                      {queue.waiting.map((item, index) => (
+                        <ListGroup.Item key={item._id} className="d-flex justify-content-between align-items-center px-0">
+                          <span>
+                            {index === 0 && <Badge bg="primary" className="me-1">Next</Badge>}
+                            {formatPatient(item.patient)}
+                            {item.priority === 'urgent' && <Badge bg="danger" className="ms-1">Urgent</Badge>}
+                            <div className="small text-muted">
+                              {item.timeSlot.start} · arrived {format(new Date(item.checkedInAt), 'HH:mm')}
+                            </div>
+                          </span>
+                          <Badge bg={waitVariant(item.waitMinutes)}>{formatWait(item.waitMinutes)}</Badge>
+                        </ListGroup.Item>
+                      ))}
+                    </ListGroup>
+                  )}
+
+                  <h6>Expected ({queue.expected.length})</h6>
+                  {queue.expected.length === 0 ? (
+                    <p className="text-muted small mb-0">No one else is booked today</p>
+                  ) : (
+                    <ListGroup variant="flush">
+                      {queue.expected.map(item => (
+                        <ListGroup.Item key={item._id} className="d-flex justify-content-between align-items-center px-0">
+                          <span>
+                            {formatPatient(item.patient)}
+                            <div className="small text-muted">
+                              {item.timeSlot.start} · {item.type}
+                              {item.status === 'pending' && ' · not confirmed'}
+                            </div>
+                          </span>
+                          {item.status === 'confirmed' && (
+                            <Button
+                              variant="outline-success"
+                              size="sm"
+                              disabled={busyId === item._id}
+                              onClick={() => runAction(item._id, () => queueAPI.checkIn(item._id))}
+                            >
+                              Check In
+                            </Button>
+                          )}
+                        </ListGroup.Item>
+                      ))}
+                    </ListGroup>
+                  )}
+                </Card.Body>
+              </Card>
+            </Col>
+          ))}
+        </Row>
+      )}
+    </Container>
+  );
+};
+
+export default QueueBoard;
@@ -0,0 +1,22 @@
+import React from 'react';
+
+const escapeRegExp = (value) => value.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+// Marks every occurrence of the search terms. The text is always rendered as text, never HTML.
+const Highlight = ({ text, terms = [] }) => {
+  if (!text || terms.length === 0) {
+    return <>{text}</>;
+  }
+
+  // Splitting on a capturing pattern puts the matches at the odd indexes
+  const pattern = new RegExp(`(${terms.map(escapeRegExp).join('|')})`, 'gi');
+  return (
+    <>
+      {text.split(pattern).map((part, index) => (
+        index % 2 === 1 ? <mark key={index}>{part}</mark> : <React.Fragment key={index}>{part}</React.Fragment>
+      ))}
+    </>
+  );
+};
+
+export default Highlight;
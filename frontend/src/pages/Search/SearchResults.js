@@ -0,0 +1,178 @@
+import React, { useState, useEffect } from 'react';
+import { useSearchParams, useNavigate } from 'react-router-dom';
+import { Container, Row, Col, Card, ListGroup, Badge, Button, Spinner, Alert } from 'react-bootstrap';
+import { toast } from 'react-toastify';
+import { format } from 'date-fns';
+import { searchAPI } from '../../services/api';
+import { useAuth } from '../../contexts/AuthContext';
+import { formatRecipient } from '../Messages/RecipientSearch';
+import Highlight from './Highlight';
+
+const PREVIEW_LIMIT = 5;
+const EXPANDED_LIMIT = 20;
+
+const SECTIONS = [
+  { type: 'records', title: 'Health Records' },
+  { type: 'messages', title: 'Messages' },
+  { type: 'users', title: 'People' }
+];
+
+const formatRecordType = (recordType) => recordType.replace('_', ' ');
+
+const Snippets = ({ highlights, terms }) => (
+  highlights.map(({ field, label, snippet }, index) => (
+    <div key={`${field}-${index}`} className="small text-muted">
+      <span className="fw-semibold">{label}:</span> <Highlight text={snippet} terms={terms} />
+    </div>
+  ))
+);
+
+const SearchResults = () => {
+  const { user } = useAuth();
+  const navigate = useNavigate();
+  const [searchParams] = useSearchParams();
+  const query = (searchParams.get('q') || '').trim();
+  const [data, setData] = useState(null);
+  const [loading, setLoading] = useState(false);
+  const [expanding, setExpanding] = useState(null);
+
+  useEffect(() => {
+    if (query.length < 2) {
+      setData(null);
+      return;
+    }
+    fetchResults();
+  }, [query]);
+
+  const fetchResults = async () => {
+    try {
+      setLoading(true);
+      const response = await searchAPI.search({ q: query, limit: PREVIEW_LIMIT });
+      setData(response.data);
+    } catch (error) {
+      setData(null);
+      toast.error(error.response?.data?.errors?.[0]?.message || 'Search failed');
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  // Load more matches of one type without re-running the others
+  const handleShowMore = async (type) => {
+    try {
+      setExpanding(type);
+      const response = await searchAPI.search({ q: query, types: type, limit: EXPANDED_LIMIT });
+      setData(prev => ({ ...prev, results: { ...prev.results, [type]: response.data.results[type] } }));
+    } catch (error) {
+      toast.error('Failed to load more results');
+    } finally {
+      setExpanding(null);
+    }
+  };
+
+  const renderRecord = (record, terms) => (
+    <ListGroup.Item key={record._id} action onClick={() => navigate(`/health-records?record=${record._id}`)}>
+      <div className="d-flex justify-content-between">
+        <strong><Highlight text={record.title} terms={terms} /></strong>
+        <small className="text-muted">{format(new Date(record.recordDate), 'MMM dd, yyyy')}</small>
+      </div>
+      <div className="small mb-1">
+        <Badge bg="secondary" className="text-capitalize me-2">{formatRecordType(record.recordType)}</Badge>
+        {user.role !== 'patient' && record.patient && <span className="me-2">Patient: {formatRecipient(record.patient)}</span>}
+        {record.provider && <span className="text-muted">by {formatRecipient(record.provider)}</span>}
+      </div>
+      <Snippets highlights={record.highlights.filter(({ field }) => field !== 'title')} terms={terms} />
+    </ListGroup.Item>
+  );
+
+  const renderMessage = (message, terms) => {
+    const incoming = message.to?._id === user._id;
+    const other = incoming ? message.from : message.to;
+    return (
+      <ListGroup.Item key={message._id} action onClick={() => navigate('/messages', { state: { openMessage: message } })}>
+        <div className="d-flex justify-content-between">
+          <strong><Highlight text={message.subject} terms={terms} /></strong>
+          <small className="text-muted">{format(new Date(message.createdAt), 'MMM dd, yyyy')}</small>
+        </div>
+        <div className="small mb-1">
+          {incoming ? 'From' : 'To'} {other ? formatRecipient(other) : 'Deleted user'}
+        </div>
+        <Snippets highlights={message.highlights.filter(({ field }) => field !== 'subject')} terms={terms} />
+      </ListGroup.Item>
+    );
+  };
+
+  const renderUser = (result, terms) => (
+    <ListGroup.Item key={result._id} className="d-flex justify-content-between align-items-center">
+      <div>
+        <strong><Highlight text={formatRecipient(result)} terms={terms} /></strong>
+        <span className="text-muted small ms-2">@<Highlight text={result.username} terms={terms} /></span>
+        <div className="small">
+          <Badge bg="info" className="text-capitalize me-2">{result.role}</Badge>
+          {[result.profile?.specialization, result.profile?.department].filter(Boolean).join(' · ')}
+        </div>
+      </div>
+      <Button size="sm" variant="outline-primary" onClick={() => navigate('/messages', { state: { composeTo: result } })}>
+        Message
+      </Button>
+    </ListGroup.Item>
+  );
+
+  const renderers = {
+    records: renderRecord,
+    messages: renderMessage,
+    users: renderUser
+  };
+
+  if (query.length < 2) {
+    return (
+      <Container className="py-4">
+        <Alert variant="info">Enter at least two characters to search.</Alert>
+      </Container>
+    );
+  }
+
+  return (
+    <Container className="py-4">
+      <h2 className="mb-4">Search results for "{query}"</h2>
+
+      {loading || !data ? (
+        <div className="text-center py-5">
+          {loading ? <Spinner animation="border" /> : 'No results'}
+        </div>
+      ) : (
+        <Row>
+          {SECTIONS.map(({ type, title }) => {
+            const { items, total } = data.results[type];
+            return (
+              <Col lg={12} key={type} className="mb-4">
+                <Card>
+                  <Card.Header className="d-flex justify-content-between align-items-center">
+                    <strong>{title}</strong>
+                    <Badge bg="light" text="dark">{total}</Badge>
+                  </Card.Header>
+                  {items.length === 0 ? (
+                    <Card.Body className="text-muted small">No matching {title.toLowerCase()}</Card.Body>
+                  ) : (
+                    <ListGroup variant="flush">
+                      {items.map(item => renderers[type](item, data.terms))}
+                    </ListGroup>
+                  )}
+                  {total > items.length && items.length < EXPANDED_LIMIT && (
+                    <Card.Footer className="text-center">
+                      <Button size="sm" variant="link" disabled={expanding === type} onClick={() => handleShowMore(type)}>
+                        {expanding === type ? <Spinner animation="border" size="sm" /> : 'Show more'}
+                      </Button>
+                    </Card.Footer>
+                  )}
+                </Card>
+              </Col>
+            );
+          })}
+        </Row>
+      )}
+    </Container>
+  );
+};
+
+export default SearchResults;
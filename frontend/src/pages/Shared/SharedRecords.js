@@ -0,0 +1,110 @@
+import React, { useState, useEffect } from 'react';
+import { Container, Row, Col, Card, Badge, Alert, Spinner } from 'react-bootstrap';
+import { useParams } from 'react-router-dom';
+import { format } from 'date-fns';
+import { recordSharesAPI } from '../../services/api';
+
+const RECORD_TYPE_LABELS = {
+  diagnosis: 'Diagnosis',
+  treatment: 'Treatment',
+  lab_result: 'Lab Result',
+  vital_signs: 'Vital Signs',
+  prescription: 'Prescription',
+  procedure: 'Procedure',
+  imaging: 'Imaging',
+  consultation: 'Consultation'
+};
+
+const formatDate = (date) => (date ? format(new Date(date), 'MMM dd, yyyy') : '-');
+
+// View-only page for a record share link; opened without an account
+const SharedRecords = () => {
+  const { token } = useParams();
+  const [data, setData] = useState(null);
+  const [error, setError] = useState('');
+
+  useEffect(() => {
+    fetchSharedRecords();
+  }, [token]);
+
+  const fetchSharedRecords = async () => {
+    try {
+      const response = await recordSharesAPI.getSharedRecords(token);
+      setData(response.data);
+    } catch (err) {
+      setError(err.response?.data?.message || 'Failed to load the shared records');
+    }
+  };
+
+  if (error) {
+    return (
+      <Container className="py-5">
+        <Alert variant="warning" className="text-center">{error}</Alert>
+      </Container>
+    );
+  }
+
+  if (!data) {
+    return (
+      <Container className="py-5 text-center">
+        <Spinner animation="border" />
+      </Container>
+    );
+  }
+
+  return (
+    <Container className="py-4">
+      <Row className="mb-3">
+        <Col>
+          <h2 className="mb-1">
+            Health records of {data.patient?.profile?.firstName} {data.patient?.profile?.lastName}
+          </h2>
+          <div className="text-muted">
+            {data.patient?.profile?.dateOfBirth && <>Born {formatDate(data.patient.profile.dateOfBirth)} · </>}
+            Shared until {formatDate(data.expiresAt)}
+          </div>
+        </Col>
+      </Row>
+
+      {data.note && <Alert variant="info">{data.note}</Alert>}
+
+      {data.records.length === 0 ? (
+        <Alert variant="secondary">No records are included in this share yet.</Alert>
+      ) : (
+        data.records.map(record => (
+          <Card key={record._id} className="medical-card mb-3">
+            <Card.Header className="d-flex justify-content-between align-items-center">
+              <div>
+                <Badge bg="info" className="me-2">{RECORD_TYPE_LABELS[record.recordType] || record.recordType}</Badge>
+                <strong>{record.title}</strong>
+              </div>
+              <span className="text-muted">{formatDate(record.recordDate)}</span>
+            </Card.Header>
+            <Card.Body>
+              <Row className="mb-2 small">
+                <Col md={6}>
+                  <strong>Provider:</strong> {record.provider?.profile?.firstName} {record.provider?.profile?.lastName}
+                  {record.provider?.profile?.specialization && ` (${record.provider.profile.specialization})`}
+                </Col>
+                <Col md={6}>
+                  <strong>Facility:</strong> {record.facility || '-'}
+                </Col>
+              </Row>
+              <p>{record.description}</p>
+              {record.clinicalData && Object.keys(record.clinicalData).length > 0 && (
+                <pre className="p-3 bg-light rounded small">{JSON.stringify(record.clinicalData, null, 2)}</pre>
+              )}
+              {record.attachments?.length > 0 && (
+                <div className="small text-muted">
+                  Attachments, not included in shared links: {record.attachments.map(attachment => attachment.originalName).join(', ')}
+                </div>
+              )}
+            </Card.Body>
+          </Card>
+        ))
+      )}
+    </Container>
+  );
+};
+
+export default SharedRecords;
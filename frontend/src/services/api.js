@@ -1,7 +1,7 @@
 import axios from 'axios';
 import { toast } from 'react-toastify';
 
-const API_BASE_URL = process.env.REACT_APP_API_URL || 'http://localhost:5000/api';
+export const API_BASE_URL = process.env.REACT_APP_API_URL || 'http://localhost:5000/api';
 
 const api = axios.create({
   baseURL: API_BASE_URL,
@@ -24,25 +24,73 @@ api.interceptors.request.use(
   }
 );
 
+// Auth endpoints whose 401s mean bad credentials, not an expired access token
+const NO_REFRESH_ENDPOINTS = [
+  '/auth/login',
+  '/auth/register',
+  '/auth/refresh-token',
+  '/auth/2fa/verify',
+  '/auth/forgot-password',
+  '/auth/reset-password'
+];
+
+export const clearStoredTokens = () => {
+  localStorage.removeItem('token');
+  localStorage.removeItem('refreshToken');
+};
+
+let refreshPromise = null;
+
+// Exchange the stored refresh token for a new token pair. Concurrent 401s share a
+// single request, since each refresh token can only be used once.
+export const refreshSession = () => {
+  if (!refreshPromise) {
+    const refreshToken = localStorage.getItem('refreshToken');
+
+    const request = refreshToken
+      ? axios.post(`${API_BASE_URL}/auth/refresh-token`, { refreshToken })
+      : Promise.reject(new Error('No refresh token available'));
+
+    refreshPromise = request
+      .then((response) => {
+        localStorage.setItem('token', response.data.token);
+        localStorage.setItem('refreshToken', response.data.refreshToken);
+        return response.data;
+      })
+      .catch((refreshError) => {
+        // Another tab may have rotated the refresh token while this request was in flight
+        const latestRefreshToken = localStorage.getItem('refreshToken');
+        if (latestRefreshToken && latestRefreshToken !== refreshToken) {
+          return { token: localStorage.getItem('token') };
+        }
+        throw refreshError;
+      })
+      .finally(() => {
+        refreshPromise = null;
+      });
+  }
+
+  return refreshPromise;
+};
+
 api.interceptors.response.use(
   (response) => {
     return response;
   },
   async (error) => {
     const originalRequest = error.config;
+    const skipRefresh = NO_REFRESH_ENDPOINTS.some(endpoint => originalRequest?.url?.startsWith(endpoint));
 
-    if (error.response?.status === 401 && !originalRequest._retry) {
+    if (error.response?.status === 401 && !originalRequest._retry && !skipRefresh) {
       originalRequest._retry = true;
 
       try {
-        const refreshResponse = await api.post('/auth/refresh-token');
-        const newToken = refreshResponse.data.token;
-        localStorage.setItem('token', newToken);
+        const { token: newToken } = await refreshSession();
         
         originalRequest.headers.Authorization = `Bearer ${newToken}`;
         return api(originalRequest);
       } catch (refreshError) {
-        localStorage.removeItem('token');
+        clearStoredTokens();
         window.location.href = '/login';
         return Promise.reject(refreshError);
       }
@@ -60,16 +108,32 @@ export const authAPI = {
   login: (credentials) => api.post('/auth/login', credentials),
   register: (userData) => api.post('/auth/register', userData),
   verifyToken: () => api.post('/auth/verify-token'),
-  refreshToken: () => api.post('/auth/refresh-token'),
+  refreshToken: (refreshToken) => api.post('/auth/refresh-token', { refreshToken }),
+  logout: () => api.post('/auth/logout'),
+  logoutAll: () => api.post('/auth/logout-all'),
+  getSessions: () => api.get('/auth/sessions'),
+  revokeSession: (id) => api.delete(`/auth/sessions/${id}`),
+  verifyTwoFactor: (data) => api.post('/auth/2fa/verify', data),
+  getTwoFactorStatus: () => api.get('/auth/2fa/status'),
+  setupTwoFactor: (data) => api.post('/auth/2fa/setup', data),
+  enableTwoFactor: (data) => api.post('/auth/2fa/enable', data),
+  disableTwoFactor: (data) => api.post('/auth/2fa/disable', data),
+  regenerateRecoveryCodes: (data) => api.post('/auth/2fa/recovery-codes', data),
   getProfile: () => api.get('/auth/me'),
+  getMyPermissions: () => api.get('/auth/me/permissions'),
+  forgotPassword: (data) => api.post('/auth/forgot-password', data),
+  resetPassword: (data) => api.post('/auth/reset-password', data),
 };
 
 export const usersAPI = {
   getAllUsers: (params) => api.get('/users', { params }),
   getDoctors: (params) => api.get('/users/doctors', { params }),
+  searchUsers: (q, params = {}) => api.get('/users/search', { params: { q, ...params } }),
   getUser: (id) => api.get(`/users/${id}`),
   updateProfile: (id, profileData) => api.put(`/users/${id}/profile`, profileData),
   updateUserStatus: (id, status) => api.patch(`/users/${id}/status`, status),
+  getUserSessions: (id) => api.get(`/users/${id}/sessions`),
+  revokeUserSessions: (id) => api.delete(`/users/${id}/sessions`),
   deleteUser: (id) => api.delete(`/users/${id}`),
 };
 
@@ -84,11 +148,91 @@ export const appointmentsAPI = {
     api.get(`/appointments/doctor/${doctorId}/availability`, { params: { date } }),
 };
 
+export const appointmentSeriesAPI = {
+  previewSeries: (seriesData) => api.post('/appointment-series/preview', seriesData),
+  createSeries: (seriesData) => api.post('/appointment-series', seriesData),
+  getSeriesList: (params) => api.get('/appointment-series', { params }),
+  getSeries: (id) => api.get(`/appointment-series/${id}`),
+  rescheduleOccurrences: (id, appointmentId, changes) =>
+    api.put(`/appointment-series/${id}/appointments/${appointmentId}`, changes),
+  cancelOccurrences: (id, cancelData) => api.post(`/appointment-series/${id}/cancel`, cancelData),
+};
+
+export const queueAPI = {
+  getQueue: (params) => api.get('/queue', { params }),
+  checkIn: (appointmentId, notes) => api.post(`/queue/${appointmentId}/check-in`, { notes }),
+  callNext: (doctor) => api.post('/queue/call-next', { doctor }),
+};
+
+export const waitlistAPI = {
+  getEntries: (params) => api.get('/waitlist', { params }),
+  joinWaitlist: (entryData) => api.post('/waitlist', entryData),
+  leaveWaitlist: (id) => api.delete(`/waitlist/${id}`),
+  getOffer: (id) => api.get(`/waitlist/offers/${id}`),
+  claimOffer: (id) => api.post(`/waitlist/offers/${id}/claim`),
+  declineOffer: (id) => api.post(`/waitlist/offers/${id}/decline`),
+};
+
+export const schedulesAPI = {
+  getSchedule: (doctorId) => api.get(`/schedules/${doctorId}`),
+  updateSchedule: (doctorId, scheduleData) => api.put(`/schedules/${doctorId}`, scheduleData),
+  addException: (doctorId, exceptionData) => api.post(`/schedules/${doctorId}/exceptions`, exceptionData),
+  removeException: (doctorId, exceptionId) => api.delete(`/schedules/${doctorId}/exceptions/${exceptionId}`),
+};
+
+// Build a multipart body from plain fields plus files under the "attachments" field
+const toFormData = (fields, files) => {
+  const formData = new FormData();
+  Object.entries(fields).forEach(([key, value]) => {
+    if (value !== undefined && value !== null && value !== '') {
+      formData.append(key, value);
+    }
+  });
+  files.forEach(file => formData.append('attachments', file));
+  return formData;
+};
+
+const UPLOAD_CONFIG = {
+  headers: { 'Content-Type': 'multipart/form-data' },
+  timeout: 120000
+};
+
+const DOWNLOAD_CONFIG = {
+  responseType: 'blob',
+  timeout: 120000
+};
+
+// Dispatched on window when messages are read, archived or deleted so unread badges can refresh
+export const MESSAGES_CHANGED_EVENT = 'healem:messages-changed';
+
+export const notifyMessagesChanged = () => window.dispatchEvent(new Event(MESSAGES_CHANGED_EVENT));
+
 export const messagesAPI = {
-  sendMessage: (messageData) => api.post('/messages', messageData),
+  sendMessage: (messageData, files = []) => (
+    files.length > 0
+      ? api.post('/messages', toFormData(messageData, files), UPLOAD_CONFIG)
+      : api.post('/messages', messageData)
+  ),
+  replyToMessage: (id, replyData, files = []) => (
+    files.length > 0
+      ? api.post(`/messages/${id}/reply`, toFormData(replyData, files), UPLOAD_CONFIG)
+      : api.post(`/messages/${id}/reply`, replyData)
+  ),
+  downloadAttachment: (messageId, attachmentId) => api.get(`/messages/${messageId}/attachments/${attachmentId}`, DOWNLOAD_CONFIG),
   getInbox: (params) => api.get('/messages/inbox', { params }),
   getSentMessages: (params) => api.get('/messages/sent', { params }),
   getConversation: (userId, params) => api.get(`/messages/conversation/${userId}`, { params }),
+  getThreads: (params) => api.get('/messages/threads', { params }),
+  getRecipients: (params) => api.get('/messages/recipients', { params }),
+  getBroadcastAudienceOptions: () => api.get('/messages/broadcasts/audience-options'),
+  previewBroadcast: (audience) => api.post('/messages/broadcasts/preview', { audience }),
+  sendBroadcast: (broadcastData) => api.post('/messages/broadcasts', broadcastData),
+  getBroadcasts: (params) => api.get('/messages/broadcasts', { params }),
+  getBroadcastReport: (id, params) => api.get(`/messages/broadcasts/${id}/report`, { params }),
+  getBlockedUsers: () => api.get('/messages/blocked'),
+  blockUser: (userId) => api.post(`/messages/blocked/${userId}`),
+  unblockUser: (userId) => api.delete(`/messages/blocked/${userId}`),
+  getThread: (threadId) => api.get(`/messages/threads/${threadId}`),
   getMessage: (id) => api.get(`/messages/${id}`),
   updateMessageStatus: (id, status) => api.patch(`/messages/${id}/status`, status),
   deleteMessage: (id) => api.delete(`/messages/${id}`),
@@ -96,12 +240,17 @@ export const messagesAPI = {
 };
 
 export const healthRecordsAPI = {
-  getPatientRecords: (patientId, params) => api.get(`/health-records/patient/${patientId}`, { params }),
+  getPatientSummary: (patientId) => api.get(`/health-records/patient/${patientId}/summary`),
   getMyRecords: (params) => api.get('/health-records/my-records', { params }),
   getAllRecords: (params) => api.get('/health-records', { params }),
   getRecord: (recordId) => api.get(`/health-records/${recordId}`),
+  getRecordHistory: (recordId) => api.get(`/health-records/${recordId}/history`),
   createRecord: (recordData) => api.post('/health-records', recordData),
-  updateRecord: (recordId, recordData) => api.put(`/health-records/${recordId}`, recordData),
+  amendRecord: (recordId, amendmentData) => api.put(`/health-records/${recordId}`, amendmentData),
+  uploadAttachments: (recordId, files) => api.post(`/health-records/${recordId}/attachments`, toFormData({}, files), UPLOAD_CONFIG),
+  downloadAttachment: (recordId, attachmentId) => api.get(`/health-records/${recordId}/attachments/${attachmentId}`, DOWNLOAD_CONFIG),
+  signRecord: (recordId, password) => api.post(`/health-records/${recordId}/sign`, { password }),
+  acknowledgeRecord: (recordId, password) => api.post(`/health-records/${recordId}/acknowledge`, { password }),
   deleteRecord: (recordId) => api.delete(`/health-records/${recordId}`)
 };
 
@@ -117,7 +266,43 @@ export const analyticsAPI = {
   getAppointmentAnalytics: (period) => api.get('/analytics/appointments', { params: { period } }),
   getUserAnalytics: (period) => api.get('/analytics/users', { params: { period } }),
   getHealthRecordAnalytics: (period) => api.get('/analytics/health-records', { params: { period } }),
-  getSystemAnalytics: (period) => api.get('/analytics/system', { params: { period } })
+  getSystemAnalytics: (period) => api.get('/analytics/system', { params: { period } }),
+  getJobStatus: (params) => api.get('/analytics/jobs', { params })
+};
+
+export const auditAPI = {
+  getEvents: (params) => api.get('/audit', { params }),
+  exportEvents: (params) => api.get('/audit/export', { params, responseType: 'blob', timeout: 60000 }),
+  verifyChain: (params) => api.get('/audit/verify', { params, timeout: 60000 }),
+  getMyAccessLog: (params) => api.get('/audit/my-access', { params }),
+};
+
+export const settingsAPI = {
+  getSecuritySettings: () => api.get('/settings/security'),
+  updateSecuritySettings: (data) => api.put('/settings/security', data),
+  getMessagingSettings: () => api.get('/settings/messaging'),
+  updateMessagingSettings: (data) => api.put('/settings/messaging', data),
+  getRolePermissions: () => api.get('/settings/roles'),
+  updateRolePermissions: (role, permissions) => api.put(`/settings/roles/${role}`, { permissions }),
+  resetRolePermissions: (role) => api.delete(`/settings/roles/${role}`),
+};
+
+export const searchAPI = {
+  search: (params) => api.get('/search', { params }),
+};
+
+export const careRelationshipsAPI = {
+  getRelationships: (params) => api.get('/care-relationships', { params }),
+  createRelationship: (relationshipData) => api.post('/care-relationships', relationshipData),
+  endRelationship: (id) => api.delete(`/care-relationships/${id}`),
+  requestEmergencyAccess: (patient, reason) => api.post('/care-relationships/emergency', { patient, reason }),
+};
+
+export const recordSharesAPI = {
+  getShares: (params) => api.get('/record-shares', { params }),
+  createShare: (shareData) => api.post('/record-shares', shareData),
+  revokeShare: (id) => api.delete(`/record-shares/${id}`),
+  getSharedRecords: (token) => api.get(`/record-shares/link/${token}`),
 };
 
 export default api;
\ No newline at end of file